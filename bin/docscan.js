@@ -0,0 +1,227 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { pipeline } = require('stream/promises');
+const { ScanClient } = require('../lib/scan-client');
+const { findFiles } = require('../lib/file-glob');
+const { EXIT_CODES, exitCodeFor, textLine, textSummary, jsonReport, sarifReport } = require('../lib/scan-report');
+const { version } = require('../package.json');
+
+// docscan - scans files through the document scanner's POST /upload
+// Run `docscan --help` for the options; the README has the details.
+
+const USAGE = `Usage: docscan [options] <file|directory|pattern|->...
+
+Scans files through the document scanner server. Directories are searched
+recursively; quote glob patterns ('docs/**/*.pdf') to let docscan expand them.
+"-" scans standard input.
+
+Options:
+  -s, --server <url>       Server to scan with (default: $DOCSCAN_SERVER or http://localhost:3001)
+  -k, --api-key <key>      API key to send (default: $DOCSCAN_API_KEY)
+  -c, --concurrency <n>    Files to upload at the same time (default: 4)
+  -f, --format <format>    text, json or sarif (default: text)
+  -o, --output <file>      Write the output to a file instead of standard output
+  -i, --include <glob>     Only scan matching files in directories and patterns (repeatable)
+  -x, --exclude <glob>     Skip matching files in directories and patterns (repeatable)
+      --stdin-name <name>  File name to send for standard input (default: stdin)
+      --timeout <seconds>  Give up on a file after this long (default: 600)
+      --retries <n>        Attempts after the first when the scanners are busy (default: 3)
+  -q, --quiet              Text output: only list files that aren't clean
+      --no-color           No colors in text output (also $NO_COLOR)
+  -h, --help               Show this help
+  -v, --version            Show the version
+
+Exit codes:
+  0  every file is clean
+  1  malware found in at least one file
+  2  nothing infected, but some files weren't scanned (rejected, errors)
+  3  bad options, or no files to scan`;
+
+const FORMATS = ['text', 'json', 'sarif'];
+
+// Thrown for bad command lines - printed with the usage hint, exit code 3
+class UsageError extends Error {}
+
+const parseOptions = (argv) => {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        server: { type: 'string', short: 's' },
+        'api-key': { type: 'string', short: 'k' },
+        concurrency: { type: 'string', short: 'c', default: '4' },
+        format: { type: 'string', short: 'f', default: 'text' },
+        output: { type: 'string', short: 'o' },
+        include: { type: 'string', short: 'i', multiple: true, default: [] },
+        exclude: { type: 'string', short: 'x', multiple: true, default: [] },
+        'stdin-name': { type: 'string', default: 'stdin' },
+        timeout: { type: 'string', default: '600' },
+        retries: { type: 'string', default: '3' },
+        quiet: { type: 'boolean', short: 'q', default: false },
+        'no-color': { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+        version: { type: 'boolean', short: 'v', default: false }
+      }
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+  const { values, positionals } = parsed;
+
+  const positiveInt = (name, min) => {
+    const value = parseInt(values[name], 10);
+    if (!/^\d+$/.test(values[name]) || value < min) {
+      throw new UsageError(`--${name} must be a whole number of at least ${min}`);
+    }
+    return value;
+  };
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(', ')}`);
+  }
+  const server = values.server || process.env.DOCSCAN_SERVER || 'http://localhost:3001';
+  try {
+    const url = new URL(server);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error();
+  } catch (error) {
+    throw new UsageError(`--server must be an http(s) URL: ${server}`);
+  }
+
+  return {
+    targets: positionals,
+    server,
+    apiKey: values['api-key'] || process.env.DOCSCAN_API_KEY || null,
+    concurrency: positiveInt('concurrency', 1),
+    format: values.format,
+    output: values.output || null,
+    include: values.include,
+    exclude: values.exclude,
+    stdinName: values['stdin-name'],
+    timeout: positiveInt('timeout', 1) * 1000,
+    retries: positiveInt('retries', 0),
+    quiet: values.quiet,
+    // https://no-color.org
+    color: !values['no-color'] && !process.env.NO_COLOR && !values.output && process.stdout.isTTY === true,
+    help: values.help,
+    version: values.version
+  };
+};
+
+// Standard input goes to a temporary file first: the upload needs its size up front, and a
+// retry needs it again
+const spoolStdin = async () => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'docscan-'));
+  const file = path.join(dir, 'stdin');
+  await pipeline(process.stdin, fs.createWriteStream(file));
+  return { file, cleanup: () => fs.promises.rm(dir, { recursive: true, force: true }) };
+};
+
+// Runs worker(item, index) for every item, `concurrency` at a time
+const runPool = async (items, concurrency, worker) => {
+  let next = 0;
+  const run = async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, run));
+};
+
+const main = async () => {
+  const options = parseOptions(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return EXIT_CODES.clean;
+  }
+  if (options.version) {
+    console.log(version);
+    return EXIT_CODES.clean;
+  }
+  if (options.targets.length === 0) {
+    throw new UsageError('Nothing to scan: give files, directories, patterns or - for standard input');
+  }
+  if (options.targets.filter(target => target === '-').length > 1) {
+    throw new UsageError('- (standard input) can only be given once');
+  }
+
+  // { file: shown in the output, path: what is uploaded, name: the file name sent }
+  const jobs = [];
+  let stdin = null;
+  const { files, unmatched } = await findFiles(options.targets.filter(target => target !== '-'), options);
+  unmatched.forEach(target => console.error(`docscan: no files found for ${target}`));
+  for (const target of options.targets) {
+    if (target === '-') {
+      stdin = await spoolStdin();
+      jobs.push({ file: '-', path: stdin.file, name: options.stdinName });
+    }
+  }
+  files.forEach(file => jobs.push({ file, path: file, name: path.basename(file) }));
+  if (jobs.length === 0) {
+    if (stdin) await stdin.cleanup();
+    return EXIT_CODES.usage;
+  }
+
+  const client = new ScanClient({
+    server: options.server,
+    apiKey: options.apiKey,
+    timeout: options.timeout,
+    retries: options.retries,
+    userAgent: `docscan/${version}`
+  });
+  const output = options.output ? fs.createWriteStream(options.output) : process.stdout;
+  const text = options.format === 'text';
+  const started = Date.now();
+  const results = new Array(jobs.length);
+
+  try {
+    await runPool(jobs, options.concurrency, async (job, index) => {
+      const outcome = await client.scanFile(job.path, {
+        fileName: job.name,
+        onRetry: (failed, delay) => {
+          if (text && !options.quiet) {
+            console.error(`docscan: ${job.file}: ${failed.message} - trying again in ${Math.round(delay / 1000)}s`);
+          }
+        }
+      });
+      results[index] = { file: job.file, ...outcome };
+      if (text && !(options.quiet && outcome.status === 'clean')) {
+        output.write(`${textLine(results[index], options)}\n`);
+      }
+    });
+  } finally {
+    if (stdin) await stdin.cleanup();
+  }
+
+  const duration = Date.now() - started;
+  if (text) {
+    output.write(`${textSummary(results, { color: options.color, duration })}\n`);
+  } else if (options.format === 'json') {
+    output.write(`${jsonReport(results, { server: options.server, duration })}\n`);
+  } else {
+    output.write(`${sarifReport(results, { version })}\n`);
+  }
+  if (output !== process.stdout) {
+    await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+  }
+
+  // Files asked for that weren't there count as not scanned
+  const code = exitCodeFor(results);
+  return unmatched.length > 0 && code === EXIT_CODES.clean ? EXIT_CODES.error : code;
+};
+
+main().then((code) => {
+  process.exitCode = code;
+}, (error) => {
+  if (error instanceof UsageError) {
+    console.error(`docscan: ${error.message}\nRun docscan --help for the options.`);
+    process.exitCode = EXIT_CODES.usage;
+  } else {
+    console.error(`docscan: ${error.message}`);
+    process.exitCode = EXIT_CODES.error;
+  }
+});
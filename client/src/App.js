@@ -1,18 +1,49 @@
 import React from 'react';
 import './App.css';
 import FileUpload from './components/FileUpload';
+import AdminPage from './components/AdminPage';
+import { Link, matchPath, useLocation } from './router';
 
 function App() {
+  const { pathname, search } = useLocation();
+  const isAdmin = pathname === '/admin' || pathname.startsWith('/admin/');
+  const detail = matchPath('/admin/scans/:requestId', pathname);
+
+  let page;
+  if (pathname === '/') {
+    page = (
+      <>
+        <p className="subtitle">Upload your documents for virus scanning</p>
+        <FileUpload />
+      </>
+    );
+  } else if (pathname === '/admin' || detail) {
+    page = (
+      <>
+        <p className="subtitle">Scan history and scanner status</p>
+        <AdminPage requestId={detail ? detail.requestId : null} search={search} />
+      </>
+    );
+  } else {
+    page = (
+      <p className="subtitle">
+        There is no page at <code>{pathname}</code>. <Link to="/">Go to the uploader</Link>
+      </p>
+    );
+  }
+
   return (
     <div className="App">
-      <div className="container">
+      <div className={`container${isAdmin ? ' wide' : ''}`}>
+        <nav className="app-nav">
+          <Link to="/" className={pathname === '/' ? 'active' : ''}>Upload</Link>
+          <Link to="/admin" className={isAdmin ? 'active' : ''}>Admin</Link>
+        </nav>
         <h1>Document Scanner</h1>
-        <p className="subtitle">Upload your documents for virus scanning</p>
-        <FileUpload />
+        {page}
       </div>
     </div>
   );
 }
 
 export default App;
-
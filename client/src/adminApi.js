@@ -0,0 +1,97 @@
+import axios from 'axios';
+import { API_URL } from './config';
+
+// Client for the server's admin endpoints (GET /scans, /admin/...), which need the ADMIN_TOKEN
+//
+// The token is never built into the bundle: the admin types it in, and it is kept in
+// sessionStorage, so it is gone when the tab is closed.
+
+const TOKEN_KEY = 'documentScanner.adminToken';
+
+export const getAdminToken = () => window.sessionStorage.getItem(TOKEN_KEY);
+
+export const setAdminToken = (token) => {
+  if (token) {
+    window.sessionStorage.setItem(TOKEN_KEY, token);
+  } else {
+    window.sessionStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+const adminApi = axios.create({ baseURL: API_URL, timeout: 30000 });
+
+adminApi.interceptors.request.use((config) => {
+  config.headers.Authorization = `Bearer ${getAdminToken() || ''}`;
+  return config;
+});
+
+// { adminStatus, message } for a failed admin request - adminStatus tells the pages what to do:
+//   unauthorized - the token is wrong (forget it and ask again)
+//   disabled     - the server has no ADMIN_TOKEN or no audit trail
+//   failed       - anything else
+export const describeAdminError = (error) => {
+  if (!error.response) {
+    return { adminStatus: 'failed', message: `Unable to connect to server at ${API_URL}.` };
+  }
+  const { status, data } = error.response;
+  const message = (data && data.message) || error.message;
+  if (status === 401) return { adminStatus: 'unauthorized', message };
+  if (status === 403 || status === 503) return { adminStatus: 'disabled', message };
+  return { adminStatus: 'failed', message };
+};
+
+// GET /scans: a page of audit trail entries, newest first
+export const fetchScans = async (filters, { limit, offset }) => {
+  const { data } = await adminApi.get('/scans', { params: { ...filters, limit, offset } });
+  return data;
+};
+
+// Saves `data` (a Blob) as a file called `name`
+const saveBlob = (data, name) => {
+  const url = window.URL.createObjectURL(data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  // The browser may still be reading it right after the click
+  setTimeout(() => window.URL.revokeObjectURL(url), 10000);
+};
+
+// Downloads every entry matching `filters` as format=csv or json
+// A plain link can't send the token, so the file is fetched and saved from memory
+export const exportScans = async (filters, format) => {
+  const { data } = await adminApi.get('/scans', { params: { ...filters, format }, responseType: 'blob', timeout: 0 });
+  saveBlob(data, `scan-audit-${new Date().toISOString().slice(0, 10)}.${format}`);
+};
+
+// GET /admin/scan-stats: scans per bucket of `bucket` seconds between from and to
+export const fetchScanStats = async ({ from, to, bucket }) => {
+  const { data } = await adminApi.get('/admin/scan-stats', { params: { from, to, bucket } });
+  return data;
+};
+
+// Quarantined files, newest first - null when the server has no quarantine
+export const fetchQuarantine = async () => {
+  try {
+    const { data } = await adminApi.get('/admin/quarantine');
+    return data.items;
+  } catch (error) {
+    if (error.response && error.response.status === 503) return null;
+    throw error;
+  }
+};
+
+// Saves a quarantined file as the server's password-protected ZIP (password "infected")
+export const downloadQuarantined = async (id) => {
+  const { data } = await adminApi.get(`/admin/quarantine/${encodeURIComponent(id)}/download`, {
+    responseType: 'blob',
+    timeout: 0
+  });
+  saveBlob(data, `${id}.zip`);
+};
+
+// GET /health needs no token - the pool status is public
+export const fetchHealth = async () => {
+  const { data } = await axios.get(`${API_URL}/health`, { timeout: 10000 });
+  return data;
+};
@@ -0,0 +1,87 @@
+import React, { useCallback, useState } from 'react';
+import { getAdminToken, setAdminToken } from '../adminApi';
+import PoolStatus from './PoolStatus';
+import ScanCharts from './ScanCharts';
+import ScanDetail from './ScanDetail';
+import ScanHistory from './ScanHistory';
+import './Admin.css';
+
+// The admin pages: the dashboard (/admin) and a request's scans (/admin/scans/:requestId)
+// They ask for the server's ADMIN_TOKEN first, and again whenever the server rejects it.
+
+const TokenForm = ({ message, onSubmit }) => {
+  const [token, setToken] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (token.trim()) {
+      onSubmit(token.trim());
+    }
+  };
+
+  return (
+    <form className="admin-panel token-form" onSubmit={handleSubmit}>
+      <h2>Admin sign-in</h2>
+      <p className="admin-muted">
+        Enter the server's <code>ADMIN_TOKEN</code>. It is kept in this browser tab until you close it or sign out.
+      </p>
+      {message && <p className="admin-error">{message}</p>}
+      <input
+        type="password"
+        className="token-input"
+        value={token}
+        onChange={e => setToken(e.target.value)}
+        placeholder="Admin token"
+        autoComplete="current-password"
+        autoFocus
+      />
+      <button type="submit" className="admin-button" disabled={!token.trim()}>Sign in</button>
+    </form>
+  );
+};
+
+const AdminPage = ({ requestId, search }) => {
+  const [signedIn, setSignedIn] = useState(() => Boolean(getAdminToken()));
+  const [message, setMessage] = useState('');
+
+  // Called by the panels when the server rejects the token
+  const handleAdminError = useCallback((errorMessage) => {
+    setAdminToken(null);
+    setSignedIn(false);
+    setMessage(errorMessage);
+  }, []);
+
+  const handleSignIn = (token) => {
+    setAdminToken(token);
+    setSignedIn(true);
+    setMessage('');
+  };
+
+  const handleSignOut = () => {
+    setAdminToken(null);
+    setSignedIn(false);
+  };
+
+  if (!signedIn) {
+    return <TokenForm message={message} onSubmit={handleSignIn} />;
+  }
+
+  return (
+    <div className="admin">
+      <div className="admin-toolbar">
+        <button type="button" className="admin-button secondary" onClick={handleSignOut}>Sign out</button>
+      </div>
+      {requestId ? (
+        <ScanDetail requestId={requestId} onAdminError={handleAdminError} />
+      ) : (
+        <>
+          <PoolStatus />
+          <ScanCharts onAdminError={handleAdminError} />
+          <ScanHistory search={search} onAdminError={handleAdminError} />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AdminPage;
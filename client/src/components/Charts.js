@@ -0,0 +1,152 @@
+import React from 'react';
+
+// Small SVG time series charts for the admin pages
+//
+// Both charts take `points` - [{ time (ms), values: { [series key]: number or null } }], oldest
+// first - and `series` - [{ key, label, color }]. They scale to the width of their container.
+// Pass `integer` when the values are counts, so the axis doesn't show fractions.
+// Hovering a bar or point shows its values (the browser's tooltip for <title>).
+
+const WIDTH = 640;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 12, bottom: 28, left: 56 };
+const PLOT_WIDTH = WIDTH - PADDING.left - PADDING.right;
+const PLOT_HEIGHT = HEIGHT - PADDING.top - PADDING.bottom;
+const Y_TICKS = 4;
+const X_TICKS = 5;
+
+// Top of the value axis: at or above `value`, with a round number between the ticks
+// With `integer` (counts) the ticks are whole numbers too
+const niceMax = (value, integer) => {
+  if (!(value > 0)) return integer ? Y_TICKS : 1;
+  const rough = value / Y_TICKS;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+  const step = [1, 2, 2.5, 5, 10].find(factor => factor * magnitude >= rough) * magnitude;
+  return (integer ? Math.max(1, Math.ceil(step)) : step) * Y_TICKS;
+};
+
+const formatTick = (time, span) => {
+  const date = new Date(time);
+  // Over two days, the date says more than the time
+  return span > 2 * 24 * 60 * 60 * 1000
+    ? date.toLocaleDateString([], { month: 'short', day: 'numeric' })
+    : date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+};
+
+const tooltip = (point, series, formatValue) => [
+  new Date(point.time).toLocaleString(),
+  ...series.map(({ key, label }) => `${label}: ${point.values[key] === null ? '-' : formatValue(point.values[key])}`)
+].join('\n');
+
+// Axes, grid and legend around a plot; `children` draws inside the plot area
+const ChartFrame = ({ from, to, maxValue, series, formatValue, children }) => {
+  const span = to - from;
+  return (
+    <figure className="chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img">
+        {Array.from({ length: Y_TICKS + 1 }, (_, i) => {
+          const y = PADDING.top + PLOT_HEIGHT - (PLOT_HEIGHT * i) / Y_TICKS;
+          return (
+            <g key={`y${i}`}>
+              <line className="chart-grid" x1={PADDING.left} x2={WIDTH - PADDING.right} y1={y} y2={y} />
+              <text className="chart-label" x={PADDING.left - 6} y={y + 4} textAnchor="end">
+                {formatValue((maxValue * i) / Y_TICKS)}
+              </text>
+            </g>
+          );
+        })}
+        {Array.from({ length: X_TICKS }, (_, i) => {
+          const time = from + (span * i) / (X_TICKS - 1);
+          const x = PADDING.left + (PLOT_WIDTH * i) / (X_TICKS - 1);
+          return (
+            <text key={`x${i}`} className="chart-label" x={x} y={HEIGHT - 8} textAnchor={i === 0 ? 'start' : i === X_TICKS - 1 ? 'end' : 'middle'}>
+              {formatTick(time, span)}
+            </text>
+          );
+        })}
+        <g transform={`translate(${PADDING.left}, ${PADDING.top})`}>{children}</g>
+      </svg>
+      <figcaption className="chart-legend">
+        {series.map(({ key, label, color }) => (
+          <span key={key}>
+            <span className="chart-swatch" style={{ background: color }} />
+            {label}
+          </span>
+        ))}
+      </figcaption>
+    </figure>
+  );
+};
+
+// Lines for each series; a null value breaks the line
+export const LineChart = ({ points, series, from, to, integer = false, formatValue = String }) => {
+  const maxValue = niceMax(Math.max(0, ...points.flatMap(point => series.map(({ key }) => point.values[key] || 0))), integer);
+  const x = (time) => ((time - from) / (to - from || 1)) * PLOT_WIDTH;
+  const y = (value) => PLOT_HEIGHT - (value / maxValue) * PLOT_HEIGHT;
+
+  return (
+    <ChartFrame from={from} to={to} maxValue={maxValue} series={series} formatValue={formatValue}>
+      {series.map(({ key, color }) => {
+        // Consecutive points with values, as separate line segments
+        const segments = [];
+        let segment = [];
+        points.forEach((point) => {
+          if (point.values[key] === null || point.values[key] === undefined) {
+            if (segment.length > 0) segments.push(segment);
+            segment = [];
+          } else {
+            segment.push(`${x(point.time).toFixed(1)},${y(point.values[key]).toFixed(1)}`);
+          }
+        });
+        if (segment.length > 0) segments.push(segment);
+
+        return (
+          <g key={key}>
+            {segments.map(line => (
+              <polyline key={line[0]} points={line.join(' ')} fill="none" stroke={color} strokeWidth="2" />
+            ))}
+          </g>
+        );
+      })}
+      {points.map(point => (
+        <g key={point.time}>
+          {series.filter(({ key }) => point.values[key] !== null && point.values[key] !== undefined).map(({ key, color }) => (
+            <circle key={key} cx={x(point.time)} cy={y(point.values[key])} r="3" fill={color}>
+              <title>{tooltip(point, series, formatValue)}</title>
+            </circle>
+          ))}
+        </g>
+      ))}
+    </ChartFrame>
+  );
+};
+
+// One bar per point, with the series stacked on top of each other
+// `bucketMs` is the time a bar covers, starting at its point's time
+export const StackedBarChart = ({ points, series, from, to, bucketMs, integer = false, formatValue = String }) => {
+  const maxValue = niceMax(Math.max(0, ...points.map(point => series.reduce((sum, { key }) => sum + (point.values[key] || 0), 0))), integer);
+  const scale = PLOT_WIDTH / (to - from || 1);
+  const barWidth = Math.max(1, bucketMs * scale - 1);
+
+  return (
+    <ChartFrame from={from} to={to} maxValue={maxValue} series={series} formatValue={formatValue}>
+      {points.map((point) => {
+        let stacked = 0;
+        if (!series.some(({ key }) => point.values[key] > 0)) return null;
+        return (
+          <g key={point.time}>
+            <title>{tooltip(point, series, formatValue)}</title>
+            {series.map(({ key, color }) => {
+              const value = point.values[key] || 0;
+              const height = (value / maxValue) * PLOT_HEIGHT;
+              stacked += height;
+              return value > 0 ? (
+                <rect key={key} x={(point.time - from) * scale} y={PLOT_HEIGHT - stacked} width={barWidth} height={height} fill={color} />
+              ) : null;
+            })}
+          </g>
+        );
+      })}
+    </ChartFrame>
+  );
+};
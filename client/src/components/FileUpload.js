@@ -1,37 +1,229 @@
-import React, { useState } from 'react';
-import axios from 'axios';
+import React, { useRef, useState } from 'react';
+import { ScannerClient, ScanError, describeError } from 'document-scanner-sdk';
+import { API_URL, API_KEY } from '../config';
 import './FileUpload.css';
 
-// Dynamically get API URL based on current hostname and port 3001
-const getApiUrl = () => {
-  if (process.env.REACT_APP_API_URL) {
-    return process.env.REACT_APP_API_URL;
+// Uploads, resumable uploads for large files, scan events, retries and error messages all come
+// from the SDK (sdk/ in this repository)
+const scanner = new ScannerClient({ baseUrl: API_URL, apiKey: API_KEY });
+
+// Steps of the progress timeline, in order
+// Everything after the upload is driven by the server's scan events (GET /scans/:id/events)
+const TIMELINE_STEPS = [
+  { key: 'upload', label: 'Uploading' },
+  { key: 'received', label: 'Received by server' },
+  { key: 'queued', label: 'Waiting for a scanner' },
+  { key: 'streaming', label: 'Scanning with ClamAV' },
+  { key: 'verdict', label: 'Verdict' }
+];
+
+const emptyTimeline = () => TIMELINE_STEPS.reduce((timeline, step) => ({
+  ...timeline,
+  [step.key]: { status: 'pending', detail: '' }
+}), {});
+
+const toMB = (bytes) => (bytes / 1024 / 1024).toFixed(2);
+
+// Result row of a batch upload (POST /upload/batch), from the SDK's result or ScanError for that file
+const batchRowFromResult = (row, result) => {
+  if (result instanceof ScanError) {
+    const rejected = result.code === 'REJECTED';
+    return { ...row, status: rejected ? 'rejected' : 'error', detail: rejected ? result.response.error || result.message : result.message };
   }
-  
-  // Get current hostname and protocol
-  const protocol = window.location.protocol;
-  const hostname = window.location.hostname;
-  
-  // Always use port 3001
-  return `${protocol}//${hostname}:3001`;
+  if (result.status === 'infected') {
+    return { ...row, status: 'infected', detail: result.message, viruses: result.viruses || [] };
+  }
+  const warnings = (result.warnings || []).map(warning => warning.message).join('; ');
+  const scanned = result.scanDurationFormatted ? `Scanned in ${result.scanDurationFormatted}` : '';
+  return { ...row, status: 'clean', detail: warnings ? `⚠️ ${warnings}` : scanned, fileUrl: result.fileUrl };
+};
+
+const BATCH_ROW_ICONS = {
+  ready: '📄',
+  uploading: '⏳',
+  scanning: '⏳',
+  clean: '✅',
+  infected: '⚠️',
+  rejected: '🚫',
+  error: '❌'
 };
 
-const API_URL = getApiUrl();
+const BATCH_ROW_LABELS = {
+  ready: 'Ready',
+  uploading: 'Uploading',
+  scanning: 'Scanning',
+  clean: 'Clean',
+  infected: 'Infected',
+  rejected: 'Rejected',
+  error: 'Failed'
+};
 
 const FileUpload = () => {
-  const [file, setFile] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [dragActive, setDragActive] = useState(false);
+  const [batchRows, setBatchRows] = useState([]);
   const [uploading, setUploading] = useState(false);
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState(''); // 'success', 'error', 'info'
   const [scanResult, setScanResult] = useState(null);
+  const [timeline, setTimeline] = useState(emptyTimeline);
+  // Aborts the upload or scan in progress
+  const abortController = useRef(null);
 
-  const handleFileChange = (e) => {
-    const selectedFile = e.target.files[0];
-    if (selectedFile) {
-      setFile(selectedFile);
+  // A single file is scanned as a job with a live timeline, several go to the batch endpoint
+  const file = files[0] || null;
+  const isBatch = files.length > 1;
+
+  // Moves the timeline to `key`: every earlier step is marked done
+  const advanceTimeline = (key, detail = '', status = 'active') => {
+    setTimeline((previous) => {
+      const next = { ...previous };
+      const index = TIMELINE_STEPS.findIndex(step => step.key === key);
+      TIMELINE_STEPS.slice(0, index).forEach(({ key: earlier }) => {
+        if (next[earlier].status !== 'done') {
+          // A scan that never had to queue skips straight past that step
+          const skipped = earlier === 'queued' && next[earlier].status === 'pending';
+          next[earlier] = { status: 'done', detail: skipped ? 'No wait' : next[earlier].detail };
+        }
+      });
+      next[key] = { status, detail: detail || previous[key].detail };
+      return next;
+    });
+  };
+
+  // Marks the step that was in progress as failed
+  const failTimeline = (detail = '') => {
+    setTimeline((previous) => {
+      const current = TIMELINE_STEPS.find(step => previous[step.key].status !== 'done');
+      if (!current) return previous;
+      return { ...previous, [current.key]: { status: 'failed', detail: detail || previous[current.key].detail } };
+    });
+  };
+
+  const handleScanEvent = (event) => {
+    console.log(`[Scan] ${event.stage}`, event);
+
+    switch (event.stage) {
+      case 'received':
+        advanceTimeline('received', event.fileName, 'done');
+        break;
+      case 'queued':
+        // Small files wait in a priority lane ahead of larger ones
+        advanceTimeline('queued', `Position ${event.position} in queue${event.lane === 'small' ? ' (small file priority)' : ''}`);
+        setMessage(`Waiting for a virus scanner (position ${event.position} in queue)...`);
+        break;
+      case 'streaming':
+        advanceTimeline('streaming', `Connected to ${event.endpoint}`);
+        setMessage('Scanning...');
+        break;
+      case 'progress': {
+        const percent = event.totalBytes ? Math.round((event.bytesSent * 100) / event.totalBytes) : null;
+        advanceTimeline('streaming', event.totalBytes
+          ? `${percent}% sent (${toMB(event.bytesSent)} MB / ${toMB(event.totalBytes)} MB)`
+          : `${toMB(event.bytesSent)} MB sent`);
+        break;
+      }
+      case 'verdict':
+        advanceTimeline('verdict', event.infected ? 'Infected' : 'Clean', event.infected ? 'failed' : 'done');
+        break;
+      case 'failed':
+        failTimeline(event.message);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const selectFiles = (fileList) => {
+    const selectedFiles = Array.from(fileList || []);
+    if (selectedFiles.length > 0) {
+      setFiles(selectedFiles);
+      setBatchRows(selectedFiles.map(selected => ({ name: selected.name, size: selected.size, status: 'ready', detail: '' })));
       setMessage('');
       setMessageType('');
       setScanResult(null);
+      setTimeline(emptyTimeline());
+    }
+  };
+
+  const handleFileChange = (e) => {
+    selectFiles(e.target.files);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    if (!uploading) {
+      setDragActive(true);
+    }
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    if (!uploading) {
+      selectFiles(e.dataTransfer.files);
+    }
+  };
+
+  // Uploads every selected file in one request to POST /upload/batch
+  // The server answers once all files have been scanned, with a result per file
+  const handleBatchUpload = async () => {
+    const totalSize = files.reduce((total, selected) => total + selected.size, 0);
+    const totalSizeMB = toMB(totalSize);
+
+    setUploading(true);
+    setMessage(`Uploading ${files.length} files (${totalSizeMB} MB)...`);
+    setMessageType('info');
+    setBatchRows(rows => rows.map(row => ({ ...row, status: 'uploading', detail: '', viruses: null, fileUrl: null })));
+
+    const uploadStartTime = Date.now();
+    const controller = new AbortController();
+    abortController.current = controller;
+
+    try {
+      console.log(`[Batch] Starting upload: ${files.length} files (${totalSizeMB} MB)`);
+
+      const data = await scanner.uploadBatch(files, {
+        signal: controller.signal,
+        onProgress: ({ loaded, total }) => {
+          const percentCompleted = Math.round((loaded * 100) / total);
+          if (percentCompleted < 100) {
+            setMessage(`Uploading ${files.length} files... ${percentCompleted}% (${toMB(loaded)} MB / ${totalSizeMB} MB)`);
+            return;
+          }
+          setMessage(`Scanning ${files.length} files...`);
+          setBatchRows(rows => rows.map(row => (row.status === 'uploading' ? { ...row, status: 'scanning' } : row)));
+        },
+        onRetry: (error, delay) => {
+          setMessage(`${describeError(error)} Trying again in ${delay / 1000}s...`);
+        }
+      });
+
+      console.log(`[Batch] Completed in ${((Date.now() - uploadStartTime) / 1000).toFixed(2)}s`, data.summary);
+      // Infected files and failed scans are results too
+      setBatchRows(rows => rows.map((row, index) => (data.results[index] ? batchRowFromResult(row, data.results[index]) : row)));
+      setMessage(data.message);
+      setMessageType(data.status === 'clean' ? 'success' : 'error');
+    } catch (error) {
+      console.error('[Batch] Error occurred:', {
+        error: error.message,
+        code: error.code,
+        duration: `${((Date.now() - uploadStartTime) / 1000).toFixed(2)}s`
+      });
+
+      setBatchRows(rows => rows.map(row => (['uploading', 'scanning'].includes(row.status) ? { ...row, status: 'error', detail: '' } : row)));
+      setMessage(error.code === 'TIMEOUT'
+        ? `Request timed out after ${(error.timeout / 1000 / 60).toFixed(1)} minutes. Try uploading fewer files at once.`
+        : describeError(error));
+      setMessageType('error');
+    } finally {
+      abortController.current = null;
+      setUploading(false);
     }
   };
 
@@ -42,178 +234,126 @@ const FileUpload = () => {
       return;
     }
 
+    if (isBatch) {
+      await handleBatchUpload();
+      return;
+    }
+
     setUploading(true);
     setMessage(`Uploading ${(file.size / 1024 / 1024).toFixed(2)} MB file...`);
     setMessageType('info');
     setScanResult(null);
-
-    const formData = new FormData();
-    formData.append('document', file);
+    setTimeline(emptyTimeline());
+    advanceTimeline('upload');
 
     const uploadStartTime = Date.now();
     const fileSizeMB = (file.size / 1024 / 1024).toFixed(2);
+    const controller = new AbortController();
+    abortController.current = controller;
+
+    const reportProgress = ({ loaded, total }) => {
+      const percentCompleted = Math.round((loaded * 100) / total);
+      const uploadedMB = toMB(loaded);
+      setMessage(`Uploading... ${percentCompleted}% (${uploadedMB} MB / ${fileSizeMB} MB)`);
+      advanceTimeline('upload', `${percentCompleted}% (${uploadedMB} MB / ${fileSizeMB} MB)`);
+      console.log(`[Upload] Progress: ${percentCompleted}% (${uploadedMB} MB)`);
+    };
 
     try {
-      // Increase timeout for large files: 5 minutes (300000ms) to match server
-      const timeout = 300000; // 5 minutes
-      
       console.log(`[Upload] Starting upload: ${file.name} (${fileSizeMB} MB)`);
       
-      const response = await axios.post(`${API_URL}/upload`, formData, {
-        headers: { 
-          'Content-Type': 'multipart/form-data' 
+      // Large files go up in chunks and pick up where they left off after a dropped connection;
+      // the scan itself runs as a job on the server, followed through its scan events
+      const data = await scanner.scan(file, {
+        signal: controller.signal,
+        onProgress: reportProgress,
+        onResume: (error, delay) => {
+          console.warn(`[Upload] Chunk failed (${error.message}), resuming in ${delay / 1000}s`);
+          setMessage(`Connection interrupted - resuming the upload in ${delay / 1000}s...`);
+          advanceTimeline('upload', 'Connection interrupted - resuming...');
         },
-        timeout: timeout,
-        // Track upload progress
-        onUploadProgress: (progressEvent) => {
-          if (progressEvent.total) {
-            const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-            const uploadedMB = (progressEvent.loaded / 1024 / 1024).toFixed(2);
-            setMessage(`Uploading... ${percentCompleted}% (${uploadedMB} MB / ${fileSizeMB} MB)`);
-            console.log(`[Upload] Progress: ${percentCompleted}% (${uploadedMB} MB)`);
-          }
-        }
+        // The scanners were busy or lost the connection - the SDK sends the file again
+        onRetry: (error, delay) => {
+          console.warn(`[Upload] ${error.message} - trying again in ${delay / 1000}s`);
+          setTimeline(emptyTimeline());
+          advanceTimeline('upload', `Trying again in ${delay / 1000}s`);
+          setMessage(`${describeError(error)} Trying again in ${delay / 1000}s...`);
+        },
+        onSubmitted: ({ jobId }) => {
+          console.log(`[Upload] Uploaded in ${((Date.now() - uploadStartTime) / 1000).toFixed(2)}s, scan job ${jobId} queued`);
+          advanceTimeline('received', file.name, 'done');
+          setMessage('Scanning...');
+        },
+        onEvent: handleScanEvent
       });
-      
-      const totalDuration = Date.now() - uploadStartTime;
-      console.log(`[Upload] Completed in ${(totalDuration / 1000).toFixed(2)}s`, {
-        requestId: response.data.requestId,
-        totalDuration: response.data.totalDurationFormatted
+
+      console.log(`[Upload] Completed in ${((Date.now() - uploadStartTime) / 1000).toFixed(2)}s`, {
+        requestId: data.requestId,
+        totalDuration: data.totalDurationFormatted
       });
 
-      setUploading(false);
-      
-      if (response.data.success) {
-        setMessage(response.data.message);
+      if (data.status === 'infected') {
+        setMessage(data.message);
+        setMessageType('error');
+        setScanResult({
+          infected: true,
+          viruses: data.viruses,
+          archive: data.archive,
+          scanMethod: data.scanMethod,
+          fileSize: data.fileSize,
+          fileSizeFormatted: data.fileSizeFormatted,
+          scanDuration: data.scanDuration,
+          scanDurationFormatted: data.scanDurationFormatted,
+          requestId: data.requestId
+        });
+      } else {
+        setMessage(data.message);
         setMessageType('success');
         setScanResult({
           infected: false,
-          fileName: response.data.fileName,
-          scanMethod: response.data.scanMethod,
-          fileSize: response.data.fileSize,
-          fileSizeFormatted: response.data.fileSizeFormatted,
-          uploadDuration: response.data.uploadDuration,
-          uploadDurationFormatted: response.data.uploadDurationFormatted,
-          scanDuration: response.data.scanDuration,
-          scanDurationFormatted: response.data.scanDurationFormatted,
-          totalDuration: response.data.totalDuration,
-          totalDurationFormatted: response.data.totalDurationFormatted,
-          requestId: response.data.requestId
+          fileName: data.fileName,
+          scanMethod: data.scanMethod,
+          fileSize: data.fileSize,
+          fileSizeFormatted: data.fileSizeFormatted,
+          uploadDuration: data.uploadDuration,
+          uploadDurationFormatted: data.uploadDurationFormatted,
+          scanDuration: data.scanDuration,
+          scanDurationFormatted: data.scanDurationFormatted,
+          totalDuration: data.totalDuration,
+          totalDurationFormatted: data.totalDurationFormatted,
+          warnings: data.warnings,
+          requestId: data.requestId
         });
-      } else {
-        setMessage(response.data.message);
-        setMessageType('error');
-        if (response.data.viruses) {
-          setScanResult({
-            infected: true,
-            viruses: response.data.viruses,
-            scanMethod: response.data.scanMethod,
-            fileSize: response.data.fileSize,
-            fileSizeFormatted: response.data.fileSizeFormatted,
-            scanDuration: response.data.scanDuration,
-            scanDurationFormatted: response.data.scanDurationFormatted,
-            requestId: response.data.requestId
-          });
-        }
       }
     } catch (error) {
-      setUploading(false);
-      const errorDuration = Date.now() - uploadStartTime;
-      
+      failTimeline(error.code === 'ABORTED' ? 'Cancelled' : '');
       console.error('[Upload] Error occurred:', {
         error: error.message,
         code: error.code,
-        duration: `${(errorDuration / 1000).toFixed(2)}s`,
-        stage: error.response?.data?.stage || 'unknown'
+        duration: `${((Date.now() - uploadStartTime) / 1000).toFixed(2)}s`,
+        stage: error.stage || 'unknown'
       });
+      setMessage(describeError(error));
+      setMessageType('error');
+    } finally {
+      abortController.current = null;
+      setUploading(false);
+    }
+  };
       
-      if (error.response) {
-        // Server responded with error
-        const errorData = error.response.data;
-        const requestId = errorData.requestId || 'unknown';
-        
-        let errorMessage = errorData.message || 'Error uploading file';
-        
-        // Provide specific error messages based on error type
-        if (errorData.stage === 'connection_error') {
-          errorMessage = `Connection to virus scanner lost. This may happen with very large files. Request ID: ${requestId}`;
-        } else if (errorData.stage === 'timeout_error') {
-          errorMessage = `Upload/scan timed out after ${(errorDuration / 1000 / 60).toFixed(1)} minutes. Large files may take longer. Request ID: ${requestId}`;
-        } else if (errorData.stage === 'upload_timeout') {
-          errorMessage = `Upload timed out. The file may be too large or network connection is slow. Request ID: ${requestId}`;
-        } else if (errorData.stage === 'scan_failed') {
-          errorMessage = `Virus scan failed: ${errorData.error || 'Unknown error'}. Request ID: ${requestId}`;
-        } else if (error.response.status === 503) {
-          errorMessage = `Virus scanner is not available. ClamAV may be starting up. Request ID: ${requestId}`;
-        }
-        
-        setMessage(errorMessage);
-        setMessageType('error');
-        
-        if (errorData.viruses) {
-          setScanResult({
-            infected: true,
-            viruses: errorData.viruses,
-            scanMethod: errorData.scanMethod,
-            fileSize: errorData.fileSize,
-            fileSizeFormatted: errorData.fileSizeFormatted,
-            scanDuration: errorData.scanDuration,
-            scanDurationFormatted: errorData.scanDurationFormatted,
-            requestId: requestId
-          });
-        }
-      } else if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-        // Request timeout
-        const timeoutMinutes = (300000 / 1000 / 60).toFixed(1); // 5 minutes
-        setMessage(`Request timed out after ${timeoutMinutes} minutes. The file may be too large or the server is taking longer than expected. Please check server logs or try again with a smaller file.`);
-        setMessageType('error');
-        console.error('[Upload] Timeout error:', {
-          duration: `${(errorDuration / 1000).toFixed(2)}s`,
-          fileSize: fileSizeMB + ' MB'
-        });
-      } else if (error.code === 'ERR_BLOCKED_BY_CLIENT' || 
-                 error.message?.includes('ERR_BLOCKED_BY_CLIENT') ||
-                 (error.code === 'ERR_NETWORK' && errorDuration < 0.1)) {
-        // Browser extension or security software blocking the request
-        // ERR_NETWORK with very short duration (<0.1s) usually indicates blocking
-        setMessage(`⚠️ Request was blocked by a browser extension or security software. Please: 1) Disable ad blockers (uBlock Origin, AdBlock Plus), 2) Disable privacy extensions (Privacy Badger, Ghostery), 3) Try incognito/private mode, or 4) Whitelist ${API_URL} in your extensions.`);
-        setMessageType('error');
-        console.error('[Upload] Request blocked by client:', {
-          code: error.code,
-          message: error.message,
-          url: `${API_URL}/upload`,
-          duration: `${(errorDuration / 1000).toFixed(2)}s`,
-          hint: 'This is usually caused by browser extensions blocking the request. Try disabling extensions or using incognito mode.'
-        });
-      } else if (error.request) {
-        // Request made but no response - network/server issue
-        // Check if it's a network error vs server down
-        if (error.code === 'ERR_NETWORK' || error.message?.includes('Network Error')) {
-          setMessage(`Network error: Unable to connect to server at ${API_URL}. Please check: 1) Server is running (test: curl ${API_URL}/health), 2) No firewall blocking the connection, 3) Browser extensions are not blocking requests, 4) CORS is properly configured.`);
-        } else {
-          setMessage(`Unable to connect to server. The server may be down or unreachable. Please check that the server is running at ${API_URL} and try again.`);
-        }
-        setMessageType('error');
-        console.error('[Upload] No response from server:', {
-          url: `${API_URL}/upload`,
-          duration: `${(errorDuration / 1000).toFixed(2)}s`,
-          code: error.code,
-          message: error.message
-        });
-      } else {
-        // Something else happened
-        setMessage(`An unexpected error occurred: ${error.message}. Please try again or contact support.`);
-        setMessageType('error');
-        console.error('[Upload] Unexpected error:', error);
-      }
+  const handleCancel = () => {
+    if (abortController.current) {
+      abortController.current.abort();
     }
   };
 
   const handleReset = () => {
-    setFile(null);
+    setFiles([]);
+    setBatchRows([]);
     setMessage('');
     setMessageType('');
     setScanResult(null);
+    setTimeline(emptyTimeline());
     // Reset file input
     const fileInput = document.getElementById('file-input');
     if (fileInput) {
@@ -231,16 +371,30 @@ const FileUpload = () => {
 
   return (
     <div className="file-upload">
-      <div className="upload-area">
+      <div
+        className={`upload-area ${dragActive ? 'drag-active' : ''}`}
+        onDragOver={handleDragOver}
+        onDragLeave={handleDragLeave}
+        onDrop={handleDrop}
+      >
         <input
           id="file-input"
           type="file"
+          multiple
           onChange={handleFileChange}
           disabled={uploading}
           className="file-input"
         />
         <label htmlFor="file-input" className="file-label">
-          {file ? (
+          {isBatch ? (
+            <div className="file-selected">
+              <span className="file-icon">🗂️</span>
+              <div className="file-info">
+                <div className="file-name">{files.length} files selected</div>
+                <div className="file-size">{formatFileSize(files.reduce((total, selected) => total + selected.size, 0))} in total</div>
+              </div>
+            </div>
+          ) : file ? (
             <div className="file-selected">
               <span className="file-icon">📄</span>
               <div className="file-info">
@@ -251,7 +405,7 @@ const FileUpload = () => {
           ) : (
             <div className="file-placeholder">
               <span className="upload-icon">📤</span>
-              <span>Click to select a file</span>
+              <span>Click to select files or drop them here</span>
             </div>
           )}
         </label>
@@ -260,12 +414,12 @@ const FileUpload = () => {
       <div className="button-group">
         <button 
           onClick={handleUpload} 
-          disabled={!file || uploading}
+          disabled={files.length === 0 || uploading}
           className="upload-button"
         >
-          {uploading ? 'Scanning...' : 'Upload & Scan'}
+          {uploading ? 'Scanning...' : isBatch ? `Upload & Scan ${files.length} Files` : 'Upload & Scan'}
         </button>
-        {file && !uploading && (
+        {files.length > 0 && !uploading && (
           <button 
             onClick={handleReset}
             className="reset-button"
@@ -273,8 +427,61 @@ const FileUpload = () => {
             Clear
           </button>
         )}
+        {uploading && (
+          <button
+            onClick={handleCancel}
+            className="reset-button"
+          >
+            Cancel
+          </button>
+        )}
       </div>
 
+      {isBatch && (
+        <ul className="batch-results">
+          {batchRows.map((row, index) => (
+            <li key={index} className={`batch-row batch-${row.status}`}>
+              <span className="batch-icon">{BATCH_ROW_ICONS[row.status]}</span>
+              <div className="batch-info">
+                <div className="file-name">{row.name}</div>
+                <div className="file-size">
+                  {formatFileSize(row.size)}
+                  {row.detail && ` · ${row.detail}`}
+                </div>
+                {row.viruses && row.viruses.length > 0 && (
+                  <ul className="virus-list">
+                    {row.viruses.map((virus, virusIndex) => (
+                      <li key={virusIndex}>{virus}</li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+              <span className="batch-status">
+                {row.fileUrl ? (
+                  <a href={scanner.authorizedUrl(row.fileUrl)}>{BATCH_ROW_LABELS[row.status]} · Download</a>
+                ) : BATCH_ROW_LABELS[row.status]}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {timeline.upload.status !== 'pending' && (
+        <ol className="scan-timeline">
+          {TIMELINE_STEPS.map(({ key, label }) => (
+            <li key={key} className={`timeline-step timeline-${timeline[key].status}`}>
+              <span className="timeline-marker" />
+              <div className="timeline-content">
+                <div className="timeline-label">{label}</div>
+                {timeline[key].detail && (
+                  <div className="timeline-detail">{timeline[key].detail}</div>
+                )}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
       {message && (
         <div className={`message message-${messageType}`}>
           <span className="message-icon">
@@ -326,6 +533,26 @@ const FileUpload = () => {
                 </ul>
               </div>
             )}
+            {scanResult.warnings && scanResult.warnings.length > 0 && (
+              <div className="result-item">
+                <strong>Warnings:</strong>
+                <ul className="warning-list">
+                  {scanResult.warnings.map((warning, index) => (
+                    <li key={index}>{warning.message}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            {scanResult.infected && scanResult.archive && (
+              <div className="result-item">
+                <strong>Infected Entries:</strong> {scanResult.archive.entries.filter(entry => entry.viruses).length} of {scanResult.archive.entryCount}
+                <ul className="virus-list">
+                  {scanResult.archive.entries.filter(entry => entry.viruses).map((entry, index) => (
+                    <li key={index}>{entry.path} ({entry.viruses.join(', ')})</li>
+                  ))}
+                </ul>
+              </div>
+            )}
           </div>
         </div>
       )}
@@ -334,4 +561,3 @@ const FileUpload = () => {
 };
 
 export default FileUpload;
-
@@ -0,0 +1,143 @@
+import React, { useEffect, useState } from 'react';
+import { fetchHealth } from '../adminApi';
+import { formatDuration, formatTime } from '../format';
+import { LineChart } from './Charts';
+
+// Live status of the clamd connection pool from GET /health: connections in use, the wait queue
+// and each clamd endpoint, with a chart of the last few minutes
+
+const POLL_INTERVAL = 5000;
+// Samples kept for the chart - 5 minutes at one every 5 seconds
+const HISTORY_LENGTH = 60;
+
+const HISTORY_SERIES = [
+  { key: 'inUse', label: 'Connections in use', color: '#667eea' },
+  { key: 'queued', label: 'Waiting in queue', color: '#e67e22' }
+];
+
+const PoolStatus = () => {
+  const [health, setHealth] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer = null;
+
+    const poll = async () => {
+      try {
+        const data = await fetchHealth();
+        if (cancelled) return;
+        setHealth(data);
+        setError('');
+        setHistory(previous => [
+          ...previous.slice(-(HISTORY_LENGTH - 1)),
+          { time: Date.now(), values: { inUse: data.connectionsInUse, queued: data.queueLength } }
+        ]);
+      } catch (pollError) {
+        if (cancelled) return;
+        setError(`Health check failed: ${pollError.message}`);
+      }
+      timer = setTimeout(poll, POLL_INTERVAL);
+    };
+    poll();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, []);
+
+  if (!health) {
+    return (
+      <section className="admin-panel">
+        <h2>Scanner pool</h2>
+        <p className={error ? 'admin-error' : 'admin-muted'}>{error || 'Loading...'}</p>
+      </section>
+    );
+  }
+
+  const { queue } = health;
+  const now = Date.now();
+
+  return (
+    <section className="admin-panel">
+      <h2>
+        Scanner pool
+        <span className={`status-badge ${health.clamavReady ? 'status-clean' : 'status-error'}`}>
+          {health.clamavReady ? 'Ready' : 'Not ready'}
+        </span>
+      </h2>
+      {error && <p className="admin-error">{error} - showing the last known status</p>}
+
+      <div className="stat-grid">
+        <div className="stat">
+          <span className="stat-value">{health.connectionsInUse} / {health.poolSize}</span>
+          <span className="stat-label">Connections in use</span>
+        </div>
+        <div className="stat">
+          <span className="stat-value">{health.queueLength}{queue ? ` / ${queue.capacity}` : ''}</span>
+          <span className="stat-label">Waiting in queue</span>
+        </div>
+        {queue && (
+          <>
+            <div className="stat">
+              <span className="stat-value">{queue.lanes.small} / {queue.lanes.normal}</span>
+              <span className="stat-label">Small / normal lane</span>
+            </div>
+            <div className="stat">
+              <span className="stat-value">{formatDuration(queue.oldestWait)}</span>
+              <span className="stat-label">Longest wait</span>
+            </div>
+            <div className="stat">
+              <span className="stat-value">
+                {Object.values(queue.rejections).reduce((total, count) => total + count, 0)}
+              </span>
+              <span className="stat-label">Turned away</span>
+            </div>
+          </>
+        )}
+        <div className="stat">
+          <span className="stat-value">{health.signatureVersion || '-'}</span>
+          <span className="stat-label">Signature version</span>
+        </div>
+      </div>
+
+      {history.length > 1 && (
+        <LineChart points={history} series={HISTORY_SERIES} from={Math.min(history[0].time, now - POLL_INTERVAL * HISTORY_LENGTH)} to={now} integer />
+      )}
+
+      <table className="admin-table">
+        <thead>
+          <tr>
+            <th>Endpoint</th>
+            <th>Status</th>
+            <th>In use</th>
+            <th>Failures</th>
+            <th>Engine</th>
+            <th>Last check</th>
+          </tr>
+        </thead>
+        <tbody>
+          {health.endpoints.map(endpoint => (
+            <tr key={endpoint.address}>
+              <td><code>{endpoint.address}</code></td>
+              <td>
+                <span className={`status-badge ${endpoint.healthy ? 'status-clean' : 'status-error'}`}>
+                  {endpoint.healthy ? 'Healthy' : 'Down'}
+                </span>
+                {endpoint.lastError && <div className="admin-muted">{endpoint.lastError}</div>}
+              </td>
+              <td>{endpoint.inUse} / {endpoint.maxConnections}</td>
+              <td>{endpoint.failures}</td>
+              <td>{endpoint.engineVersion || '-'}</td>
+              <td>{formatTime(endpoint.lastCheck)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+};
+
+export default PoolStatus;
@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from 'react';
+import { describeAdminError, fetchScanStats } from '../adminApi';
+import { formatDuration } from '../format';
+import { LineChart, StackedBarChart } from './Charts';
+
+// Throughput and scan durations over time, from the audit trail (GET /admin/scan-stats)
+
+const RANGES = [
+  { key: '1h', label: 'Last hour', span: 60 * 60 * 1000, bucket: 60, bucketLabel: 'minute' },
+  { key: '24h', label: 'Last 24 hours', span: 24 * 60 * 60 * 1000, bucket: 15 * 60, bucketLabel: '15 minutes' },
+  { key: '7d', label: 'Last 7 days', span: 7 * 24 * 60 * 60 * 1000, bucket: 2 * 60 * 60, bucketLabel: '2 hours' },
+  { key: '30d', label: 'Last 30 days', span: 30 * 24 * 60 * 60 * 1000, bucket: 12 * 60 * 60, bucketLabel: '12 hours' }
+];
+
+const REFRESH_INTERVAL = 60000;
+
+const THROUGHPUT_SERIES = [
+  { key: 'clean', label: 'Clean', color: '#27ae60' },
+  { key: 'infected', label: 'Infected', color: '#e74c3c' },
+  { key: 'error', label: 'Failed', color: '#95a5a6' },
+  { key: 'unscanned', label: 'Not scanned', color: '#f1c40f' }
+];
+
+const DURATION_SERIES = [
+  { key: 'avgScanDuration', label: 'Average scan', color: '#667eea' },
+  { key: 'avgTotalDuration', label: 'Average total', color: '#764ba2' },
+  { key: 'maxTotalDuration', label: 'Slowest total', color: '#e67e22' }
+];
+
+// Every bucket between from and to, empty ones included, so the charts show the gaps
+const fillBuckets = (stats, from, to, bucketMs) => {
+  const byStart = new Map(stats.buckets.map(bucket => [Date.parse(bucket.start), bucket]));
+  const points = [];
+  for (let time = from; time < to; time += bucketMs) {
+    const bucket = byStart.get(time);
+    points.push({
+      time,
+      values: bucket || {
+        clean: 0, infected: 0, error: 0, unscanned: 0, avgScanDuration: null, avgTotalDuration: null, maxTotalDuration: null
+      }
+    });
+  }
+  return points;
+};
+
+const ScanCharts = ({ onAdminError }) => {
+  const [rangeKey, setRangeKey] = useState('24h');
+  const [chart, setChart] = useState(null);
+  const [error, setError] = useState('');
+
+  const range = RANGES.find(candidate => candidate.key === rangeKey);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const load = async () => {
+      const bucketMs = range.bucket * 1000;
+      const to = Date.now();
+      // Buckets start on whole multiples of the bucket length, like the server's
+      const from = Math.floor((to - range.span) / bucketMs) * bucketMs;
+      try {
+        const stats = await fetchScanStats({
+          from: new Date(from).toISOString(),
+          to: new Date(to).toISOString(),
+          bucket: range.bucket
+        });
+        if (cancelled) return;
+        setChart({ from, to, bucketMs, points: fillBuckets(stats, from, to, bucketMs) });
+        setError('');
+      } catch (loadError) {
+        if (cancelled) return;
+        const { adminStatus, message } = describeAdminError(loadError);
+        if (adminStatus === 'unauthorized') {
+          onAdminError(message);
+          return;
+        }
+        setError(message);
+      }
+    };
+    load();
+    const timer = setInterval(load, REFRESH_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [range, onAdminError]);
+
+  const totals = chart
+    ? chart.points.reduce((sum, point) => {
+      THROUGHPUT_SERIES.forEach(({ key }) => {
+        sum[key] += point.values[key];
+      });
+      return sum;
+    }, { clean: 0, infected: 0, error: 0, unscanned: 0 })
+    : null;
+
+  return (
+    <section className="admin-panel">
+      <h2>
+        Scans over time
+        <select className="admin-select" value={rangeKey} onChange={e => setRangeKey(e.target.value)}>
+          {RANGES.map(({ key, label }) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </h2>
+      {error && <p className="admin-error">{error}</p>}
+      {!chart && !error && <p className="admin-muted">Loading...</p>}
+
+      {chart && (
+        <>
+          <div className="stat-grid">
+            {THROUGHPUT_SERIES.map(({ key, label }) => (
+              <div className="stat" key={key}>
+                <span className="stat-value">{totals[key]}</span>
+                <span className="stat-label">{label}</span>
+              </div>
+            ))}
+          </div>
+
+          <h3>Throughput (scans per {range.bucketLabel})</h3>
+          <StackedBarChart points={chart.points} series={THROUGHPUT_SERIES} from={chart.from} to={chart.to} bucketMs={chart.bucketMs} integer />
+
+          <h3>Durations</h3>
+          <p className="admin-muted">Verdicts from the cache took no scanning and are left out.</p>
+          <LineChart points={chart.points} series={DURATION_SERIES} from={chart.from} to={chart.to} formatValue={formatDuration} />
+        </>
+      )}
+    </section>
+  );
+};
+
+export default ScanCharts;
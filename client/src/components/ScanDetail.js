@@ -0,0 +1,170 @@
+import React, { useEffect, useState } from 'react';
+import { describeAdminError, downloadQuarantined, fetchQuarantine, fetchScans } from '../adminApi';
+import { VERDICT_LABELS, formatDuration, formatFileSize, formatTime } from '../format';
+import { Link } from '../router';
+
+// Everything known about one request: its audit trail entries (a batch upload has one per file),
+// how often each file has been seen, and - for infected files - the quarantined copy
+
+const Field = ({ label, children }) => (
+  <>
+    <dt>{label}</dt>
+    <dd>{children === null || children === undefined || children === '' ? '-' : children}</dd>
+  </>
+);
+
+const ScanEntry = ({ entry, quarantined, sightings, onDownload, downloading }) => (
+  <section className="admin-panel">
+    <h2>
+      {entry.fileName || entry.requestId}
+      <span className={`status-badge status-${entry.verdict}`}>{VERDICT_LABELS[entry.verdict]}</span>
+    </h2>
+
+    {entry.verdict === 'infected' && (
+      <div className="infected-banner">
+        <strong>Signatures:</strong> {entry.viruses.join(', ')}
+      </div>
+    )}
+
+    <dl className="detail-list">
+      <Field label="Scanned">{formatTime(entry.scannedAt)}</Field>
+      <Field label="Request ID"><code>{entry.requestId}</code></Field>
+      <Field label="Size">{formatFileSize(entry.fileSize)}</Field>
+      <Field label="Detected type">{entry.detectedType}</Field>
+      <Field label="SHA-256">{entry.sha256 && <code className="hash">{entry.sha256}</code>}</Field>
+      <Field label="Scan method">{entry.scanMethod}{entry.cached ? ' (cached verdict)' : ''}</Field>
+      <Field label="Signature version">{entry.signatureVersion}</Field>
+      <Field label="Upload / scan / total">
+        {`${formatDuration(entry.uploadDuration)} / ${formatDuration(entry.scanDuration)} / ${formatDuration(entry.totalDuration)}`}
+      </Field>
+      {entry.verdict === 'error' && (
+        <>
+          <Field label="Failed at">{entry.errorStage}{entry.errorCode ? ` (${entry.errorCode})` : ''}</Field>
+          <Field label="Error">{entry.errorMessage}</Field>
+        </>
+      )}
+      <Field label="API key">{entry.apiKeyId}</Field>
+      <Field label="Client IP">{entry.clientIp}</Field>
+      <Field label="User agent">{entry.userAgent}</Field>
+      {entry.sha256 && (
+        <Field label="Seen">
+          <Link to={`/admin?sha256=${entry.sha256}`}>
+            {sightings === null ? 'All scans of this file' : `${sightings} scan${sightings === 1 ? '' : 's'} of this file`}
+          </Link>
+        </Field>
+      )}
+    </dl>
+
+    {entry.verdict === 'infected' && (
+      <>
+        <h3>Quarantine</h3>
+        {quarantined === undefined && <p className="admin-muted">Looking for the quarantined copy...</p>}
+        {quarantined === null && (
+          <p className="admin-muted">Not in quarantine - it was released, purged after the retention period, or the quarantine is disabled.</p>
+        )}
+        {quarantined && (
+          <>
+            <dl className="detail-list">
+              <Field label="Quarantine ID"><code>{quarantined.id}</code></Field>
+              <Field label="Quarantined">{formatTime(quarantined.quarantinedAt)}</Field>
+              <Field label="Purged after">{formatTime(quarantined.expiresAt)}</Field>
+            </dl>
+            <button type="button" className="admin-button secondary" disabled={downloading} onClick={() => onDownload(quarantined.id)}>
+              {downloading ? 'Downloading...' : 'Download sample (ZIP, password "infected")'}
+            </button>
+            <p className="admin-muted">Treat the sample as live malware.</p>
+          </>
+        )}
+      </>
+    )}
+  </section>
+);
+
+const ScanDetail = ({ requestId, onAdminError }) => {
+  const [entries, setEntries] = useState(null);
+  // Quarantined copy by entry ID: undefined while looking, null when there is none
+  const [quarantined, setQuarantined] = useState({});
+  // Scans of each entry's file by SHA-256
+  const [sightings, setSightings] = useState({});
+  const [error, setError] = useState('');
+  const [downloading, setDownloading] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const handleError = (loadError) => {
+      if (cancelled) return;
+      const { adminStatus, message } = describeAdminError(loadError);
+      if (adminStatus === 'unauthorized') {
+        onAdminError(message);
+        return;
+      }
+      setError(message);
+    };
+
+    const load = async () => {
+      const { items } = await fetchScans({ requestId }, { limit: 100, offset: 0 });
+      if (cancelled) return;
+      setEntries(items);
+
+      const hashes = [...new Set(items.map(item => item.sha256).filter(Boolean))];
+      hashes.forEach((sha256) => {
+        fetchScans({ sha256 }, { limit: 1, offset: 0 })
+          .then(({ total }) => {
+            if (!cancelled) setSightings(previous => ({ ...previous, [sha256]: total }));
+          })
+          .catch(handleError);
+      });
+
+      const infected = items.filter(item => item.verdict === 'infected');
+      if (infected.length === 0) return;
+      const quarantineItems = (await fetchQuarantine()) || [];
+      if (cancelled) return;
+      const found = {};
+      infected.forEach((entry) => {
+        found[entry.id] = quarantineItems.find(item => item.requestId === entry.requestId
+          && (!entry.sha256 || item.sha256 === entry.sha256)) || null;
+      });
+      setQuarantined(found);
+    };
+    load().catch(handleError);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [requestId, onAdminError]);
+
+  const handleDownload = async (id) => {
+    setDownloading(true);
+    try {
+      await downloadQuarantined(id);
+    } catch (downloadError) {
+      setError(`Download failed: ${describeAdminError(downloadError).message}`);
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  return (
+    <div className="scan-detail">
+      <p><Link to="/admin">← Back to the dashboard</Link></p>
+      {error && <p className="admin-error">{error}</p>}
+      {!entries && !error && <p className="admin-muted">Loading...</p>}
+      {entries && entries.length === 0 && (
+        <p className="admin-muted">No scans recorded for request <code>{requestId}</code>. It may be older than the audit trail's retention period.</p>
+      )}
+      {entries && entries.map(entry => (
+        <ScanEntry
+          key={entry.id}
+          entry={entry}
+          quarantined={quarantined[entry.id]}
+          sightings={entry.sha256 && sightings[entry.sha256] !== undefined ? sightings[entry.sha256] : null}
+          onDownload={handleDownload}
+          downloading={downloading}
+        />
+      ))}
+    </div>
+  );
+};
+
+export default ScanDetail;
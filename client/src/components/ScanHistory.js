@@ -0,0 +1,222 @@
+import React, { useEffect, useState } from 'react';
+import { describeAdminError, exportScans, fetchScans } from '../adminApi';
+import { VERDICT_LABELS, formatDuration, formatFileSize, formatTime } from '../format';
+import { Link, navigate } from '../router';
+
+// Recent scans from the audit trail (GET /scans), with the endpoint's filters
+// The filters and the page are kept in the query string, so a refresh or a shared link shows
+// the same scans
+
+const PAGE_SIZE = 25;
+
+// Filters of GET /scans that the form offers, in the order it shows them
+const FILTER_FIELDS = [
+  { name: 'fileName', label: 'File name', placeholder: 'Part of the name' },
+  { name: 'apiKey', label: 'API key', placeholder: 'Key ID' },
+  { name: 'ip', label: 'Client IP', placeholder: '203.0.113.7' },
+  { name: 'sha256', label: 'SHA-256', placeholder: '64 hex digits' },
+  { name: 'requestId', label: 'Request ID', placeholder: 'req-...' }
+];
+
+const VERDICT_OPTIONS = [
+  { value: '', label: 'Any verdict' },
+  ...['infected', 'clean', 'error', 'unscanned'].map(value => ({ value, label: VERDICT_LABELS[value] }))
+];
+
+const FILTER_NAMES = ['verdict', 'from', 'to', ...FILTER_FIELDS.map(field => field.name)];
+
+// { filters, offset } from the query string
+const parseSearch = (search) => {
+  const params = new URLSearchParams(search);
+  const filters = {};
+  FILTER_NAMES.forEach((name) => {
+    filters[name] = params.get(name) || '';
+  });
+  return { filters, offset: Math.max(0, parseInt(params.get('offset') || '0', 10) || 0) };
+};
+
+const toSearch = (filters, offset) => {
+  const params = new URLSearchParams();
+  FILTER_NAMES.forEach((name) => {
+    if (filters[name]) params.set(name, filters[name]);
+  });
+  if (offset > 0) params.set('offset', String(offset));
+  const search = params.toString();
+  return search ? `?${search}` : '';
+};
+
+// Only the filters that are set - GET /scans rejects empty values for some of them
+const activeFilters = (filters) => Object.keys(filters).reduce((active, name) => (
+  filters[name] ? { ...active, [name]: filters[name] } : active
+), {});
+
+const ScanHistory = ({ search, onAdminError }) => {
+  const { filters, offset } = parseSearch(search);
+  const [form, setForm] = useState(filters);
+  const [page, setPage] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [exporting, setExporting] = useState(false);
+
+  // The form follows the query string when it changes from outside (back/forward, links)
+  useEffect(() => {
+    setForm(parseSearch(search).filters);
+  }, [search]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const { filters: current, offset: currentOffset } = parseSearch(search);
+
+    setLoading(true);
+    fetchScans(activeFilters(current), { limit: PAGE_SIZE, offset: currentOffset })
+      .then((data) => {
+        if (cancelled) return;
+        setPage(data);
+        setError('');
+      })
+      .catch((loadError) => {
+        if (cancelled) return;
+        const { adminStatus, message } = describeAdminError(loadError);
+        if (adminStatus === 'unauthorized') {
+          onAdminError(message);
+          return;
+        }
+        setPage(null);
+        setError(message);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [search, onAdminError]);
+
+  const handleChange = (e) => {
+    setForm({ ...form, [e.target.name]: e.target.value });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    navigate(`/admin${toSearch(form, 0)}`);
+  };
+
+  const handleReset = () => {
+    navigate('/admin');
+  };
+
+  const goToOffset = (nextOffset) => {
+    navigate(`/admin${toSearch(filters, nextOffset)}`);
+  };
+
+  const handleExport = async (format) => {
+    setExporting(true);
+    try {
+      await exportScans(activeFilters(filters), format);
+    } catch (exportError) {
+      setError(`Export failed: ${describeAdminError(exportError).message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <section className="admin-panel">
+      <h2>Recent scans</h2>
+
+      <form className="scan-filters" onSubmit={handleSubmit}>
+        <label>
+          Verdict
+          <select name="verdict" value={form.verdict} onChange={handleChange}>
+            {VERDICT_OPTIONS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </label>
+        <label>
+          From
+          <input type="date" name="from" value={form.from} onChange={handleChange} />
+        </label>
+        <label>
+          To
+          <input type="date" name="to" value={form.to} onChange={handleChange} />
+        </label>
+        {FILTER_FIELDS.map(({ name, label, placeholder }) => (
+          <label key={name}>
+            {label}
+            <input type="text" name={name} value={form[name]} placeholder={placeholder} onChange={handleChange} />
+          </label>
+        ))}
+        <div className="scan-filter-actions">
+          <button type="submit" className="admin-button">Search</button>
+          <button type="button" className="admin-button secondary" onClick={handleReset}>Clear</button>
+          <button type="button" className="admin-button secondary" disabled={exporting} onClick={() => handleExport('csv')}>Export CSV</button>
+          <button type="button" className="admin-button secondary" disabled={exporting} onClick={() => handleExport('json')}>Export JSON</button>
+        </div>
+      </form>
+
+      {error && <p className="admin-error">{error}</p>}
+      {loading && !page && <p className="admin-muted">Loading...</p>}
+
+      {page && (
+        <>
+          <p className="admin-muted">
+            {page.total === 0
+              ? 'No scans match these filters.'
+              : `Showing ${page.offset + 1}-${page.offset + page.count} of ${page.total}`}
+            {page.retentionDays ? ` (scans are kept for ${page.retentionDays} days)` : ''}
+          </p>
+
+          {page.count > 0 && (
+            <div className="admin-table-wrapper">
+              <table className={`admin-table${loading ? ' loading' : ''}`}>
+                <thead>
+                  <tr>
+                    <th>Scanned</th>
+                    <th>File</th>
+                    <th>Size</th>
+                    <th>Verdict</th>
+                    <th>Details</th>
+                    <th>Duration</th>
+                    <th>API key</th>
+                    <th>Client IP</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {page.items.map(item => (
+                    <tr key={item.id}>
+                      <td>{formatTime(item.scannedAt)}</td>
+                      <td className="file-cell">
+                        <Link to={`/admin/scans/${encodeURIComponent(item.requestId)}`}>{item.fileName || item.requestId}</Link>
+                      </td>
+                      <td>{formatFileSize(item.fileSize)}</td>
+                      <td><span className={`status-badge status-${item.verdict}`}>{VERDICT_LABELS[item.verdict]}</span></td>
+                      <td>
+                        {item.verdict === 'infected' && item.viruses.join(', ')}
+                        {item.verdict === 'error' && (item.errorStage || item.errorMessage)}
+                        {item.cached && <span className="admin-muted">cached verdict</span>}
+                      </td>
+                      <td>{formatDuration(item.totalDuration)}</td>
+                      <td>{item.apiKeyId || '-'}</td>
+                      <td>{item.clientIp || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="pagination">
+            <button type="button" className="admin-button secondary" disabled={offset === 0 || loading} onClick={() => goToOffset(Math.max(0, offset - PAGE_SIZE))}>
+              ← Newer
+            </button>
+            <button type="button" className="admin-button secondary" disabled={page.nextOffset === null || loading} onClick={() => goToOffset(page.nextOffset)}>
+              Older →
+            </button>
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default ScanHistory;
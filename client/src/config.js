@@ -0,0 +1,21 @@
+// Where the backend is and how the app authenticates to it - shared by the uploader and the admin pages
+
+// Dynamically get API URL based on current hostname and port 3001
+const getApiUrl = () => {
+  if (process.env.REACT_APP_API_URL) {
+    return process.env.REACT_APP_API_URL;
+  }
+
+  // Get current hostname and protocol
+  const protocol = window.location.protocol;
+  const hostname = window.location.hostname;
+
+  // Always use port 3001
+  return `${protocol}//${hostname}:3001`;
+};
+
+export const API_URL = getApiUrl();
+
+// API key for servers that require one (API_KEYS_FILE) - it ends up in the bundle, so give the
+// frontend's key only the scopes and quotas a browser needs
+export const API_KEY = process.env.REACT_APP_API_KEY || null;
@@ -0,0 +1,27 @@
+// Sizes, durations, times and verdicts for the admin pages - the same formats as the server's responses
+
+export const formatFileSize = (bytes) => {
+  if (bytes === null || bytes === undefined) return '-';
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+  return `${Math.round((bytes / Math.pow(k, i)) * 100) / 100} ${sizes[i]}`;
+};
+
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return '-';
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  return `${(ms / 1000).toFixed(2)}s`;
+};
+
+// ISO time -> local date and time
+export const formatTime = (iso) => (iso ? new Date(iso).toLocaleString() : '-');
+
+// Verdicts of the audit trail
+export const VERDICT_LABELS = {
+  clean: 'Clean',
+  infected: 'Infected',
+  error: 'Failed',
+  unscanned: 'Not scanned'
+};
@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react';
+
+// Client-side routing on the History API - the app has a handful of pages, which doesn't need a
+// routing library. The dev server and any production host must answer unknown paths with
+// index.html (see README).
+
+const NAVIGATE_EVENT = 'app:navigate';
+
+const currentLocation = () => ({
+  pathname: window.location.pathname,
+  search: window.location.search
+});
+
+// Goes to `to` (a path with an optional query string) without reloading the page
+// With replace the current history entry is replaced, e.g. when only the filters changed
+export const navigate = (to, { replace = false } = {}) => {
+  if (to === `${window.location.pathname}${window.location.search}`) return;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', to);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+};
+
+// { pathname, search }, updated on navigate() and the browser's back/forward buttons
+export const useLocation = () => {
+  const [location, setLocation] = useState(currentLocation);
+
+  useEffect(() => {
+    const update = () => setLocation(currentLocation());
+    window.addEventListener('popstate', update);
+    window.addEventListener(NAVIGATE_EVENT, update);
+    return () => {
+      window.removeEventListener('popstate', update);
+      window.removeEventListener(NAVIGATE_EVENT, update);
+    };
+  }, []);
+
+  return location;
+};
+
+// Parameters of `pathname` if it matches `pattern` (e.g. /admin/scans/:requestId), otherwise null
+export const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = pathname.split('/').filter(Boolean);
+  if (patternParts.length !== pathParts.length) return null;
+
+  const params = {};
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null;
+    }
+  }
+  return params;
+};
+
+// A link that navigates in the app; modified clicks (new tab, ...) are left to the browser
+export const Link = ({ to, children, ...props }) => {
+  const handleClick = (e) => {
+    if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    navigate(to);
+  };
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  );
+};
@@ -0,0 +1,376 @@
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Looks for active content in documents - things virus signatures don't flag, but that run code
+// or hide content from the scanner:
+//   - Office documents with VBA macros (docm/xlsm/pptm, legacy .doc/.xls/.ppt, ODF Basic macros)
+//   - PDFs with JavaScript, actions that run when the document is opened, or embedded files
+//   - Archives (zip, rar) with encrypted entries clamd can't look inside
+//
+// Analyzers read the file as it streams by, next to the virus scan, and never hold more than a
+// small window of it (plus PDF object streams, which are decompressed to look inside). Each one
+// reports findings as { code, message }; the upload policy decides what happens to them.
+// 7z archives are not analyzed - their encryption is only visible at the end of the file.
+
+// Codes of the findings, with the message each one is reported with
+const FINDINGS = {
+  VBA_MACROS: 'The document contains VBA macros',
+  PDF_JAVASCRIPT: 'The PDF contains JavaScript',
+  PDF_OPEN_ACTION: 'The PDF runs an action when it is opened or viewed',
+  PDF_EMBEDDED_FILE: 'The PDF contains embedded files',
+  ENCRYPTED_ARCHIVE: 'The archive has encrypted entries that could not be scanned'
+};
+
+const finding = (code) => ({ code, message: FINDINGS[code] });
+
+// Finds fixed byte strings anywhere in the stream, including across chunk boundaries
+class PatternAnalyzer {
+  // patterns: [{ bytes: Buffer, code }]
+  constructor(patterns) {
+    this.patterns = patterns;
+    this.overlap = Math.max(...patterns.map(pattern => pattern.bytes.length)) - 1;
+    this.tail = Buffer.alloc(0);
+    this.found = new Set();
+  }
+
+  write(chunk) {
+    if (this.found.size === this.patterns.length) return;
+    const data = Buffer.concat([this.tail, chunk]);
+    for (const pattern of this.patterns) {
+      if (!this.found.has(pattern.code) && data.includes(pattern.bytes)) {
+        this.found.add(pattern.code);
+      }
+    }
+    this.tail = data.slice(Math.max(0, data.length - this.overlap));
+  }
+
+  end() {
+    return [...this.found].map(finding);
+  }
+}
+
+// OOXML keeps macros in a vbaProject.bin part, ODF in Basic/; zip entry names are stored in clear
+const ooxmlMacros = () => new PatternAnalyzer([{ bytes: Buffer.from('vbaProject.bin'), code: 'VBA_MACROS' }]);
+const odfMacros = () => new PatternAnalyzer([{ bytes: Buffer.from('Basic/script-lc.xml'), code: 'VBA_MACROS' }]);
+// OLE2 directory entries are UTF-16: Word has Macros/VBA/_VBA_PROJECT, Excel _VBA_PROJECT_CUR
+const oleMacros = () => new PatternAnalyzer([{ bytes: Buffer.from('_VBA_PROJECT', 'utf16le'), code: 'VBA_MACROS' }]);
+
+// Zip entries with bit 0 of their flags set are encrypted - checked on every local file header
+class ZipAnalyzer {
+  constructor() {
+    this.tail = Buffer.alloc(0);
+    this.encrypted = false;
+  }
+
+  write(chunk) {
+    if (this.encrypted) return;
+    const data = Buffer.concat([this.tail, chunk]);
+    // Local file header: PK\x03\x04, version (2 bytes), flags (2 bytes)
+    for (let index = data.indexOf('PK\x03\x04'); index >= 0 && index + 8 <= data.length; index = data.indexOf('PK\x03\x04', index + 4)) {
+      if (data.readUInt16LE(index + 6) & 0x1) {
+        this.encrypted = true;
+        return;
+      }
+    }
+    this.tail = data.slice(Math.max(0, data.length - 7));
+  }
+
+  end() {
+    return this.encrypted ? [finding('ENCRYPTED_ARCHIVE')] : [];
+  }
+}
+
+// RAR 5 numbers: 7 bits per byte, least significant first -> { value, length } or null if cut off
+const readVint = (buffer, offset) => {
+  let value = 0;
+  for (let index = 0; index < 10 && offset + index < buffer.length; index++) {
+    value += (buffer[offset + index] & 0x7f) * 2 ** (7 * index);
+    if (!(buffer[offset + index] & 0x80)) return { value, length: index + 1 };
+  }
+  return null;
+};
+
+const RAR4_SIGNATURE = Buffer.from('Rar!\x1a\x07\x00', 'latin1');
+const RAR5_SIGNATURE = Buffer.from('Rar!\x1a\x07\x01\x00', 'latin1');
+
+// Walks the blocks of a RAR archive (version 4 or 5) as they stream by, skipping their data
+class RarAnalyzer {
+  constructor() {
+    this.buffer = Buffer.alloc(0);
+    this.version = null;
+    this.skip = 0;
+    this.done = false;
+    this.encrypted = false;
+  }
+
+  write(chunk) {
+    if (this.done) return;
+    this.buffer = Buffer.concat([this.buffer, chunk]);
+    while (!this.done) {
+      if (this.skip > 0) {
+        const skipped = Math.min(this.skip, this.buffer.length);
+        this.buffer = this.buffer.slice(skipped);
+        this.skip -= skipped;
+        if (this.skip > 0) return;
+      }
+      if (this.version === null) {
+        if (this.buffer.length < RAR5_SIGNATURE.length) return;
+        if (this.buffer.slice(0, RAR5_SIGNATURE.length).equals(RAR5_SIGNATURE)) {
+          this.version = 5;
+          this.skip = RAR5_SIGNATURE.length;
+        } else if (this.buffer.slice(0, RAR4_SIGNATURE.length).equals(RAR4_SIGNATURE)) {
+          this.version = 4;
+          this.skip = RAR4_SIGNATURE.length;
+        } else {
+          this.done = true;
+        }
+        continue;
+      }
+
+      const block = this.version === 5 ? this._readBlock5() : this._readBlock4();
+      if (!block) {
+        // A header can't be this large - stop rather than buffer the whole file
+        if (this.buffer.length > 1024 * 1024) this.done = true;
+        return;
+      }
+      if (block.encrypted) {
+        this.encrypted = true;
+        this.done = true;
+      } else if (block.last) {
+        this.done = true;
+      }
+      this.skip = block.length;
+    }
+  }
+
+  // RAR 4 block: CRC (2), type (1), flags (2), header size (2), then the data size for blocks
+  // that have data. Main header flag 0x80: headers are encrypted; file header flag 0x04: encrypted
+  _readBlock4() {
+    if (this.buffer.length < 7) return null;
+    const type = this.buffer[2];
+    const flags = this.buffer.readUInt16LE(3);
+    const headerSize = this.buffer.readUInt16LE(5);
+    if (headerSize < 7) return { last: true, length: 0 };
+    const hasData = (flags & 0x8000) || type === 0x74;
+    if (hasData && this.buffer.length < 11) return null;
+    let dataSize = hasData ? this.buffer.readUInt32LE(7) : 0;
+    if (type === 0x74 && (flags & 0x100)) {
+      // Large file: the high 32 bits of the packed size follow the fixed header fields
+      if (this.buffer.length < 36) return null;
+      dataSize += this.buffer.readUInt32LE(32) * 2 ** 32;
+    }
+    return {
+      encrypted: (type === 0x73 && Boolean(flags & 0x80)) || (type === 0x74 && Boolean(flags & 0x04)),
+      last: type === 0x7b,
+      length: headerSize + dataSize
+    };
+  }
+
+  // RAR 5 block: CRC32 (4), header size, type, flags, [extra area size], [data size], ...,
+  // extra area records (size, type, data) at the end of the header. Type 4 means the headers are
+  // encrypted; file and service headers with an extra record of type 1 are encrypted entries
+  _readBlock5() {
+    const size = readVint(this.buffer, 4);
+    if (!size) return null;
+    const headerStart = 4 + size.length;
+    const headerEnd = headerStart + size.value;
+    if (this.buffer.length < headerEnd) return null;
+
+    const header = this.buffer.slice(headerStart, headerEnd);
+    const type = readVint(header, 0);
+    const flags = type && readVint(header, type.length);
+    if (!flags) return { last: true, length: 0 };
+    let offset = type.length + flags.length;
+    let extraSize = 0;
+    let dataSize = 0;
+    if (flags.value & 0x1) {
+      const extra = readVint(header, offset);
+      if (!extra) return { last: true, length: 0 };
+      extraSize = extra.value;
+      offset += extra.length;
+    }
+    if (flags.value & 0x2) {
+      const data = readVint(header, offset);
+      if (!data) return { last: true, length: 0 };
+      dataSize = data.value;
+    }
+
+    let encrypted = type.value === 4;
+    if ((type.value === 2 || type.value === 3) && extraSize > 0) {
+      for (let record = header.length - extraSize; record < header.length;) {
+        const recordSize = readVint(header, record);
+        const recordType = recordSize && readVint(header, record + recordSize.length);
+        if (!recordType) break;
+        if (recordType.value === 1) encrypted = true;
+        record += recordSize.length + recordSize.value;
+      }
+    }
+    return { encrypted, last: type.value === 5, length: headerEnd + dataSize };
+  }
+
+  end() {
+    return this.encrypted ? [finding('ENCRYPTED_ARCHIVE')] : [];
+  }
+}
+
+// PDF names that mean active content. Names may hide letters as #xx escapes (/J#61vaScript)
+const PDF_NAMES = {
+  JavaScript: 'PDF_JAVASCRIPT',
+  JS: 'PDF_JAVASCRIPT',
+  OpenAction: 'PDF_OPEN_ACTION',
+  AA: 'PDF_OPEN_ACTION',
+  EmbeddedFile: 'PDF_EMBEDDED_FILE',
+  EmbeddedFiles: 'PDF_EMBEDDED_FILE',
+  FileAttachment: 'PDF_EMBEDDED_FILE'
+};
+const PDF_NAME = /\/((?:[^\s/<>[\]()%{}#]|#[0-9A-Fa-f]{2})+)/g;
+const PDF_STREAM = /(?<!end)stream\r?\n/g;
+// Room for a name or keyword cut off at the end of a chunk
+const PDF_OVERLAP = 64;
+// Object streams larger than this aren't decompressed
+const MAX_OBJECT_STREAM = 4 * 1024 * 1024;
+
+// Reads the PDF's names as it streams by. Stream contents (page content, images, fonts) are
+// binary and skipped, except object streams - they hold compressed objects, so they are inflated
+// and their names read as well
+class PdfAnalyzer {
+  constructor() {
+    this.found = new Set();
+    // Text of the file is handled as latin1, so string offsets are byte offsets
+    this.carry = '';
+    // Recent text outside streams, for the dictionary of the next stream
+    this.context = '';
+    // Inside a stream: { chunks, size, collect }
+    this.stream = null;
+  }
+
+  _readNames(text, final) {
+    PDF_NAME.lastIndex = 0;
+    for (let match = PDF_NAME.exec(text); match; match = PDF_NAME.exec(text)) {
+      // A name running to the end of the text may go on in the next chunk - it is read again then
+      if (!final && match.index + match[0].length === text.length) break;
+      const name = match[1].replace(/#([0-9A-Fa-f]{2})/g, (escape, hex) => String.fromCharCode(parseInt(hex, 16)));
+      if (PDF_NAMES[name]) {
+        this.found.add(PDF_NAMES[name]);
+      }
+    }
+  }
+
+  _startStream() {
+    // The stream's dictionary is the text since the last "obj"
+    const dictionary = this.context.slice(this.context.lastIndexOf('obj'));
+    const collect = /\/Type\s*\/ObjStm/.test(dictionary) && /\/FlateDecode/.test(dictionary);
+    this.stream = { chunks: [], size: 0, collect };
+    this.context = '';
+  }
+
+  _addToStream(text) {
+    const stream = this.stream;
+    if (!stream.collect) return;
+    stream.size += text.length;
+    if (stream.size > MAX_OBJECT_STREAM) {
+      stream.collect = false;
+      stream.chunks = [];
+      return;
+    }
+    stream.chunks.push(text);
+  }
+
+  _endStream() {
+    const { chunks, collect } = this.stream;
+    this.stream = null;
+    if (!collect) return;
+    try {
+      const objects = zlib.inflateSync(Buffer.from(chunks.join('').replace(/\r?\n$/, ''), 'latin1'), {
+        maxOutputLength: MAX_OBJECT_STREAM * 4
+      });
+      this._readNames(objects.toString('latin1'), true);
+    } catch (error) {
+      // Damaged or encrypted object stream - nothing to read in it
+    }
+  }
+
+  _process(text, final) {
+    let offset = 0;
+    while (offset < text.length) {
+      if (this.stream) {
+        const end = text.indexOf('endstream', offset);
+        if (end < 0) {
+          // Keep enough to recognize an "endstream" cut off at the end
+          const keep = final ? text.length : Math.max(offset, text.length - 9);
+          this._addToStream(text.slice(offset, keep));
+          this.carry = text.slice(keep);
+          return;
+        }
+        this._addToStream(text.slice(offset, end));
+        this._endStream();
+        offset = end + 'endstream'.length;
+        continue;
+      }
+
+      PDF_STREAM.lastIndex = offset;
+      const keyword = PDF_STREAM.exec(text);
+      const segment = text.slice(offset, keyword ? keyword.index : text.length);
+      this._readNames(segment, final || Boolean(keyword));
+      this.context = (this.context + segment).slice(-4096);
+      if (!keyword) {
+        // The end may hold the start of a name or a "stream" keyword - read it again with the next chunk
+        const keep = final ? text.length : Math.max(offset, text.length - PDF_OVERLAP);
+        this.context = this.context.slice(0, Math.max(0, this.context.length - (text.length - keep)));
+        this.carry = text.slice(keep);
+        return;
+      }
+      this._startStream();
+      offset = keyword.index + keyword[0].length;
+    }
+    this.carry = '';
+  }
+
+  write(chunk) {
+    this._process(this.carry + chunk.toString('latin1'), false);
+  }
+
+  end() {
+    this._process(this.carry, true);
+    return [...this.found].map(finding);
+  }
+}
+
+const ANALYZERS = {
+  docx: ooxmlMacros,
+  xlsx: ooxmlMacros,
+  pptx: ooxmlMacros,
+  odt: odfMacros,
+  ods: odfMacros,
+  odp: odfMacros,
+  ole: oleMacros,
+  pdf: () => new PdfAnalyzer(),
+  zip: () => new ZipAnalyzer(),
+  rar: () => new RarAnalyzer()
+};
+
+// Analyzer for a file of this type (from lib/file-type.js), or null if the type has nothing to look for
+// write(chunk) it the whole file, then end() returns the findings: [{ code, message }]
+const createContentAnalyzer = (fileType) => {
+  const create = fileType && ANALYZERS[fileType.type];
+  return create ? create() : null;
+};
+
+// Findings for a file on disk
+const analyzeFile = (filePath, fileType) => new Promise((resolve, reject) => {
+  const analyzer = createContentAnalyzer(fileType);
+  if (!analyzer) {
+    resolve([]);
+    return;
+  }
+  fs.createReadStream(filePath)
+    .on('data', (chunk) => analyzer.write(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(analyzer.end()));
+});
+
+module.exports = {
+  ACTIVE_CONTENT_FINDINGS: FINDINGS,
+  createContentAnalyzer,
+  analyzeFile
+};
@@ -0,0 +1,189 @@
+const dns = require('dns');
+const net = require('net');
+
+// Keeps outgoing requests the server makes for its clients (POST /scan-url downloads, webhook
+// callbacks) away from internal hosts
+//
+// Private, loopback, link-local and other special-purpose ranges are refused unless the host or
+// address is on the allowlist. The check runs on the addresses a connection actually uses
+// (`lookup`, a custom DNS lookup for http.request), so a host can't pass validation and then
+// resolve somewhere else.
+
+// Errors for refused or unresolvable hosts. `code` is one of:
+//   BLOCKED_ADDRESS - the host is or resolves to a blocked address
+//   DNS_FAILED      - the host could not be resolved
+class AddressGuardError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AddressGuardError';
+    this.code = code;
+  }
+}
+
+// Address ranges that never belong to a public server
+const BLOCKED_RANGES = [
+  '0.0.0.0/8', // "This network"
+  '10.0.0.0/8', // Private
+  '100.64.0.0/10', // Carrier-grade NAT
+  '127.0.0.0/8', // Loopback
+  '169.254.0.0/16', // Link-local, including cloud metadata services (169.254.169.254)
+  '172.16.0.0/12', // Private
+  '192.0.0.0/24', // IETF protocol assignments
+  '192.0.2.0/24', // Documentation
+  '192.168.0.0/16', // Private
+  '198.18.0.0/15', // Benchmarking
+  '198.51.100.0/24', // Documentation
+  '203.0.113.0/24', // Documentation
+  '224.0.0.0/4', // Multicast
+  '240.0.0.0/4', // Reserved, broadcast
+  '::/128', // Unspecified
+  '::1/128', // Loopback
+  '64:ff9b::/96', // NAT64 - reaches IPv4 addresses through a gateway
+  '100::/64', // Discard
+  '2001:db8::/32', // Documentation
+  'fc00::/7', // Unique local
+  'fe80::/10', // Link-local
+  'ff00::/8' // Multicast
+];
+
+// IP address as bytes (4 for IPv4, 16 for IPv6), or null if it isn't one
+const parseAddress = (address) => {
+  if (net.isIPv4(address)) {
+    return Buffer.from(address.split('.').map(Number));
+  }
+  if (!net.isIPv6(address)) {
+    return null;
+  }
+
+  let text = address.split('%')[0]; // Zone index (fe80::1%eth0)
+  let embeddedIPv4 = null;
+  if (text.includes('.')) {
+    const lastColon = text.lastIndexOf(':');
+    embeddedIPv4 = text.slice(lastColon + 1).split('.').map(Number);
+    text = `${text.slice(0, lastColon + 1)}0:0`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  const bytes = Buffer.alloc(16);
+  groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+  if (embeddedIPv4) {
+    embeddedIPv4.forEach((byte, index) => {
+      bytes[12 + index] = byte;
+    });
+  }
+
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it stands for
+  if (bytes.slice(0, 10).every(byte => byte === 0) && bytes[10] === 0xff && bytes[11] === 0xff) {
+    return bytes.slice(12);
+  }
+  return bytes;
+};
+
+// "10.0.0.0/8" or a single address -> { bytes, prefix }
+const parseRange = (range) => {
+  const [address, prefix] = range.split('/');
+  const bytes = parseAddress(address);
+  if (!bytes) return null;
+  return { bytes, prefix: prefix === undefined ? bytes.length * 8 : parseInt(prefix, 10) };
+};
+
+const inRange = (bytes, range) => {
+  if (bytes.length !== range.bytes.length) return false;
+  for (let bit = 0; bit < range.prefix; bit += 8) {
+    const bits = Math.min(8, range.prefix - bit);
+    const mask = (0xff << (8 - bits)) & 0xff;
+    if ((bytes[bit / 8] & mask) !== (range.bytes[bit / 8] & mask)) return false;
+  }
+  return true;
+};
+
+const BLOCKED = BLOCKED_RANGES.map(parseRange);
+
+// Host name of a URL, without the brackets around IPv6 addresses
+const urlHostname = (url) => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+class AddressGuard {
+  // allowlist: host names (exact, or "*.example.com" for subdomains), addresses and CIDR
+  // ranges that may be connected to even though they are private
+  constructor({ allowlist = [] } = {}) {
+    this.allowedHosts = [];
+    this.allowedRanges = [];
+    for (const entry of allowlist) {
+      const range = parseRange(entry);
+      if (range) {
+        this.allowedRanges.push(range);
+      } else {
+        this.allowedHosts.push(entry.toLowerCase());
+      }
+    }
+    this.lookup = this.lookup.bind(this);
+  }
+
+  _isHostAllowed(hostname) {
+    return this.allowedHosts.some(host => (host.startsWith('*.')
+      ? hostname.endsWith(host.slice(1))
+      : hostname === host));
+  }
+
+  // Throws an AddressGuardError if `address`, which `hostname` resolved to, is blocked
+  check(hostname, address) {
+    if (this._isHostAllowed(hostname)) return;
+    const bytes = parseAddress(address);
+    if (this.allowedRanges.some(range => inRange(bytes, range))) return;
+    if (BLOCKED.some(range => inRange(bytes, range))) {
+      const target = hostname === address ? address : `${hostname} (${address})`;
+      throw new AddressGuardError(`Refusing to connect to ${target}: private or reserved address`, 'BLOCKED_ADDRESS');
+    }
+  }
+
+  // Checks a URL whose host is an IP address - those never go through the DNS lookup
+  checkUrl(url) {
+    const hostname = urlHostname(url);
+    if (net.isIP(hostname)) {
+      this.check(hostname, hostname);
+    }
+  }
+
+  // DNS lookup for http.request that refuses blocked addresses
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, { all: true }, (err, addresses) => {
+      if (err) {
+        callback(new AddressGuardError(`Could not resolve ${hostname}: ${err.code}`, 'DNS_FAILED'));
+        return;
+      }
+      try {
+        addresses.forEach(({ address }) => this.check(hostname, address));
+      } catch (error) {
+        callback(error);
+        return;
+      }
+      if (options && options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+
+  // Resolves a URL's host and checks every address it has - for URLs that are stored now and
+  // only connected to later, so they can be refused right away
+  async resolveAndCheck(url) {
+    this.checkUrl(url);
+    const hostname = urlHostname(url);
+    if (net.isIP(hostname)) return;
+    await new Promise((resolve, reject) => {
+      this.lookup(hostname, { all: true }, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+}
+
+module.exports = {
+  AddressGuard,
+  AddressGuardError
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parseSize } = require('./format');
+
+// API keys for the scan endpoints
+//
+// Keys are listed in a JSON or YAML file, by the SHA-256 hash of the key - the keys themselves
+// are only known to their clients:
+//
+//   keys:
+//     - id: intranet-portal                 # shows up in logs, metrics and quarantine metadata
+//       hash: sha256:65c05636e38b30b0...    # hashApiKey(key)
+//       scopes: [scan, files]               # or [*] for every scope
+//       weight: 2                           # share of the clamd connections while the pool queue is busy (default 1)
+//       quotas:                             # each one is optional - no limit when missing
+//         requestsPerMinute: 120
+//         bytesPerDay: 5GB
+//         concurrentScans: 4
+//     - id: old-portal
+//       hash: sha256:...
+//       scopes: [scan]
+//       disabled: true                      # rejected like an unknown key
+//
+// Scopes are the groups of routes a key may use (see API_KEY_SCOPES). Quotas are enforced
+// by lib/quotas.js.
+
+const API_KEY_SCOPES = {
+  scan: 'Upload files for scanning and follow scan jobs',
+  'scan-url': 'Scan a file downloaded from a URL',
+  files: 'Download stored clean files',
+  webhooks: 'See webhook deliveries'
+};
+
+const KEY_SETTINGS = ['id', 'hash', 'scopes', 'weight', 'quotas', 'disabled'];
+const QUOTA_SETTINGS = ['requestsPerMinute', 'bytesPerDay', 'concurrentScans'];
+const HASH_PATTERN = /^sha256:([0-9a-f]{64})$/;
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+// The hash of a key, as it is written in the keys file
+const hashApiKey = (key) => `sha256:${sha256(key)}`;
+
+// A new random key - hand it to the client and put hashApiKey(key) in the keys file
+const generateApiKey = () => `dsk_${crypto.randomBytes(24).toString('hex')}`;
+
+const parseCount = (value, name) => {
+  if (!Number.isInteger(value) || value < 1) {
+    throw new Error(`${name} must be a whole number of at least 1`);
+  }
+  return value;
+};
+
+const parseQuotas = (quotas, name) => {
+  const unknownKeys = Object.keys(quotas).filter(key => !QUOTA_SETTINGS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown quota(s) for ${name}: ${unknownKeys.join(', ')}`);
+  }
+  return {
+    requestsPerMinute: quotas.requestsPerMinute !== undefined
+      ? parseCount(quotas.requestsPerMinute, `${name}.requestsPerMinute`)
+      : Infinity,
+    bytesPerDay: quotas.bytesPerDay !== undefined ? parseSize(quotas.bytesPerDay, `${name}.bytesPerDay`) : Infinity,
+    concurrentScans: quotas.concurrentScans !== undefined
+      ? parseCount(quotas.concurrentScans, `${name}.concurrentScans`)
+      : Infinity
+  };
+};
+
+const parseKey = (entry, index) => {
+  const name = entry && entry.id ? `API key ${entry.id}` : `API key #${index + 1}`;
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`${name} must be an object`);
+  }
+  const unknownKeys = Object.keys(entry).filter(key => !KEY_SETTINGS.includes(key));
+  if (unknownKeys.length > 0) {
+    throw new Error(`Unknown setting(s) for ${name}: ${unknownKeys.join(', ')}`);
+  }
+  if (!entry.id || typeof entry.id !== 'string') {
+    throw new Error(`${name} needs an id`);
+  }
+  const hash = HASH_PATTERN.exec(String(entry.hash || '').trim().toLowerCase());
+  if (!hash) {
+    throw new Error(`${name} needs a hash of the form sha256:<64 hex digits>`);
+  }
+  if (!Array.isArray(entry.scopes) || entry.scopes.length === 0) {
+    throw new Error(`${name} needs a list of scopes`);
+  }
+  const scopes = entry.scopes.map(scope => String(scope).trim().toLowerCase());
+  const unknownScopes = scopes.filter(scope => scope !== '*' && !API_KEY_SCOPES[scope]);
+  if (unknownScopes.length > 0) {
+    throw new Error(`Unknown scope(s) for ${name}: ${unknownScopes.join(', ')} (known scopes: ${Object.keys(API_KEY_SCOPES).join(', ')}, *)`);
+  }
+
+  const weight = entry.weight !== undefined ? Number(entry.weight) : 1;
+  if (!(weight > 0) || !Number.isFinite(weight)) {
+    throw new Error(`${name}.weight must be a positive number`);
+  }
+
+  return {
+    id: entry.id,
+    digest: hash[1],
+    scopes: new Set(scopes),
+    weight,
+    quotas: parseQuotas(entry.quotas || {}, name),
+    disabled: Boolean(entry.disabled)
+  };
+};
+
+class ApiKeyStore {
+  constructor({ keys = [] } = {}) {
+    if (!Array.isArray(keys)) {
+      throw new Error('keys must be a list of API keys');
+    }
+    this.keys = keys.map(parseKey);
+    this._byDigest = new Map();
+    this._byId = new Map();
+
+    for (const key of this.keys) {
+      if (this._byId.has(key.id)) {
+        throw new Error(`API key ${key.id} is listed twice`);
+      }
+      if (this._byDigest.has(key.digest)) {
+        throw new Error(`API keys ${this._byDigest.get(key.digest).id} and ${key.id} have the same hash`);
+      }
+      this._byDigest.set(key.digest, key);
+      this._byId.set(key.id, key);
+    }
+  }
+
+  // Reads the keys from a .json, .yml or .yaml file
+  static load(file) {
+    let config;
+    try {
+      const text = fs.readFileSync(path.resolve(file), 'utf8');
+      config = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Could not read API keys ${file}: ${error.message}`);
+    }
+    return new ApiKeyStore(config || {});
+  }
+
+  // The key a client presented, or null if it is unknown or disabled
+  authenticate(presented) {
+    if (!presented) return null;
+    const key = this._byDigest.get(sha256(presented));
+    return key && !key.disabled ? key : null;
+  }
+
+  // The key with this id (null if there is none)
+  get(id) {
+    return this._byId.get(id) || null;
+  }
+
+  hasScope(key, scope) {
+    return key.scopes.has('*') || key.scopes.has(scope);
+  }
+}
+
+module.exports = {
+  ApiKeyStore,
+  API_KEY_SCOPES,
+  hashApiKey,
+  generateApiKey
+};
@@ -0,0 +1,481 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Readable, Transform, pipeline } = require('stream');
+const { formatFileSize } = require('./format');
+const { HEAD_SIZE, detectFileType } = require('./file-type');
+
+// Expands zip, tar and gzip archives so every entry can be scanned on its own
+//
+// clamd looks inside archives too, but only reports one signature for the whole file. Here each
+// entry is extracted into a private work directory and handed to a scan function, and the
+// archive's entries come back with their own verdicts. Archives inside archives are expanded
+// as well, down to `maxDepth`.
+//
+// Entries are written to numbered files - their names are only reported, never used as paths,
+// so a malicious name (../../etc/passwd) can't escape the work directory. Everything is removed
+// once the entries have been scanned.
+//
+// Zip bomb safeguards, checked on the bytes actually extracted rather than on what the headers
+// claim: number of entries, nesting depth, compression ratio per entry and total expanded size.
+// Going past any of them fails the whole inspection with an ArchiveError.
+//
+// An entry whose scan fails (clamd timeout, pool rejection, dropped connection) fails the whole
+// inspection with that error, unless another entry is infected - an archive is never reported
+// clean while some of its entries went unscanned.
+//
+// Zip entries must be stored or deflated (with ZIP64 support); encrypted entries and other
+// compression methods are listed but can't be scanned. Tar supports ustar, GNU long names and
+// pax path headers; links and special files are listed and skipped.
+
+// Errors for archive inspection. `code` is one of:
+//   ARCHIVE_INVALID          - the archive is damaged or not what its type said
+//   ARCHIVE_TOO_MANY_ENTRIES - more entries than maxEntries (counting nested archives)
+//   ARCHIVE_TOO_DEEP         - archives nested deeper than maxDepth
+//   ARCHIVE_RATIO_EXCEEDED   - an entry expands to more than maxRatio times its compressed size
+//   ARCHIVE_TOO_LARGE        - all entries together expand to more than maxExpandedSize
+class ArchiveError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.code = code;
+  }
+}
+
+// File types that are expanded - zip-based documents (docx, odt, jar, ...) are left whole
+const ARCHIVE_TYPES = ['zip', 'tar', 'gzip'];
+
+// Small entries are often highly compressible (logs, padding) - the ratio only counts above this
+const RATIO_MIN_SIZE = 1024 * 1024;
+
+const ZIP_EOCD = 0x06054b50;
+const ZIP64_EOCD = 0x06064b50;
+const ZIP64_LOCATOR = 0x07064b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_LOCAL_HEADER = 0x04034b50;
+
+const invalid = (message) => new ArchiveError(message, 'ARCHIVE_INVALID');
+
+const readAt = async (handle, position, length) => {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await handle.read(buffer, 0, length, position);
+  return buffer.slice(0, bytesRead);
+};
+
+const withFile = async (filePath, use) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    return await use(handle, (await handle.stat()).size);
+  } finally {
+    await handle.close();
+  }
+};
+
+// Zip central directory -> [{ name, method, encrypted, compressedSize, size, localHeaderOffset }]
+const listZipEntries = (filePath, maxEntries) => withFile(filePath, async (handle, fileSize) => {
+  // End of central directory record: 22 bytes plus a comment of up to 64KB, at the very end
+  const tailLength = Math.min(fileSize, 22 + 0xffff);
+  const tail = await readAt(handle, fileSize - tailLength, tailLength);
+  let eocd = -1;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === ZIP_EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) {
+    throw invalid('Not a valid zip archive (no central directory)');
+  }
+
+  let count = tail.readUInt16LE(eocd + 10);
+  let directorySize = tail.readUInt32LE(eocd + 12);
+  let directoryOffset = tail.readUInt32LE(eocd + 16);
+  if (count === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+    // ZIP64: the real values are in the ZIP64 end record, found through the locator before the EOCD
+    const locator = eocd - 20;
+    if (locator < 0 || tail.readUInt32LE(locator) !== ZIP64_LOCATOR) {
+      throw invalid('Damaged ZIP64 archive (no ZIP64 end record locator)');
+    }
+    const record = await readAt(handle, Number(tail.readBigUInt64LE(locator + 8)), 56);
+    if (record.length < 56 || record.readUInt32LE(0) !== ZIP64_EOCD) {
+      throw invalid('Damaged ZIP64 archive (no ZIP64 end record)');
+    }
+    count = Number(record.readBigUInt64LE(32));
+    directorySize = Number(record.readBigUInt64LE(40));
+    directoryOffset = Number(record.readBigUInt64LE(48));
+  }
+
+  if (count > maxEntries) {
+    throw new ArchiveError(`Archive has ${count} entries, more than the limit of ${maxEntries}`, 'ARCHIVE_TOO_MANY_ENTRIES');
+  }
+  if (directoryOffset + directorySize > fileSize) {
+    throw invalid('Damaged zip archive (central directory is out of bounds)');
+  }
+
+  const directory = await readAt(handle, directoryOffset, directorySize);
+  const entries = [];
+  let offset = 0;
+  for (let index = 0; index < count; index++) {
+    if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+      throw invalid('Damaged zip archive (bad central directory entry)');
+    }
+    const flags = directory.readUInt16LE(offset + 8);
+    const nameLength = directory.readUInt16LE(offset + 28);
+    const extraLength = directory.readUInt16LE(offset + 30);
+    const commentLength = directory.readUInt16LE(offset + 32);
+    const nameBytes = directory.slice(offset + 46, offset + 46 + nameLength);
+    const entry = {
+      // Bit 11: the name is UTF-8, otherwise it is (close enough to) latin1
+      name: nameBytes.toString(flags & 0x800 ? 'utf8' : 'latin1'),
+      method: directory.readUInt16LE(offset + 10),
+      encrypted: Boolean(flags & 0x1),
+      compressedSize: directory.readUInt32LE(offset + 20),
+      size: directory.readUInt32LE(offset + 24),
+      localHeaderOffset: directory.readUInt32LE(offset + 42)
+    };
+
+    // ZIP64 extra field (0x0001): 8-byte values for whichever fields are maxed out, in this order
+    const extra = directory.slice(offset + 46 + nameLength, offset + 46 + nameLength + extraLength);
+    for (let position = 0; position + 4 <= extra.length;) {
+      const id = extra.readUInt16LE(position);
+      const length = extra.readUInt16LE(position + 2);
+      if (id === 0x0001) {
+        let field = position + 4;
+        for (const key of ['size', 'compressedSize', 'localHeaderOffset']) {
+          if (entry[key] === 0xffffffff && field + 8 <= position + 4 + length) {
+            entry[key] = Number(extra.readBigUInt64LE(field));
+            field += 8;
+          }
+        }
+      }
+      position += 4 + length;
+    }
+
+    entries.push(entry);
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+});
+
+// Where an entry's data starts - after its local header, whose name/extra lengths may differ
+// from the central directory's
+const zipDataOffset = (filePath, entry) => withFile(filePath, async (handle) => {
+  const header = await readAt(handle, entry.localHeaderOffset, 30);
+  if (header.length < 30 || header.readUInt32LE(0) !== ZIP_LOCAL_HEADER) {
+    throw invalid(`Damaged zip archive (bad local header for ${entry.name})`);
+  }
+  return entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+});
+
+// Tar numbers are octal text, or base-256 when the first byte has its high bit set
+const parseTarNumber = (field) => {
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (let i = 1; i < field.length; i++) {
+      value = value * 256 + field[i];
+    }
+    return value;
+  }
+  const text = field.toString('latin1').replace(/[\0 ]+$/, '').replace(/^[\0 ]+/, '');
+  return text ? parseInt(text, 8) : 0;
+};
+
+const tarString = (field) => {
+  const end = field.indexOf(0);
+  return field.slice(0, end < 0 ? field.length : end).toString('utf8');
+};
+
+// Tar headers -> [{ name, type: 'file' | 'directory' | 'other', size, dataOffset }]
+const listTarEntries = (filePath, maxEntries) => withFile(filePath, async (handle, fileSize) => {
+  const entries = [];
+  let longName = null;
+  let offset = 0;
+
+  while (offset + 512 <= fileSize) {
+    const header = await readAt(handle, offset, 512);
+    // Two zero blocks end the archive - one is enough to stop
+    if (header.every(byte => byte === 0)) break;
+
+    // Checksum: sum of all header bytes with the checksum field counted as spaces
+    let sum = 0;
+    for (let i = 0; i < 512; i++) {
+      sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    if (sum !== parseTarNumber(header.slice(148, 156))) {
+      throw invalid('Damaged tar archive (header checksum mismatch)');
+    }
+
+    const size = parseTarNumber(header.slice(124, 136));
+    const typeFlag = String.fromCharCode(header[156] || 0x30);
+    const dataOffset = offset + 512;
+    offset = dataOffset + Math.ceil(size / 512) * 512;
+    if (offset > fileSize + 512 * 2) {
+      throw invalid('Damaged tar archive (entry runs past the end)');
+    }
+
+    if (typeFlag === 'L' || typeFlag === 'x') {
+      // GNU long name / pax extended header for the next entry
+      const data = await readAt(handle, dataOffset, Math.min(size, 64 * 1024));
+      if (typeFlag === 'L') {
+        longName = tarString(data);
+      } else {
+        const pathRecord = data.toString('utf8').match(/^\d+ path=(.*)$/m);
+        if (pathRecord) longName = pathRecord[1];
+      }
+      continue;
+    }
+    if (typeFlag === 'g') continue; // Global pax header
+
+    const prefix = header.slice(257, 262).toString('latin1') === 'ustar' ? tarString(header.slice(345, 500)) : '';
+    const fullName = longName || (prefix ? `${prefix}/${tarString(header.slice(0, 100))}` : tarString(header.slice(0, 100)));
+    // `tar c .` stores every name with a leading ./
+    const name = fullName.replace(/^(\.\/)+/, '');
+    longName = null;
+
+    if (entries.length >= maxEntries) {
+      throw new ArchiveError(`Archive has more than ${maxEntries} entries`, 'ARCHIVE_TOO_MANY_ENTRIES');
+    }
+    const type = typeFlag === '0' || typeFlag === '7' ? 'file' : typeFlag === '5' ? 'directory' : 'other';
+    entries.push({ name, type, size, dataOffset });
+  }
+  return entries;
+});
+
+// Name of the file inside a gzip stream (FNAME header field), or null
+const gzipMemberName = (filePath) => withFile(filePath, async (handle) => {
+  const header = await readAt(handle, 0, 1024);
+  const flags = header[3];
+  let offset = 10;
+  if (flags & 0x04) { // FEXTRA
+    offset += 2 + header.readUInt16LE(offset);
+  }
+  if (!(flags & 0x08) || offset >= header.length) return null; // No FNAME
+  const end = header.indexOf(0, offset);
+  return end > offset ? path.basename(header.slice(offset, end).toString('latin1')) : null;
+});
+
+// Name for the decompressed content of a gzip file that didn't record one
+const gunzippedName = (name) => {
+  if (/\.tgz$/i.test(name)) return name.replace(/\.tgz$/i, '.tar');
+  return name.replace(/\.gz$/i, '') || 'content';
+};
+
+class ArchiveInspector {
+  // workDir: private directory for extracted entries (emptied on init)
+  // maxRatio: expanded / compressed size allowed per entry (entries under 1MB don't count)
+  constructor({ workDir, maxEntries = 1000, maxDepth = 3, maxRatio = 100, maxExpandedSize = 1024 * 1024 * 1024, concurrency = 2 }) {
+    this.workDir = workDir;
+    this.maxEntries = maxEntries;
+    this.maxDepth = maxDepth;
+    this.maxRatio = maxRatio;
+    this.maxExpandedSize = maxExpandedSize;
+    this.concurrency = concurrency;
+  }
+
+  init() {
+    // Leftovers from inspections that were running when the server stopped
+    fs.rmSync(this.workDir, { recursive: true, force: true });
+    fs.mkdirSync(this.workDir, { recursive: true, mode: 0o700 });
+  }
+
+  // Whether files of this type (from lib/file-type.js) are expanded
+  canExpand(fileType) {
+    return Boolean(fileType) && ARCHIVE_TYPES.includes(fileType.type);
+  }
+
+  // Writes one entry's data to the work directory, counting it against the limits
+  async _extract(state, source, entry, compressedSize) {
+    const target = path.join(state.dir, String(state.nextFile++));
+    let size = 0;
+    const limiter = new Transform({
+      transform: (chunk, encoding, callback) => {
+        size += chunk.length;
+        state.expandedSize += chunk.length;
+        if (state.expandedSize > this.maxExpandedSize) {
+          callback(new ArchiveError(`Archive expands to more than ${formatFileSize(this.maxExpandedSize)}`, 'ARCHIVE_TOO_LARGE'));
+          return;
+        }
+        if (size > RATIO_MIN_SIZE && size > compressedSize * this.maxRatio) {
+          callback(new ArchiveError(`${entry.path} expands to more than ${this.maxRatio} times its compressed size`, 'ARCHIVE_RATIO_EXCEEDED'));
+          return;
+        }
+        callback(null, chunk);
+      }
+    });
+
+    await new Promise((resolve, reject) => {
+      pipeline(source, limiter, fs.createWriteStream(target, { mode: 0o600 }), (error) => {
+        if (!error) {
+          resolve();
+        } else if (error instanceof ArchiveError) {
+          reject(error);
+        } else if (error.code && error.code.startsWith('Z_')) {
+          reject(invalid(`Damaged archive (could not decompress ${entry.path}: ${error.message})`));
+        } else {
+          reject(error);
+        }
+      });
+    });
+    entry.size = size;
+    return target;
+  }
+
+  _addEntry(state, entry) {
+    if (state.entries.length >= this.maxEntries) {
+      throw new ArchiveError(`Archive has more than ${this.maxEntries} entries (counting nested archives)`, 'ARCHIVE_TOO_MANY_ENTRIES');
+    }
+    state.entries.push(entry);
+    return entry;
+  }
+
+  // Extracted entries that are archives themselves are expanded in turn
+  async _expandNested(state, entry, depth) {
+    const head = await withFile(entry.file, handle => readAt(handle, 0, HEAD_SIZE));
+    const fileType = detectFileType(head);
+    if (!this.canExpand(fileType)) return;
+    if (depth >= this.maxDepth) {
+      throw new ArchiveError(`${entry.path} is nested more than ${this.maxDepth} levels deep`, 'ARCHIVE_TOO_DEEP');
+    }
+    entry.archive = fileType.type;
+    await this._expand(state, entry.file, fileType, depth + 1, `${entry.path}/`, entry.path);
+  }
+
+  // `name` is the archive's own file name - a gzip file may not record the name of its content
+  async _expand(state, filePath, fileType, depth, prefix, name) {
+    if (fileType.type === 'zip') {
+      const { size: fileSize } = await fs.promises.stat(filePath);
+      for (const zipEntry of await listZipEntries(filePath, this.maxEntries)) {
+        if (zipEntry.name.endsWith('/')) continue; // Directory
+        const entry = this._addEntry(state, { path: prefix + zipEntry.name, size: zipEntry.size, compressedSize: zipEntry.compressedSize });
+        if (zipEntry.encrypted) {
+          entry.skipped = 'encrypted';
+          continue;
+        }
+        if (zipEntry.method !== 0 && zipEntry.method !== 8) {
+          entry.skipped = `unsupported compression method ${zipEntry.method}`;
+          continue;
+        }
+        const start = await zipDataOffset(filePath, zipEntry);
+        // The header's compressed size can't be trusted for the ratio - only what's in the file
+        const compressedSize = Math.max(0, Math.min(zipEntry.compressedSize, fileSize - start));
+        const raw = compressedSize > 0
+          ? fs.createReadStream(filePath, { start, end: start + compressedSize - 1 })
+          : Readable.from([]);
+        const source = zipEntry.method === 8 ? raw.pipe(zlib.createInflateRaw()) : raw;
+        if (zipEntry.method === 8) {
+          raw.on('error', error => source.destroy(error));
+        }
+        entry.file = await this._extract(state, source, entry, compressedSize);
+        await this._expandNested(state, entry, depth);
+      }
+    } else if (fileType.type === 'tar') {
+      for (const tarEntry of await listTarEntries(filePath, this.maxEntries)) {
+        if (tarEntry.type === 'directory') continue;
+        const entry = this._addEntry(state, { path: prefix + tarEntry.name, size: tarEntry.size });
+        if (tarEntry.type !== 'file') {
+          entry.skipped = 'not a regular file';
+          continue;
+        }
+        const source = tarEntry.size > 0
+          ? fs.createReadStream(filePath, { start: tarEntry.dataOffset, end: tarEntry.dataOffset + tarEntry.size - 1 })
+          : Readable.from([]);
+        // Tar doesn't compress - the ratio can't be exceeded
+        entry.file = await this._extract(state, source, entry, Infinity);
+        await this._expandNested(state, entry, depth);
+      }
+    } else if (fileType.type === 'gzip') {
+      const memberName = (await gzipMemberName(filePath)) || gunzippedName(path.basename(name));
+      const entry = this._addEntry(state, { path: prefix + memberName, size: null });
+      const { size: compressedSize } = await fs.promises.stat(filePath);
+      const raw = fs.createReadStream(filePath);
+      const source = raw.pipe(zlib.createGunzip());
+      raw.on('error', error => source.destroy(error));
+      entry.file = await this._extract(state, source, entry, compressedSize);
+      await this._expandNested(state, entry, depth);
+    }
+  }
+
+  // Runs scanEntry(filePath) -> { isInfected, viruses } for each expanded entry, a few at a time
+  // After the first failed scan the entries still waiting are left alone - the inspection fails anyway
+  async _scanEntries(entries, scanEntry) {
+    const queue = entries.filter(entry => entry.file && !entry.archive);
+    const worker = async () => {
+      while (queue.length > 0) {
+        const entry = queue.shift();
+        try {
+          const result = await scanEntry(entry.file);
+          entry.verdict = result.isInfected ? 'infected' : 'clean';
+          entry.viruses = result.viruses;
+        } catch (error) {
+          entry.verdict = 'error';
+          entry.error = error.message;
+          entry.scanError = error;
+          queue.length = 0;
+        }
+      }
+    };
+    await Promise.all(new Array(Math.min(this.concurrency, queue.length)).fill(null).map(worker));
+  }
+
+  // Expands an archive and scans every entry with scanEntry(filePath), which resolves with
+  // { isInfected, viruses }. Resolves with:
+  //   { format, entryCount, expandedSize, infected, viruses, entries: [{ path, size, verdict, viruses?, error?, reason? }] }
+  // verdict is clean, infected, error (the entry's scan failed) or skipped (see reason);
+  // a nested archive gets the worst verdict of its entries. Entries that fail only show up in an
+  // infected result: without an infected entry, the first scan error rejects the inspection.
+  // Rejects with an ArchiveError if the archive is damaged or trips a zip bomb safeguard
+  async inspect(filePath, { fileType, fileName = 'archive' }, scanEntry) {
+    const state = {
+      dir: path.join(this.workDir, crypto.randomBytes(8).toString('hex')),
+      nextFile: 0,
+      expandedSize: 0,
+      entries: []
+    };
+    await fs.promises.mkdir(state.dir, { mode: 0o700 });
+
+    try {
+      await this._expand(state, filePath, fileType, 1, '', fileName);
+      await this._scanEntries(state.entries, scanEntry);
+    } finally {
+      await fs.promises.rm(state.dir, { recursive: true, force: true });
+    }
+
+    // Nested archives take the worst verdict of the entries below them
+    const rank = { error: 1, infected: 2 };
+    for (const entry of [...state.entries].reverse()) {
+      if (!entry.archive) continue;
+      const children = state.entries.filter(child => child !== entry && child.path.startsWith(`${entry.path}/`) && child.verdict);
+      entry.verdict = children.reduce((worst, child) => ((rank[child.verdict] || 0) > (rank[worst] || 0) ? child.verdict : worst), 'clean');
+    }
+
+    const entries = state.entries.map((entry) => {
+      const result = { path: entry.path, size: entry.size, verdict: entry.skipped ? 'skipped' : entry.verdict };
+      if (entry.archive) result.archive = entry.archive;
+      if (entry.verdict === 'infected' && !entry.archive) result.viruses = entry.viruses;
+      if (entry.error) result.error = entry.error;
+      if (entry.skipped) result.reason = entry.skipped;
+      return result;
+    });
+    const viruses = [...new Set(entries.flatMap(entry => entry.viruses || []))];
+    const failed = state.entries.find(entry => entry.scanError);
+    if (failed && viruses.length === 0) {
+      failed.scanError.entryPath = failed.path;
+      throw failed.scanError;
+    }
+
+    return {
+      format: fileType.type,
+      entryCount: entries.length,
+      expandedSize: state.expandedSize,
+      infected: viruses.length > 0,
+      viruses,
+      entries
+    };
+  }
+}
+
+module.exports = {
+  ArchiveInspector,
+  ArchiveError
+};
@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { Logger } = require('./logger');
+
+// Audit trail of scan outcomes, in a SQLite database
+//
+// Every scan that ends in a verdict or an error is one row: what the file was (name, size,
+// SHA-256, detected type), what clamd said (verdict, signatures, scan method, signature
+// database version), how long it took, what went wrong if it failed, and who sent it
+// (API key, IP, user agent). Rows are only ever added - the retention sweep is the only
+// thing that removes them.
+//
+// SQLite in WAL mode lets several PM2 workers write to the same file. Writes are synchronous
+// and small (one INSERT per scan), so they don't need a queue.
+
+const VERDICTS = ['clean', 'infected', 'error', 'unscanned'];
+
+// Columns of an exported row, in order - list() returns rows with these keys
+const AUDIT_FIELDS = [
+  'id', 'requestId', 'scannedAt', 'verdict', 'fileName', 'fileSize', 'sha256', 'detectedType',
+  'viruses', 'scanMethod', 'cached', 'signatureVersion', 'uploadDuration', 'scanDuration',
+  'totalDuration', 'errorStage', 'errorCode', 'errorMessage', 'apiKeyId', 'clientIp', 'userAgent'
+];
+
+// A CSV field - quoted when needed, and with a leading ' on text a spreadsheet would run as a formula
+const csvField = (field) => {
+  if (field === null || field === undefined) return '';
+  let text = Array.isArray(field) ? field.join(';') : String(field);
+  if (typeof field === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS scans (
+    id                INTEGER PRIMARY KEY AUTOINCREMENT,
+    request_id        TEXT NOT NULL,
+    scanned_at        INTEGER NOT NULL,
+    verdict           TEXT NOT NULL,
+    file_name         TEXT,
+    file_size         INTEGER,
+    sha256            TEXT,
+    detected_type     TEXT,
+    viruses           TEXT NOT NULL DEFAULT '[]',
+    scan_method       TEXT,
+    cached            INTEGER NOT NULL DEFAULT 0,
+    signature_version INTEGER,
+    upload_duration   INTEGER,
+    scan_duration     INTEGER,
+    total_duration    INTEGER,
+    error_stage       TEXT,
+    error_code        TEXT,
+    error_message     TEXT,
+    api_key_id        TEXT,
+    client_ip         TEXT,
+    user_agent        TEXT
+  );
+  CREATE INDEX IF NOT EXISTS scans_scanned_at ON scans (scanned_at);
+  CREATE INDEX IF NOT EXISTS scans_verdict ON scans (verdict, scanned_at);
+  CREATE INDEX IF NOT EXISTS scans_api_key ON scans (api_key_id, scanned_at);
+  CREATE INDEX IF NOT EXISTS scans_sha256 ON scans (sha256);
+  CREATE INDEX IF NOT EXISTS scans_request_id ON scans (request_id);
+`;
+
+const fromRow = (row) => ({
+  id: row.id,
+  requestId: row.request_id,
+  scannedAt: new Date(row.scanned_at).toISOString(),
+  verdict: row.verdict,
+  fileName: row.file_name,
+  fileSize: row.file_size,
+  sha256: row.sha256,
+  detectedType: row.detected_type,
+  viruses: JSON.parse(row.viruses),
+  scanMethod: row.scan_method,
+  cached: Boolean(row.cached),
+  signatureVersion: row.signature_version,
+  uploadDuration: row.upload_duration,
+  scanDuration: row.scan_duration,
+  totalDuration: row.total_duration,
+  errorStage: row.error_stage,
+  errorCode: row.error_code,
+  errorMessage: row.error_message,
+  apiKeyId: row.api_key_id,
+  clientIp: row.client_ip,
+  userAgent: row.user_agent
+});
+
+// WHERE clause and parameters for the filters of list() and count()
+const buildFilter = ({ from = null, to = null, verdicts = null, apiKeyId = null, clientIp = null, sha256 = null, fileName = null, requestId = null, beforeId = null }) => {
+  const conditions = [];
+  const params = {};
+  if (from !== null) {
+    conditions.push('scanned_at >= @from');
+    params.from = from;
+  }
+  if (to !== null) {
+    conditions.push('scanned_at < @to');
+    params.to = to;
+  }
+  if (verdicts && verdicts.length > 0) {
+    conditions.push(`verdict IN (${verdicts.map((verdict, i) => `@verdict${i}`).join(', ')})`);
+    verdicts.forEach((verdict, i) => {
+      params[`verdict${i}`] = verdict;
+    });
+  }
+  if (apiKeyId !== null) {
+    conditions.push('api_key_id = @apiKeyId');
+    params.apiKeyId = apiKeyId;
+  }
+  if (clientIp !== null) {
+    conditions.push('client_ip = @clientIp');
+    params.clientIp = clientIp;
+  }
+  if (sha256 !== null) {
+    conditions.push('sha256 = @sha256');
+    params.sha256 = sha256.toLowerCase();
+  }
+  if (fileName !== null) {
+    // Part of the name, case-insensitive; % and _ in the filter are taken literally
+    conditions.push("file_name LIKE @fileName ESCAPE '\\'");
+    params.fileName = `%${fileName.replace(/[\\%_]/g, char => `\\${char}`)}%`;
+  }
+  if (requestId !== null) {
+    conditions.push('request_id = @requestId');
+    params.requestId = requestId;
+  }
+  if (beforeId !== null) {
+    conditions.push('id < @beforeId');
+    params.beforeId = beforeId;
+  }
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+class AuditLog {
+  constructor({ file, retentionDays = 365, sweepInterval = 60 * 60 * 1000, logger = new Logger() }) {
+    this.file = file;
+    // 0 keeps every row forever
+    this.retentionDays = retentionDays;
+    this.sweepInterval = sweepInterval;
+    this.logger = logger;
+    this.db = null;
+    this._insert = null;
+    this._sweepTimer = null;
+  }
+
+  init() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+    this.db = new Database(this.file);
+    this.db.pragma('journal_mode = WAL');
+    // Other workers may hold the write lock for a moment
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(SCHEMA);
+    this._insert = this.db.prepare(`
+      INSERT INTO scans (
+        request_id, scanned_at, verdict, file_name, file_size, sha256, detected_type, viruses, scan_method,
+        cached, signature_version, upload_duration, scan_duration, total_duration, error_stage, error_code,
+        error_message, api_key_id, client_ip, user_agent
+      ) VALUES (
+        @requestId, @scannedAt, @verdict, @fileName, @fileSize, @sha256, @detectedType, @viruses, @scanMethod,
+        @cached, @signatureVersion, @uploadDuration, @scanDuration, @totalDuration, @errorStage, @errorCode,
+        @errorMessage, @apiKeyId, @clientIp, @userAgent
+      )
+    `);
+  }
+
+  // Records one scan outcome; returns the row's ID
+  // `client` is { ip, userAgent, apiKeyId } as the quarantine metadata has it
+  record({
+    requestId, verdict, fileName = null, fileSize = null, sha256 = null, detectedType = null, viruses = [],
+    scanMethod = null, cached = false, signatureVersion = null, uploadDuration = null, scanDuration = null,
+    totalDuration = null, errorStage = null, errorCode = null, errorMessage = null, client = null
+  }) {
+    if (!VERDICTS.includes(verdict)) {
+      throw new Error(`Invalid audit verdict: ${verdict}`);
+    }
+    const { lastInsertRowid } = this._insert.run({
+      requestId,
+      scannedAt: Date.now(),
+      verdict,
+      fileName,
+      fileSize,
+      sha256,
+      detectedType,
+      viruses: JSON.stringify(viruses || []),
+      scanMethod,
+      cached: cached ? 1 : 0,
+      signatureVersion,
+      uploadDuration,
+      scanDuration,
+      totalDuration,
+      errorStage,
+      errorCode: errorCode === undefined || errorCode === null ? null : String(errorCode),
+      errorMessage,
+      apiKeyId: client ? client.apiKeyId || null : null,
+      clientIp: client ? client.ip || null : null,
+      userAgent: client ? client.userAgent || null : null
+    });
+    return Number(lastInsertRowid);
+  }
+
+  // Rows matching `filter`, newest first
+  // filter: { from, to (ms), verdicts, apiKeyId, clientIp, sha256, fileName (part of it), requestId,
+  // beforeId (only rows older than that one - for walking through everything in pages) }
+  list(filter = {}, { limit = 50, offset = 0 } = {}) {
+    const { where, params } = buildFilter(filter);
+    return this.db
+      .prepare(`SELECT * FROM scans ${where} ORDER BY id DESC LIMIT @limit OFFSET @offset`)
+      .all({ ...params, limit, offset })
+      .map(fromRow);
+  }
+
+  count(filter = {}) {
+    const { where, params } = buildFilter(filter);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM scans ${where}`).get(params).count;
+  }
+
+  // Scans matching `filter` grouped into buckets of `bucketMs` by when they were scanned, oldest
+  // first - only buckets with scans in them. Each has the counts by verdict, the bytes scanned and
+  // the average and longest scan and total durations (ms). Verdicts from the cache took no scanning,
+  // so they are counted but left out of the durations.
+  stats(filter = {}, { bucketMs }) {
+    const { where, params } = buildFilter(filter);
+    const timed = 'CASE WHEN cached = 0 THEN';
+    return this.db.prepare(`
+      SELECT
+        scanned_at - scanned_at % @bucketMs AS start,
+        COUNT(*) AS total,
+        ${VERDICTS.map(verdict => `SUM(verdict = '${verdict}') AS ${verdict}`).join(', ')},
+        SUM(cached) AS cached,
+        COALESCE(SUM(file_size), 0) AS bytes,
+        AVG(${timed} scan_duration END) AS avgScanDuration,
+        MAX(${timed} scan_duration END) AS maxScanDuration,
+        AVG(${timed} total_duration END) AS avgTotalDuration,
+        MAX(${timed} total_duration END) AS maxTotalDuration
+      FROM scans ${where}
+      GROUP BY start
+      ORDER BY start
+    `).all({ ...params, bucketMs }).map(row => ({
+      ...row,
+      start: new Date(row.start).toISOString(),
+      avgScanDuration: row.avgScanDuration === null ? null : Math.round(row.avgScanDuration),
+      avgTotalDuration: row.avgTotalDuration === null ? null : Math.round(row.avgTotalDuration)
+    }));
+  }
+
+  // Removes rows older than the retention period
+  sweep() {
+    if (!this.retentionDays) return 0;
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const { changes } = this.db.prepare('DELETE FROM scans WHERE scanned_at < ?').run(cutoff);
+    if (changes > 0) {
+      this.logger.info('Removed expired audit entries', { stage: 'audit', removed: changes, retentionDays: this.retentionDays });
+    }
+    return changes;
+  }
+
+  startRetention() {
+    if (this._sweepTimer || !this.retentionDays) return;
+    const sweep = () => {
+      try {
+        this.sweep();
+      } catch (error) {
+        this.logger.error('Audit retention sweep failed', { stage: 'audit', error });
+      }
+    };
+    sweep();
+    this._sweepTimer = setInterval(sweep, this.sweepInterval);
+    // Don't keep the process alive just for cleanup
+    this._sweepTimer.unref();
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = {
+  AuditLog,
+  AUDIT_FIELDS,
+  VERDICTS,
+  csvField
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+// ClamAV (clamd) connection settings
+//
+// Endpoints can come from (first match wins):
+//   CLAMAV_ENDPOINTS  - comma separated list, e.g. "clamav1:3310,clamav2:3310,unix:/var/run/clamav/clamd.ctl"
+//   CLAMAV_SOCKET     - a single Unix socket path
+//   CLAMAV_HOST / CLAMAV_PORT - a single TCP endpoint
+//   CLAMAV_CONFIG     - JSON file with an "endpoints" array (see README)
+// and default to 127.0.0.1:3310, the port docker-compose.yml exposes.
+// Every other setting can be given in the config file and overridden by its env var.
+
+const DEFAULT_PORT = 3310;
+const BALANCING_STRATEGIES = ['round-robin', 'least-busy'];
+
+// Parses an endpoint into ClamdClient options: { host, port } or { socketPath }
+// Accepts "host", "host:port", "tcp://host:port", "[::1]:3310", "unix:/path", "unix:///path", "/path"
+// or, from the config file, { host, port } / { socket } objects
+const parseEndpoint = (spec) => {
+  if (spec && typeof spec === 'object') {
+    if (spec.socket || spec.socketPath) {
+      return { socketPath: spec.socket || spec.socketPath };
+    }
+    if (spec.host) {
+      return { host: spec.host, port: parseInt(spec.port || DEFAULT_PORT, 10) };
+    }
+    throw new Error(`Invalid ClamAV endpoint: ${JSON.stringify(spec)}`);
+  }
+
+  const value = String(spec).trim();
+  if (value.startsWith('unix:')) {
+    return { socketPath: value.replace(/^unix:(\/\/)?/, '') };
+  }
+  if (value.startsWith('/')) {
+    return { socketPath: value };
+  }
+
+  const match = value.replace(/^tcp:\/\//, '').match(/^(\[[^\]]+\]|[^:/]+)(?::(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid ClamAV endpoint: ${value}`);
+  }
+  return {
+    host: match[1].replace(/^\[|\]$/g, ''),
+    port: match[2] ? parseInt(match[2], 10) : DEFAULT_PORT
+  };
+};
+
+const readConfigFile = (file) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read ClamAV config file ${file}: ${error.message}`);
+  }
+};
+
+const loadClamAVConfig = (env = process.env) => {
+  const fileConfig = env.CLAMAV_CONFIG ? readConfigFile(env.CLAMAV_CONFIG) : {};
+
+  let endpoints;
+  if (env.CLAMAV_ENDPOINTS) {
+    endpoints = env.CLAMAV_ENDPOINTS.split(',').map(spec => spec.trim()).filter(Boolean);
+  } else if (env.CLAMAV_SOCKET) {
+    endpoints = [{ socket: env.CLAMAV_SOCKET }];
+  } else if (env.CLAMAV_HOST || env.CLAMAV_PORT) {
+    endpoints = [{ host: env.CLAMAV_HOST || '127.0.0.1', port: env.CLAMAV_PORT || DEFAULT_PORT }];
+  } else if (Array.isArray(fileConfig.endpoints) && fileConfig.endpoints.length > 0) {
+    endpoints = fileConfig.endpoints;
+  } else {
+    endpoints = [`127.0.0.1:${DEFAULT_PORT}`];
+  }
+
+  const number = (envValue, fileValue, fallback) => {
+    const value = envValue !== undefined ? parseInt(envValue, 10) : fileValue;
+    return Number.isFinite(value) ? value : fallback;
+  };
+
+  const balancing = env.CLAMAV_BALANCING || fileConfig.balancing || 'round-robin';
+  if (!BALANCING_STRATEGIES.includes(balancing)) {
+    throw new Error(`Invalid ClamAV balancing strategy "${balancing}" (expected ${BALANCING_STRATEGIES.join(' or ')})`);
+  }
+
+  return {
+    endpoints: endpoints.map(parseEndpoint),
+    balancing,
+    // Concurrent scans per clamd endpoint
+    maxConnections: number(env.CLAMAV_MAX_CONNECTIONS, fileConfig.maxConnections, 5),
+    maxQueueSize: number(env.CLAMAV_MAX_QUEUE_SIZE, fileConfig.maxQueueSize, 20),
+    // How long a scan may wait in the queue for a connection (ms, 0 = no limit)
+    queueTimeout: number(env.CLAMAV_QUEUE_TIMEOUT, fileConfig.queueTimeout, 60000),
+    // Files up to this size (bytes) skip ahead of larger ones in the queue
+    smallFileThreshold: number(env.CLAMAV_SMALL_FILE_THRESHOLD, fileConfig.smallFileThreshold, 1024 * 1024),
+    // Most small files served in a row while larger ones are waiting
+    priorityBurst: number(env.CLAMAV_PRIORITY_BURST, fileConfig.priorityBurst, 4),
+    timeout: number(env.CLAMAV_TIMEOUT, fileConfig.timeout, 300000), // 5 minutes for large files
+    healthCheckInterval: number(env.CLAMAV_HEALTH_CHECK_INTERVAL, fileConfig.healthCheckInterval, 10000),
+    // Consecutive failures before an endpoint is taken out of rotation
+    unhealthyThreshold: number(env.CLAMAV_UNHEALTHY_THRESHOLD, fileConfig.unhealthyThreshold, 2)
+  };
+};
+
+module.exports = {
+  loadClamAVConfig,
+  parseEndpoint
+};
@@ -0,0 +1,516 @@
+const { ClamdClient } = require('./clamd-client');
+const { FairQueue } = require('./fair-queue');
+const { Logger } = require('./logger');
+
+// Error codes that mean a clamd endpoint is unreachable or dropped the connection,
+// as opposed to a problem with the file being scanned
+const ENDPOINT_FAILURE_CODES = ['EPIPE', 'ECONNRESET', 'ECONNREFUSED', 'ENOENT', 'EHOSTUNREACH', 'ENOTFOUND'];
+
+const isEndpointFailure = (error) => Boolean(error && ENDPOINT_FAILURE_CODES.includes(error.code));
+
+// Queued scans cost one plus one per this many bytes of their file (see lib/fair-queue.js)
+const QUEUE_COST_UNIT = 1024 * 1024;
+
+// Connection pool per worker to prevent EPIPE errors with PM2 cluster mode
+//
+// Scans are spread over one or more clamd endpoints (TCP or Unix socket). Each endpoint
+// runs at most `maxConnections` scans at once; further requests wait in the queue.
+// Endpoints are health-checked with PING and taken out of rotation after
+// `unhealthyThreshold` consecutive failures, then put back as soon as they answer again.
+//
+// The queue is shared fairly between tenants (lib/fair-queue.js): files up to
+// `smallFileThreshold` bytes go ahead of larger ones, and when the queue is full a tenant with
+// fewer waiting scans pushes out the newest scan of the tenant with the most. Scans that
+// waited `queueTimeout` ms without getting a connection are rejected.
+class ClamAVConnectionPool {
+  constructor({
+    endpoints,
+    balancing = 'round-robin',
+    maxConnections = 5,
+    maxQueueSize = 20,
+    queueTimeout = 60000,
+    smallFileThreshold = 1024 * 1024,
+    priorityBurst = 4,
+    timeout = 300000,
+    healthCheckInterval = 10000,
+    unhealthyThreshold = 2,
+    logger = new Logger()
+  }) {
+    this.endpoints = endpoints.map(options => ({
+      options,
+      address: new ClamdClient(options).address,
+      healthy: true,
+      inUse: 0,
+      failures: 0,
+      // Connections dropped by removeConnection since startup
+      evictions: 0,
+      lastError: null,
+      lastCheck: null,
+      // From VERSION, refreshed by the health checks
+      engineVersion: null,
+      signatureVersion: null,
+      signatureDate: null
+    }));
+    this.balancing = balancing;
+    this.pool = [];
+    this.inUse = new Set();
+    this.maxConnections = maxConnections;
+    this.queue = new FairQueue({ priorityBurst });
+    this.maxQueueSize = maxQueueSize;
+    this.queueTimeout = queueTimeout;
+    this.smallFileThreshold = smallFileThreshold;
+    // Requests turned away since startup, by reason
+    this.rejections = { queueFull: 0, pushedOut: 0, timedOut: 0, unavailable: 0 };
+    // Queued requests that got a connection since startup, by lane
+    this.served = { small: 0, normal: 0 };
+    this.timeout = timeout;
+    this.healthCheckInterval = healthCheckInterval;
+    this.unhealthyThreshold = unhealthyThreshold;
+    this.initialized = false;
+    this._connectionEndpoints = new Map();
+    this._nextEndpoint = 0;
+    this._healthTimer = null;
+    this._runningCheck = null;
+    this.logger = logger;
+  }
+
+  async _createConnection(endpoint) {
+    const client = new ClamdClient({ ...endpoint.options, timeout: this.timeout });
+    await client.ping();
+
+    if (!this.initialized) {
+      const version = await client.version();
+      this._recordVersion(endpoint, version);
+      this.logger.info('ClamAV connection pool initialized', {
+        endpoint: endpoint.address,
+        version: version.raw,
+        endpoints: this.endpoints.length,
+        balancing: this.balancing
+      });
+      this.initialized = true;
+    }
+
+    this._connectionEndpoints.set(client, endpoint);
+    return client;
+  }
+
+  // Waits for the first endpoint to answer on startup (clamd can take minutes to load signatures)
+  async init() {
+    const maxRetries = 10;
+    const delay = 3000;
+
+    for (let attempt = 1; attempt <= maxRetries; attempt++) {
+      let lastError;
+      for (const endpoint of this.endpoints) {
+        try {
+          const conn = await this._createConnection(endpoint);
+          this.pool.push(conn);
+          this._markHealthy(endpoint);
+          return conn;
+        } catch (error) {
+          endpoint.lastError = error.message;
+          lastError = error;
+        }
+      }
+
+      if (attempt < maxRetries) {
+        const waitTime = delay * attempt;
+        this.logger.warn('ClamAV connection attempt failed, retrying', {
+          attempt,
+          maxRetries,
+          retryInMs: waitTime,
+          endpoints: this.endpoints.map(e => e.address),
+          error: lastError
+        });
+        await new Promise(resolve => setTimeout(resolve, waitTime));
+      } else {
+        this.logger.error('Failed to create ClamAV connection', {
+          attempts: maxRetries,
+          error: lastError,
+          hint: 'Make sure the ClamAV container is running (docker-compose up -d) and check its logs (docker-compose logs clamav)'
+        });
+        throw lastError;
+      }
+    }
+  }
+
+  // Healthy endpoints that can take another scan right now
+  _availableEndpoints() {
+    return this.endpoints.filter(e => e.healthy && e.inUse < this.maxConnections);
+  }
+
+  _selectEndpoint() {
+    const available = this._availableEndpoints();
+    if (available.length === 0) {
+      return null;
+    }
+
+    // Walk the endpoint list starting after the last pick, so ties rotate
+    const ordered = [];
+    for (let i = 0; i < this.endpoints.length; i++) {
+      const endpoint = this.endpoints[(this._nextEndpoint + i) % this.endpoints.length];
+      if (available.includes(endpoint)) {
+        ordered.push(endpoint);
+      }
+    }
+
+    let selected = ordered[0];
+    if (this.balancing === 'least-busy') {
+      selected = ordered.reduce((best, e) => (e.inUse < best.inUse ? e : best), ordered[0]);
+    }
+
+    this._nextEndpoint = (this.endpoints.indexOf(selected) + 1) % this.endpoints.length;
+    return selected;
+  }
+
+  _unavailableError() {
+    const error = new Error(`No healthy ClamAV endpoints available (${this.endpoints.map(e => e.address).join(', ')})`);
+    error.code = 'CLAMAV_UNAVAILABLE';
+    return error;
+  }
+
+  // Hands a connection to a waiter, queues it, or rejects it when nothing can serve it
+  _dispatch(waiter) {
+    const endpoint = this._selectEndpoint();
+
+    if (!endpoint) {
+      if (!this.endpoints.some(e => e.healthy)) {
+        this.rejections.unavailable++;
+        waiter.reject(this._unavailableError());
+        return;
+      }
+
+      // Queue request if every endpoint is busy
+      this._enqueue(waiter);
+      return;
+    }
+
+    if (waiter.queuedAt) {
+      this.served[waiter.lane]++;
+    }
+
+    // Reserve the slot before connecting so concurrent acquires don't overshoot the limit
+    endpoint.inUse++;
+
+    const idle = this.pool.find(c => this._connectionEndpoints.get(c) === endpoint && !this.inUse.has(c));
+    if (idle) {
+      this.inUse.add(idle);
+      waiter.resolve(idle);
+      return;
+    }
+
+    this._createConnection(endpoint)
+      .then(conn => {
+        this.pool.push(conn);
+        this.inUse.add(conn);
+        waiter.resolve(conn);
+      })
+      .catch(error => {
+        // Fail over to the next endpoint (or queue/reject if there is none)
+        endpoint.inUse--;
+        this._recordFailure(endpoint, error);
+        this._dispatch(waiter);
+      });
+  }
+
+  _enqueue(waiter) {
+    if (this.queue.length >= this.maxQueueSize) {
+      const victim = this.queue.pushOutCandidate(waiter.tenant);
+      if (!victim) {
+        this.rejections.queueFull++;
+        waiter.reject(queueError('Connection pool queue is full. Too many concurrent scan requests.', 'QUEUE_FULL'));
+        return;
+      }
+      // The tenant hogging the queue loses its newest scan rather than somebody else losing theirs
+      this.queue.remove(victim);
+      clearTimeout(victim.item.timer);
+      this.rejections.pushedOut++;
+      this.logger.warn('Pushed a queued scan out of the full queue', {
+        tenant: victim.tenant,
+        forTenant: waiter.tenant,
+        queueLength: this.queue.length
+      });
+      victim.item.reject(queueError(
+        'Connection pool queue is full. Too many concurrent scan requests from this client.',
+        'QUEUE_FULL'
+      ));
+    }
+
+    waiter.queuedAt = waiter.queuedAt || Date.now();
+    waiter.entry = this.queue.push(waiter, { tenant: waiter.tenant, weight: waiter.weight, cost: waiter.cost, lane: waiter.lane });
+    if (waiter.queueTimeout > 0) {
+      waiter.timer = setTimeout(() => {
+        if (!this.queue.remove(waiter.entry)) return;
+        this.rejections.timedOut++;
+        waiter.reject(queueError(
+          `No ClamAV connection became free within ${waiter.queueTimeout}ms. The scanners are busy - please try again later.`,
+          'QUEUE_TIMEOUT'
+        ));
+        this._reportPositions();
+      }, Math.max(0, waiter.queuedAt + waiter.queueTimeout - Date.now()));
+      waiter.timer.unref();
+    }
+    this._reportPositions();
+  }
+
+  // Tells every waiter whose place in line changed (new arrivals may go ahead of it)
+  _reportPositions() {
+    this.queue.ordered().forEach((entry, index) => {
+      const waiter = entry.item;
+      if (waiter.position !== index + 1) {
+        waiter.position = index + 1;
+        if (waiter.onQueued) {
+          waiter.onQueued(waiter.position, waiter.lane);
+        }
+      }
+    });
+  }
+
+  // Process queued requests while any endpoint has a free slot
+  _drainQueue() {
+    while (this.queue.length > 0 && this._availableEndpoints().length > 0) {
+      const waiter = this.queue.shift();
+      clearTimeout(waiter.timer);
+      waiter.position = null;
+      this._dispatch(waiter);
+    }
+    this._reportPositions();
+  }
+
+  // Options, all optional:
+  //   tenant, weight - who the scan is for (e.g. the API key) and its share of the connections
+  //   size           - the file's size in bytes, if known: small files get the priority lane and
+  //                    larger ones count for more against their tenant's share
+  //   queueTimeout   - ms to wait for a connection before rejecting with QUEUE_TIMEOUT (0 = forever)
+  //   onQueued(position, lane) - called when the request has to wait for a free connection, and
+  //                    again whenever its place in line changes (position 1 is next in line)
+  acquire(options = {}) {
+    const {
+      tenant = 'default',
+      weight = 1,
+      size = null,
+      queueTimeout = this.queueTimeout,
+      onQueued
+    } = options;
+    const small = size !== null && size <= this.smallFileThreshold;
+    return new Promise((resolve, reject) => {
+      this._dispatch({
+        resolve,
+        reject,
+        onQueued,
+        tenant,
+        weight,
+        lane: small ? 'small' : 'normal',
+        cost: size !== null ? 1 + size / QUEUE_COST_UNIT : 1,
+        queueTimeout
+      });
+    });
+  }
+
+  release(conn) {
+    const endpoint = this._connectionEndpoints.get(conn);
+    if (this.inUse.delete(conn) && endpoint) {
+      endpoint.inUse--;
+    }
+
+    this._drainQueue();
+  }
+
+  // Remove bad connection from pool (e.g., after EPIPE error)
+  // The error counts as a failure of the connection's endpoint
+  removeConnection(conn, error = null) {
+    const endpoint = this._connectionEndpoints.get(conn);
+    if (this.inUse.delete(conn) && endpoint) {
+      endpoint.inUse--;
+    }
+    this._connectionEndpoints.delete(conn);
+
+    const index = this.pool.indexOf(conn);
+    if (index > -1) {
+      this.pool.splice(index, 1);
+      if (endpoint) {
+        endpoint.evictions++;
+      }
+      this.logger.warn('Removed bad ClamAV connection from pool', {
+        endpoint: endpoint ? endpoint.address : null,
+        poolSize: this.pool.length,
+        error: error || undefined
+      });
+    }
+
+    if (endpoint) {
+      this._recordFailure(endpoint, error);
+    }
+
+    // A queued request may have been waiting for this slot
+    this._drainQueue();
+  }
+
+  _recordFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.lastError = error ? error.message : 'Connection failed';
+
+    if (endpoint.healthy && endpoint.failures >= this.unhealthyThreshold) {
+      endpoint.healthy = false;
+      this.logger.warn('ClamAV endpoint taken out of rotation', {
+        endpoint: endpoint.address,
+        failures: endpoint.failures,
+        lastError: endpoint.lastError
+      });
+
+      // Idle connections to it are no use any more
+      this.pool = this.pool.filter(conn => {
+        if (this._connectionEndpoints.get(conn) === endpoint && !this.inUse.has(conn)) {
+          this._connectionEndpoints.delete(conn);
+          return false;
+        }
+        return true;
+      });
+
+      // Nobody is left to serve queued requests
+      if (!this.endpoints.some(e => e.healthy)) {
+        let waiter;
+        while ((waiter = this.queue.shift()) !== undefined) {
+          clearTimeout(waiter.timer);
+          this.rejections.unavailable++;
+          waiter.reject(this._unavailableError());
+        }
+      }
+    }
+  }
+
+  _markHealthy(endpoint) {
+    if (!endpoint.healthy) {
+      this.logger.info('ClamAV endpoint is back in rotation', { endpoint: endpoint.address });
+    }
+    endpoint.healthy = true;
+    endpoint.failures = 0;
+    endpoint.lastError = null;
+  }
+
+  _recordVersion(endpoint, { engine, signatureVersion, signatureDate }) {
+    if (endpoint.signatureVersion !== null && signatureVersion !== endpoint.signatureVersion) {
+      this.logger.info('ClamAV signature database updated', {
+        endpoint: endpoint.address,
+        previousVersion: endpoint.signatureVersion,
+        signatureVersion
+      });
+    }
+    endpoint.engineVersion = engine;
+    endpoint.signatureVersion = signatureVersion;
+    endpoint.signatureDate = signatureDate;
+  }
+
+  // PING (and VERSION, to notice signature updates) every endpoint once
+  // Calls made while a check is running share its result instead of starting another one
+  checkHealth() {
+    if (!this._runningCheck) {
+      this._runningCheck = this._checkEndpoints().finally(() => {
+        this._runningCheck = null;
+      });
+    }
+    return this._runningCheck;
+  }
+
+  async _checkEndpoints() {
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      // Short timeout - a health check shouldn't wait as long as a scan
+      const client = new ClamdClient({ ...endpoint.options, timeout: Math.min(this.timeout, 5000) });
+      try {
+        await client.ping();
+        this._markHealthy(endpoint);
+        this._recordVersion(endpoint, await client.version());
+      } catch (error) {
+        this._recordFailure(endpoint, error);
+      } finally {
+        endpoint.lastCheck = new Date().toISOString();
+      }
+    }));
+
+    this._drainQueue();
+  }
+
+  startHealthChecks() {
+    if (this._healthTimer || this.healthCheckInterval <= 0) {
+      return;
+    }
+    this._healthTimer = setInterval(() => {
+      this.checkHealth().catch(error => this.logger.error('ClamAV health check failed', { error }));
+    }, this.healthCheckInterval);
+    // Don't keep the process alive just for health checks
+    this._healthTimer.unref();
+  }
+
+  stopHealthChecks() {
+    clearInterval(this._healthTimer);
+    this._healthTimer = null;
+  }
+
+  // Per-endpoint state for the health endpoint
+  status() {
+    return this.endpoints.map(e => ({
+      address: e.address,
+      healthy: e.healthy,
+      inUse: e.inUse,
+      maxConnections: this.maxConnections,
+      failures: e.failures,
+      evictions: e.evictions,
+      lastError: e.lastError,
+      lastCheck: e.lastCheck,
+      engineVersion: e.engineVersion,
+      signatureVersion: e.signatureVersion,
+      signatureDate: e.signatureDate ? e.signatureDate.toISOString() : null
+    }));
+  }
+
+  // State of the queue for the health endpoint and metrics
+  queueStats() {
+    const { tenants, lanes } = this.queue.counts();
+    const now = Date.now();
+    const waitTimes = this.queue.ordered().map(entry => now - entry.item.queuedAt);
+    return {
+      length: this.queue.length,
+      capacity: this.maxQueueSize,
+      timeout: this.queueTimeout,
+      smallFileThreshold: this.smallFileThreshold,
+      // Waiting scans, by lane and by tenant
+      lanes,
+      tenants,
+      oldestWait: waitTimes.length > 0 ? Math.max(...waitTimes) : 0,
+      served: { ...this.served },
+      rejections: { ...this.rejections }
+    };
+  }
+
+  // Newest signature database version among the healthy endpoints (null until one has reported)
+  // Endpoints still on an older version are catching up - their verdicts are already outdated
+  signatureVersion() {
+    const versions = this.endpoints
+      .filter(e => e.healthy && e.signatureVersion !== null)
+      .map(e => e.signatureVersion);
+    return versions.length > 0 ? Math.max(...versions) : null;
+  }
+
+  // Signature database version of the endpoint a connection belongs to
+  signatureVersionOf(conn) {
+    const endpoint = this._connectionEndpoints.get(conn);
+    return endpoint ? endpoint.signatureVersion : null;
+  }
+
+  // Whether the pool has connected to clamd at least once - not whether clamd is still there
+  // (checkHealth and the endpoints' `healthy` flags tell that)
+  isReady() {
+    return this.initialized || this.pool.length > 0;
+  }
+}
+
+const queueError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+module.exports = {
+  ClamAVConnectionPool,
+  isEndpointFailure
+};
@@ -0,0 +1,262 @@
+const net = require('net');
+const { Transform } = require('stream');
+
+// Minimal client for the clamd socket protocol (TCP or Unix socket)
+// Every command opens its own connection and uses the null-terminated "z" form,
+// so replies can be read until clamd closes the socket.
+// Protocol reference: https://docs.clamav.net/manual/Usage/Scanning.html#clamd
+
+// Errors reported by clamd itself (or by talking to it). `code` is one of:
+//   CLAMD_SIZE_LIMIT       - INSTREAM data exceeded clamd's StreamMaxLength
+//   CLAMD_ERROR            - any other "... ERROR" reply
+//   CLAMD_UNEXPECTED_REPLY - a reply this client does not understand
+//   ETIMEDOUT              - clamd did not answer within the configured timeout
+class ClamdError extends Error {
+  constructor(message, code, reply = null) {
+    super(message);
+    this.name = 'ClamdError';
+    this.code = code;
+    this.reply = reply;
+  }
+}
+
+// Frames a byte stream into INSTREAM chunks: <4-byte big-endian length><data>,
+// terminated by a zero-length chunk once the source ends
+class InstreamTransform extends Transform {
+  constructor() {
+    super();
+    this.bytes = 0;
+  }
+
+  _transform(chunk, encoding, cb) {
+    const size = Buffer.alloc(4);
+    size.writeUInt32BE(chunk.length, 0);
+    this.bytes += chunk.length;
+    this.push(size);
+    cb(null, chunk);
+  }
+
+  _flush(cb) {
+    cb(null, Buffer.alloc(4));
+  }
+}
+
+// Turns a reply to INSTREAM ("stream: OK", "stream: <signature> FOUND", "<reason> ERROR")
+// into a scan result: { isInfected, viruses, resultString }
+// Anything that is not a verdict is thrown as a ClamdError
+const parseScanReply = (reply) => {
+  const resultString = reply.replace(/[\0\s]+$/, '');
+
+  if (/^stream: OK$/.test(resultString)) {
+    return { isInfected: false, viruses: [], resultString };
+  }
+
+  const found = resultString.match(/^stream: (.+) FOUND$/);
+  if (found) {
+    return { isInfected: true, viruses: [found[1]], resultString };
+  }
+
+  if (resultString === 'COMMAND READ TIMED OUT') {
+    throw new ClamdError('clamd timed out waiting for stream data', 'ETIMEDOUT', resultString);
+  }
+
+  const error = resultString.match(/^(.*) ERROR$/);
+  if (error) {
+    const code = /size limit exceeded/i.test(error[1]) ? 'CLAMD_SIZE_LIMIT' : 'CLAMD_ERROR';
+    throw new ClamdError(`clamd error: ${error[1]}`, code, resultString);
+  }
+
+  throw new ClamdError(`Unexpected reply from clamd: ${resultString}`, 'CLAMD_UNEXPECTED_REPLY', resultString);
+};
+
+// Parses a VERSION reply, e.g. "ClamAV 1.2.0/27100/Mon Oct 14 08:21:09 2024"
+// The signature database parts are missing when clamd has no database loaded
+const parseVersionReply = (reply) => {
+  const raw = reply.replace(/[\0\s]+$/, '');
+  const [engine, database, date] = raw.replace(/^ClamAV\s+/, '').split('/');
+  const signatureDate = date ? new Date(date) : null;
+
+  return {
+    raw,
+    engine,
+    signatureVersion: database ? parseInt(database, 10) : null,
+    signatureDate: signatureDate && !isNaN(signatureDate.getTime()) ? signatureDate : null
+  };
+};
+
+// Parses the interesting parts of a STATS reply:
+//   POOLS: 1
+//   STATE: VALID PRIMARY
+//   THREADS: live 1  idle 0 max 10 idle-timeout 30
+//   QUEUE: 0 items
+const parseStatsReply = (reply) => {
+  const raw = reply.replace(/[\0\s]+$/, '');
+  const field = (name) => {
+    const match = raw.match(new RegExp(`^${name}: (.*)$`, 'm'));
+    return match ? match[1].trim() : null;
+  };
+  const number = (text, pattern) => {
+    const match = text && text.match(pattern);
+    return match ? parseInt(match[1], 10) : null;
+  };
+
+  const threads = field('THREADS');
+  return {
+    raw,
+    pools: number(field('POOLS'), /^(\d+)/),
+    state: field('STATE'),
+    threads: {
+      live: number(threads, /live (\d+)/),
+      idle: number(threads, /idle (\d+)/),
+      max: number(threads, /max (\d+)/)
+    },
+    queueLength: number(field('QUEUE'), /^(\d+)/)
+  };
+};
+
+class ClamdClient {
+  // Pass either socketPath (Unix socket) or host/port (TCP)
+  // timeout applies to socket inactivity, so a slow scan of a large file is fine
+  // as long as clamd keeps the connection alive
+  constructor({ host = '127.0.0.1', port = 3310, socketPath = null, timeout = 300000 } = {}) {
+    this.host = host;
+    this.port = port;
+    this.socketPath = socketPath;
+    this.timeout = timeout;
+  }
+
+  get address() {
+    return this.socketPath ? `unix:${this.socketPath}` : `${this.host}:${this.port}`;
+  }
+
+  _connect() {
+    const socket = this.socketPath
+      ? net.createConnection({ path: this.socketPath })
+      : net.createConnection({ host: this.host, port: this.port });
+
+    socket.setTimeout(this.timeout, () => {
+      socket.destroy(new ClamdError(`No reply from clamd (${this.address}) within ${this.timeout}ms`, 'ETIMEDOUT'));
+    });
+
+    return socket;
+  }
+
+  // Sends a single command and resolves with the full reply once clamd closes the connection
+  _command(command) {
+    return new Promise((resolve, reject) => {
+      const socket = this._connect();
+      const chunks = [];
+
+      socket.on('data', (chunk) => chunks.push(chunk));
+      socket.on('error', reject);
+      socket.on('end', () => resolve(Buffer.concat(chunks).toString('utf8').replace(/[\0\s]+$/, '')));
+
+      socket.write(`z${command}\0`);
+    });
+  }
+
+  async ping() {
+    const reply = await this._command('PING');
+    if (reply !== 'PONG') {
+      throw new ClamdError(`Unexpected reply to PING: ${reply}`, 'CLAMD_UNEXPECTED_REPLY', reply);
+    }
+    return true;
+  }
+
+  async version() {
+    return parseVersionReply(await this._command('VERSION'));
+  }
+
+  async stats() {
+    return parseStatsReply(await this._command('STATS'));
+  }
+
+  // Scans a readable stream with INSTREAM
+  // The stream is piped, so clamd's read speed applies backpressure to the source.
+  // On failure the stream is unpiped but left open - the caller decides whether to drain it.
+  // options.onProgress(bytes) is called after each chunk with the total bytes sent so far.
+  // options.cancelled is an optional promise - once it resolves the scan is abandoned and
+  // rejects with code SCAN_CANCELLED.
+  // Resolves with { isInfected, viruses, resultString, bytesScanned, streamDuration, scanDuration }
+  // where scanDuration is the time clamd took after receiving the last chunk
+  scanStream(stream, options = {}) {
+    return new Promise((resolve, reject) => {
+      // A source that already failed won't emit anything again - scanning it would wait forever
+      if (stream.destroyed) {
+        const error = new Error('Stream was closed before the scan started');
+        error.code = 'ERR_STREAM_DESTROYED';
+        reject(error);
+        return;
+      }
+
+      const startTime = Date.now();
+      let streamEndTime = null;
+      let settled = false;
+
+      const socket = this._connect();
+      const framer = new InstreamTransform();
+      const replyChunks = [];
+
+      const finish = (err) => {
+        if (settled) return;
+        settled = true;
+
+        stream.unpipe(framer);
+        framer.unpipe(socket);
+        framer.destroy();
+        socket.destroy();
+
+        // clamd replies before closing the connection when it rejects a stream (e.g. size limit),
+        // and our writes then fail with EPIPE/ECONNRESET - the reply is the more useful error
+        const reply = Buffer.concat(replyChunks).toString('utf8');
+        if (err && !reply) {
+          reject(err);
+          return;
+        }
+
+        try {
+          const endTime = Date.now();
+          resolve({
+            ...parseScanReply(reply),
+            bytesScanned: framer.bytes,
+            streamDuration: (streamEndTime || endTime) - startTime,
+            scanDuration: endTime - (streamEndTime || startTime)
+          });
+        } catch (parseError) {
+          reject(parseError);
+        }
+      };
+
+      socket.on('data', (chunk) => replyChunks.push(chunk));
+      socket.on('end', () => finish(null));
+      socket.on('error', finish);
+      stream.on('error', finish);
+      framer.on('end', () => {
+        streamEndTime = Date.now();
+      });
+      if (options.onProgress) {
+        framer.on('data', () => options.onProgress(framer.bytes));
+      }
+      if (options.cancelled) {
+        options.cancelled.then(() => {
+          const error = new Error('Scan was cancelled');
+          error.code = 'SCAN_CANCELLED';
+          replyChunks.length = 0;
+          finish(error);
+        });
+      }
+
+      socket.write('zINSTREAM\0');
+      // Keep our side of the socket open after the terminating chunk - clamd closes it once it has replied
+      stream.pipe(framer).pipe(socket, { end: false });
+    });
+  }
+}
+
+module.exports = {
+  ClamdClient,
+  ClamdError,
+  parseScanReply,
+  parseVersionReply,
+  parseStatsReply
+};
@@ -0,0 +1,168 @@
+// Wait queue of the ClamAV connection pool: fair between tenants, with a fast lane for small files
+//
+// Every entry belongs to a tenant (the API key it was sent with) and a lane:
+//   small  - files of known size up to the pool's smallFileThreshold; served first, but at
+//            most `priorityBurst` in a row while normal entries are waiting, so those still move
+//   normal - everything else
+//
+// Within a lane, tenants share the connections by weight with start-time fair queuing: each
+// entry is tagged with a virtual start time, max(lane clock, the tenant's previous finish), and
+// finishes `cost / weight` later. The entry with the lowest start goes next and moves the lane
+// clock up to it. A tenant with twice the weight gets twice the scans (or bytes) of a busy
+// tenant; a tenant that has been idle starts at the clock, so it can't bank credit.
+// `cost` should grow with the work the entry means - the pool uses the file size.
+
+const LANES = ['small', 'normal'];
+
+class FairQueue {
+  constructor({ priorityBurst = 4 } = {}) {
+    this.priorityBurst = priorityBurst;
+    // lane -> { clock, tenants: Map(tenant -> { entries, lastFinish }) }
+    this.lanes = {};
+    LANES.forEach((lane) => {
+      this.lanes[lane] = { clock: 0, tenants: new Map() };
+    });
+    this.length = 0;
+    this._smallStreak = 0;
+    this._sequence = 0;
+  }
+
+  // Adds `item`; returns the entry, which remove() takes
+  push(item, { tenant, weight = 1, cost = 1, lane = 'normal' }) {
+    const laneState = this.lanes[lane];
+    let tenantState = laneState.tenants.get(tenant);
+    if (!tenantState) {
+      tenantState = { entries: [], lastFinish: 0 };
+      laneState.tenants.set(tenant, tenantState);
+    }
+
+    const start = Math.max(laneState.clock, tenantState.lastFinish);
+    const entry = { item, tenant, lane, start, sequence: this._sequence++ };
+    tenantState.lastFinish = start + cost / weight;
+    tenantState.entries.push(entry);
+    this.length++;
+    return entry;
+  }
+
+  // Takes the item that is next in line (undefined when the queue is empty)
+  shift() {
+    const normalWaiting = this._laneLength('normal') > 0;
+    const lane = this._nextLane(this._laneLength('small') > 0, normalWaiting, this._smallStreak);
+    if (!lane) return undefined;
+    this._smallStreak = nextStreak(lane, normalWaiting, this._smallStreak);
+
+    const laneState = this.lanes[lane];
+    let next = null;
+    laneState.tenants.forEach(({ entries }) => {
+      if (entries.length > 0 && (!next || before(entries[0], next))) {
+        next = entries[0];
+      }
+    });
+    laneState.clock = Math.max(laneState.clock, next.start);
+    this._removeEntry(next);
+    return next.item;
+  }
+
+  // Removes an entry that is still waiting (a timeout, or pushed out of a full queue)
+  remove(entry) {
+    const { entries } = this.lanes[entry.lane].tenants.get(entry.tenant) || { entries: [] };
+    if (!entries.includes(entry)) return false;
+    this._removeEntry(entry);
+    return true;
+  }
+
+  // Entries in the order they would be served if nothing else arrived
+  ordered() {
+    const byLane = {};
+    LANES.forEach((lane) => {
+      byLane[lane] = [];
+      this.lanes[lane].tenants.forEach(({ entries }) => byLane[lane].push(...entries));
+      byLane[lane].sort((a, b) => (before(a, b) ? -1 : 1));
+    });
+
+    const order = [];
+    let streak = this._smallStreak;
+    for (;;) {
+      const lane = this._nextLane(byLane.small.length > 0, byLane.normal.length > 0, streak);
+      if (!lane) return order;
+      streak = nextStreak(lane, byLane.normal.length > 0, streak);
+      order.push(byLane[lane].shift());
+    }
+  }
+
+  // Waiting entries by tenant and lane
+  counts() {
+    const tenants = {};
+    const lanes = {};
+    LANES.forEach((lane) => {
+      lanes[lane] = 0;
+      this.lanes[lane].tenants.forEach(({ entries }, tenant) => {
+        lanes[lane] += entries.length;
+        if (entries.length > 0) {
+          tenants[tenant] = (tenants[tenant] || 0) + entries.length;
+        }
+      });
+    });
+    return { tenants, lanes };
+  }
+
+  // The newest entry of the tenant with the most entries - if that tenant has at least two more
+  // than `tenant`, so that making room for `tenant` can't turn it into the biggest one
+  // Used to push a heavy tenant's entry out of a full queue instead of turning away a light one
+  pushOutCandidate(tenant) {
+    const { tenants } = this.counts();
+    const own = tenants[tenant] || 0;
+    let heaviest = null;
+    Object.entries(tenants).forEach(([name, count]) => {
+      if (name !== tenant && count > own + 1 && (!heaviest || count > tenants[heaviest])) {
+        heaviest = name;
+      }
+    });
+    if (!heaviest) return null;
+
+    let newest = null;
+    LANES.forEach((lane) => {
+      const tenantState = this.lanes[lane].tenants.get(heaviest);
+      const last = tenantState && tenantState.entries[tenantState.entries.length - 1];
+      if (last && (!newest || last.sequence > newest.sequence)) {
+        newest = last;
+      }
+    });
+    return newest;
+  }
+
+  _laneLength(lane) {
+    let length = 0;
+    this.lanes[lane].tenants.forEach(({ entries }) => {
+      length += entries.length;
+    });
+    return length;
+  }
+
+  _nextLane(smallWaiting, normalWaiting, streak) {
+    if (smallWaiting && (!normalWaiting || streak < this.priorityBurst)) return 'small';
+    if (normalWaiting) return 'normal';
+    return null;
+  }
+
+  _removeEntry(entry) {
+    const laneState = this.lanes[entry.lane];
+    const tenantState = laneState.tenants.get(entry.tenant);
+    tenantState.entries.splice(tenantState.entries.indexOf(entry), 1);
+    this.length--;
+    // A tenant with nothing waiting whose finish tag the clock has passed has nothing to remember
+    if (tenantState.entries.length === 0 && tenantState.lastFinish <= laneState.clock) {
+      laneState.tenants.delete(entry.tenant);
+    }
+  }
+}
+
+// Small entries served in a row while normal ones were waiting
+const nextStreak = (lane, normalWaiting, streak) => (lane === 'small' && normalWaiting ? streak + 1 : 0);
+
+const before = (a, b) => a.start < b.start || (a.start === b.start && a.sequence < b.sequence);
+
+module.exports = {
+  FairQueue,
+  LANES
+};
@@ -0,0 +1,176 @@
+const fs = require('fs');
+const path = require('path');
+
+// Finding the files to scan for the docscan command-line scanner (bin/docscan.js)
+//
+// Glob patterns are matched against paths with forward slashes:
+//   *       any characters except /
+//   **      any number of directories (as a whole path segment: a/**/b, **/*.pdf)
+//   ?       one character except /
+//   [abc]   one of the characters (also [a-z], [!abc])
+//   {a,b}   either alternative
+// An include/exclude pattern without a / matches the file name alone, so *.pdf finds PDFs at
+// any depth.
+
+const GLOB_CHARS = /[*?[{]/;
+
+// Regular expression source for a pattern without {} alternatives
+const segmentSource = (pattern) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      // **/ at the start or after a / matches any number of directories, including none
+      const wholeSegment = (i === 0 || pattern[i - 1] === '/') && (i + 2 === pattern.length || pattern[i + 2] === '/');
+      if (wholeSegment) {
+        source += i + 2 === pattern.length ? '.*' : '(?:.*/)?';
+        i += i + 2 === pattern.length ? 1 : 2;
+      } else {
+        source += '[^/]*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      const end = pattern.indexOf(']', i + 2);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const body = pattern.slice(i + 1, end);
+        const escaped = body.replace(/\\/g, '\\\\');
+        source += escaped[0] === '!' ? `[^${escaped.slice(1)}]` : `[${escaped}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.+^$()|\\\]{}]/g, '\\$&');
+    }
+  }
+  return source;
+};
+
+// Expands {a,b} alternatives (nested ones too) into separate patterns
+const expandBraces = (pattern) => {
+  const open = pattern.indexOf('{');
+  if (open === -1) return [pattern];
+  let depth = 0;
+  const commas = [];
+  for (let i = open; i < pattern.length; i++) {
+    if (pattern[i] === '{') depth++;
+    if (pattern[i] === '}') depth--;
+    if (pattern[i] === ',' && depth === 1) commas.push(i);
+    if (depth === 0) {
+      const parts = [];
+      let start = open + 1;
+      [...commas, i].forEach((end) => {
+        parts.push(pattern.slice(start, end));
+        start = end + 1;
+      });
+      const rest = expandBraces(pattern.slice(i + 1));
+      return parts.flatMap(part => expandBraces(pattern.slice(0, open) + part)
+        .flatMap(prefix => rest.map(suffix => prefix + suffix)));
+    }
+  }
+  // An unclosed { is taken literally
+  return [pattern];
+};
+
+// Regular expression for a whole relative path
+const compile = (pattern) => new RegExp(`^(?:${expandBraces(pattern).map(segmentSource).join('|')})$`);
+
+// (relativePath) => boolean for an include/exclude pattern
+const globMatcher = (pattern) => {
+  const normalized = pattern.replace(/\\/g, '/').replace(/^\.\//, '');
+  const regex = compile(normalized);
+  return normalized.includes('/')
+    ? relativePath => regex.test(relativePath)
+    : relativePath => regex.test(path.posix.basename(relativePath));
+};
+
+const isGlob = (text) => GLOB_CHARS.test(text);
+
+// The directory to search for a glob pattern: everything before its first segment with a wildcard
+const globBase = (pattern) => {
+  const segments = pattern.replace(/\\/g, '/').split('/');
+  const index = segments.findIndex(isGlob);
+  return {
+    dir: segments.slice(0, index).join('/') || (pattern.startsWith('/') ? '/' : '.'),
+    rest: segments.slice(index).join('/')
+  };
+};
+
+// Every file below `dir`, as paths relative to it with forward slashes
+// Symbolic links to files are followed, links to directories are not (they can loop)
+const walk = async (dir, prefix = '') => {
+  const files = [];
+  const entries = await fs.promises.readdir(path.join(dir, prefix), { withFileTypes: true });
+  entries.sort((a, b) => a.name.localeCompare(b.name));
+  for (const entry of entries) {
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) {
+      files.push(...(await walk(dir, relative)));
+    } else if (entry.isFile()) {
+      files.push(relative);
+    } else if (entry.isSymbolicLink()) {
+      const stats = await fs.promises.stat(path.join(dir, relative)).catch(() => null);
+      if (stats && stats.isFile()) files.push(relative);
+    }
+  }
+  return files;
+};
+
+// The files to scan for the command-line arguments `targets` - files, directories (searched
+// recursively) and glob patterns the shell didn't expand - in the order given, without duplicates
+// include/exclude are glob patterns for the files found in directories and by patterns, relative
+// to the directory or the pattern's base. Files named directly are always scanned.
+// Resolves with { files, unmatched }: unmatched are the targets that found nothing.
+const findFiles = async (targets, { include = [], exclude = [] } = {}) => {
+  const includes = include.map(globMatcher);
+  const excludes = exclude.map(globMatcher);
+  const wanted = (relative) => (includes.length === 0 || includes.some(match => match(relative)))
+    && !excludes.some(match => match(relative));
+
+  const seen = new Set();
+  const files = [];
+  const unmatched = [];
+  const add = (file) => {
+    const key = path.resolve(file);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    files.push(file);
+    return true;
+  };
+
+  for (const target of targets) {
+    const stats = await fs.promises.stat(target).catch(() => null);
+    let found = 0;
+    if (stats && stats.isFile()) {
+      found += add(target) ? 1 : 0;
+    } else if (stats && stats.isDirectory()) {
+      for (const relative of await walk(target)) {
+        if (wanted(relative)) found += add(path.join(target, relative)) ? 1 : 0;
+      }
+    } else if (isGlob(target)) {
+      // Like the shell: docs/*.pdf only looks in docs, docs/**/*.pdf looks below it too
+      const { dir, rest } = globBase(target);
+      const matches = compile(rest);
+      const dirStats = await fs.promises.stat(dir).catch(() => null);
+      for (const relative of dirStats && dirStats.isDirectory() ? await walk(dir) : []) {
+        if (matches.test(relative) && wanted(relative)) {
+          found += add(path.join(dir, relative)) ? 1 : 0;
+        }
+      }
+    }
+    if (found === 0 && !(stats && stats.isFile())) {
+      unmatched.push(target);
+    }
+  }
+  return { files, unmatched };
+};
+
+module.exports = {
+  findFiles,
+  globMatcher,
+  isGlob
+};
@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough, pipeline } = require('stream');
+const { S3Client } = require('./s3-client');
+
+// Storage for uploads that were scanned clean, served by GET /files/:id
+//
+// Each file is two objects in the backend:
+//   <id>      - the file as uploaded
+//   <id>.json - metadata: original name, content type, size, SHA-256, requestId, scan method
+//               and the verdict, which GET /files/:id checks before serving anything
+// IDs are random (128 bits), so they can't be guessed from other uploads.
+//
+// Backends implement putFile(key, filePath, info), putObject(key, buffer, options),
+// getObject(key) -> readable stream and deleteObject(key), and throw errors with
+// code 'NOT_FOUND' for missing keys.
+
+const ID_PATTERN = /^f-[a-f0-9]{32}$/;
+
+// Errors for stored file operations. `code` is one of:
+//   FILE_NOT_FOUND - no stored file with that ID
+class FileStoreError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'FileStoreError';
+    this.code = code;
+  }
+}
+
+const notFound = (key) => {
+  const error = new Error(`Object not found: ${key}`);
+  error.code = 'NOT_FOUND';
+  return error;
+};
+
+// Files in a directory on the server
+class LocalStorageBackend {
+  constructor({ dir }) {
+    this.name = 'local';
+    this.dir = dir;
+  }
+
+  init() {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+  }
+
+  async putFile(key, filePath) {
+    const target = path.join(this.dir, key);
+    try {
+      await fs.promises.rename(filePath, target);
+    } catch (error) {
+      // Staging and storage directories on different file systems
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(filePath, target);
+    }
+    await fs.promises.chmod(target, 0o600);
+  }
+
+  async putObject(key, body) {
+    await fs.promises.writeFile(path.join(this.dir, key), body, { mode: 0o600 });
+  }
+
+  async getObject(key) {
+    // Wait for the file to be opened so a missing file is reported before anything is sent
+    const stream = fs.createReadStream(path.join(this.dir, key));
+    await new Promise((resolve, reject) => {
+      stream.once('open', resolve);
+      stream.once('error', (error) => reject(error.code === 'ENOENT' ? notFound(key) : error));
+    });
+    return stream;
+  }
+
+  async deleteObject(key) {
+    await fs.promises.unlink(path.join(this.dir, key)).catch((error) => {
+      throw error.code === 'ENOENT' ? notFound(key) : error;
+    });
+  }
+}
+
+// Objects in an S3-compatible bucket (AWS S3, MinIO, ...)
+class S3StorageBackend {
+  constructor({ prefix = '', ...clientOptions }) {
+    this.name = 's3';
+    this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+    this.client = new S3Client(clientOptions);
+  }
+
+  init() {}
+
+  _wrap(key, promise) {
+    return promise.catch((error) => {
+      throw error.statusCode === 404 && error.code !== 'NoSuchBucket' ? notFound(key) : error;
+    });
+  }
+
+  putFile(key, filePath, info) {
+    return this.client.putFile(this.prefix + key, filePath, info);
+  }
+
+  putObject(key, body, options) {
+    return this.client.putObject(this.prefix + key, body, options);
+  }
+
+  getObject(key) {
+    return this._wrap(key, this.client.getObject(this.prefix + key));
+  }
+
+  deleteObject(key) {
+    return this._wrap(key, this.client.deleteObject(this.prefix + key));
+  }
+}
+
+class FileStore {
+  // stagingDir holds uploads while they are being scanned, before they reach the backend
+  constructor({ backend, stagingDir }) {
+    this.backend = backend;
+    this.stagingDir = stagingDir;
+  }
+
+  init() {
+    fs.mkdirSync(this.stagingDir, { recursive: true, mode: 0o700 });
+    this.backend.init();
+
+    // Leftovers from uploads that were still being scanned when the server stopped
+    for (const name of fs.readdirSync(this.stagingDir)) {
+      fs.unlinkSync(path.join(this.stagingDir, name));
+    }
+  }
+
+  _metadataKey(id) {
+    if (!ID_PATTERN.test(id)) {
+      throw new FileStoreError(`Stored file not found: ${id}`, 'FILE_NOT_FOUND');
+    }
+    return `${id}.json`;
+  }
+
+  async _store(id, filePath, { size, sha256 }, { fileName, contentType, ...metadata }) {
+    const item = {
+      id,
+      fileName,
+      contentType: contentType || 'application/octet-stream',
+      size,
+      sha256,
+      ...metadata,
+      verdict: 'clean',
+      backend: this.backend.name,
+      storedAt: new Date().toISOString()
+    };
+
+    await this.backend.putFile(id, filePath, { size, sha256, contentType: item.contentType });
+    // Written last: a file without metadata is never served
+    await this.backend.putObject(this._metadataKey(id), Buffer.from(JSON.stringify(item, null, 2)), { contentType: 'application/json' });
+    return item;
+  }
+
+  // Starts writing a file that may be stored once it was scanned
+  // Pipe the file into `writer.stream`, then call `writer.commit(metadata)` once it turned
+  // out to be clean or `writer.discard()` if it didn't
+  createWriter() {
+    const id = `f-${crypto.randomBytes(16).toString('hex')}`;
+    const stagingPath = path.join(this.stagingDir, `${id}.part`);
+    const hash = crypto.createHash('sha256');
+    const input = new PassThrough();
+    let size = 0;
+
+    input.on('data', (chunk) => {
+      size += chunk.length;
+      hash.update(chunk);
+    });
+
+    const written = new Promise((resolve, reject) => {
+      pipeline(input, fs.createWriteStream(stagingPath, { mode: 0o600 }), (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+    // Reported by commit() - don't let it go unhandled if the file is discarded
+    written.catch(() => {});
+
+    const discard = async () => {
+      input.destroy();
+      await fs.promises.unlink(stagingPath).catch(() => {});
+    };
+
+    const commit = async (metadata) => {
+      try {
+        await written;
+        return await this._store(id, stagingPath, { size, sha256: hash.digest('hex') }, metadata);
+      } finally {
+        // Already moved away by the local backend
+        await fs.promises.unlink(stagingPath).catch(() => {});
+      }
+    };
+
+    return { id, stream: input, commit, discard };
+  }
+
+  // Stores a file that is already on disk (e.g. a spooled scan job upload)
+  // The file itself is left in place
+  async storeFile(filePath, metadata) {
+    const writer = this.createWriter();
+    try {
+      // Errors reach commit() through the writer
+      pipeline(fs.createReadStream(filePath), writer.stream, () => {});
+      return await writer.commit(metadata);
+    } catch (error) {
+      await writer.discard();
+      throw error;
+    }
+  }
+
+  async get(id) {
+    const key = this._metadataKey(id);
+    try {
+      const stream = await this.backend.getObject(key);
+      const chunks = [];
+      for await (const chunk of stream) {
+        chunks.push(chunk);
+      }
+      return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        throw new FileStoreError(`Stored file not found: ${id}`, 'FILE_NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+
+  // Contents of a stored file, only if it was scanned clean
+  async createReadStream(id) {
+    const metadata = await this.get(id);
+    if (metadata.verdict !== 'clean') {
+      throw new FileStoreError(`Stored file not found: ${id}`, 'FILE_NOT_FOUND');
+    }
+
+    try {
+      return { metadata, stream: await this.backend.getObject(id) };
+    } catch (error) {
+      if (error.code === 'NOT_FOUND') {
+        throw new FileStoreError(`Stored file not found: ${id}`, 'FILE_NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+
+  async delete(id) {
+    const key = this._metadataKey(id);
+    await this.get(id);
+    await this.backend.deleteObject(id).catch((error) => {
+      if (error.code !== 'NOT_FOUND') throw error;
+    });
+    await this.backend.deleteObject(key);
+  }
+}
+
+module.exports = {
+  FileStore,
+  FileStoreError,
+  LocalStorageBackend,
+  S3StorageBackend
+};
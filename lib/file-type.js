@@ -0,0 +1,163 @@
+const path = require('path');
+
+// Detects a file's real type from its first bytes ("magic bytes"), whatever its name or the
+// content type the client sent claim it is
+//
+// Types are short names (pdf, docx, exe, ...) with a MIME type and the extensions such files
+// normally have. Some are refinements of another one (`parent`): a docx is a zip, html is text.
+// Files that match nothing are 'text' if they look like UTF-8 text and 'unknown' otherwise.
+
+// Bytes needed to tell every type apart - OOXML and ODF are recognized by their first zip entries
+const HEAD_SIZE = 8192;
+
+const TYPES = {
+  pdf: { mime: 'application/pdf', extensions: ['pdf'] },
+  png: { mime: 'image/png', extensions: ['png'] },
+  jpeg: { mime: 'image/jpeg', extensions: ['jpg', 'jpeg', 'jpe', 'jfif'] },
+  gif: { mime: 'image/gif', extensions: ['gif'] },
+  webp: { mime: 'image/webp', extensions: ['webp'] },
+  bmp: { mime: 'image/bmp', extensions: ['bmp'] },
+  tiff: { mime: 'image/tiff', extensions: ['tif', 'tiff'] },
+  mp4: { mime: 'video/mp4', extensions: ['mp4', 'm4v', 'm4a', 'mov'] },
+  mp3: { mime: 'audio/mpeg', extensions: ['mp3'] },
+  rtf: { mime: 'application/rtf', extensions: ['rtf'] },
+  zip: { mime: 'application/zip', extensions: ['zip'] },
+  docx: { parent: 'zip', mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extensions: ['docx', 'docm', 'dotx', 'dotm'] },
+  xlsx: { parent: 'zip', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensions: ['xlsx', 'xlsm', 'xltx', 'xltm'] },
+  pptx: { parent: 'zip', mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation', extensions: ['pptx', 'pptm', 'potx', 'potm', 'ppsx', 'ppsm'] },
+  odt: { parent: 'zip', mime: 'application/vnd.oasis.opendocument.text', extensions: ['odt'] },
+  ods: { parent: 'zip', mime: 'application/vnd.oasis.opendocument.spreadsheet', extensions: ['ods'] },
+  odp: { parent: 'zip', mime: 'application/vnd.oasis.opendocument.presentation', extensions: ['odp'] },
+  epub: { parent: 'zip', mime: 'application/epub+zip', extensions: ['epub'] },
+  jar: { parent: 'zip', mime: 'application/java-archive', extensions: ['jar', 'war', 'ear', 'apk'] },
+  // OLE2 compound files: legacy Office documents, Outlook messages, installers
+  ole: { mime: 'application/x-ole-storage', extensions: ['doc', 'dot', 'xls', 'xlt', 'ppt', 'pot', 'pps', 'msg', 'msi', 'vsd', 'pub'] },
+  gzip: { mime: 'application/gzip', extensions: ['gz', 'tgz'] },
+  bzip2: { mime: 'application/x-bzip2', extensions: ['bz2', 'tbz2'] },
+  xz: { mime: 'application/x-xz', extensions: ['xz', 'txz'] },
+  tar: { mime: 'application/x-tar', extensions: ['tar'] },
+  '7z': { mime: 'application/x-7z-compressed', extensions: ['7z'] },
+  rar: { mime: 'application/vnd.rar', extensions: ['rar'] },
+  exe: { mime: 'application/x-msdownload', extensions: ['exe', 'dll', 'sys', 'scr', 'com', 'cpl', 'ocx', 'drv', 'efi'] },
+  elf: { mime: 'application/x-elf', extensions: ['so', 'elf'] },
+  macho: { mime: 'application/x-mach-binary', extensions: ['dylib', 'bundle'] },
+  text: { mime: 'text/plain', text: true, extensions: ['txt', 'text', 'csv', 'tsv', 'md', 'log', 'json', 'yml', 'yaml', 'ini', 'cfg', 'conf'] },
+  html: { parent: 'text', mime: 'text/html', text: true, extensions: ['html', 'htm', 'xhtml'] },
+  xml: { parent: 'text', mime: 'application/xml', text: true, extensions: ['xml', 'xsd', 'xsl', 'xslt', 'rss', 'plist'] },
+  svg: { parent: 'xml', mime: 'image/svg+xml', text: true, extensions: ['svg'] },
+  script: { parent: 'text', mime: 'text/x-shellscript', text: true, extensions: ['sh', 'bash', 'py', 'pl', 'rb'] },
+  unknown: { mime: 'application/octet-stream', extensions: [] }
+};
+
+const startsWith = (head, bytes, offset = 0) => bytes.every((byte, index) => head[offset + index] === byte);
+const ascii = (text) => [...Buffer.from(text, 'latin1')];
+
+// A zip's first entries say what kind of document it is
+const detectZipType = (head) => {
+  const text = head.toString('latin1');
+  // ODF and EPUB store an uncompressed "mimetype" entry first
+  const mimetype = text.match(/^PK\x03\x04[\s\S]{26}mimetype(application\/[a-z0-9.+-]+)/);
+  if (mimetype) {
+    const match = Object.keys(TYPES).find(type => TYPES[type].parent === 'zip' && TYPES[type].mime === mimetype[1]);
+    if (match) return match;
+  }
+  if (text.includes('[Content_Types].xml') || text.includes('_rels/.rels')) {
+    if (text.includes('word/')) return 'docx';
+    if (text.includes('xl/')) return 'xlsx';
+    if (text.includes('ppt/')) return 'pptx';
+  }
+  if (text.includes('META-INF/MANIFEST.MF') || text.includes('AndroidManifest.xml')) return 'jar';
+  return 'zip';
+};
+
+// Text that isn't any of the binary formats: plain text or a markup/script flavour of it
+const detectTextType = (head) => {
+  if (head.includes(0)) return null;
+  // Up to 3 bytes of a multi-byte character may be cut off at the end of the head
+  const text = head.toString('utf8');
+  const invalid = (text.slice(0, -3).match(/\uFFFD/g) || []).length;
+  if (invalid > 0) return null;
+
+  const start = text.replace(/^\uFEFF/, '').trimStart().slice(0, 1024).toLowerCase();
+  if (start.startsWith('#!')) return 'script';
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg|<svg[\s>])/.test(start)) return 'svg';
+  if (/^(<!--[\s\S]*?-->\s*)*(<!doctype html|<html[\s>]|<head[\s>]|<body[\s>]|<script[\s>])/.test(start)) return 'html';
+  if (start.startsWith('<?xml')) return 'xml';
+  return 'text';
+};
+
+const detectTypeName = (head) => {
+  if (head.length === 0) return 'unknown';
+  if (startsWith(head, ascii('%PDF-'))) return 'pdf';
+  // Some PDF writers put junk before the header - readers accept it within the first 1KB
+  if (head.slice(0, 1024).includes('%PDF-')) return 'pdf';
+  if (startsWith(head, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return 'png';
+  if (startsWith(head, [0xff, 0xd8, 0xff])) return 'jpeg';
+  if (startsWith(head, ascii('GIF87a')) || startsWith(head, ascii('GIF89a'))) return 'gif';
+  if (startsWith(head, ascii('RIFF')) && startsWith(head, ascii('WEBP'), 8)) return 'webp';
+  if (startsWith(head, ascii('BM')) && head.length >= 14 && head.readUInt32LE(2) > 0 && head[6] === 0 && head[7] === 0) return 'bmp';
+  if (startsWith(head, [0x49, 0x49, 0x2a, 0x00]) || startsWith(head, [0x4d, 0x4d, 0x00, 0x2a])) return 'tiff';
+  if (startsWith(head, ascii('ftyp'), 4)) return 'mp4';
+  if (startsWith(head, ascii('ID3')) || startsWith(head, [0xff, 0xfb])) return 'mp3';
+  if (startsWith(head, ascii('{\\rtf'))) return 'rtf';
+  if (startsWith(head, [0x50, 0x4b, 0x03, 0x04]) || startsWith(head, [0x50, 0x4b, 0x05, 0x06])) return detectZipType(head);
+  if (startsWith(head, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return 'ole';
+  if (startsWith(head, [0x1f, 0x8b])) return 'gzip';
+  if (startsWith(head, ascii('BZh'))) return 'bzip2';
+  if (startsWith(head, [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00])) return 'xz';
+  if (startsWith(head, ascii('ustar'), 257)) return 'tar';
+  if (startsWith(head, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return '7z';
+  if (startsWith(head, ascii('Rar!\x1a\x07'))) return 'rar';
+  // DOS header: 'MZ', and the PE header offset at 0x3c
+  if (startsWith(head, ascii('MZ')) && head.length >= 64) return 'exe';
+  if (startsWith(head, [0x7f, 0x45, 0x4c, 0x46])) return 'elf';
+  if ([[0xfe, 0xed, 0xfa, 0xce], [0xfe, 0xed, 0xfa, 0xcf], [0xce, 0xfa, 0xed, 0xfe], [0xcf, 0xfa, 0xed, 0xfe]].some(magic => startsWith(head, magic))) return 'macho';
+  return detectTextType(head) || 'unknown';
+};
+
+// Type of a file from its first HEAD_SIZE bytes (fewer if the file is shorter):
+// { type, mime, extensions }
+const detectFileType = (head) => {
+  const type = detectTypeName(head);
+  return { type, mime: TYPES[type].mime, extensions: TYPES[type].extensions };
+};
+
+// Type (or one of its parents) is `ancestor`, e.g. isTypeOf('svg', 'text')
+const isTypeOf = (type, ancestor) => {
+  for (let current = type; current; current = TYPES[current] && TYPES[current].parent) {
+    if (current === ancestor) return true;
+  }
+  return false;
+};
+
+// Type a file name claims to be, from its extension, or null if the extension isn't one we know
+const typeForFileName = (fileName) => {
+  const extension = path.extname(fileName || '').slice(1).toLowerCase();
+  if (!extension) return null;
+  return Object.keys(TYPES).find(type => TYPES[type].extensions.includes(extension)) || null;
+};
+
+// Type a MIME type claims to be, or null if it's generic or one we don't know
+const typeForMimeType = (mime) => {
+  const base = (mime || '').split(';')[0].trim().toLowerCase();
+  if (!base || base === 'application/octet-stream') return null;
+  return Object.keys(TYPES).find(type => TYPES[type].mime === base) || null;
+};
+
+// Whether a file detected as `detected` may carry the name/content type of `claimed`
+// A file is allowed to be a more specific kind of what it claims (a docx named .zip), and any
+// text may claim to be any other text - markup detection is a heuristic
+const typeMatches = (detected, claimed) => {
+  if (!claimed || isTypeOf(detected, claimed) || isTypeOf(claimed, detected)) return true;
+  return Boolean(TYPES[detected].text && TYPES[claimed].text);
+};
+
+module.exports = {
+  HEAD_SIZE,
+  FILE_TYPES: TYPES,
+  detectFileType,
+  isTypeOf,
+  typeForFileName,
+  typeForMimeType,
+  typeMatches
+};
@@ -0,0 +1,36 @@
+// Human-readable formatting for sizes and durations in API responses and logs,
+// and parsing of the sizes in config files
+
+// Format file size helper
+const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+// Format duration helper
+const formatDuration = (ms) => {
+  if (ms < 1000) return `${ms}ms`;
+  return `${(ms / 1000).toFixed(2)}s`;
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+// 1048576, "1MB", "1.5 GB" -> bytes
+// `name` is the setting the value came from, for the error message
+const parseSize = (value, name) => {
+  if (typeof value === 'number' && value >= 0) return value;
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) {
+    throw new Error(`Invalid size for ${name}: ${value}`);
+  }
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+};
+
+module.exports = {
+  formatFileSize,
+  parseSize,
+  formatDuration
+};
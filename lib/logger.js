@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// Structured logging for the server, its routes and the lib/ modules
+//
+// Every entry is one JSON line: { time, level, msg, ...fields }. Request-scoped loggers
+// (`logger.child({ requestId })`) add their fields to every entry, so all lines of one upload
+// can be found by its request ID. By convention `stage` says where in the pipeline an entry
+// comes from and durations are numbers in milliseconds, named `...Ms`.
+//
+// Levels below `level` are dropped. `format: 'pretty'` prints one readable line per entry
+// instead, for running the server by hand. With `redactFileNames` the values of the file
+// name fields below are replaced by a short hash - still the same for the same name,
+// so entries can be matched up, but the name itself stays out of the logs.
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_FORMATS = ['json', 'pretty'];
+
+// Fields that hold the name of an uploaded file (or of an entry inside an archive)
+const FILE_NAME_FIELDS = ['fileName', 'originalName', 'entryPath'];
+
+const redactFileName = (name) => {
+  return `[redacted:${crypto.createHash('sha256').update(String(name)).digest('hex').slice(0, 12)}]`;
+};
+
+class Logger {
+  constructor({
+    level = 'info',
+    format = 'json',
+    redactFileNames = false,
+    errorStacks = false,
+    fields = {},
+    stdout = process.stdout,
+    stderr = process.stderr
+  } = {}) {
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level "${level}" - expected one of ${LOG_LEVELS.join(', ')}`);
+    }
+    if (!LOG_FORMATS.includes(format)) {
+      throw new Error(`Unknown log format "${format}" - expected one of ${LOG_FORMATS.join(', ')}`);
+    }
+    this.level = level;
+    this.format = format;
+    this.redactFileNames = redactFileNames;
+    this.errorStacks = errorStacks;
+    this.fields = fields;
+    this.stdout = stdout;
+    this.stderr = stderr;
+  }
+
+  // A logger that adds `fields` to every entry (on top of this logger's own)
+  child(fields) {
+    return new Logger({ ...this, fields: { ...this.fields, ...fields } });
+  }
+
+  isEnabled(level) {
+    return LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+  }
+
+  debug(msg, fields) {
+    this.write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write('error', msg, fields);
+  }
+
+  write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = { time: new Date().toISOString(), level, msg };
+    for (const [name, value] of Object.entries({ ...this.fields, ...fields })) {
+      if (value === undefined) continue;
+      entry[name] = this._value(name, value);
+    }
+
+    const line = this.format === 'pretty' ? this._pretty(entry) : JSON.stringify(entry);
+    (level === 'warn' || level === 'error' ? this.stderr : this.stdout).write(`${line}\n`);
+  }
+
+  _value(name, value) {
+    if (value instanceof Error) {
+      const error = { message: value.message };
+      if (value.code !== undefined) error.code = value.code;
+      if (this.errorStacks) error.stack = value.stack;
+      return error;
+    }
+    if (this.redactFileNames && FILE_NAME_FIELDS.includes(name) && typeof value === 'string') {
+      return redactFileName(value);
+    }
+    return value;
+  }
+
+  // 2024-01-01T12:00:00.000Z INFO  [req-123] File received stage=upload fileSize=1024
+  _pretty({ time, level, msg, requestId, ...fields }) {
+    const details = Object.entries(fields).map(([name, value]) => {
+      return `${name}=${typeof value === 'string' ? value : JSON.stringify(value)}`;
+    });
+    return [time, level.toUpperCase().padEnd(5), requestId ? `[${requestId}]` : null, msg, ...details]
+      .filter(part => part !== null)
+      .join(' ');
+  }
+}
+
+module.exports = {
+  Logger,
+  LOG_LEVELS,
+  LOG_FORMATS
+};
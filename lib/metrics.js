@@ -0,0 +1,153 @@
+// Prometheus metrics in the text exposition format (version 0.0.4), for GET /metrics
+//
+// Counters, gauges and histograms with labels - just enough of a client library for this
+// server. Metrics that mirror state kept elsewhere (pool queue, endpoint health) take a
+// `collect` function instead, which is called on every scrape and returns their samples.
+// Like the pool, metrics are per PM2 worker - scrape each worker, or sum them up.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Default histogram buckets for durations in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+// ... and for sizes in bytes: 1KB up to 1GB
+const SIZE_BUCKETS = [1024, 10240, 102400, 1048576, 10485760, 52428800, 104857600, 524288000, 1073741824];
+
+const formatValue = (value) => {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+};
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+class Metric {
+  constructor(type, name, help, { labels = [], collect = null } = {}) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labels;
+    this.collect = collect;
+    // Label values joined -> { labels, ... }
+    this.series = new Map();
+  }
+
+  // The series for these label values, created by `create` the first time
+  _series(labels, create) {
+    const values = this.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+    const key = values.join('\u0000');
+    if (!this.series.has(key)) {
+      const named = {};
+      this.labelNames.forEach((name, index) => {
+        named[name] = values[index];
+      });
+      this.series.set(key, { labels: named, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  _lines() {
+    const samples = this.collect
+      ? this.collect().map(sample => ({ labels: sample.labels || {}, value: sample.value }))
+      : [...this.series.values()];
+    return samples.map(sample => `${this.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this._lines()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, options) {
+    super('counter', name, help, options);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this._series(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help, options) {
+    super('gauge', name, help, options);
+  }
+
+  set(labels, value) {
+    this._series(labels, () => ({ value: 0 })).value = value;
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, options = {}) {
+    super('histogram', name, help, options);
+    this.buckets = [...(options.buckets || DURATION_BUCKETS)].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this._series(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  _lines() {
+    const lines = [];
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  _register(metric) {
+    if (this.metrics.some(existing => existing.name === metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  // options: { labels: [names], collect: () => [{ labels, value }] }
+  counter(name, help, options) {
+    return this._register(new Counter(name, help, options));
+  }
+
+  gauge(name, help, options) {
+    return this._register(new Gauge(name, help, options));
+  }
+
+  // options: { labels: [names], buckets: [upper bounds] }
+  histogram(name, help, options) {
+    return this._register(new Histogram(name, help, options));
+  }
+
+  // Every metric in the text format
+  render() {
+    return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  MetricsRegistry,
+  METRICS_CONTENT_TYPE: CONTENT_TYPE,
+  DURATION_BUCKETS,
+  SIZE_BUCKETS
+};
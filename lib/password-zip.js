@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+
+// Streaming writer for password-protected ZIP archives
+//
+// Uses traditional PKWARE encryption ("ZipCrypto") with stored (uncompressed) entries, the
+// format malware samples are conventionally exchanged in - every unzip tool can open it
+// (`unzip -P infected sample.zip`, 7-Zip, Windows Explorer). ZipCrypto is NOT strong
+// encryption: its job is to stop mail gateways, AV software and people from opening the
+// sample by accident, not to protect it from an attacker.
+//
+// Entries are streamed with a data descriptor, so sizes and CRCs don't need to be known
+// up front. No ZIP64 support - each entry and the whole archive must stay below 4GB.
+
+const CRC_TABLE = (() => {
+  const table = new Int32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c;
+  }
+  return table;
+})();
+
+const crc32Byte = (crc, byte) => CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+
+const ZIP32_LIMIT = 0xFFFFFFFF;
+
+// Traditional PKWARE encryption keys, initialised from the password
+class ZipCryptoKeys {
+  constructor(password) {
+    this.k0 = 0x12345678;
+    this.k1 = 0x23456789;
+    this.k2 = 0x34567890;
+    for (const byte of Buffer.from(password, 'utf8')) {
+      this._update(byte);
+    }
+  }
+
+  _update(byte) {
+    this.k0 = crc32Byte(this.k0, byte);
+    this.k1 = (Math.imul((this.k1 + (this.k0 & 0xff)) | 0, 134775813) + 1) | 0;
+    this.k2 = crc32Byte(this.k2, this.k1 >>> 24);
+  }
+
+  // Encrypts in place
+  encrypt(buffer) {
+    for (let i = 0; i < buffer.length; i++) {
+      const temp = (this.k2 | 2) & 0xffff;
+      const plain = buffer[i];
+      buffer[i] = plain ^ ((Math.imul(temp, temp ^ 1) >>> 8) & 0xff);
+      this._update(plain);
+    }
+    return buffer;
+  }
+}
+
+// DOS date/time for the entry headers
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+});
+
+class PasswordZipWriter {
+  // output is a writable stream (e.g. an HTTP response); it is ended by finish()
+  constructor(output, password) {
+    this.output = output;
+    this.password = password;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  // Writes with backpressure
+  _write(buffer) {
+    this.offset += buffer.length;
+    if (this.offset > ZIP32_LIMIT) {
+      return Promise.reject(new Error('Archive exceeds 4GB (ZIP64 is not supported)'));
+    }
+    if (this.output.write(buffer)) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        this.output.removeListener('drain', onDrain);
+        this.output.removeListener('close', onClose);
+      };
+      const onDrain = () => {
+        cleanup();
+        resolve();
+      };
+      const onClose = () => {
+        cleanup();
+        reject(new Error('Output closed before the archive was written'));
+      };
+      this.output.on('drain', onDrain);
+      this.output.on('close', onClose);
+    });
+  }
+
+  // Adds an entry from a readable stream (or a Buffer)
+  async addEntry(name, source, modified = new Date()) {
+    const fileName = Buffer.from(name, 'utf8');
+    const { time, date } = dosDateTime(modified);
+    const entry = { fileName, time, date, offset: this.offset, crc: -1, size: 0 };
+
+    // Bit 0: encrypted, bit 3: sizes and CRC follow in a data descriptor, bit 11: UTF-8 name
+    const flags = 0x0001 | 0x0008 | 0x0800;
+    entry.flags = flags;
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(20, 4); // Version needed to extract
+    header.writeUInt16LE(flags, 6);
+    header.writeUInt16LE(0, 8); // Stored
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    // CRC and sizes are in the data descriptor
+    header.writeUInt16LE(fileName.length, 26);
+    await this._write(Buffer.concat([header, fileName]));
+
+    // 12-byte encryption header; with a data descriptor the last byte is checked
+    // against the high byte of the modification time instead of the CRC
+    const keys = new ZipCryptoKeys(this.password);
+    const encryptionHeader = crypto.randomBytes(12);
+    encryptionHeader[11] = (time >>> 8) & 0xff;
+    await this._write(keys.encrypt(encryptionHeader));
+
+    const chunks = Buffer.isBuffer(source) ? [source] : source;
+    for await (const chunk of chunks) {
+      const data = Buffer.from(chunk);
+      for (let i = 0; i < data.length; i++) {
+        entry.crc = crc32Byte(entry.crc, data[i]);
+      }
+      entry.size += data.length;
+      await this._write(keys.encrypt(data));
+    }
+    entry.crc = (entry.crc ^ -1) >>> 0;
+    entry.compressedSize = entry.size + 12;
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this._write(descriptor);
+
+    this.entries.push(entry);
+  }
+
+  // Writes the central directory and ends the output
+  async finish() {
+    const centralDirectoryOffset = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4); // Version made by
+      header.writeUInt16LE(20, 6); // Version needed to extract
+      header.writeUInt16LE(entry.flags, 8);
+      header.writeUInt16LE(0, 10); // Stored
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this._write(Buffer.concat([header, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - centralDirectoryOffset, 12);
+    end.writeUInt32LE(centralDirectoryOffset, 16);
+    await this._write(end);
+
+    this.output.end();
+  }
+}
+
+module.exports = {
+  PasswordZipWriter
+};
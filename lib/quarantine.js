@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough, pipeline } = require('stream');
+const { Logger } = require('./logger');
+
+// Encrypted quarantine for infected uploads
+//
+// Each item is two files in the quarantine directory:
+//   <id>.bin  - the upload encrypted with AES-256-GCM (random IV per file)
+//   <id>.json - metadata: requestId, original name, signatures, client IP, user agent,
+//               API key, timestamps, size, SHA-256 of the original file, and the IV / auth tag
+// Files are encrypted while they are written, so an infected file is never stored in the
+// clear. Items are purged once they are older than the retention period.
+//
+// The key comes from QUARANTINE_KEY (32 bytes, hex or base64). Without it an ephemeral key is
+// generated, and items quarantined before a restart can no longer be decrypted.
+
+const ALGORITHM = 'aes-256-gcm';
+const ID_PATTERN = /^q-\d+-[a-f0-9]+$/;
+
+// Errors for quarantine operations. `code` is one of:
+//   QUARANTINE_NOT_FOUND - no item with that ID
+class QuarantineError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'QuarantineError';
+    this.code = code;
+  }
+}
+
+const parseKey = (value) => {
+  if (!value) return null;
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  if (key.length !== 32) {
+    throw new Error('QUARANTINE_KEY must be 32 bytes, given as 64 hex characters or base64');
+  }
+  return key;
+};
+
+class QuarantineStore {
+  constructor({ dir, key = null, retentionDays = 30, releaseDir, sweepInterval = 60 * 60 * 1000, logger = new Logger() }) {
+    this.dir = dir;
+    this.incomingDir = path.join(dir, '.incoming');
+    this.releaseDir = releaseDir;
+    this.retentionDays = retentionDays;
+    this.sweepInterval = sweepInterval;
+    this._sweepTimer = null;
+    this.logger = logger;
+
+    const parsedKey = parseKey(key);
+    this.ephemeralKey = !parsedKey;
+    this.key = parsedKey || crypto.randomBytes(32);
+    // Identifies the key an item was encrypted with, without revealing it
+    this.keyId = crypto.createHash('sha256').update(this.key).digest('hex').slice(0, 16);
+  }
+
+  init() {
+    fs.mkdirSync(this.incomingDir, { recursive: true, mode: 0o700 });
+    fs.mkdirSync(this.releaseDir, { recursive: true, mode: 0o700 });
+
+    // Leftovers from uploads that were still being written when the server stopped
+    for (const name of fs.readdirSync(this.incomingDir)) {
+      fs.unlinkSync(path.join(this.incomingDir, name));
+    }
+
+    if (this.ephemeralKey) {
+      this.logger.warn('QUARANTINE_KEY is not set - quarantined files are encrypted with a temporary key and cannot be read after a restart');
+    }
+  }
+
+  // Metadata as returned to callers: without the encryption details, and with the
+  // expiry date under the current retention period
+  _public({ encryption, ...metadata }) {
+    const expiresAt = new Date(new Date(metadata.quarantinedAt).getTime() + this.retentionDays * 24 * 60 * 60 * 1000);
+    return { ...metadata, expiresAt: expiresAt.toISOString() };
+  }
+
+  _paths(id) {
+    if (!ID_PATTERN.test(id)) {
+      throw new QuarantineError(`Quarantine item not found: ${id}`, 'QUARANTINE_NOT_FOUND');
+    }
+    return {
+      data: path.join(this.dir, `${id}.bin`),
+      metadata: path.join(this.dir, `${id}.json`)
+    };
+  }
+
+  // Starts writing a file that may need to be quarantined
+  // Pipe the file into `writer.stream`, then call `writer.commit(metadata)` once it turned
+  // out to be infected or `writer.discard()` if it didn't
+  createWriter() {
+    const id = `q-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+    const incomingPath = path.join(this.incomingDir, `${id}.bin`);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const hash = crypto.createHash('sha256');
+    const input = new PassThrough();
+    let size = 0;
+
+    input.on('data', (chunk) => {
+      size += chunk.length;
+      hash.update(chunk);
+    });
+
+    const written = new Promise((resolve, reject) => {
+      pipeline(input, cipher, fs.createWriteStream(incomingPath, { mode: 0o600 }), (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+    // Reported by commit() - don't let it go unhandled if the file is discarded
+    written.catch(() => {});
+
+    const discard = async () => {
+      input.destroy();
+      await fs.promises.unlink(incomingPath).catch(() => {});
+    };
+
+    const commit = async (metadata) => {
+      await written;
+
+      const paths = this._paths(id);
+      const item = {
+        id,
+        ...metadata,
+        size,
+        sha256: hash.digest('hex'),
+        quarantinedAt: new Date().toISOString(),
+        encryption: {
+          algorithm: ALGORITHM,
+          keyId: this.keyId,
+          iv: iv.toString('base64'),
+          authTag: cipher.getAuthTag().toString('base64')
+        }
+      };
+
+      await fs.promises.writeFile(paths.metadata, JSON.stringify(item, null, 2), { mode: 0o600 });
+      await fs.promises.rename(incomingPath, paths.data);
+      return this._public(item);
+    };
+
+    return { id, stream: input, commit, discard };
+  }
+
+  // Quarantines a file that is already on disk (e.g. a spooled scan job upload)
+  async storeFile(filePath, metadata) {
+    const writer = this.createWriter();
+    try {
+      // Errors reach commit() through the writer
+      pipeline(fs.createReadStream(filePath), writer.stream, () => {});
+      return await writer.commit(metadata);
+    } catch (error) {
+      await writer.discard();
+      throw error;
+    }
+  }
+
+  async _readMetadata(id) {
+    const paths = this._paths(id);
+    try {
+      return JSON.parse(await fs.promises.readFile(paths.metadata, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new QuarantineError(`Quarantine item not found: ${id}`, 'QUARANTINE_NOT_FOUND');
+      }
+      throw error;
+    }
+  }
+
+  async get(id) {
+    return this._public(await this._readMetadata(id));
+  }
+
+  // Newest first
+  async list() {
+    const names = await fs.promises.readdir(this.dir);
+    const items = [];
+    for (const name of names.filter(n => n.endsWith('.json'))) {
+      try {
+        items.push(await this.get(name.replace(/\.json$/, '')));
+      } catch (error) {
+        // Purged while we were listing
+        if (error.code !== 'QUARANTINE_NOT_FOUND') throw error;
+      }
+    }
+    return items.sort((a, b) => b.quarantinedAt.localeCompare(a.quarantinedAt));
+  }
+
+  // Decrypted contents of an item
+  // The GCM auth tag is checked at the end, so a tampered file errors after the last chunk
+  async createReadStream(id) {
+    const metadata = await this._readMetadata(id);
+    if (metadata.encryption.keyId !== this.keyId) {
+      throw new Error(`Quarantine item ${id} was encrypted with a different key (${metadata.encryption.keyId})`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(metadata.encryption.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(metadata.encryption.authTag, 'base64'));
+    // Read errors are passed on to the decipher stream
+    pipeline(fs.createReadStream(this._paths(id).data), decipher, () => {});
+    return { metadata: this._public(metadata), stream: decipher };
+  }
+
+  // Restores a file (e.g. a false positive) to the release directory and removes it from quarantine
+  async release(id, { reason = null, releasedBy = null } = {}) {
+    const { metadata, stream } = await this.createReadStream(id);
+    const safeName = path.basename(metadata.originalName || 'file').replace(/[^\w.-]+/g, '_');
+    const releasedPath = path.join(this.releaseDir, `${id}-${safeName}`);
+
+    await new Promise((resolve, reject) => {
+      pipeline(stream, fs.createWriteStream(releasedPath, { mode: 0o600 }), (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    }).catch(async (error) => {
+      await fs.promises.unlink(releasedPath).catch(() => {});
+      throw error;
+    });
+
+    const released = { ...metadata, releasedAt: new Date().toISOString(), releasedBy, releaseReason: reason, releasedPath };
+    await fs.promises.writeFile(`${releasedPath}.json`, JSON.stringify(released, null, 2), { mode: 0o600 });
+    await this.purge(id);
+    return released;
+  }
+
+  async purge(id) {
+    const paths = this._paths(id);
+    await this._readMetadata(id);
+    await fs.promises.unlink(paths.data).catch((error) => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    await fs.promises.unlink(paths.metadata);
+  }
+
+  // Purge items past their retention period
+  async sweep() {
+    const now = new Date().toISOString();
+    const expired = (await this.list()).filter(item => item.expiresAt < now);
+    for (const item of expired) {
+      await this.purge(item.id);
+      this.logger.info('Purged quarantined file after its retention period', {
+        quarantineId: item.id,
+        originalName: item.originalName,
+        retentionDays: this.retentionDays
+      });
+    }
+    return expired.length;
+  }
+
+  startRetention() {
+    if (this._sweepTimer) return;
+    const sweep = () => this.sweep().catch(error => this.logger.error('Quarantine retention sweep failed', { error }));
+    sweep();
+    this._sweepTimer = setInterval(sweep, this.sweepInterval);
+    // Don't keep the process alive just for cleanup
+    this._sweepTimer.unref();
+  }
+}
+
+module.exports = {
+  QuarantineStore,
+  QuarantineError
+};
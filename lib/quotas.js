@@ -0,0 +1,152 @@
+const { formatFileSize } = require('./format');
+
+// Per-key quotas (see lib/api-keys.js), checked before a request gets anywhere near the pool
+//
+//   requestsPerMinute - a token bucket: up to that many requests in a burst, refilled evenly
+//                       over the minute
+//   bytesPerDay       - bytes uploaded or downloaded for scanning per UTC day
+//   concurrentScans   - requests (and background scan jobs) in progress at the same time
+//
+// admit() either throws a QuotaError or returns a lease that counts as one of the key's
+// concurrent scans until it is released. chargeBytes() only counts bytes towards bytesPerDay -
+// for the chunks of a resumable upload, which aren't scans of their own. Rejected requests
+// don't use up any quota.
+// Usage is kept in memory, so each PM2 worker has its own counters.
+
+// Requests over one of the key's quotas. `code` is one of:
+//   REQUEST_RATE_EXCEEDED     - more requests per minute than allowed
+//   DAILY_BYTES_EXCEEDED      - the day's bytes are used up
+//   CONCURRENT_SCANS_EXCEEDED - as many scans in progress as allowed
+class QuotaError extends Error {
+  constructor(message, code, retryAfter) {
+    super(message);
+    this.name = 'QuotaError';
+    this.code = code;
+    // Seconds until the request may succeed (the Retry-After header)
+    this.retryAfter = retryAfter;
+  }
+}
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// There is no telling when a running scan finishes - clients are asked to retry after this many seconds
+const CONCURRENT_RETRY_AFTER = 1;
+
+class QuotaTracker {
+  constructor({ now = Date.now } = {}) {
+    this.now = now;
+    // key id -> { tokens, refilledAt, day, bytes, active }
+    this.usage = new Map();
+  }
+
+  _usageFor(key) {
+    let usage = this.usage.get(key.id);
+    if (!usage) {
+      usage = { tokens: key.quotas.requestsPerMinute, refilledAt: this.now(), day: null, bytes: 0, active: 0 };
+      this.usage.set(key.id, usage);
+    }
+
+    const now = this.now();
+    const limit = key.quotas.requestsPerMinute;
+    if (limit !== Infinity) {
+      usage.tokens = Math.min(limit, usage.tokens + (now - usage.refilledAt) * limit / 60000);
+    }
+    usage.refilledAt = now;
+
+    const day = Math.floor(now / DAY);
+    if (usage.day !== day) {
+      usage.day = day;
+      usage.bytes = 0;
+    }
+    return usage;
+  }
+
+  _checkBytes(key, usage, bytes) {
+    const { bytesPerDay } = key.quotas;
+    if (usage.bytes + bytes > bytesPerDay || (bytesPerDay !== Infinity && usage.bytes >= bytesPerDay)) {
+      throw new QuotaError(
+        `API key ${key.id} may scan at most ${formatFileSize(bytesPerDay)} per day (${formatFileSize(usage.bytes)} used${bytes ? `, this request is ${formatFileSize(bytes)}` : ''})`,
+        'DAILY_BYTES_EXCEEDED',
+        Math.ceil(((usage.day + 1) * DAY - this.now()) / 1000)
+      );
+    }
+  }
+
+  _lease(usage, bytes, active) {
+    const day = usage.day;
+    let charged = bytes;
+    let released = !active;
+    return {
+      settle: (actualBytes) => {
+        // Bytes charged on an earlier day don't come off today's count
+        if (usage.day === day) {
+          usage.bytes = Math.max(0, usage.bytes + actualBytes - charged);
+        }
+        charged = actualBytes;
+      },
+      release: () => {
+        if (released) return;
+        released = true;
+        usage.active -= 1;
+      }
+    };
+  }
+
+  // Admits a request of `bytes` (0 if the size isn't known yet) for the key. A request that
+  // brings no file of its own (finalizing a resumable upload, whose chunks were charged as they
+  // came in) passes `bytes: null` and isn't checked against bytesPerDay.
+  // Throws a QuotaError, or returns a lease: settle(bytes) corrects the bytes charged once the
+  // real size is known, release() ends the scan. Both may be called more than once.
+  admit(key, { bytes = 0 } = {}) {
+    const { requestsPerMinute, concurrentScans } = key.quotas;
+    const usage = this._usageFor(key);
+
+    if (usage.active >= concurrentScans) {
+      throw new QuotaError(
+        `API key ${key.id} already has ${usage.active} scan(s) in progress (at most ${concurrentScans})`,
+        'CONCURRENT_SCANS_EXCEEDED',
+        CONCURRENT_RETRY_AFTER
+      );
+    }
+    if (usage.tokens < 1) {
+      throw new QuotaError(
+        `API key ${key.id} may make at most ${requestsPerMinute} requests per minute`,
+        'REQUEST_RATE_EXCEEDED',
+        Math.ceil((1 - usage.tokens) * 60 / requestsPerMinute)
+      );
+    }
+    if (bytes !== null) {
+      this._checkBytes(key, usage, bytes);
+    }
+
+    usage.tokens -= 1;
+    usage.bytes += bytes || 0;
+    usage.active += 1;
+    return this._lease(usage, bytes || 0, true);
+  }
+
+  // Counts `bytes` towards the key's bytesPerDay, without using up a request or a concurrent scan
+  // Throws a QuotaError (DAILY_BYTES_EXCEEDED), or returns a lease like admit()'s, whose
+  // release() does nothing
+  chargeBytes(key, bytes) {
+    const usage = this._usageFor(key);
+    this._checkBytes(key, usage, bytes);
+    usage.bytes += bytes;
+    return this._lease(usage, bytes, false);
+  }
+
+  // Current usage of a key, for logs and debugging
+  usageOf(key) {
+    const usage = this._usageFor(key);
+    return {
+      requestsPerMinute: { limit: key.quotas.requestsPerMinute, remaining: Math.floor(usage.tokens) },
+      bytesPerDay: { limit: key.quotas.bytesPerDay, used: usage.bytes },
+      concurrentScans: { limit: key.quotas.concurrentScans, active: usage.active }
+    };
+  }
+}
+
+module.exports = {
+  QuotaTracker,
+  QuotaError
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+// Minimal client for S3-compatible object storage (AWS S3, MinIO, Ceph RGW, ...)
+// Supports PutObject, GetObject and DeleteObject, signed with AWS Signature Version 4.
+// Signing reference: https://docs.aws.amazon.com/AmazonS3/latest/API/sig-v4-header-based-auth.html
+
+// Errors returned by the object store. `code` is the S3 error code from the response
+// (e.g. NoSuchKey, AccessDenied, NoSuchBucket) or HTTP_<status> when there is none
+class S3Error extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'S3Error';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const EMPTY_SHA256 = crypto.createHash('sha256').digest('hex');
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as SigV4 expects it; '/' is kept in object keys
+const encodeKey = (key) => key.split('/').map(segment => encodeURIComponent(segment)
+  .replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase())).join('/');
+
+class S3Client {
+  // endpoint: e.g. https://s3.eu-west-1.amazonaws.com or http://minio:9000
+  // forcePathStyle puts the bucket in the path (http://minio:9000/bucket/key), which MinIO
+  // and most self-hosted stores need, instead of the host name (https://bucket.s3.amazonaws.com/key)
+  constructor({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, forcePathStyle = true, timeout = 60000 }) {
+    this.endpoint = new URL(endpoint);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+    this.timeout = timeout;
+  }
+
+  _target(key) {
+    const url = new URL(this.endpoint.toString());
+    const basePath = url.pathname.replace(/\/$/, '');
+    if (this.forcePathStyle) {
+      url.pathname = `${basePath}/${this.bucket}/${encodeKey(key)}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `${basePath}/${encodeKey(key)}`;
+    }
+    return url;
+  }
+
+  // Adds the SigV4 Authorization header; payloadHash is the hex SHA-256 of the body
+  _sign(method, url, headers, payloadHash) {
+    const now = new Date();
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+
+    const signed = {
+      ...headers,
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    const names = Object.keys(signed).map(name => name.toLowerCase()).sort();
+    const lowerCased = Object.keys(signed).reduce((all, name) => ({ ...all, [name.toLowerCase()]: String(signed[name]).trim() }), {});
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '', // No query string
+      names.map(name => `${name}:${lowerCased[name]}\n`).join(''),
+      names.join(';'),
+      payloadHash
+    ].join('\n');
+
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    return {
+      ...lowerCased,
+      authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+    };
+  }
+
+  // Sends a request and resolves with the response once the status is known
+  // body is a Buffer, a readable stream (needs content-length in headers) or null
+  _request(method, key, { headers = {}, body = null, payloadHash = EMPTY_SHA256 } = {}) {
+    return new Promise((resolve, reject) => {
+      const url = this._target(key);
+      const transport = url.protocol === 'https:' ? https : http;
+      const req = transport.request(url, {
+        method,
+        headers: this._sign(method, url, headers, payloadHash),
+        timeout: this.timeout
+      }, (res) => {
+        if (res.statusCode >= 200 && res.statusCode < 300) {
+          resolve(res);
+          return;
+        }
+
+        // Error details are in an XML body: <Error><Code>NoSuchKey</Code><Message>...</Message></Error>
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('end', () => {
+          const xml = Buffer.concat(chunks).toString('utf8');
+          const code = (xml.match(/<Code>([^<]+)<\/Code>/) || [])[1] || `HTTP_${res.statusCode}`;
+          const message = (xml.match(/<Message>([^<]+)<\/Message>/) || [])[1] || `${method} ${key} failed with HTTP ${res.statusCode}`;
+          reject(new S3Error(message, code, res.statusCode));
+        });
+        res.on('error', reject);
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new S3Error(`No response from ${url.host} within ${this.timeout}ms`, 'ETIMEDOUT'));
+      });
+      req.on('error', reject);
+
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', (err) => req.destroy(err));
+        body.pipe(req);
+      } else {
+        req.end(body);
+      }
+    });
+  }
+
+  async putObject(key, body, { contentType = 'application/octet-stream' } = {}) {
+    const res = await this._request('PUT', key, {
+      headers: { 'content-type': contentType, 'content-length': body.length },
+      body,
+      payloadHash: sha256(body)
+    });
+    res.resume();
+  }
+
+  // Uploads a file from disk; sha256 (hex) of its contents is needed for the signature
+  async putFile(key, filePath, { size, sha256: payloadHash, contentType = 'application/octet-stream' }) {
+    const res = await this._request('PUT', key, {
+      headers: { 'content-type': contentType, 'content-length': size },
+      body: fs.createReadStream(filePath),
+      payloadHash
+    });
+    res.resume();
+  }
+
+  // Resolves with the response stream once the object was found
+  async getObject(key) {
+    return this._request('GET', key);
+  }
+
+  async deleteObject(key) {
+    const res = await this._request('DELETE', key);
+    res.resume();
+  }
+}
+
+module.exports = {
+  S3Client,
+  S3Error
+};
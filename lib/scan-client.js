@@ -0,0 +1,229 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Client for POST /upload, used by the docscan command-line scanner (bin/docscan.js)
+//
+// Streams a file to the server as multipart/form-data and turns the response into an outcome
+// with a `status`:
+//   clean     - scanned, nothing found
+//   infected  - scanned, signatures found (`viruses`)
+//   rejected  - refused without a verdict by the upload policy or the archive limits
+//               (stage policy_rejected or archive_rejected)
+//   unscanned - accepted, but the server has virus scanning turned off
+//   error     - no verdict: the server's `stage` and message, or what went wrong on the way
+// Failures that say "try again later" (a busy or restarting scanner, a rate quota) are retried.
+
+// What each `stage` of an error response means, for people reading the output
+const STAGE_DESCRIPTIONS = {
+  validation_failed: 'The server refused the request',
+  auth: 'The server refused the API key',
+  quota_exceeded: "The API key's quota is used up",
+  clamav_init_failed: 'The virus scanner is not available',
+  connection_error: 'Lost the connection to the virus scanner',
+  queue_full: 'The virus scanners are busy',
+  queue_timeout: 'The virus scanners are busy',
+  upload_timeout: 'The upload timed out',
+  timeout_error: 'The scan timed out',
+  scan_failed: 'The virus scan failed',
+  processing_error: 'The server could not process the file',
+  policy_rejected: 'Rejected by the upload policy',
+  archive_rejected: 'The archive could not be inspected'
+};
+
+const REJECTED_STAGES = ['policy_rejected', 'archive_rejected'];
+
+// Stages where the same upload may well work a little later
+const RETRYABLE_STAGES = ['clamav_init_failed', 'connection_error', 'queue_full', 'queue_timeout', 'quota_exceeded'];
+
+// Network errors worth another attempt (the server restarting, a dropped connection)
+const RETRYABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN'];
+
+// Waits between attempts when the server doesn't say how long (Retry-After)
+const RETRY_DELAYS = [1000, 2000, 5000, 10000, 20000];
+
+// Errors of the client itself. `code` is one of:
+//   HTTP_ERROR - the server answered with something that isn't a scan result
+//   TIMEOUT    - no response within the timeout
+class ScanClientError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ScanClientError';
+    this.code = code;
+  }
+}
+
+// Content-Disposition of the file part - an ASCII name for every parser, and the real one
+// (RFC 5987) for parsers that know filename*
+const contentDisposition = (fileName) => {
+  const ascii = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  return `form-data; name="document"; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+};
+
+// The outcome for a response body (JSON from /upload) and its HTTP status
+const outcomeFromResponse = (body, statusCode) => {
+  const common = {
+    requestId: body.requestId || null,
+    fileSize: body.fileSize === undefined ? null : body.fileSize,
+    sha256: body.sha256 || null,
+    detectedType: body.detectedType ? body.detectedType.type : null,
+    warnings: body.warnings || [],
+    scanDuration: typeof body.scanDuration === 'number' ? body.scanDuration : null,
+    totalDuration: typeof body.totalDuration === 'number' ? body.totalDuration : null
+  };
+
+  if (body.infected) {
+    return { ...common, status: 'infected', viruses: body.viruses || [], message: body.message };
+  }
+  if (body.success && body.scanEnabled === false) {
+    return { ...common, status: 'unscanned', message: body.message };
+  }
+  if (body.success) {
+    return { ...common, status: 'clean', message: body.message, cached: body.scanMethod === 'cache' };
+  }
+
+  const stage = body.stage || null;
+  return {
+    ...common,
+    status: REJECTED_STAGES.includes(stage) ? 'rejected' : 'error',
+    stage,
+    errorCode: body.errorCode || null,
+    httpStatus: statusCode,
+    message: body.message || body.error || `HTTP ${statusCode}`,
+    retryAfter: typeof body.retryAfter === 'number' ? body.retryAfter : null
+  };
+};
+
+class ScanClient {
+  constructor({ server, apiKey = null, timeout = 10 * 60 * 1000, retries = 3, maxRetryWait = 60, userAgent = 'docscan' }) {
+    // `server` may have a path prefix (a reverse proxy); /upload is resolved against it
+    this.uploadUrl = new URL('upload', server.endsWith('/') ? server : `${server}/`);
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+    this.retries = retries;
+    // Retry-After values above this many seconds (e.g. a daily quota) aren't waited for
+    this.maxRetryWait = maxRetryWait;
+    this.userAgent = userAgent;
+  }
+
+  // Scans the file at `filePath`, sent as `fileName`; resolves with its outcome (never rejects)
+  // onRetry(outcome, delay) is called before each new attempt
+  async scanFile(filePath, { fileName, onRetry = () => {} } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      let outcome;
+      try {
+        outcome = await this._upload(filePath, fileName);
+      } catch (error) {
+        outcome = {
+          status: 'error',
+          stage: null,
+          errorCode: error.code || null,
+          message: error.message,
+          retryable: RETRYABLE_CODES.includes(error.code)
+        };
+      }
+      outcome.attempts = attempt;
+
+      const delay = this._retryDelay(outcome, attempt);
+      if (delay === null) {
+        delete outcome.retryable;
+        return outcome;
+      }
+      onRetry(outcome, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  // How long to wait before trying `outcome` again, or null to give up
+  _retryDelay(outcome, attempt) {
+    if (outcome.status !== 'error' || attempt > this.retries) return null;
+    const retryable = outcome.retryable || RETRYABLE_STAGES.includes(outcome.stage) || outcome.httpStatus === 503;
+    if (!retryable) return null;
+    if (outcome.retryAfter !== null && outcome.retryAfter !== undefined) {
+      return outcome.retryAfter <= this.maxRetryWait ? Math.max(outcome.retryAfter, 1) * 1000 : null;
+    }
+    return RETRY_DELAYS[Math.min(attempt - 1, RETRY_DELAYS.length - 1)];
+  }
+
+  async _upload(filePath, fileName) {
+    const { size } = await fs.promises.stat(filePath);
+    const boundary = `----docscan-${crypto.randomBytes(12).toString('hex')}`;
+    const head = Buffer.from(`--${boundary}\r\nContent-Disposition: ${contentDisposition(fileName)}\r\nContent-Type: application/octet-stream\r\n\r\n`);
+    const tail = Buffer.from(`\r\n--${boundary}--\r\n`);
+    const transport = this.uploadUrl.protocol === 'https:' ? https : http;
+
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const finish = (error, outcome) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (error) reject(error);
+        else resolve(outcome);
+      };
+
+      const req = transport.request(this.uploadUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': `multipart/form-data; boundary=${boundary}`,
+          // Known up front, so quotas (bytesPerDay) can be checked before the upload
+          'Content-Length': head.length + size + tail.length,
+          'User-Agent': this.userAgent,
+          Accept: 'application/json',
+          ...(this.apiKey ? { 'X-API-Key': this.apiKey } : {})
+        }
+      });
+      const file = fs.createReadStream(filePath);
+
+      const timer = setTimeout(() => {
+        req.destroy();
+        file.destroy();
+        finish(new ScanClientError(`No response within ${Math.round(this.timeout / 1000)}s`, 'TIMEOUT'));
+      }, this.timeout);
+
+      req.on('response', (res) => {
+        // The server may answer before it has the whole file (a policy rejection, a quota) -
+        // there is no point in sending the rest
+        file.destroy();
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', error => finish(error));
+        res.on('end', () => {
+          if (!req.writableFinished) {
+            req.destroy();
+          }
+          const text = Buffer.concat(chunks).toString('utf8');
+          let body;
+          try {
+            body = JSON.parse(text);
+          } catch (error) {
+            finish(new ScanClientError(`Unexpected response from the server (HTTP ${res.statusCode}): ${text.slice(0, 200)}`, 'HTTP_ERROR'));
+            return;
+          }
+          const outcome = outcomeFromResponse(body, res.statusCode);
+          if (outcome.retryAfter === null && res.headers['retry-after']) {
+            outcome.retryAfter = parseInt(res.headers['retry-after'], 10) || null;
+          }
+          finish(null, outcome);
+        });
+      });
+      // Errors writing the body after the response has come in don't matter any more
+      req.on('error', error => finish(error));
+      file.on('error', (error) => {
+        req.destroy();
+        finish(error);
+      });
+
+      req.write(head);
+      file.on('end', () => req.end(tail));
+      file.pipe(req, { end: false });
+    });
+  }
+}
+
+module.exports = {
+  ScanClient,
+  ScanClientError,
+  STAGE_DESCRIPTIONS
+};
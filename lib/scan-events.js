@@ -0,0 +1,101 @@
+const { EventEmitter } = require('events');
+
+// Per-request scan progress for GET /scans/:requestId/events (Server-Sent Events)
+//
+// Stages, in order:
+//   received  - the server has started receiving the file (or has all of it, for scan jobs)
+//   queued    - waiting for a pool connection, with the position in connectionPool.queue and the lane
+//   streaming - a clamd connection was acquired and the file is being sent to it
+//   progress  - bytes sent to clamd so far (repeated)
+//   verdict   - clean or infected, with the response payload
+//   failed    - the scan failed, with the error payload and its stage
+//
+// Each request's events are kept so that a client subscribing late (or reconnecting with
+// Last-Event-ID) still gets what it missed. Only the latest progress event is kept, and a
+// request's history is dropped once it has seen no new events for `ttl` ms.
+//
+// A history also records its owner - the ID of the API key that sent the request - so that
+// only that key can read the events, which include the full scan result.
+
+const FINAL_STAGES = ['verdict', 'failed'];
+
+class ScanEventBus {
+  constructor({ ttl = 5 * 60 * 1000 } = {}) {
+    this.ttl = ttl;
+    this.histories = new Map();
+    this.emitter = new EventEmitter();
+    // One listener per open SSE connection
+    this.emitter.setMaxListeners(0);
+    this._nextId = 1;
+  }
+
+  // `owner` is the API key ID of the request, for the events that know it (null while API keys are off)
+  publish(requestId, stage, data = {}, owner = null) {
+    if (!requestId) return null;
+
+    let history = this.histories.get(requestId);
+    if (!history) {
+      history = { events: [], finished: false, timer: null, owner };
+      this.histories.set(requestId, history);
+    }
+    if (!history.owner) {
+      history.owner = owner;
+    }
+    // Nothing happens after the verdict
+    if (history.finished) return null;
+
+    const event = {
+      id: this._nextId++,
+      requestId,
+      stage,
+      timestamp: new Date().toISOString(),
+      ...data
+    };
+
+    if (stage === 'progress') {
+      history.events = history.events.filter(e => e.stage !== 'progress');
+    }
+    history.events.push(event);
+    history.finished = FINAL_STAGES.includes(stage);
+
+    clearTimeout(history.timer);
+    history.timer = setTimeout(() => this.histories.delete(requestId), this.ttl);
+    // Don't keep the process alive just for cleanup
+    history.timer.unref();
+
+    this.emitter.emit(requestId, event);
+    return event;
+  }
+
+  has(requestId) {
+    return this.histories.has(requestId);
+  }
+
+  // API key ID the request's events belong to - null if none, undefined if there are no events
+  ownerOf(requestId) {
+    const history = this.histories.get(requestId);
+    return history ? history.owner : undefined;
+  }
+
+  // Calls listener with the stored events newer than lastEventId, then with new events as they
+  // are published. Returns a function that stops the subscription.
+  subscribe(requestId, listener, lastEventId = 0) {
+    const history = this.histories.get(requestId);
+    if (history) {
+      history.events.filter(e => e.id > lastEventId).forEach(listener);
+      if (history.finished) {
+        return () => {};
+      }
+    }
+
+    this.emitter.on(requestId, listener);
+    return () => this.emitter.removeListener(requestId, listener);
+  }
+}
+
+const isFinalStage = (stage) => FINAL_STAGES.includes(stage);
+
+module.exports = {
+  ScanEventBus,
+  isFinalStage
+};
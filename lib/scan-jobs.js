@@ -0,0 +1,78 @@
+// In-memory store for asynchronous scan jobs (POST /scans)
+//
+// A job moves through: queued -> scanning -> clean | infected | error
+// Finished jobs are kept for `ttl` ms so callers have time to poll for the result,
+// then evicted. Jobs do not survive a restart.
+
+const JOB_STATUSES = ['queued', 'scanning', 'clean', 'infected', 'error'];
+const FINISHED_STATUSES = ['clean', 'infected', 'error'];
+
+class ScanJobStore {
+  constructor({ ttl = 60 * 60 * 1000, sweepInterval = 60 * 1000 } = {}) {
+    this.jobs = new Map();
+    this.ttl = ttl;
+
+    this._sweepTimer = setInterval(() => this.sweep(), sweepInterval);
+    // Don't keep the process alive just for cleanup
+    this._sweepTimer.unref();
+  }
+
+  create({ id, fileName, fileSize, contentType = null, fileType = null, uploadDuration, callbackUrl = null, client = null }) {
+    const job = {
+      id,
+      status: 'queued',
+      fileName,
+      fileSize,
+      contentType,
+      fileType,
+      uploadDuration,
+      callbackUrl,
+      client,
+      createdAt: Date.now(),
+      startedAt: null,
+      completedAt: null,
+      result: null,
+      error: null
+    };
+    this.jobs.set(id, job);
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  update(id, changes) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+
+    if (changes.status && !JOB_STATUSES.includes(changes.status)) {
+      throw new Error(`Invalid scan job status: ${changes.status}`);
+    }
+    if (changes.status && FINISHED_STATUSES.includes(changes.status) && !job.completedAt) {
+      changes = { completedAt: Date.now(), ...changes };
+    }
+
+    Object.assign(job, changes);
+    return job;
+  }
+
+  isFinished(job) {
+    return FINISHED_STATUSES.includes(job.status);
+  }
+
+  // Drop finished jobs older than the TTL
+  sweep() {
+    const cutoff = Date.now() - this.ttl;
+    for (const [id, job] of this.jobs) {
+      if (job.completedAt && job.completedAt < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = {
+  ScanJobStore,
+  JOB_STATUSES
+};
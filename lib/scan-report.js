@@ -0,0 +1,205 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { STAGE_DESCRIPTIONS } = require('./scan-client');
+const { formatFileSize, formatDuration } = require('./format');
+
+// Output of the docscan command-line scanner (bin/docscan.js): one line per file as they finish
+// (text), or a report once all are done (json, sarif)
+//
+// A result is a scan outcome (lib/scan-client.js) with the `file` it is for.
+
+const STATUSES = ['clean', 'infected', 'rejected', 'unscanned', 'error'];
+
+// Exit codes, from most to least severe - the exit code is the most severe one of any file
+const EXIT_CODES = {
+  clean: 0,
+  infected: 1,
+  // Nothing infected, but not every file could be verified clean
+  error: 2,
+  // Bad options, or nothing to scan
+  usage: 3
+};
+
+const exitCodeFor = (results) => {
+  if (results.some(result => result.status === 'infected')) return EXIT_CODES.infected;
+  if (results.some(result => result.status !== 'clean')) return EXIT_CODES.error;
+  return EXIT_CODES.clean;
+};
+
+const summarize = (results) => {
+  const summary = { files: results.length };
+  STATUSES.forEach((status) => {
+    summary[status] = results.filter(result => result.status === status).length;
+  });
+  return summary;
+};
+
+// Why a file has no verdict, for people: what the stage means and what the server said
+// (rejections explain themselves)
+const describeFailure = (result) => {
+  const description = result.status !== 'rejected' && result.stage && STAGE_DESCRIPTIONS[result.stage];
+  const detail = result.errorCode && !result.stage ? `${result.message} (${result.errorCode})` : result.message;
+  return description && description !== result.message ? `${description}: ${detail}` : detail;
+};
+
+// Text output
+
+const COLORS = {
+  clean: '\x1b[32m',
+  infected: '\x1b[31m',
+  rejected: '\x1b[33m',
+  unscanned: '\x1b[33m',
+  error: '\x1b[31m',
+  reset: '\x1b[0m',
+  dim: '\x1b[2m'
+};
+
+const LABELS = {
+  clean: 'CLEAN',
+  infected: 'INFECTED',
+  rejected: 'REJECTED',
+  unscanned: 'UNSCANNED',
+  error: 'ERROR'
+};
+
+const textLine = (result, { color }) => {
+  const paint = (name, text) => (color ? `${COLORS[name]}${text}${COLORS.reset}` : text);
+  let line = `${paint(result.status, LABELS[result.status].padEnd(9))} ${result.file}`;
+  if (result.status === 'clean' || result.status === 'unscanned') {
+    const facts = [];
+    if (typeof result.fileSize === 'number') facts.push(formatFileSize(result.fileSize));
+    if (result.cached) facts.push('cached verdict');
+    else if (typeof result.totalDuration === 'number') facts.push(formatDuration(result.totalDuration));
+    if (facts.length > 0) line += ` ${paint('dim', `(${facts.join(', ')})`)}`;
+  } else {
+    line += ` - ${result.status === 'infected' ? result.viruses.join(', ') : describeFailure(result)}`;
+  }
+  const warnings = (result.warnings || []).map(warning => `          ${paint('rejected', 'warning')} ${warning.message} (${warning.code})`);
+  return [line, ...warnings].join('\n');
+};
+
+const textSummary = (results, { color, duration }) => {
+  const summary = summarize(results);
+  const counts = STATUSES.filter(status => summary[status] > 0).map(status => `${summary[status]} ${status}`);
+  const text = `${summary.files} file${summary.files === 1 ? '' : 's'} scanned in ${formatDuration(duration)}: ${counts.join(', ') || 'nothing'}`;
+  if (!color) return text;
+  return `${summary.infected > 0 ? COLORS.infected : exitCodeFor(results) === 0 ? COLORS.clean : COLORS.rejected}${text}${COLORS.reset}`;
+};
+
+// JSON output
+
+const jsonReport = (results, { server, duration }) => JSON.stringify({
+  server,
+  exitCode: exitCodeFor(results),
+  duration,
+  summary: summarize(results),
+  results
+}, null, 2);
+
+// SARIF 2.1.0 output, for code scanning dashboards (GitHub, GitLab, Azure DevOps)
+// Clean files aren't results - only what needs looking at is
+
+const SARIF_RULES = [
+  {
+    id: 'infected',
+    name: 'InfectedFile',
+    shortDescription: { text: 'ClamAV found malware in the file' },
+    defaultConfiguration: { level: 'error' }
+  },
+  {
+    id: 'rejected',
+    name: 'RejectedFile',
+    shortDescription: { text: 'The upload policy or the archive limits refused the file' },
+    defaultConfiguration: { level: 'error' }
+  },
+  {
+    id: 'not-scanned',
+    name: 'FileNotScanned',
+    shortDescription: { text: 'The file could not be scanned' },
+    defaultConfiguration: { level: 'warning' }
+  },
+  {
+    id: 'active-content',
+    name: 'ActiveContent',
+    shortDescription: { text: 'The file contains macros, scripts or other active content' },
+    defaultConfiguration: { level: 'warning' }
+  }
+];
+
+// Relative paths stay relative (to the directory docscan ran in), absolute ones become file:// URIs
+const sarifLocation = (file) => ({
+  physicalLocation: {
+    artifactLocation: {
+      uri: path.isAbsolute(file) ? pathToFileURL(file).href : file.replace(/\\/g, '/').split('/').map(encodeURIComponent).join('/')
+    }
+  }
+});
+
+const sarifResults = (result) => {
+  const properties = { requestId: result.requestId || undefined, sha256: result.sha256 || undefined };
+  const entries = [];
+  if (result.status === 'infected') {
+    entries.push({
+      ruleId: 'infected',
+      level: 'error',
+      message: { text: `Malware found: ${result.viruses.join(', ')}` },
+      properties: { ...properties, viruses: result.viruses }
+    });
+  } else if (result.status === 'rejected') {
+    entries.push({
+      ruleId: 'rejected',
+      level: 'error',
+      message: { text: describeFailure(result) },
+      properties: { ...properties, stage: result.stage, errorCode: result.errorCode || undefined }
+    });
+  } else if (result.status === 'error' || result.status === 'unscanned') {
+    entries.push({
+      ruleId: 'not-scanned',
+      level: 'warning',
+      message: { text: result.status === 'unscanned' ? result.message : describeFailure(result) },
+      properties: { ...properties, stage: result.stage || undefined }
+    });
+  }
+  (result.warnings || []).forEach((warning) => {
+    entries.push({
+      ruleId: 'active-content',
+      level: warning.blocked ? 'error' : 'warning',
+      message: { text: warning.message },
+      properties: { ...properties, code: warning.code }
+    });
+  });
+  return entries.map(entry => ({
+    ...entry,
+    ruleIndex: SARIF_RULES.findIndex(rule => rule.id === entry.ruleId),
+    locations: [sarifLocation(result.file)],
+    // The same file gets the same fingerprint, wherever it is
+    partialFingerprints: result.sha256 ? { sha256: result.sha256 } : undefined
+  }));
+};
+
+const sarifReport = (results, { version }) => JSON.stringify({
+  $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+  version: '2.1.0',
+  runs: [
+    {
+      tool: {
+        driver: {
+          name: 'docscan',
+          version,
+          rules: SARIF_RULES
+        }
+      },
+      results: results.flatMap(sarifResults)
+    }
+  ]
+}, null, 2);
+
+module.exports = {
+  EXIT_CODES,
+  exitCodeFor,
+  summarize,
+  textLine,
+  textSummary,
+  jsonReport,
+  sarifReport
+};
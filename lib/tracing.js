@@ -0,0 +1,321 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+const { Logger } = require('./logger');
+
+// OpenTelemetry-compatible tracing - just enough of it for this server
+//
+// A trace is a tree of spans, each with a start and end time: the upload request, the time
+// multer spent receiving the file, waiting for a pool connection, streaming to clamd and
+// sending the response. Callers pass their trace on in a W3C `traceparent` header
+// (https://www.w3.org/TR/trace-context/), so our spans become children of theirs.
+//
+// Finished spans go to an exporter: OtlpHttpExporter sends them in batches to an OpenTelemetry
+// collector (OTLP/HTTP with JSON encoding), InMemoryExporter keeps them in an array for tests.
+// Spans of traces that aren't sampled are timed as usual but never exported.
+
+const SPAN_KIND = { INTERNAL: 1, SERVER: 2, CLIENT: 3 };
+const SPAN_STATUS = { UNSET: 0, OK: 1, ERROR: 2 };
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+// { traceId, spanId, sampled } from a traceparent header, or null if it is missing or malformed
+const parseTraceparent = (header) => {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match) return null;
+  const [, version, traceId, spanId, flags, rest] = match;
+  // Version ff is invalid; version 00 has nothing after the flags
+  if (version === 'ff' || (version === '00' && rest)) return null;
+  if (traceId === INVALID_TRACE_ID || spanId === INVALID_SPAN_ID) return null;
+  return { traceId, spanId, sampled: (parseInt(flags, 16) & 1) === 1 };
+};
+
+const formatTraceparent = ({ traceId, spanId, sampled }) => `00-${traceId}-${spanId}-${sampled ? '01' : '00'}`;
+
+// Nanoseconds since the epoch, as a string - too large for a JS number
+const toUnixNano = (time) => `${BigInt(Math.round(time * 1000)) * 1000n}`;
+
+// Wall clock time in ms with sub-millisecond precision
+const now = () => performance.timeOrigin + performance.now();
+
+class Span {
+  constructor(tracer, name, { traceId, parentSpanId = null, sampled, kind = SPAN_KIND.INTERNAL, attributes = {} }) {
+    this.tracer = tracer;
+    this.name = name;
+    this.traceId = traceId;
+    this.spanId = crypto.randomBytes(8).toString('hex');
+    this.parentSpanId = parentSpanId;
+    this.sampled = sampled;
+    this.kind = kind;
+    this.attributes = {};
+    this.events = [];
+    this.status = { code: SPAN_STATUS.UNSET };
+    this.startTime = now();
+    this.endTime = null;
+    this.setAttributes(attributes);
+  }
+
+  get ended() {
+    return this.endTime !== null;
+  }
+
+  // Attributes without a value (undefined or null) are left out
+  setAttribute(name, value) {
+    if (value !== undefined && value !== null) {
+      this.attributes[name] = value;
+    }
+    return this;
+  }
+
+  setAttributes(attributes) {
+    Object.entries(attributes).forEach(([name, value]) => this.setAttribute(name, value));
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: now(), attributes });
+    return this;
+  }
+
+  // Marks the span as failed, with the error as an `exception` event
+  recordError(error) {
+    this.status = { code: SPAN_STATUS.ERROR, message: error.message };
+    return this.addEvent('exception', {
+      'exception.type': error.code || error.name,
+      'exception.message': error.message
+    });
+  }
+
+  // Ending a span twice keeps the first end time
+  end() {
+    if (this.ended) return;
+    this.endTime = now();
+    this.tracer._onEnd(this);
+  }
+
+  // The traceparent header that makes a downstream span a child of this one
+  traceparent() {
+    return formatTraceparent(this);
+  }
+}
+
+class Tracer {
+  constructor({ exporter = null, sampleRatio = 1 } = {}) {
+    this.exporter = exporter;
+    this.sampleRatio = sampleRatio;
+  }
+
+  get enabled() {
+    return Boolean(this.exporter);
+  }
+
+  // `parent` is a Span, the result of parseTraceparent, or null to start a new trace
+  // A parent's sampling decision is kept; new traces are sampled at `sampleRatio`
+  startSpan(name, { parent = null, kind, attributes } = {}) {
+    return new Span(this, name, {
+      traceId: parent ? parent.traceId : crypto.randomBytes(16).toString('hex'),
+      parentSpanId: parent ? parent.spanId : null,
+      sampled: parent ? parent.sampled : Math.random() < this.sampleRatio,
+      kind,
+      attributes
+    });
+  }
+
+  _onEnd(span) {
+    if (span.sampled && this.exporter) {
+      this.exporter.export(span);
+    }
+  }
+}
+
+// OTLP/JSON attribute value
+const toAnyValue = (value) => {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  return { stringValue: String(value) };
+};
+
+const toKeyValues = (attributes) => Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+
+// A span as OTLP/JSON - trace and span IDs are hex strings in the JSON encoding
+const toOtlpSpan = (span) => {
+  const otlpSpan = {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    name: span.name,
+    kind: span.kind,
+    startTimeUnixNano: toUnixNano(span.startTime),
+    endTimeUnixNano: toUnixNano(span.endTime),
+    attributes: toKeyValues(span.attributes),
+    events: span.events.map(event => ({
+      name: event.name,
+      timeUnixNano: toUnixNano(event.time),
+      attributes: toKeyValues(event.attributes)
+    })),
+    status: span.status
+  };
+  if (span.parentSpanId) {
+    otlpSpan.parentSpanId = span.parentSpanId;
+  }
+  return otlpSpan;
+};
+
+// Sends finished spans to an OpenTelemetry collector (POST <url>, usually .../v1/traces)
+// Spans are batched: sent every `flushInterval` ms, or as soon as `maxBatchSize` are waiting.
+// While the collector is down, spans beyond `maxQueueSize` are dropped - tracing never holds up scans.
+class OtlpHttpExporter {
+  constructor({
+    url,
+    headers = {},
+    serviceName = 'document-scanner',
+    maxBatchSize = 512,
+    maxQueueSize = 2048,
+    flushInterval = 5000,
+    timeout = 10000,
+    logger = new Logger()
+  }) {
+    this.url = url;
+    this.headers = headers;
+    this.serviceName = serviceName;
+    this.maxBatchSize = maxBatchSize;
+    this.maxQueueSize = maxQueueSize;
+    this.timeout = timeout;
+    this.logger = logger;
+    this.queue = [];
+    this.exported = 0;
+    this.dropped = 0;
+    this.failed = 0;
+    this._sending = null;
+
+    this._flushTimer = setInterval(() => this.flush(), flushInterval);
+    // Don't keep the process alive just for tracing
+    this._flushTimer.unref();
+  }
+
+  export(span) {
+    if (this.queue.length >= this.maxQueueSize) {
+      this.dropped++;
+      return;
+    }
+    this.queue.push(span);
+    if (this.queue.length >= this.maxBatchSize) {
+      this.flush();
+    }
+  }
+
+  // Sends what is queued, one batch at a time - resolves once the queue is empty (or a send failed)
+  flush() {
+    if (!this._sending && this.queue.length > 0) {
+      this._sending = this._sendBatches().finally(() => {
+        this._sending = null;
+      });
+    }
+    return this._sending || Promise.resolve();
+  }
+
+  async _sendBatches() {
+    while (this.queue.length > 0) {
+      const batch = this.queue.splice(0, this.maxBatchSize);
+      try {
+        const { statusCode } = await this._post(JSON.stringify(this._payload(batch)));
+        if (statusCode < 200 || statusCode >= 300) {
+          throw new Error(`Collector responded with HTTP ${statusCode}`);
+        }
+        this.exported += batch.length;
+      } catch (error) {
+        // Not retried - the next batch may well fail the same way
+        this.failed += batch.length;
+        this.logger.warn('Failed to export spans', { stage: 'tracing', url: this.url, spans: batch.length, error });
+        return;
+      }
+    }
+  }
+
+  _payload(spans) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: toKeyValues({ 'service.name': this.serviceName }) },
+        scopeSpans: [{
+          scope: { name: 'document-scanner' },
+          spans: spans.map(toOtlpSpan)
+        }]
+      }]
+    };
+  }
+
+  _post(body) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(this.url);
+      const transport = target.protocol === 'https:' ? https : http;
+
+      const req = transport.request(target, {
+        method: 'POST',
+        headers: {
+          ...this.headers,
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        },
+        timeout: this.timeout
+      }, (res) => {
+        // The response body (an ExportTraceServiceResponse) is not used
+        res.resume();
+        res.on('end', () => resolve({ statusCode: res.statusCode }));
+        res.on('error', reject);
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error(`No response within ${this.timeout}ms`));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+// Keeps finished spans in `spans` - for tests and local debugging
+class InMemoryExporter {
+  constructor() {
+    this.spans = [];
+  }
+
+  export(span) {
+    this.spans.push(span);
+  }
+
+  flush() {
+    return Promise.resolve();
+  }
+
+  reset() {
+    this.spans = [];
+  }
+}
+
+// Headers for the exporter from "key1=value1,key2=value2" (OTEL_EXPORTER_OTLP_HEADERS)
+const parseHeaderList = (value) => {
+  const headers = {};
+  String(value || '').split(',').forEach((pair) => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      headers[decodeURIComponent(pair.slice(0, index).trim())] = decodeURIComponent(pair.slice(index + 1).trim());
+    }
+  });
+  return headers;
+};
+
+module.exports = {
+  Tracer,
+  Span,
+  OtlpHttpExporter,
+  InMemoryExporter,
+  SPAN_KIND,
+  SPAN_STATUS,
+  parseTraceparent,
+  formatTraceparent,
+  parseHeaderList,
+  toOtlpSpan
+};
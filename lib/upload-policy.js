@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const yaml = require('js-yaml');
+const { formatFileSize, parseSize } = require('./format');
+const { HEAD_SIZE, FILE_TYPES, detectFileType, typeForFileName, typeForMimeType, typeMatches } = require('./file-type');
+const { ACTIVE_CONTENT_FINDINGS } = require('./active-content');
+
+// Upload policy: which kinds of files are accepted, and how large they may be
+//
+// Files are judged by their real type, detected from their content (see lib/file-type.js) -
+// never by the file name or the content type the client sent. The policy is a JSON or YAML file:
+//
+//   maxFileSize: 100MB
+//   allowedTypes: [pdf, docx, xlsx, image/*, text]   # only these; every type when missing
+//   blockedTypes: [exe, elf, macho, script]          # never these
+//   maxSizeByType:
+//     image/*: 10MB
+//     pdf: 50MB
+//   rejectExtensionMismatch: true   # name or content type says one type, the content another
+//   activeContent:                  # what to do with active content (see lib/active-content.js)
+//     VBA_MACROS: block             # block, warn (the default) or ignore
+//     PDF_JAVASCRIPT: block
+//
+// Types are the names from lib/file-type.js ('unknown' for anything unrecognized) or MIME types,
+// which may end in a wildcard (image/*). Names match exactly: allowing zip doesn't allow docx,
+// and text doesn't cover html, xml, svg or scripts.
+// Without a policy file every file is accepted - its type is still detected and reported.
+
+// Files rejected by the policy. `code` is one of:
+//   TYPE_BLOCKED        - the file's type is on the blocked list
+//   TYPE_NOT_ALLOWED    - the file's type isn't on the allowed list
+//   EXTENSION_MISMATCH  - the file name or declared content type doesn't match the content
+//   FILE_TOO_LARGE      - the file is larger than its type may be
+//   ACTIVE_CONTENT_BLOCKED - the file has active content the policy blocks
+class PolicyError extends Error {
+  constructor(message, code, detectedType = null, warnings = null) {
+    super(message);
+    this.name = 'PolicyError';
+    this.code = code;
+    // { type, mime } the file was detected as
+    this.detectedType = detectedType;
+    // Active content found in the file (ACTIVE_CONTENT_BLOCKED only)
+    this.warnings = warnings;
+  }
+}
+
+const tooLarge = (fileType, limit) => new PolicyError(
+  `Files of type ${fileType.type} may be at most ${formatFileSize(limit)}`,
+  'FILE_TOO_LARGE',
+  { type: fileType.type, mime: fileType.mime }
+);
+
+const RULE_KEYS = ['maxFileSize', 'allowedTypes', 'blockedTypes', 'maxSizeByType', 'rejectExtensionMismatch', 'activeContent'];
+const CONTENT_ACTIONS = ['block', 'warn', 'ignore'];
+
+// A type name or MIME pattern -> predicate on { type, mime }
+const parseTypePattern = (pattern) => {
+  const value = String(pattern).trim().toLowerCase();
+  if (value.includes('/')) {
+    if (value.endsWith('/*')) {
+      const prefix = value.slice(0, -1);
+      return { pattern: value, matches: fileType => fileType.mime.startsWith(prefix) };
+    }
+    return { pattern: value, matches: fileType => fileType.mime === value };
+  }
+  if (!FILE_TYPES[value]) {
+    throw new Error(`Unknown file type in upload policy: ${pattern} (known types: ${Object.keys(FILE_TYPES).join(', ')})`);
+  }
+  return { pattern: value, matches: fileType => fileType.type === value };
+};
+
+// { VBA_MACROS: 'block', ... } -> the action for every kind of finding, 'warn' unless set
+const parseContentActions = (actions) => {
+  const result = {};
+  for (const code of Object.keys(ACTIVE_CONTENT_FINDINGS)) {
+    result[code] = 'warn';
+  }
+  for (const [code, action] of Object.entries(actions)) {
+    const key = String(code).toUpperCase();
+    if (!ACTIVE_CONTENT_FINDINGS[key]) {
+      throw new Error(`Unknown active content in upload policy: ${code} (known: ${Object.keys(ACTIVE_CONTENT_FINDINGS).join(', ')})`);
+    }
+    if (!CONTENT_ACTIONS.includes(String(action).toLowerCase())) {
+      throw new Error(`Invalid action for activeContent.${code}: ${action} (expected ${CONTENT_ACTIONS.join(', ')})`);
+    }
+    result[key] = String(action).toLowerCase();
+  }
+  return result;
+};
+
+const parseTypeList = (list, name) => {
+  if (!Array.isArray(list)) {
+    throw new Error(`${name} must be a list of file types`);
+  }
+  return list.map(parseTypePattern);
+};
+
+class UploadPolicy {
+  constructor(rules = {}) {
+    const unknownKeys = Object.keys(rules).filter(key => !RULE_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+      throw new Error(`Unknown upload policy setting(s): ${unknownKeys.join(', ')}`);
+    }
+
+    this.maxFileSize = rules.maxFileSize !== undefined ? parseSize(rules.maxFileSize, 'maxFileSize') : Infinity;
+    this.allowedTypes = rules.allowedTypes ? parseTypeList(rules.allowedTypes, 'allowedTypes') : null;
+    this.blockedTypes = rules.blockedTypes ? parseTypeList(rules.blockedTypes, 'blockedTypes') : [];
+    this.maxSizeByType = Object.entries(rules.maxSizeByType || {}).map(([pattern, size]) => ({
+      ...parseTypePattern(pattern),
+      size: parseSize(size, `maxSizeByType.${pattern}`)
+    }));
+    this.rejectExtensionMismatch = Boolean(rules.rejectExtensionMismatch);
+    this.activeContent = parseContentActions(rules.activeContent || {});
+  }
+
+  // Reads a policy from a .json, .yml or .yaml file
+  static load(file) {
+    let rules;
+    try {
+      const text = fs.readFileSync(path.resolve(file), 'utf8');
+      rules = /\.ya?ml$/i.test(file) ? yaml.load(text) : JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Could not read upload policy ${file}: ${error.message}`);
+    }
+    return new UploadPolicy(rules || {});
+  }
+
+  // Largest size allowed for a file of this type (Infinity if there is no limit)
+  maxSizeFor(fileType) {
+    return this.maxSizeByType
+      .filter(rule => rule.matches(fileType))
+      .reduce((limit, rule) => Math.min(limit, rule.size), this.maxFileSize);
+  }
+
+  // Throws a PolicyError if a file of this type may not be uploaded
+  // fileName and contentType are what the client said the file is
+  checkType(fileType, { fileName, contentType } = {}) {
+    const detected = { type: fileType.type, mime: fileType.mime };
+    const blocked = this.blockedTypes.find(rule => rule.matches(fileType));
+    if (blocked) {
+      throw new PolicyError(`Files of type ${fileType.type} (${fileType.mime}) are not accepted`, 'TYPE_BLOCKED', detected);
+    }
+    if (this.allowedTypes && !this.allowedTypes.some(rule => rule.matches(fileType))) {
+      throw new PolicyError(`Files of type ${fileType.type} (${fileType.mime}) are not accepted`, 'TYPE_NOT_ALLOWED', detected);
+    }
+
+    if (this.rejectExtensionMismatch) {
+      const byName = typeForFileName(fileName);
+      if (!typeMatches(fileType.type, byName)) {
+        throw new PolicyError(`${fileName} has the extension of ${byName} files, but its content is ${fileType.type}`, 'EXTENSION_MISMATCH', detected);
+      }
+      const byContentType = typeForMimeType(contentType);
+      if (!typeMatches(fileType.type, byContentType)) {
+        throw new PolicyError(`The file was sent as ${contentType}, but its content is ${fileType.type}`, 'EXTENSION_MISMATCH', detected);
+      }
+    }
+  }
+
+  checkSize(fileType, size) {
+    const limit = this.maxSizeFor(fileType);
+    if (size > limit) {
+      throw tooLarge(fileType, limit);
+    }
+  }
+
+  // Findings of lib/active-content.js as the warnings reported for the file:
+  // [{ code, message, blocked }] - findings the policy ignores are left out
+  judgeContent(findings) {
+    return findings
+      .filter(item => this.activeContent[item.code] !== 'ignore')
+      .map(item => ({ code: item.code, message: item.message, blocked: this.activeContent[item.code] === 'block' }));
+  }
+
+  // Throws a PolicyError if any of the warnings (from judgeContent) blocks the file
+  checkContent(fileType, warnings) {
+    const blocked = warnings.filter(warning => warning.blocked);
+    if (blocked.length > 0) {
+      throw new PolicyError(
+        blocked.map(warning => warning.message).join('; '),
+        'ACTIVE_CONTENT_BLOCKED',
+        { type: fileType.type, mime: fileType.mime },
+        warnings
+      );
+    }
+  }
+
+  // Checks a stream against the policy as it arrives
+  // Reads the first bytes to detect the type, then resolves with { stream, fileType }: `stream`
+  // replays the whole file and errors with a PolicyError if it grows past the size limit.
+  // Rejects with a PolicyError right away if the type isn't accepted (or `size`, if the caller
+  // knows it up front, is too large) - the source is left paused then.
+  // Empty files aren't judged here - callers reject them with their own message
+  inspect(source, { fileName, contentType, size = null } = {}) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let length = 0;
+      let ended = false;
+
+      const cleanup = () => {
+        source.removeListener('data', onData);
+        source.removeListener('end', onEnd);
+        source.removeListener('error', onError);
+      };
+      const done = () => {
+        cleanup();
+        source.pause();
+
+        const head = Buffer.concat(chunks);
+        const fileType = detectFileType(head.slice(0, HEAD_SIZE));
+        try {
+          if (head.length > 0) {
+            this.checkType(fileType, { fileName, contentType });
+          }
+          this.checkSize(fileType, size !== null ? size : head.length);
+        } catch (error) {
+          reject(error);
+          return;
+        }
+
+        const limit = this.maxSizeFor(fileType);
+        let received = 0;
+        const stream = new Transform({
+          transform: (chunk, encoding, callback) => {
+            received += chunk.length;
+            callback(received > limit ? tooLarge(fileType, limit) : null, chunk);
+          }
+        });
+        // Errors are reported to whoever reads the stream - this only keeps one that happens
+        // before anybody listens from crashing the process
+        stream.on('error', () => {});
+        if (ended) {
+          stream.end(head);
+        } else {
+          stream.write(head);
+          source.on('error', (error) => stream.destroy(error));
+          source.pipe(stream);
+        }
+        resolve({ stream, fileType });
+      };
+      const onData = (chunk) => {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= HEAD_SIZE) done();
+      };
+      const onEnd = () => {
+        ended = true;
+        done();
+      };
+      const onError = (error) => {
+        cleanup();
+        reject(error);
+      };
+
+      source.on('data', onData);
+      source.on('end', onEnd);
+      source.on('error', onError);
+    });
+  }
+
+  // Checks a file that is already on disk; resolves with its type or rejects with a PolicyError
+  async inspectFile(filePath, { fileName, contentType, size }) {
+    const handle = await fs.promises.open(filePath, 'r');
+    let head;
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(HEAD_SIZE), 0, HEAD_SIZE, 0);
+      head = buffer.slice(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+
+    const fileType = detectFileType(head);
+    if (head.length > 0) {
+      this.checkType(fileType, { fileName, contentType });
+      this.checkSize(fileType, size);
+    }
+    return fileType;
+  }
+}
+
+module.exports = {
+  UploadPolicy,
+  PolicyError
+};
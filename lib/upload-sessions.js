@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { Logger } = require('./logger');
+
+// Resumable uploads (POST /uploads and friends), modelled on the tus protocol (https://tus.io)
+//
+// A session is created with the file's length, then the file is sent in any number of
+// appends, each starting at the current offset. When a connection drops, the bytes that made it
+// are kept: the client asks for the offset and carries on from there. Once the offset reaches
+// the length, the file is taken out of the store and scanned like any other upload.
+//
+// Each session is two files in the sessions directory:
+//   <id>.part - the bytes received so far; its size is the offset
+//   <id>.json - metadata: length, file name, content type, owner (API key), timestamps
+// Keeping everything on disk means sessions survive a restart and are shared by PM2 workers.
+// Sessions that see no append for `ttl` ms are removed.
+
+const ID_PATTERN = /^u-[a-f0-9]{32}$/;
+
+// Errors for upload session operations. `code` is one of:
+//   SESSION_NOT_FOUND - no session with that ID (or it expired)
+//   OFFSET_MISMATCH   - an append didn't start at the current offset
+//   LENGTH_EXCEEDED   - an append went past the length given when the session was created
+//                       (the bytes up to the length are kept)
+//   SUPERSEDED        - an append was given up on because a newer one for the session came in
+//   INCOMPLETE        - the session was taken before all of its bytes had arrived
+class UploadSessionError extends Error {
+  constructor(message, code, offset = null) {
+    super(message);
+    this.name = 'UploadSessionError';
+    this.code = code;
+    // The session's offset afterwards
+    this.offset = offset;
+  }
+}
+
+const notFound = (id) => new UploadSessionError(`Upload session ${id} not found. Sessions expire when nothing is sent for a while.`, 'SESSION_NOT_FOUND');
+
+class UploadSessionStore {
+  constructor({ dir, ttl = 24 * 60 * 60 * 1000, sweepInterval = 10 * 60 * 1000, logger = new Logger() }) {
+    this.dir = dir;
+    this.ttl = ttl;
+    this.sweepInterval = sweepInterval;
+    this.logger = logger;
+    // Appends in progress in this process, by session ID
+    this._appending = new Map();
+    this._sweepTimer = null;
+  }
+
+  init() {
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+  }
+
+  startExpiry() {
+    if (this._sweepTimer) return;
+    this._sweepTimer = setInterval(() => {
+      this.sweep().catch(error => this.logger.error('Upload session cleanup failed', { stage: 'upload_session', error }));
+    }, this.sweepInterval);
+    // Don't keep the process alive just for cleanup
+    this._sweepTimer.unref();
+  }
+
+  _paths(id) {
+    if (!ID_PATTERN.test(id)) {
+      throw notFound(id);
+    }
+    return {
+      data: path.join(this.dir, `${id}.part`),
+      metadata: path.join(this.dir, `${id}.json`)
+    };
+  }
+
+  // Starts a session for a file of `length` bytes; `owner` is the API key's ID (or null)
+  async create({ length, fileName, contentType = null, owner = null }) {
+    const id = `u-${crypto.randomBytes(16).toString('hex')}`;
+    const paths = this._paths(id);
+    const now = Date.now();
+    const session = { id, length, fileName, contentType, owner, createdAt: now, updatedAt: now };
+
+    await fs.promises.writeFile(paths.data, '', { mode: 0o600 });
+    await fs.promises.writeFile(paths.metadata, JSON.stringify(session, null, 2), { mode: 0o600 });
+    return { ...session, offset: 0, expiresAt: now + this.ttl };
+  }
+
+  // The session with its current `offset` and `expiresAt`; throws SESSION_NOT_FOUND
+  async get(id) {
+    const paths = this._paths(id);
+    let session;
+    let stats;
+    try {
+      session = JSON.parse(await fs.promises.readFile(paths.metadata, 'utf8'));
+      stats = await fs.promises.stat(paths.data);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw notFound(id);
+      throw error;
+    }
+    // Not swept yet, but as good as gone
+    if (session.updatedAt + this.ttl < Date.now()) {
+      throw notFound(id);
+    }
+    return { ...session, offset: stats.size, expiresAt: session.updatedAt + this.ttl };
+  }
+
+  // Appends `stream` to the session, which must be at `offset`; resolves with the session
+  // afterwards. If the stream fails or ends early the bytes that arrived are kept, and the error
+  // thrown carries the new `offset` - the client asks for it and resumes from there.
+  // An append still running for the same session is given up on first: a client only starts a new
+  // one when it has lost track of the old one, whose connection may not have noticed yet.
+  async append(id, offset, stream) {
+    for (let running = this._appending.get(id); running; running = this._appending.get(id)) {
+      running.abort();
+      await running.done;
+    }
+
+    let failure = null;
+    let limit = null;
+    let piping = false;
+    // Stops reading `stream`, keeping what has been written so far
+    const stop = (error) => {
+      failure = failure || error;
+      if (!piping) return;
+      piping = false;
+      stream.unpipe(limit);
+      stream.resume();
+      limit.end();
+    };
+    let finished;
+    const entry = {
+      abort: () => stop(new UploadSessionError('A newer chunk for this upload came in before this one was complete', 'SUPERSEDED')),
+      done: new Promise((resolve) => {
+        finished = resolve;
+      })
+    };
+    this._appending.set(id, entry);
+
+    try {
+      const session = await this.get(id);
+      if (offset !== session.offset) {
+        throw new UploadSessionError(
+          `Upload-Offset ${offset} does not match the session's offset ${session.offset}`,
+          'OFFSET_MISMATCH',
+          session.offset
+        );
+      }
+
+      if (!failure) {
+        // Passes the stream on, but never more than the bytes the session is still missing
+        const remaining = session.length - session.offset;
+        let received = 0;
+        limit = new Transform({
+          transform: (chunk, encoding, callback) => {
+            const fits = Math.max(0, Math.min(chunk.length, remaining - received));
+            received += chunk.length;
+            callback(null, fits < chunk.length ? chunk.slice(0, fits) : chunk);
+            if (fits < chunk.length) {
+              stop(new UploadSessionError(`The upload is longer than the ${session.length} bytes announced`, 'LENGTH_EXCEEDED'));
+            }
+          }
+        });
+        const writer = fs.createWriteStream(this._paths(id).data, { flags: 'a' });
+        const written = new Promise((resolve) => {
+          stream.on('error', stop);
+          // The client went away - keep what we have
+          stream.on('aborted', () => stop(new Error('Connection closed before the chunk was complete')));
+          writer.on('error', (error) => {
+            stop(error);
+            resolve();
+          });
+          writer.on('close', resolve);
+        });
+        piping = true;
+        stream.pipe(limit).pipe(writer);
+        await written;
+        piping = false;
+      }
+
+      // Whatever made it counts as activity, even if the chunk failed halfway
+      await this._touch(id, session);
+      const updated = await this.get(id);
+      if (failure) {
+        failure.offset = updated.offset;
+        throw failure;
+      }
+      return updated;
+    } finally {
+      this._appending.delete(id);
+      finished();
+    }
+  }
+
+  async _touch(id, session) {
+    const { metadata } = this._paths(id);
+    const updated = { ...session, updatedAt: Date.now() };
+    delete updated.offset;
+    delete updated.expiresAt;
+    await fs.promises.writeFile(metadata, JSON.stringify(updated, null, 2), { mode: 0o600 });
+  }
+
+  // Takes a complete session out of the store: resolves with { session, filePath } - the file is
+  // the caller's now, to move or delete. Throws INCOMPLETE if bytes are still missing.
+  async take(id) {
+    const session = await this.get(id);
+    if (session.offset < session.length) {
+      throw new UploadSessionError(
+        `The upload is not complete yet: ${session.offset} of ${session.length} bytes received`,
+        'INCOMPLETE',
+        session.offset
+      );
+    }
+    const paths = this._paths(id);
+    // Removing the metadata first means a second take() of the same session fails
+    try {
+      await fs.promises.unlink(paths.metadata);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw notFound(id);
+      throw error;
+    }
+    return { session, filePath: paths.data };
+  }
+
+  // Removes a session and whatever it received
+  async remove(id) {
+    const paths = this._paths(id);
+    const running = this._appending.get(id);
+    if (running) {
+      running.abort();
+      await running.done;
+    }
+    try {
+      await fs.promises.unlink(paths.metadata);
+    } catch (error) {
+      if (error.code === 'ENOENT') throw notFound(id);
+      throw error;
+    }
+    await fs.promises.rm(paths.data, { force: true });
+  }
+
+  // Removes sessions that haven't been appended to for `ttl` ms
+  async sweep() {
+    const cutoff = Date.now() - this.ttl;
+    let removed = 0;
+    for (const name of await fs.promises.readdir(this.dir)) {
+      if (!name.endsWith('.json')) continue;
+      const id = name.slice(0, -'.json'.length);
+      if (!ID_PATTERN.test(id) || this._appending.has(id)) continue;
+
+      try {
+        const session = JSON.parse(await fs.promises.readFile(path.join(this.dir, name), 'utf8'));
+        if (session.updatedAt >= cutoff) continue;
+        await this.remove(id);
+        removed++;
+      } catch (error) {
+        // Taken or removed by someone else in the meantime
+        if (error.code !== 'SESSION_NOT_FOUND' && error.code !== 'ENOENT') throw error;
+      }
+    }
+    if (removed > 0) {
+      this.logger.info('Removed expired upload sessions', { stage: 'upload_session', removed });
+    }
+    return removed;
+  }
+}
+
+module.exports = {
+  UploadSessionStore,
+  UploadSessionError
+};
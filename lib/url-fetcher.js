@@ -0,0 +1,195 @@
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { Transform } = require('stream');
+const { formatFileSize } = require('./format');
+const { AddressGuard, AddressGuardError } = require('./address-guard');
+
+// Downloads remote files for POST /scan-url
+//
+// Guards against server-side request forgery: only http(s) URLs are fetched, and every host -
+// including each redirect target - must resolve to a public address (see address-guard.js).
+//
+// Downloads are capped in size and time, and redirects are followed up to a limit.
+
+// Errors for URL downloads. `code` is one of:
+//   INVALID_URL        - not an absolute http(s) URL
+//   BLOCKED_ADDRESS    - the host is or resolves to a blocked address
+//   TOO_MANY_REDIRECTS - more redirects than allowed
+//   HTTP_ERROR         - the server answered with a non-2xx status
+//   FILE_TOO_LARGE     - the download is bigger than the size cap
+//   FETCH_TIMEOUT      - the download did not finish in time
+//   FETCH_FAILED       - DNS or network failure
+class UrlFetchError extends Error {
+  constructor(message, code, statusCode = null) {
+    super(message);
+    this.name = 'UrlFetchError';
+    this.code = code;
+    // Status the remote server answered with, for HTTP_ERROR
+    this.statusCode = statusCode;
+  }
+}
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// File name from Content-Disposition, or else the last segment of the URL path
+const getFileName = (url, contentDisposition = '') => {
+  const encoded = contentDisposition.match(/filename\*\s*=\s*UTF-8''([^;]+)/i);
+  const plain = contentDisposition.match(/filename\s*=\s*"?([^";]+)"?/i);
+  let name = null;
+  try {
+    if (encoded) {
+      name = decodeURIComponent(encoded[1].trim());
+    } else if (plain) {
+      name = plain[1].trim();
+    } else {
+      name = decodeURIComponent(url.pathname.split('/').pop());
+    }
+  } catch (error) {
+    // Malformed percent-encoding
+    name = null;
+  }
+  return path.basename(name || '') || 'download';
+};
+
+// UrlFetchError for an AddressGuardError
+const toFetchError = (error) => new UrlFetchError(error.message, error.code === 'BLOCKED_ADDRESS' ? 'BLOCKED_ADDRESS' : 'FETCH_FAILED');
+
+class UrlFetcher {
+  // allowlist: host names (exact, or "*.example.com" for subdomains), addresses and CIDR
+  // ranges that may be fetched even though they are private
+  constructor({ maxBytes = 100 * 1024 * 1024, timeout = 30000, maxRedirects = 5, allowlist = [] } = {}) {
+    this.maxBytes = maxBytes;
+    this.timeout = timeout;
+    this.maxRedirects = maxRedirects;
+    this.guard = new AddressGuard({ allowlist });
+    this._lookup = this._lookup.bind(this);
+  }
+
+  // DNS lookup for http.request that refuses blocked addresses
+  _lookup(hostname, options, callback) {
+    this.guard.lookup(hostname, options, (error, ...resolved) => callback(error && toFetchError(error), ...resolved));
+  }
+
+  // Parses and checks a URL before anything is sent to it
+  validateUrl(value) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new UrlFetchError(`Invalid URL: ${value}`, 'INVALID_URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new UrlFetchError(`Only http and https URLs can be scanned: ${value}`, 'INVALID_URL');
+    }
+    if (url.username || url.password) {
+      throw new UrlFetchError('URLs with credentials are not supported', 'INVALID_URL');
+    }
+
+    // Addresses in the URL never go through the DNS lookup, so check them here
+    try {
+      this.guard.checkUrl(url);
+    } catch (error) {
+      throw error instanceof AddressGuardError ? toFetchError(error) : error;
+    }
+    return url;
+  }
+
+  _get(url, onRequest) {
+    return new Promise((resolve, reject) => {
+      const transport = url.protocol === 'https:' ? https : http;
+      const req = transport.get(url, {
+        lookup: this._lookup,
+        headers: { 'user-agent': 'clamav-document-scanner', accept: '*/*' }
+      }, resolve);
+      req.on('error', (error) => reject(error instanceof UrlFetchError
+        ? error
+        : new UrlFetchError(`Download from ${url.host} failed: ${error.message}`, 'FETCH_FAILED')));
+      onRequest(req);
+    });
+  }
+
+  // Starts a download and resolves once the final response has arrived:
+  // { stream, url, fileName, contentType, contentLength, redirects }
+  // The body is read from `stream`, which errors with a UrlFetchError if the download fails,
+  // grows past the size cap or runs out of time
+  async fetch(value) {
+    let url = this.validateUrl(value);
+    let request = null;
+    let body = null;
+    const timeoutError = () => new UrlFetchError(`Download did not finish within ${this.timeout}ms`, 'FETCH_TIMEOUT');
+    const timer = setTimeout(() => {
+      if (body) {
+        body.destroy(timeoutError());
+      } else if (request) {
+        request.destroy(timeoutError());
+      }
+    }, this.timeout);
+
+    try {
+      for (let redirects = 0; ; redirects++) {
+        const res = await this._get(url, (req) => {
+          request = req;
+        });
+
+        if (REDIRECT_STATUSES.includes(res.statusCode) && res.headers.location) {
+          res.resume();
+          if (redirects >= this.maxRedirects) {
+            throw new UrlFetchError(`Too many redirects (more than ${this.maxRedirects})`, 'TOO_MANY_REDIRECTS');
+          }
+          url = this.validateUrl(new URL(res.headers.location, url).toString());
+          continue;
+        }
+
+        if (res.statusCode < 200 || res.statusCode >= 300) {
+          res.resume();
+          throw new UrlFetchError(`${url.host} responded with HTTP ${res.statusCode}`, 'HTTP_ERROR', res.statusCode);
+        }
+
+        const contentLength = res.headers['content-length'] ? parseInt(res.headers['content-length'], 10) : null;
+        const tooLarge = () => new UrlFetchError(`File is larger than the ${formatFileSize(this.maxBytes)} limit`, 'FILE_TOO_LARGE');
+        if (contentLength !== null && contentLength > this.maxBytes) {
+          res.destroy();
+          throw tooLarge();
+        }
+
+        // Counts the bytes as they pass and cuts the download off at the size cap
+        let received = 0;
+        body = new Transform({
+          transform: (chunk, encoding, callback) => {
+            received += chunk.length;
+            callback(received > this.maxBytes ? tooLarge() : null, chunk);
+          }
+        });
+        res.on('error', (error) => body.destroy(new UrlFetchError(`Download from ${url.host} failed: ${error.message}`, 'FETCH_FAILED')));
+        res.on('aborted', () => body.destroy(new UrlFetchError(`${url.host} closed the connection before the download finished`, 'FETCH_FAILED')));
+        body.on('close', () => {
+          clearTimeout(timer);
+          if (!res.complete) request.destroy();
+        });
+        // Errors are reported to whoever reads the stream - this only keeps one that happens
+        // before anybody listens (e.g. while the scan waits for a connection) from crashing the process
+        body.on('error', () => {});
+        res.pipe(body);
+
+        return {
+          stream: body,
+          url: url.toString(),
+          fileName: getFileName(url, res.headers['content-disposition']),
+          contentType: res.headers['content-type'] || null,
+          contentLength,
+          redirects
+        };
+      }
+    } catch (error) {
+      clearTimeout(timer);
+      if (request) request.destroy();
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  UrlFetcher,
+  UrlFetchError
+};
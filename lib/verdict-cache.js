@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { Logger } = require('./logger');
+
+// Cache of scan verdicts by the SHA-256 of the file contents
+//
+// The same attachments and templates get uploaded over and over - once a file was scanned,
+// its verdict (clean or infected) is returned again without sending it to clamd.
+// Every entry remembers the signature database version that produced it. A verdict is only
+// valid for that version: when clamd loads new signatures, everything older is dropped
+// (a new signature may catch a file that used to be clean, or a false positive may be gone).
+//
+// Entries live in memory, least recently used ones are evicted beyond `maxEntries`.
+// With `file` set they are also appended to a JSON Lines file and loaded again on start,
+// so the cache survives restarts. The file is rewritten from memory once it holds far more
+// lines than entries. Losing it (or a write to it) only costs a rescan.
+
+class VerdictCache {
+  constructor({ maxEntries = 10000, file = null, logger = new Logger() } = {}) {
+    this.maxEntries = maxEntries;
+    this.file = file;
+    this.entries = new Map();
+    // Version of the signature database the cached verdicts belong to
+    this.signatureVersion = null;
+    this.hits = 0;
+    this.misses = 0;
+    this._fileLines = 0;
+    // File writes run one at a time, in order
+    this._writing = Promise.resolve();
+    this.logger = logger;
+  }
+
+  // Loads the persisted entries - they are checked against the signature version on first use
+  init() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true, mode: 0o700 });
+
+    let text = '';
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      this._fileLines++;
+      try {
+        this._remember(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash - skip it
+      }
+    }
+    if (this.entries.size > 0) {
+      this.logger.info('Loaded cached verdicts', { entries: this.entries.size, file: this.file });
+    }
+  }
+
+  _remember(entry) {
+    // Re-inserting moves the entry to the end - the Map's order is the LRU order
+    this.entries.delete(entry.sha256);
+    this.entries.set(entry.sha256, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  _write(task) {
+    this._writing = this._writing.then(task).catch((error) => {
+      this.logger.error('Failed to update verdict cache file', { file: this.file, error });
+    });
+    return this._writing;
+  }
+
+  // Rewrites the file with only the entries in memory
+  _compact() {
+    const entries = [...this.entries.values()];
+    this._fileLines = entries.length;
+    return this._write(async () => {
+      const tmpPath = `${this.file}.tmp`;
+      await fs.promises.writeFile(tmpPath, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), { mode: 0o600 });
+      await fs.promises.rename(tmpPath, this.file);
+    });
+  }
+
+  // Drops verdicts from other signature database versions once clamd's version is known
+  // Returns false while it isn't (nothing can be cached or looked up then)
+  _useSignatureVersion(signatureVersion) {
+    if (signatureVersion === null || signatureVersion === undefined) return false;
+    if (signatureVersion === this.signatureVersion) return true;
+
+    const before = this.entries.size;
+    for (const [sha256, entry] of this.entries) {
+      if (entry.signatureVersion !== signatureVersion) {
+        this.entries.delete(sha256);
+      }
+    }
+    if (this.signatureVersion !== null || before !== this.entries.size) {
+      this.logger.info('Signature database changed - dropped cached verdicts', {
+        signatureVersion,
+        dropped: before - this.entries.size
+      });
+    }
+    this.signatureVersion = signatureVersion;
+    if (this.file && before !== this.entries.size) {
+      this._compact();
+    }
+    return true;
+  }
+
+  // Cached verdict for a file, or null
+  // signatureVersion is the version clamd currently has loaded
+  get(sha256, size, signatureVersion) {
+    const entry = this._useSignatureVersion(signatureVersion) ? this.entries.get(sha256) : null;
+    // A different size means a different file - don't trust the hash alone
+    if (!entry || entry.size !== size) {
+      this.misses++;
+      return null;
+    }
+    this.hits++;
+    this._remember(entry);
+    return entry;
+  }
+
+  // Remembers the verdict of a finished scan
+  // signatureVersion is the version of the clamd that scanned it, currentVersion the newest
+  // one loaded anywhere - a verdict from a daemon that hasn't been updated yet isn't kept
+  set(sha256, { size, isInfected, viruses }, signatureVersion, currentVersion) {
+    if (!this._useSignatureVersion(currentVersion) || signatureVersion !== currentVersion) {
+      return null;
+    }
+
+    const entry = {
+      sha256,
+      size,
+      infected: isInfected,
+      viruses: isInfected ? viruses : [],
+      signatureVersion,
+      scannedAt: new Date().toISOString()
+    };
+    this._remember(entry);
+
+    if (this.file) {
+      this._fileLines++;
+      if (this._fileLines > this.maxEntries * 2) {
+        this._compact();
+      } else {
+        this._write(() => fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`, { mode: 0o600 }));
+      }
+    }
+    return entry;
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      signatureVersion: this.signatureVersion,
+      hits: this.hits,
+      misses: this.misses,
+      persistent: Boolean(this.file)
+    };
+  }
+}
+
+module.exports = {
+  VerdictCache
+};
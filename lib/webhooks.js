@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { Logger } = require('./logger');
+const { AddressGuard, AddressGuardError } = require('./address-guard');
+
+// Signed webhook callbacks for finished scans
+//
+// Each delivery POSTs the scan result payload as JSON with these headers:
+//   X-Scan-Event      - scan.completed (clean or infected) or scan.failed
+//   X-Scan-Delivery   - delivery ID, the same for every retry of a delivery
+//   X-Scan-Timestamp  - unix time (seconds) the attempt was signed at
+//   X-Scan-Signature  - sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the shared secret>
+// Receivers should recompute the signature and reject old timestamps to stop replays.
+//
+// Network errors, timeouts, 408, 429 and 5xx responses are retried with exponential backoff,
+// any other response is final. Deliveries and their attempts are kept in a bounded in-memory log.
+//
+// Callbacks never go to private, loopback or link-local addresses (see address-guard.js): the
+// host is checked when the URL is submitted, and again on every attempt through the DNS lookup
+// the connection uses, so it can't be pointed at an internal host in between.
+
+// Errors for callback URLs we won't deliver to. `code` is one of:
+//   WEBHOOKS_DISABLED    - no signing secret configured
+//   INVALID_CALLBACK_URL - not an absolute http(s) URL, or its host can't be resolved
+//   BLOCKED_CALLBACK_URL - the host is or resolves to a private or reserved address
+class WebhookError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'WebhookError';
+    this.code = code;
+  }
+}
+
+const signPayload = (secret, timestamp, body) => {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const isRetryableStatus = (statusCode) => statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+class WebhookDispatcher {
+  // allowlist: hosts, addresses and CIDR ranges callbacks may go to even though they are
+  // private (see AddressGuard)
+  constructor({
+    secret = null,
+    maxAttempts = 5,
+    initialDelay = 1000,
+    maxDelay = 60000,
+    timeout = 10000,
+    logSize = 1000,
+    allowlist = [],
+    logger = new Logger()
+  } = {}) {
+    this.secret = secret;
+    this.maxAttempts = maxAttempts;
+    this.initialDelay = initialDelay;
+    this.maxDelay = maxDelay;
+    this.timeout = timeout;
+    this.logSize = logSize;
+    // Delivery log, oldest first
+    this.deliveries = [];
+    this.guard = new AddressGuard({ allowlist });
+    this.logger = logger;
+  }
+
+  get enabled() {
+    return Boolean(this.secret);
+  }
+
+  // Checks a callback URL supplied by a client and resolves with it normalized
+  async validateUrl(value) {
+    if (!this.enabled) {
+      throw new WebhookError('Scan callbacks are not enabled on this server (WEBHOOK_SECRET is not set)', 'WEBHOOKS_DISABLED');
+    }
+
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new WebhookError(`Invalid callback URL: ${value}`, 'INVALID_CALLBACK_URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new WebhookError(`Callback URL must use http or https: ${value}`, 'INVALID_CALLBACK_URL');
+    }
+    try {
+      await this.guard.resolveAndCheck(url);
+    } catch (error) {
+      if (!(error instanceof AddressGuardError)) throw error;
+      throw new WebhookError(`Invalid callback URL: ${error.message}`,
+        error.code === 'BLOCKED_ADDRESS' ? 'BLOCKED_CALLBACK_URL' : 'INVALID_CALLBACK_URL');
+    }
+    return url.toString();
+  }
+
+  // Queues a delivery and returns its log entry straight away - attempts run in the background
+  // apiKeyId is the key of the client that asked for the callback, who may look the delivery up
+  deliver(url, event, payload, requestId = '', apiKeyId = null) {
+    const delivery = {
+      id: `dlv-${Date.now()}-${crypto.randomBytes(6).toString('hex')}`,
+      requestId,
+      apiKeyId,
+      event,
+      url,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      completedAt: null,
+      nextAttemptAt: new Date().toISOString()
+    };
+
+    this.deliveries.push(delivery);
+    if (this.deliveries.length > this.logSize) {
+      this.deliveries.splice(0, this.deliveries.length - this.logSize);
+    }
+
+    this._attempt(delivery, JSON.stringify(payload));
+    return delivery;
+  }
+
+  async _attempt(delivery, body) {
+    const attempt = delivery.attempts.length + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startTime = Date.now();
+    const record = { attempt, at: new Date().toISOString(), statusCode: null, error: null, duration: null };
+    delivery.attempts.push(record);
+
+    let retryable = true;
+    try {
+      const { statusCode } = await this._post(delivery.url, body, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'document-scanner-webhooks',
+        'X-Scan-Event': delivery.event,
+        'X-Scan-Delivery': delivery.id,
+        'X-Scan-Timestamp': String(timestamp),
+        'X-Scan-Signature': signPayload(this.secret, timestamp, body)
+      });
+      record.statusCode = statusCode;
+      record.duration = Date.now() - startTime;
+
+      if (statusCode >= 200 && statusCode < 300) {
+        delivery.status = 'delivered';
+        delivery.completedAt = new Date().toISOString();
+        delivery.nextAttemptAt = null;
+        this.logger.info('Webhook delivered', {
+          requestId: delivery.requestId,
+          stage: 'callback',
+          deliveryId: delivery.id,
+          url: delivery.url,
+          statusCode,
+          attempt,
+          durationMs: record.duration
+        });
+        return;
+      }
+
+      record.error = `HTTP ${statusCode}`;
+      retryable = isRetryableStatus(statusCode);
+    } catch (error) {
+      record.duration = Date.now() - startTime;
+      record.error = error.message;
+      // The host now resolves to an internal address - trying again won't change that
+      retryable = !(error instanceof AddressGuardError && error.code === 'BLOCKED_ADDRESS');
+    }
+
+    if (!retryable || attempt >= this.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.completedAt = new Date().toISOString();
+      delivery.nextAttemptAt = null;
+      this.logger.error('Webhook delivery failed', {
+        requestId: delivery.requestId,
+        stage: 'callback',
+        deliveryId: delivery.id,
+        url: delivery.url,
+        attempts: attempt,
+        error: record.error
+      });
+      return;
+    }
+
+    // 1s, 2s, 4s, ... capped at maxDelay
+    const delay = Math.min(this.initialDelay * Math.pow(2, attempt - 1), this.maxDelay);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    this.logger.warn('Webhook attempt failed, retrying', {
+      requestId: delivery.requestId,
+      stage: 'callback',
+      deliveryId: delivery.id,
+      url: delivery.url,
+      attempt,
+      maxAttempts: this.maxAttempts,
+      retryInMs: delay,
+      error: record.error
+    });
+    setTimeout(() => this._attempt(delivery, body), delay);
+  }
+
+  _post(url, body, headers) {
+    return new Promise((resolve, reject) => {
+      const target = new URL(url);
+      const transport = target.protocol === 'https:' ? https : http;
+      // Addresses in the URL never go through the DNS lookup
+      this.guard.checkUrl(target);
+
+      const req = transport.request(target, {
+        method: 'POST',
+        lookup: this.guard.lookup,
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        timeout: this.timeout
+      }, (res) => {
+        // The response body is not used
+        res.resume();
+        res.on('end', () => resolve({ statusCode: res.statusCode }));
+        res.on('error', reject);
+      });
+
+      req.on('timeout', () => {
+        req.destroy(new Error(`No response within ${this.timeout}ms`));
+      });
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  get(id) {
+    return this.deliveries.find(d => d.id === id) || null;
+  }
+
+  // Newest first, optionally filtered by requestId, status and/or the API key that asked for them
+  // (apiKeyId null: deliveries nobody's key asked for)
+  list({ requestId, status, apiKeyId } = {}) {
+    return this.deliveries
+      .filter(d => (!requestId || d.requestId === requestId) && (!status || d.status === status))
+      .filter(d => apiKeyId === undefined || d.apiKeyId === apiKeyId)
+      .reverse();
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  WebhookError,
+  signPayload
+};
@@ -0,0 +1,198 @@
+// Types of document-scanner-sdk - the payloads are the ones the server documents in its README
+
+export type ScanStatus = 'clean' | 'infected' | 'unscanned';
+
+export type ScanErrorCode = 'REJECTED' | 'SERVER_ERROR' | 'TIMEOUT' | 'NETWORK' | 'BLOCKED' | 'ABORTED';
+
+// The server's `stage` of a failed request or scan
+export type ScanStage =
+  | 'validation_failed'
+  | 'auth'
+  | 'quota_exceeded'
+  | 'clamav_init_failed'
+  | 'connection_error'
+  | 'queue_full'
+  | 'queue_timeout'
+  | 'upload_timeout'
+  | 'timeout_error'
+  | 'scan_failed'
+  | 'processing_error'
+  | 'policy_rejected'
+  | 'archive_rejected'
+  | 'upload_session';
+
+export interface ContentWarning {
+  code: string;
+  message: string;
+  blocked: boolean;
+}
+
+export interface ArchiveEntry {
+  path: string;
+  size: number;
+  verdict: string;
+  viruses?: string[];
+  error?: string;
+  reason?: string;
+}
+
+export interface ArchiveReport {
+  format: string;
+  entryCount: number;
+  expandedSize: number;
+  infected: boolean;
+  viruses: string[];
+  entries: ArchiveEntry[];
+}
+
+export interface ScanResult {
+  status: ScanStatus;
+  // The verdict came from the verdict cache (scanMethod "cache")
+  cached: boolean;
+  success: boolean;
+  infected: boolean;
+  scanEnabled: boolean;
+  requestId: string;
+  message: string;
+  fileName: string;
+  fileSize: number;
+  fileSizeFormatted: string;
+  detectedType: { type: string; mime: string } | null;
+  sha256?: string | null;
+  signatureVersion?: number | null;
+  scanMethod: string;
+  viruses?: string[];
+  warnings: ContentWarning[];
+  archive?: ArchiveReport;
+  // Path of the stored clean file (GET /files/:id) - see ScannerClient.authorizedUrl
+  fileUrl?: string;
+  uploadDuration: number;
+  uploadDurationFormatted: string;
+  scanDuration: number;
+  scanDurationFormatted: string;
+  totalDuration: number;
+  totalDurationFormatted: string;
+}
+
+export interface ScanJob {
+  success: boolean;
+  requestId: string;
+  jobId: string;
+  status: 'queued' | 'scanning' | 'clean' | 'infected' | 'error';
+  statusUrl: string;
+  message: string;
+}
+
+export interface ScanJobStatus {
+  success: boolean;
+  jobId: string;
+  requestId: string;
+  status: 'queued' | 'scanning' | 'clean' | 'infected' | 'error';
+  fileName: string;
+  fileSize: number;
+  fileSizeFormatted: string;
+  createdAt: string;
+  startedAt: string | null;
+  completedAt: string | null;
+  queueDuration: number | null;
+  queueDurationFormatted: string | null;
+  result?: Omit<ScanResult, 'status' | 'cached'>;
+  error?: Record<string, unknown>;
+}
+
+// A scan progress event (GET /scans/:requestId/events)
+export interface ScanEvent {
+  id: number;
+  stage: 'received' | 'queued' | 'streaming' | 'progress' | 'verdict' | 'failed';
+  requestId: string;
+  timestamp: string;
+  [field: string]: unknown;
+}
+
+export interface BatchResult {
+  success: boolean;
+  requestId: string;
+  status: 'clean' | 'infected' | 'error';
+  message: string;
+  summary: { total: number; clean: number; infected: number; failed: number };
+  // In the order the files were sent
+  results: Array<ScanResult | ScanError>;
+  uploadDuration: number;
+  uploadDurationFormatted: string;
+  totalDuration: number;
+  totalDurationFormatted: string;
+}
+
+export interface Progress {
+  loaded: number;
+  total: number;
+}
+
+export type Uploadable = Blob | ArrayBuffer | Uint8Array;
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+  onRetry?: (error: ScanError, delay: number) => void;
+}
+
+export interface UploadOptions extends RequestOptions {
+  fileName?: string;
+  onProgress?: (progress: Progress) => void;
+}
+
+export interface SubmitOptions extends UploadOptions {
+  // Use a resumable upload session - by default only for files above resumableThreshold
+  resumable?: boolean;
+  onResume?: (error: ScanError, delay: number) => void;
+}
+
+export interface WaitOptions {
+  signal?: AbortSignal;
+  onEvent?: (event: ScanEvent) => void;
+}
+
+export interface ScanOptions extends SubmitOptions {
+  onEvent?: (event: ScanEvent) => void;
+  onSubmitted?: (job: ScanJob) => void;
+}
+
+export interface ScannerClientOptions {
+  baseUrl: string;
+  apiKey?: string | null;
+  timeout?: number;
+  retries?: number;
+  maxRetryWait?: number;
+  resumableThreshold?: number;
+}
+
+export class ScannerClient {
+  constructor(options: ScannerClientOptions);
+  readonly baseUrl: string;
+  authorizedUrl(path: string): string;
+  upload(file: Uploadable, options?: UploadOptions): Promise<ScanResult>;
+  submit(file: Uploadable, options?: SubmitOptions): Promise<ScanJob>;
+  waitForScan(jobId: string, options?: WaitOptions): Promise<ScanResult>;
+  scan(file: Uploadable, options?: ScanOptions): Promise<ScanResult>;
+  getScan(jobId: string, options?: { signal?: AbortSignal }): Promise<ScanJobStatus>;
+  uploadBatch(
+    files: Array<Blob | { file: Uploadable; fileName: string }>,
+    options?: Omit<UploadOptions, 'fileName'>
+  ): Promise<BatchResult>;
+}
+
+export class ScanError extends Error {
+  code: ScanErrorCode;
+  stage: ScanStage | string | null;
+  errorCode: string | null;
+  httpStatus: number | null;
+  requestId: string | null;
+  retryAfter: number | null;
+  response: Record<string, any> | null;
+  baseUrl: string | null;
+  timeout: number | null;
+  duration: number | null;
+}
+
+export function isRetryable(error: unknown): boolean;
+
+export function describeError(error: Error): string;
@@ -0,0 +1,407 @@
+const axios = require('axios');
+const { ScanError, errorFromResponse, isRetryable } = require('./errors');
+
+// Client for the document scanner's scan API, the same in browsers and Node.js 18+
+//
+// Files are Blobs: a File in the browser, `new Blob([buffer])` or a Buffer in Node (give it a
+// fileName). The methods take these options where they apply:
+//   fileName   - name to send the file as (default: the File's name)
+//   signal     - an AbortSignal; aborting rejects the call with a ScanError (ABORTED)
+//   onProgress - ({ loaded, total }) in bytes, as the file is sent
+//   onRetry    - (error, delay) before the call is tried again after a busy or restarting
+//                scanner (see isRetryable); delay is in ms
+// Scans resolve with the server's result plus a `status` (clean, infected, unscanned) - an
+// infected file is a result, not an error. Everything else rejects with a ScanError.
+
+// Files larger than this are sent through a resumable upload session (POST /uploads) in
+// chunks, so a dropped connection only costs the chunk that was in flight
+const RESUMABLE_THRESHOLD = 10 * 1024 * 1024; // 10 MB
+const CHUNK_SIZE = 8 * 1024 * 1024; // 8 MB
+// Each chunk has its own timeout - a stalled connection fails one chunk, not the whole upload
+const CHUNK_TIMEOUT = 120000; // 2 minutes
+// Waits before each attempt to resume; the upload fails once they are used up without progress
+const RESUME_DELAYS = [1000, 2000, 5000, 10000, 20000, 30000];
+
+// Waits before retrying a call when the server doesn't say how long (retryAfter)
+const RETRY_DELAYS = [1000, 2000, 5000, 10000, 20000];
+
+// How often GET /scans/:id is asked when there is no EventSource (Node, old browsers)
+const POLL_INTERVAL = 1000;
+
+const SCAN_EVENT_STAGES = ['received', 'queued', 'streaming', 'progress', 'verdict', 'failed'];
+
+const TUS_HEADERS = { 'Tus-Resumable': '1.0.0' };
+
+// Upload-Metadata values are base64 - of UTF-8, so file names outside Latin-1 survive
+const encodeMetadata = (value) => btoa(unescape(encodeURIComponent(value)));
+
+// A server result payload with its `status`
+const toScanResult = (data) => ({
+  ...data,
+  status: data.infected ? 'infected' : data.scanEnabled === false ? 'unscanned' : 'clean',
+  cached: data.scanMethod === 'cache'
+});
+
+// { blob, name } for a File, Blob or Buffer
+const toUpload = (file, fileName) => {
+  const blob = typeof Blob !== 'undefined' && file instanceof Blob ? file : new Blob([file]);
+  return { blob, name: fileName || file.name || 'upload' };
+};
+
+const abortError = () => new ScanError('The scan was cancelled', 'ABORTED');
+
+// Resolves after `ms`, or rejects right away when `signal` aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    reject(abortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+class ScannerClient {
+  // baseUrl - the server, e.g. http://localhost:3001
+  // apiKey  - for servers with API_KEYS_FILE
+  // timeout - per request in ms: for /upload and /upload/batch that includes the scan
+  // retries - attempts after the first one for retryable failures
+  // maxRetryWait - retryAfter values above this many seconds (a daily quota) aren't waited for
+  // resumableThreshold - files larger than this many bytes are uploaded in chunks
+  constructor({
+    baseUrl,
+    apiKey = null,
+    timeout = 300000,
+    retries = 3,
+    maxRetryWait = 60,
+    resumableThreshold = RESUMABLE_THRESHOLD
+  }) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+    this.retries = retries;
+    this.maxRetryWait = maxRetryWait;
+    this.resumableThreshold = resumableThreshold;
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      timeout,
+      headers: apiKey ? { 'X-API-Key': apiKey } : {}
+    });
+  }
+
+  // Full URL of a server path for links and EventSource, which can't send headers - the API key
+  // goes in the query string instead
+  authorizedUrl(path) {
+    const url = `${this.baseUrl}${path}`;
+    return this.apiKey ? `${url}${url.includes('?') ? '&' : '?'}api_key=${encodeURIComponent(this.apiKey)}` : url;
+  }
+
+  // POST /upload: sends the file and waits for its verdict in the same request
+  async upload(file, { fileName, signal, onProgress, onRetry } = {}) {
+    const { blob, name } = toUpload(file, fileName);
+    return this._withRetries(async () => {
+      const form = new FormData();
+      form.append('document', blob, name);
+      try {
+        const { data } = await this._request({
+          method: 'post',
+          url: '/upload',
+          data: form,
+          onUploadProgress: this._progress(onProgress, blob.size)
+        }, signal);
+        return toScanResult(data);
+      } catch (error) {
+        // Infected files come back as 400, with their verdict
+        if (error.response && error.response.infected) return toScanResult(error.response);
+        throw error;
+      }
+    }, { signal, onRetry });
+  }
+
+  // Sends the file for an asynchronous scan (POST /scans, or a resumable upload session for
+  // large files) - resolves with the job: { jobId, requestId, status, statusUrl, message }
+  // `resumable` forces the session on or off; onResume(error, delay) is called before a
+  // resumable upload carries on after a failed chunk
+  async submit(file, options = {}) {
+    return this._withRetries(() => this._submit(file, options), options);
+  }
+
+  // Waits for a scan job to finish and resolves with its result
+  // onEvent(event) gets every scan event (received, queued, streaming, progress, verdict, failed)
+  // where EventSource exists - in Node the job is polled instead, without events
+  async waitForScan(jobId, { signal, onEvent = () => {} } = {}) {
+    const started = Date.now();
+    const outcome = typeof EventSource === 'undefined'
+      ? await this._pollScan(jobId, signal)
+      : await this._watchEvents(jobId, onEvent, signal);
+
+    if (outcome.stage === 'failed') {
+      throw errorFromResponse({ requestId: jobId, ...outcome.error }, null, {
+        baseUrl: this.baseUrl,
+        duration: Date.now() - started
+      });
+    }
+    return toScanResult(outcome.result);
+  }
+
+  // submit() and waitForScan() in one - a scan that failed for a retryable reason is sent again
+  // onSubmitted(job) is called once the file has been received
+  async scan(file, options = {}) {
+    const { signal, onEvent, onSubmitted = () => {} } = options;
+    return this._withRetries(async () => {
+      const job = await this._submit(file, options);
+      onSubmitted(job);
+      return this.waitForScan(job.jobId, { signal, onEvent });
+    }, options);
+  }
+
+  // GET /scans/:id: a scan job as it is now
+  async getScan(jobId, { signal } = {}) {
+    const { data } = await this._request({ method: 'get', url: `/scans/${encodeURIComponent(jobId)}` }, signal);
+    return data;
+  }
+
+  // POST /upload/batch: several files in one request, scanned before it responds
+  // `files` are Files, or { file, fileName }. Resolves with the batch response, where each of
+  // `results` is the file's result or a ScanError
+  async uploadBatch(files, { signal, onProgress, onRetry } = {}) {
+    const uploads = files.map(item => (item && item.file ? toUpload(item.file, item.fileName) : toUpload(item)));
+    const totalSize = uploads.reduce((total, { blob }) => total + blob.size, 0);
+
+    const data = await this._withRetries(async () => {
+      const form = new FormData();
+      uploads.forEach(({ blob, name }) => form.append('documents', blob, name));
+      try {
+        const response = await this._request({
+          method: 'post',
+          url: '/upload/batch',
+          data: form,
+          onUploadProgress: this._progress(onProgress, totalSize)
+        }, signal);
+        return response.data;
+      } catch (error) {
+        // Infected files and failed scans still come with a result per file
+        if (error.response && Array.isArray(error.response.results)) return error.response;
+        throw error;
+      }
+    }, { signal, onRetry });
+
+    return {
+      ...data,
+      results: data.results.map(result => (result.success || result.infected
+        ? toScanResult(result)
+        : errorFromResponse(result, null, { baseUrl: this.baseUrl })))
+    };
+  }
+
+  async _submit(file, { fileName, signal, onProgress, onResume = () => {}, resumable } = {}) {
+    const { blob, name } = toUpload(file, fileName);
+    if (resumable === undefined ? blob.size > this.resumableThreshold : resumable) {
+      return this._uploadResumable(blob, name, { signal, onProgress, onResume });
+    }
+    const form = new FormData();
+    form.append('document', blob, name);
+    const { data } = await this._request({
+      method: 'post',
+      url: '/scans',
+      data: form,
+      onUploadProgress: this._progress(onProgress, blob.size)
+    }, signal);
+    return data;
+  }
+
+  // Uploads a file through a resumable upload session, then finalizes it into a scan job
+  // After a failed chunk it asks the server how much has arrived (HEAD) and carries on from there.
+  async _uploadResumable(blob, name, { signal, onProgress, onResume }) {
+    const created = await this._request({
+      method: 'post',
+      url: '/uploads',
+      headers: {
+        ...TUS_HEADERS,
+        'Upload-Length': String(blob.size),
+        'Upload-Metadata': `filename ${encodeMetadata(name)},filetype ${encodeMetadata(blob.type || 'application/octet-stream')}`
+      }
+    }, signal);
+    const uploadPath = created.headers.location;
+
+    try {
+      let offset = 0;
+      let failures = 0;
+      let offsetKnown = true;
+      while (!offsetKnown || offset < blob.size) {
+        try {
+          if (!offsetKnown) {
+            const { headers } = await this._request({ method: 'head', url: uploadPath, headers: TUS_HEADERS, timeout: CHUNK_TIMEOUT }, signal);
+            offset = parseInt(headers['upload-offset'], 10);
+            offsetKnown = true;
+            continue;
+          }
+
+          const start = offset;
+          const { headers } = await this._request({
+            method: 'patch',
+            url: uploadPath,
+            // The chunk's own type - axios in Node sends a Blob's type as the Content-Type
+            data: blob.slice(start, start + CHUNK_SIZE, 'application/offset+octet-stream'),
+            headers: {
+              ...TUS_HEADERS,
+              'Content-Type': 'application/offset+octet-stream',
+              'Upload-Offset': String(start)
+            },
+            timeout: CHUNK_TIMEOUT,
+            onUploadProgress: onProgress && (event => onProgress({ loaded: start + event.loaded, total: blob.size }))
+          }, signal);
+          offset = parseInt(headers['upload-offset'], 10);
+          failures = 0;
+          if (onProgress) onProgress({ loaded: offset, total: blob.size });
+        } catch (error) {
+          // No response at all, a busy or restarting server, or a chunk the server saw
+          // differently (409 - it tells us where it stands)
+          const canResume = ['NETWORK', 'TIMEOUT'].includes(error.code)
+            || (error.code === 'SERVER_ERROR' && [408, 409, 502, 503, 504].includes(error.httpStatus));
+          if (!canResume || failures >= RESUME_DELAYS.length) {
+            throw error;
+          }
+          const delay = RESUME_DELAYS[failures];
+          failures += 1;
+          offsetKnown = false;
+          onResume(error, delay);
+          await sleep(delay, signal);
+        }
+      }
+    } catch (error) {
+      if (error.code === 'ABORTED') {
+        // Nobody is coming back for it - don't leave the chunks on the server
+        this.http.delete(uploadPath, { headers: TUS_HEADERS }).catch(() => {});
+      }
+      throw error;
+    }
+
+    const { data } = await this._request({ method: 'post', url: `${uploadPath}/finalize`, headers: TUS_HEADERS }, signal);
+    return data;
+  }
+
+  // Polls GET /scans/:id until the job has finished
+  // Resolves like _watchEvents: { stage: 'verdict', result } or { stage: 'failed', error }
+  async _pollScan(jobId, signal) {
+    for (;;) {
+      const job = await this.getScan(jobId, { signal });
+      if (job.status === 'clean' || job.status === 'infected') {
+        return { stage: 'verdict', result: job.result };
+      }
+      if (job.status === 'error') {
+        return { stage: 'failed', error: job.error };
+      }
+      await sleep(POLL_INTERVAL, signal);
+    }
+  }
+
+  // Follows GET /scans/:id/events until the verdict or failure, calling onEvent for every event
+  _watchEvents(jobId, onEvent, signal) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(abortError());
+        return;
+      }
+      const events = new EventSource(this.authorizedUrl(`/scans/${encodeURIComponent(jobId)}/events`));
+      const onAbort = () => {
+        events.close();
+        reject(abortError());
+      };
+      const finish = (promise) => {
+        events.close();
+        if (signal) signal.removeEventListener('abort', onAbort);
+        promise.then(resolve, reject);
+      };
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+      SCAN_EVENT_STAGES.forEach((stage) => {
+        events.addEventListener(stage, (e) => {
+          const event = JSON.parse(e.data);
+          onEvent(event);
+          if (stage === 'verdict' || stage === 'failed') {
+            finish(Promise.resolve(event));
+          }
+        });
+      });
+
+      // EventSource reconnects by itself after a dropped connection (and the server replays
+      // what we missed) - it only gives up when the stream can't be opened at all
+      events.onerror = () => {
+        if (events.readyState === EventSource.CLOSED) {
+          finish(this._pollScan(jobId, signal));
+        }
+      };
+    });
+  }
+
+  // Runs `attempt` again while it fails with a retryable error, up to `retries` more times
+  async _withRetries(attempt, { signal, onRetry = () => {} } = {}) {
+    for (let tries = 1; ; tries++) {
+      try {
+        return await attempt();
+      } catch (error) {
+        const delay = this._retryDelay(error, tries);
+        if (delay === null) throw error;
+        onRetry(error, delay);
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  // How long to wait before trying again after `error`, or null to give up
+  _retryDelay(error, tries) {
+    if (tries > this.retries || !isRetryable(error)) return null;
+    if (error.retryAfter !== null) {
+      return error.retryAfter <= this.maxRetryWait ? Math.max(error.retryAfter, 1) * 1000 : null;
+    }
+    return RETRY_DELAYS[Math.min(tries - 1, RETRY_DELAYS.length - 1)];
+  }
+
+  _progress(onProgress, size) {
+    return onProgress && (event => onProgress({ loaded: event.loaded, total: event.total || size }));
+  }
+
+  // An axios request whose failures reject with a ScanError
+  async _request(config, signal) {
+    const started = Date.now();
+    try {
+      return await this.http.request({ ...config, signal });
+    } catch (error) {
+      throw this._toScanError(error, config, Date.now() - started);
+    }
+  }
+
+  _toScanError(error, config, duration) {
+    const details = { baseUrl: this.baseUrl, duration };
+    if (axios.isCancel(error)) {
+      return abortError();
+    }
+    if (error.response) {
+      const retryAfter = parseInt(error.response.headers['retry-after'], 10) || null;
+      return errorFromResponse(error.response.data, error.response.status, { ...details, retryAfter });
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' || /timeout/i.test(error.message)) {
+      const timeout = config.timeout || this.timeout;
+      return new ScanError(`No response from ${this.baseUrl} within ${Math.round(timeout / 1000)}s`, 'TIMEOUT', { ...details, timeout });
+    }
+    // A request that fails within 100ms without reaching the network was usually stopped by
+    // a browser extension
+    if (error.code === 'ERR_BLOCKED_BY_CLIENT'
+      || (error.message && error.message.includes('ERR_BLOCKED_BY_CLIENT'))
+      || (error.code === 'ERR_NETWORK' && duration < 100 && typeof window !== 'undefined')) {
+      return new ScanError(`The request to ${this.baseUrl} was blocked by the browser`, 'BLOCKED', details);
+    }
+    return new ScanError(`Unable to connect to the server at ${this.baseUrl}: ${error.message}`, 'NETWORK', details);
+  }
+}
+
+module.exports = {
+  ScannerClient
+};
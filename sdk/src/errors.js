@@ -0,0 +1,74 @@
+// Stages (the `stage` of an error response) where the server refused the file itself - sending
+// it again won't help
+const REJECTED_STAGES = ['policy_rejected', 'archive_rejected'];
+
+// Errors of the SDK - every failed call rejects with one. `code` is one of:
+//   REJECTED     - the upload policy or the archive limits refused the file (`stage` says which)
+//   SERVER_ERROR - the server answered, but couldn't scan the file (`stage` says why)
+//   TIMEOUT      - no response within the timeout
+//   NETWORK      - the server couldn't be reached
+//   BLOCKED      - the browser blocked the request (an ad blocker or privacy extension)
+//   ABORTED      - cancelled through the AbortSignal
+class ScanError extends Error {
+  constructor(message, code, {
+    stage = null,
+    httpStatus = null,
+    requestId = null,
+    errorCode = null,
+    retryAfter = null,
+    response = null,
+    baseUrl = null,
+    timeout = null,
+    duration = null
+  } = {}) {
+    super(message);
+    this.name = 'ScanError';
+    this.code = code;
+    // The server's `stage` and `errorCode` (REJECTED / SERVER_ERROR)
+    this.stage = stage;
+    this.errorCode = errorCode;
+    this.httpStatus = httpStatus;
+    this.requestId = requestId;
+    // Seconds the server asked us to wait before trying again
+    this.retryAfter = retryAfter;
+    // The error response body
+    this.response = response;
+    this.baseUrl = baseUrl;
+    // The timeout that ran out (TIMEOUT), in ms
+    this.timeout = timeout;
+    // How long the request ran before it failed, in ms
+    this.duration = duration;
+  }
+}
+
+// The ScanError for an error payload from the server - an error response, a failed scan job or
+// a failed file of a batch
+const errorFromResponse = (data, httpStatus, details = {}) => {
+  const body = data && typeof data === 'object' ? data : {};
+  const stage = body.stage || null;
+  return new ScanError(
+    body.message || body.error || `HTTP ${httpStatus}`,
+    REJECTED_STAGES.includes(stage) ? 'REJECTED' : 'SERVER_ERROR',
+    {
+      ...details,
+      stage,
+      httpStatus,
+      requestId: body.requestId || details.requestId || null,
+      errorCode: body.errorCode || null,
+      retryAfter: typeof body.retryAfter === 'number' ? body.retryAfter : (details.retryAfter || null),
+      response: body
+    }
+  );
+};
+
+// Failures that may well go away by themselves: a busy or restarting scanner (503) or a lost
+// connection to clamd
+const isRetryable = (error) => error instanceof ScanError
+  && error.code === 'SERVER_ERROR'
+  && (error.httpStatus === 503 || error.stage === 'connection_error');
+
+module.exports = {
+  ScanError,
+  errorFromResponse,
+  isRetryable
+};
@@ -0,0 +1,12 @@
+// JavaScript client for the document scanner API - see README.md, and index.d.ts for the types
+
+const { ScannerClient } = require('./client');
+const { ScanError, isRetryable } = require('./errors');
+const { describeError } = require('./messages');
+
+module.exports = {
+  ScannerClient,
+  ScanError,
+  isRetryable,
+  describeError
+};
@@ -0,0 +1,61 @@
+const { ScanError } = require('./errors');
+
+const toMinutes = (ms) => (ms / 1000 / 60).toFixed(1);
+
+// User-facing message for a failed call, for apps that show it as it is
+const describeError = (error) => {
+  if (!(error instanceof ScanError)) {
+    return error.message || 'Error uploading file';
+  }
+  const requestId = error.requestId || 'unknown';
+  // The server's own explanation, where it has a short one next to the message
+  const detail = (error.response && error.response.error) || error.message;
+
+  switch (error.code) {
+    case 'ABORTED':
+      return 'The scan was cancelled.';
+    case 'TIMEOUT':
+      return `Request timed out after ${toMinutes(error.timeout)} minutes. The file may be too large or the server is taking longer than expected. Please check server logs or try again with a smaller file.`;
+    case 'BLOCKED':
+      return `⚠️ Request was blocked by a browser extension or security software. Please: 1) Disable ad blockers (uBlock Origin, AdBlock Plus), 2) Disable privacy extensions (Privacy Badger, Ghostery), 3) Try incognito/private mode, or 4) Whitelist ${error.baseUrl} in your extensions.`;
+    case 'NETWORK':
+      return `Network error: Unable to connect to server at ${error.baseUrl}. Please check: 1) Server is running (test: curl ${error.baseUrl}/health), 2) No firewall blocking the connection, 3) Browser extensions are not blocking requests, 4) CORS is properly configured.`;
+    default:
+      break;
+  }
+
+  switch (error.stage) {
+    case 'connection_error':
+      return `Connection to virus scanner lost. This may happen with very large files. Request ID: ${requestId}`;
+    case 'timeout_error':
+      return `Upload/scan timed out after ${toMinutes(error.duration || 0)} minutes. Large files may take longer. Request ID: ${requestId}`;
+    case 'upload_timeout':
+      return `Upload timed out. The file may be too large or network connection is slow. Request ID: ${requestId}`;
+    case 'scan_failed':
+      return `Virus scan failed: ${(error.response && error.response.error) || 'Unknown error'}. Request ID: ${requestId}`;
+    case 'policy_rejected':
+      return `This file is not accepted: ${detail}. Request ID: ${requestId}`;
+    case 'archive_rejected':
+      return `This archive could not be checked: ${detail}. Request ID: ${requestId}`;
+    case 'queue_full':
+    case 'queue_timeout':
+      return `The virus scanners are busy: ${error.message} Request ID: ${requestId}`;
+    case 'quota_exceeded':
+      return `Scan quota reached: ${error.message}. Please try again in ${error.retryAfter} seconds. Request ID: ${requestId}`;
+    case 'upload_session':
+      return `The upload could not be completed: ${error.message}. Request ID: ${requestId}`;
+    case 'auth':
+      return `The scanner refused this app's API key: ${error.message}. Request ID: ${requestId}`;
+    default:
+      break;
+  }
+
+  if (error.httpStatus === 503) {
+    return `Virus scanner is not available. ClamAV may be starting up. Request ID: ${requestId}`;
+  }
+  return error.message || 'Error uploading file';
+};
+
+module.exports = {
+  describeError
+};
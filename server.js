@@ -1,28 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
 const express = require('express');
 const multer = require('multer');
-const NodeClam = require('clamscan');
 const cors = require('cors');
-const { Readable } = require('stream');
+const { loadClamAVConfig } = require('./lib/clamav-config');
+const { ClamAVConnectionPool, isEndpointFailure } = require('./lib/clamav-pool');
+const { ScanJobStore } = require('./lib/scan-jobs');
+const { formatFileSize, formatDuration } = require('./lib/format');
+const { WebhookDispatcher } = require('./lib/webhooks');
+const { ScanEventBus, isFinalStage } = require('./lib/scan-events');
+const { QuarantineStore } = require('./lib/quarantine');
+const { PasswordZipWriter } = require('./lib/password-zip');
+const { FileStore, LocalStorageBackend, S3StorageBackend } = require('./lib/file-store');
+const { UrlFetcher, UrlFetchError } = require('./lib/url-fetcher');
+const { VerdictCache } = require('./lib/verdict-cache');
+const { UploadPolicy, PolicyError } = require('./lib/upload-policy');
+const { ArchiveInspector, ArchiveError } = require('./lib/archive-inspector');
+const { createContentAnalyzer, analyzeFile } = require('./lib/active-content');
+const { MetricsRegistry, METRICS_CONTENT_TYPE, SIZE_BUCKETS } = require('./lib/metrics');
+const { Logger } = require('./lib/logger');
+const { Tracer, OtlpHttpExporter, SPAN_KIND, parseTraceparent, parseHeaderList } = require('./lib/tracing');
+const { ApiKeyStore } = require('./lib/api-keys');
+const { QuotaTracker, QuotaError } = require('./lib/quotas');
+const { UploadSessionStore, UploadSessionError } = require('./lib/upload-sessions');
+const { AuditLog, AUDIT_FIELDS, VERDICTS, csvField } = require('./lib/audit-log');
 
 const app = express();
 const port = process.env.PORT || 3001;
 
+// Structured JSON logs for the whole server (see lib/logger.js)
+// LOG_LEVEL: debug, info (default), warn or error; LOG_FORMAT: json (default) or pretty
+const logger = new Logger({
+  level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+  format: (process.env.LOG_FORMAT || 'json').toLowerCase(),
+  // Keep the names of uploaded files out of the logs
+  redactFileNames: (process.env.LOG_REDACT_FILE_NAMES || 'false').toLowerCase() === 'true',
+  errorStacks: process.env.NODE_ENV === 'development'
+});
+
+// OpenTelemetry traces of scan requests (see lib/tracing.js), sent to the collector at
+// OTEL_EXPORTER_OTLP_ENDPOINT (OTLP/HTTP) - tracing is off while no collector is configured
+const OTLP_TRACES_URL = process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+  || (process.env.OTEL_EXPORTER_OTLP_ENDPOINT ? `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/+$/, '')}/v1/traces` : null);
+const tracer = new Tracer({
+  exporter: OTLP_TRACES_URL
+    ? new OtlpHttpExporter({
+      url: OTLP_TRACES_URL,
+      headers: parseHeaderList(process.env.OTEL_EXPORTER_OTLP_HEADERS),
+      serviceName: process.env.OTEL_SERVICE_NAME || 'document-scanner',
+      flushInterval: parseInt(process.env.OTEL_BSP_SCHEDULE_DELAY || '5000', 10),
+      logger: logger.child({ component: 'tracing' })
+    })
+    : null,
+  // Share of new traces that are exported - traces started by a caller keep the caller's decision
+  sampleRatio: parseFloat(process.env.OTEL_TRACES_SAMPLER_ARG || '1')
+});
+
 // Virus scanning feature flag (default: true if env var not set)
 // Environment variables are always strings, so check for string 'false'
 const ENABLE_VIRUS_SCAN = process.env.ENABLE_VIRUS_SCAN 
   ? process.env.ENABLE_VIRUS_SCAN.toLowerCase() !== 'false'
   : true;
 
-// ClamAV connection settings (for Docker TCP connection)
-const CLAMAV_HOST ='127.0.0.1';
-const CLAMAV_PORT = 4000;
+// ClamAV connection settings - one or more clamd endpoints (see lib/clamav-config.js)
+const clamavConfig = loadClamAVConfig();
+
+// Files accepted by POST /scans wait here until their scan job has run
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'));
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+// Resumable uploads (POST /uploads) collect their bytes here until they are finalized (see lib/upload-sessions.js)
+const uploadSessions = new UploadSessionStore({
+  dir: path.join(UPLOAD_DIR, '.sessions'),
+  ttl: parseInt(process.env.UPLOAD_SESSION_TTL || '86400000', 10), // Sessions without a chunk for 24 hours are removed
+  logger: logger.child({ component: 'upload-sessions' })
+});
+uploadSessions.init();
+uploadSessions.startExpiry();
+
+// Infected uploads are kept, encrypted, for the security team (see lib/quarantine.js)
+const QUARANTINE_ENABLED = process.env.QUARANTINE_ENABLED
+  ? process.env.QUARANTINE_ENABLED.toLowerCase() !== 'false'
+  : true;
+const quarantine = QUARANTINE_ENABLED
+  ? new QuarantineStore({
+    dir: path.resolve(process.env.QUARANTINE_DIR || path.join(__dirname, 'quarantine')),
+    releaseDir: path.resolve(process.env.QUARANTINE_RELEASE_DIR || path.join(__dirname, 'released')),
+    key: process.env.QUARANTINE_KEY,
+    retentionDays: parseFloat(process.env.QUARANTINE_RETENTION_DAYS || '30'),
+    logger: logger.child({ component: 'quarantine' })
+  })
+  : null;
+if (quarantine) {
+  quarantine.init();
+  quarantine.startRetention();
+}
+
+// Clean uploads are kept and can be downloaded again from GET /files/:id (see lib/file-store.js)
+// STORAGE_BACKEND: local (default), s3 or none
+const createStorageBackend = (type) => {
+  switch (type) {
+    case 'none':
+      return null;
+    case 'local':
+      return new LocalStorageBackend({
+        dir: path.resolve(process.env.STORAGE_DIR || path.join(__dirname, 'storage'))
+      });
+    case 's3':
+      if (!process.env.S3_ENDPOINT || !process.env.S3_BUCKET) {
+        throw new Error('STORAGE_BACKEND=s3 needs S3_ENDPOINT and S3_BUCKET');
+      }
+      return new S3StorageBackend({
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION || 'us-east-1',
+        bucket: process.env.S3_BUCKET,
+        prefix: process.env.S3_PREFIX || '',
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        // Path-style URLs (http://minio:9000/bucket/key) unless S3_FORCE_PATH_STYLE=false
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+          ? process.env.S3_FORCE_PATH_STYLE.toLowerCase() !== 'false'
+          : true
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${type}" - expected local, s3 or none`);
+  }
+};
+const storageBackend = createStorageBackend((process.env.STORAGE_BACKEND || 'local').toLowerCase());
+const fileStore = storageBackend
+  ? new FileStore({ backend: storageBackend, stagingDir: path.join(UPLOAD_DIR, '.staging') })
+  : null;
+if (fileStore) {
+  fileStore.init();
+}
+
+// Which file types are accepted and how large they may be (see lib/upload-policy.js)
+// Without UPLOAD_POLICY_FILE every file is accepted
+const uploadPolicy = process.env.UPLOAD_POLICY_FILE
+  ? UploadPolicy.load(process.env.UPLOAD_POLICY_FILE)
+  : new UploadPolicy();
+
+// Token for the /admin endpoints - they are disabled when it is not set
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null;
+
+// Audit trail of every scan outcome in a SQLite database, browsed through GET /scans (see lib/audit-log.js)
+const AUDIT_LOG_ENABLED = process.env.AUDIT_LOG_ENABLED
+  ? process.env.AUDIT_LOG_ENABLED.toLowerCase() !== 'false'
+  : true;
+const auditLog = AUDIT_LOG_ENABLED
+  ? new AuditLog({
+    file: path.resolve(process.env.AUDIT_DB_FILE || path.join(__dirname, 'data', 'audit.db')),
+    retentionDays: parseFloat(process.env.AUDIT_RETENTION_DAYS || '365'),
+    logger: logger.child({ component: 'audit' })
+  })
+  : null;
+if (auditLog) {
+  auditLog.init();
+  auditLog.startRetention();
+}
+
+// API keys for the scan endpoints, with their scopes and quotas (see lib/api-keys.js and lib/quotas.js)
+// Without API_KEYS_FILE the scan endpoints are open to anyone who can reach the server
+const apiKeys = process.env.API_KEYS_FILE ? ApiKeyStore.load(process.env.API_KEYS_FILE) : null;
+const quotas = new QuotaTracker();
+
+// Origins browsers may call the API from - a comma-separated list, or * (the default) for any
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
 
-// Enable CORS - allow all domains/origins
 app.use(cors({
-  origin: '*', // Allow all origins
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   // allowedHeaders not specified - allows all headers by default
-  credentials: false // Set to false when using origin: '*'
+  // Lets browser clients read the request ID of their scans, when to retry after a 429 and
+  // where a resumable upload stands
+  exposedHeaders: ['X-Request-ID', 'Retry-After', 'Location', 'Tus-Resumable', 'Upload-Offset', 'Upload-Length', 'Upload-Expires'],
+  credentials: false // API keys are sent as headers, never as cookies
 }));
 app.use(express.json());
 
@@ -40,595 +194,2962 @@ app.use((req, res, next) => {
   next();
 });
 
-// Configure Multer for file uploads - using memory storage (files stay in RAM)
-const upload = multer({ 
-  storage: multer.memoryStorage(),  // ← Files stay in RAM
-  limits: {
-    fileSize: Infinity
-  }
-});
+// Request IDs tie together the log entries, scan events, callbacks and responses of a request
+// A caller (or a proxy in front of us) may send its own in X-Request-ID - it is used as long as
+// it is safe as a file name (uploads are spooled under it) and not taken by another request, scan job
+// or scan event history - a retry reusing its ID inside the event TTL would otherwise be given the
+// finished history of its first attempt
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,127}$/;
+const activeRequestIds = new Set();
 
-// Connection pool per worker to prevent EPIPE errors with PM2 cluster mode
-class ClamAVConnectionPool {
-  constructor(maxConnections = 5, maxQueueSize = 20) {
-    this.pool = [];
-    this.inUse = new Set();
-    this.maxConnections = maxConnections;
-    this.queue = [];
-    this.maxQueueSize = maxQueueSize;
-    this.initialized = false;
-  }
+const generateRequestId = () => `req-${Date.now()}-${crypto.randomBytes(5).toString('hex')}`;
 
-  async _createConnection() {
-    const maxRetries = 10;
-    const delay = 3000;
-    
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-      try {
-        const clamscan = await new NodeClam().init({
-          clamdscan: {
-            host: CLAMAV_HOST,
-            port: parseInt(CLAMAV_PORT),
-            timeout: 300000, // 5 minutes for large files
-          },
-          preference: {
-            clamdscan: ['host', 'port'],
-          },
-        });
-        
-        if (!this.initialized) {
-          console.log(`✅ ClamAV connection pool initialized (${CLAMAV_HOST}:${CLAMAV_PORT})`);
-          this.initialized = true;
-        }
-        
-        return clamscan;
-      } catch (error) {
-        if (attempt < maxRetries) {
-          const waitTime = delay * attempt;
-          console.log(`⚠️  ClamAV connection attempt ${attempt}/${maxRetries} failed, retrying in ${waitTime/1000}s...`);
-          console.log(`   Trying to connect to ${CLAMAV_HOST}:${CLAMAV_PORT}`);
-          await new Promise(resolve => setTimeout(resolve, waitTime));
-        } else {
-          console.error('❌ Failed to create ClamAV connection after', maxRetries, 'attempts');
-          console.error('   Make sure ClamAV Docker container is running: docker-compose up -d');
-          console.error('   Check ClamAV logs: docker-compose logs clamav');
-          throw error;
-        }
-      }
+app.use((req, res, next) => {
+  const inbound = req.get('x-request-id');
+  let requestId = inbound;
+  if (!inbound || !REQUEST_ID_PATTERN.test(inbound) || activeRequestIds.has(inbound) || scanJobs.get(inbound) || scanEvents.has(inbound)) {
+    requestId = generateRequestId();
+    if (inbound) {
+      logger.warn('Ignored unusable X-Request-ID header', {
+        requestId,
+        stage: 'request',
+        inboundRequestId: inbound.slice(0, 200)
+      });
     }
   }
 
-  async acquire() {
-    return new Promise((resolve, reject) => {
-      // Try to get available connection
-      let conn = this.pool.find(c => !this.inUse.has(c));
-      
-      if (conn) {
-        this.inUse.add(conn);
-        resolve(conn);
-        return;
-      }
-
-      // Create new connection if under limit
-      if (this.pool.length < this.maxConnections) {
-        this._createConnection()
-          .then(conn => {
-            this.pool.push(conn);
-            this.inUse.add(conn);
-            resolve(conn);
-          })
-          .catch(reject);
-        return;
-      }
+  const startTime = Date.now();
+  activeRequestIds.add(requestId);
+  res.on('close', () => activeRequestIds.delete(requestId));
 
-      // Queue request if pool is full
-      if (this.queue.length >= this.maxQueueSize) {
-        reject(new Error('Connection pool queue is full. Too many concurrent scan requests.'));
-        return;
-      }
+  req.requestId = requestId;
+  req.log = logger.child({ requestId });
+  res.set('X-Request-ID', requestId);
 
-      this.queue.push({ resolve, reject });
+  // Status and duration of every request - at debug level, scan routes log their outcome at info anyway
+  res.on('finish', () => {
+    req.log.debug('Request finished', {
+      stage: 'response',
+      method: req.method,
+      path: req.path,
+      statusCode: res.statusCode,
+      durationMs: Date.now() - startTime
     });
-  }
+  });
+  next();
+});
 
-  release(conn) {
-    this.inUse.delete(conn);
-    
-    // Process queued requests
-    if (this.queue.length > 0) {
-      const { resolve } = this.queue.shift();
-      this.inUse.add(conn);
-      resolve(conn);
-    }
-  }
+// One connection pool per PM2 worker
+const connectionPool = new ClamAVConnectionPool({ ...clamavConfig, logger: logger.child({ component: 'pool' }) });
+connectionPool.startHealthChecks();
 
-  // Remove bad connection from pool (e.g., after EPIPE error)
-  removeConnection(conn) {
-    this.inUse.delete(conn);
-    const index = this.pool.indexOf(conn);
-    if (index > -1) {
-      this.pool.splice(index, 1);
-      console.log(`⚠️  Removed bad ClamAV connection from pool. Pool size: ${this.pool.length}/${this.maxConnections}`);
-    }
-  }
+// Prometheus metrics for GET /metrics (see lib/metrics.js)
+// Scan outcomes are recorded by publishVerdict / publishFailure; pool and endpoint state is read on every scrape
+const metrics = new MetricsRegistry();
+const scanMetrics = {
+  scans: metrics.counter('document_scanner_scans_total', 'Files scanned, by verdict (clean, infected, or unscanned while scanning is disabled)', { labels: ['verdict'] }),
+  errors: metrics.counter('document_scanner_scan_errors_total', 'Uploads that failed, by error stage', { labels: ['stage'] }),
+  scanDuration: metrics.histogram('document_scanner_scan_duration_seconds', 'Time clamd needed for a file after its last chunk (cached verdicts not included)'),
+  totalDuration: metrics.histogram('document_scanner_request_duration_seconds', 'Time from the start of an upload to its verdict'),
+  fileSize: metrics.histogram('document_scanner_file_size_bytes', 'Size of the files that got a verdict', { buckets: SIZE_BUCKETS }),
+  acquireWait: metrics.histogram('document_scanner_pool_acquire_wait_seconds', 'Time scans waited for a clamd connection, by queue lane (none if they did not wait)', { labels: ['lane'] }),
+  quotaRejections: metrics.counter('document_scanner_quota_rejections_total', 'Requests turned away for going over a quota, by quota', { labels: ['quota'] }),
+  auditFailures: metrics.counter('document_scanner_audit_write_failures_total', 'Scan outcomes that could not be written to the audit trail')
+};
+metrics.gauge('document_scanner_pool_connections', 'Open clamd connections, by state', {
+  labels: ['state'],
+  collect: () => [
+    { labels: { state: 'in_use' }, value: connectionPool.inUse.size },
+    { labels: { state: 'idle' }, value: connectionPool.pool.length - connectionPool.inUse.size }
+  ]
+});
+metrics.gauge('document_scanner_pool_queue_length', 'Scans waiting for a free clamd connection', {
+  collect: () => [{ value: connectionPool.queue.length }]
+});
+metrics.gauge('document_scanner_pool_queue_waiting', 'Scans waiting for a clamd connection, by lane', {
+  labels: ['lane'],
+  collect: () => Object.entries(connectionPool.queue.counts().lanes).map(([lane, value]) => ({ labels: { lane }, value }))
+});
+// /metrics is open, so nothing here is broken down by API key - per-key numbers are in the logs
+metrics.gauge('document_scanner_pool_queue_tenants_waiting', 'Tenants (API keys) with scans waiting for a clamd connection', {
+  collect: () => [{ value: Object.keys(connectionPool.queue.counts().tenants).length }]
+});
+metrics.gauge('document_scanner_pool_queue_oldest_wait_seconds', 'How long the longest-waiting queued scan has been waiting', {
+  collect: () => [{ value: connectionPool.queueStats().oldestWait / 1000 }]
+});
+metrics.counter('document_scanner_pool_queue_served_total', 'Queued scans that got a clamd connection, by lane', {
+  labels: ['lane'],
+  collect: () => Object.entries(connectionPool.served).map(([lane, value]) => ({ labels: { lane }, value }))
+});
+metrics.gauge('document_scanner_pool_queue_capacity', 'Most scans that may wait for a connection before new ones are rejected', {
+  collect: () => [{ value: connectionPool.maxQueueSize }]
+});
+metrics.counter('document_scanner_pool_rejections_total', 'Scans the pool turned away, by reason', {
+  labels: ['reason'],
+  collect: () => [
+    { labels: { reason: 'queue_full' }, value: connectionPool.rejections.queueFull },
+    { labels: { reason: 'pushed_out' }, value: connectionPool.rejections.pushedOut },
+    { labels: { reason: 'timeout' }, value: connectionPool.rejections.timedOut },
+    { labels: { reason: 'unavailable' }, value: connectionPool.rejections.unavailable }
+  ]
+});
+metrics.counter('document_scanner_pool_evictions_total', 'Broken clamd connections removed from the pool, by endpoint', {
+  labels: ['endpoint'],
+  collect: () => connectionPool.endpoints.map(e => ({ labels: { endpoint: e.address }, value: e.evictions }))
+});
+metrics.gauge('document_scanner_clamd_up', 'Whether a clamd endpoint is in rotation (1) or failing its health checks (0)', {
+  labels: ['endpoint'],
+  collect: () => connectionPool.endpoints.map(e => ({ labels: { endpoint: e.address }, value: e.healthy ? 1 : 0 }))
+});
+metrics.gauge('document_scanner_clamd_signature_version', 'Signature database version an endpoint reported', {
+  labels: ['endpoint'],
+  collect: () => connectionPool.endpoints
+    .filter(e => e.signatureVersion !== null)
+    .map(e => ({ labels: { endpoint: e.address }, value: e.signatureVersion }))
+});
 
-  // Check if pool is ready
-  isReady() {
-    return this.initialized || this.pool.length > 0;
-  }
+// Verdicts of files scanned before, by SHA-256 (see lib/verdict-cache.js)
+// VERDICT_CACHE_FILE keeps them across restarts; entries are dropped when clamd's signatures change
+const VERDICT_CACHE_ENABLED = process.env.VERDICT_CACHE_ENABLED
+  ? process.env.VERDICT_CACHE_ENABLED.toLowerCase() !== 'false'
+  : true;
+const verdictCache = VERDICT_CACHE_ENABLED
+  ? new VerdictCache({
+    maxEntries: parseInt(process.env.VERDICT_CACHE_SIZE || '10000', 10),
+    file: process.env.VERDICT_CACHE_FILE ? path.resolve(process.env.VERDICT_CACHE_FILE) : null,
+    logger: logger.child({ component: 'verdict-cache' })
+  })
+  : null;
+if (verdictCache) {
+  verdictCache.init();
 }
 
-// One connection pool per PM2 worker
-const connectionPool = new ClamAVConnectionPool(5, 20);
+// Zip, tar and gzip uploads are expanded and every entry is scanned on its own, so responses
+// say which entry is infected (see lib/archive-inspector.js) - off unless enabled
+const ARCHIVE_INSPECTION_ENABLED = (process.env.ARCHIVE_INSPECTION_ENABLED || 'false').toLowerCase() === 'true';
+const archiveInspector = ARCHIVE_INSPECTION_ENABLED
+  ? new ArchiveInspector({
+    workDir: path.join(UPLOAD_DIR, '.archives'),
+    maxEntries: parseInt(process.env.ARCHIVE_MAX_ENTRIES || '1000', 10),
+    maxDepth: parseInt(process.env.ARCHIVE_MAX_DEPTH || '3', 10),
+    maxRatio: parseInt(process.env.ARCHIVE_MAX_RATIO || '100', 10),
+    maxExpandedSize: parseInt(process.env.ARCHIVE_MAX_EXPANDED_SIZE || String(1024 * 1024 * 1024), 10),
+    concurrency: parseInt(process.env.ARCHIVE_SCAN_CONCURRENCY || '2', 10)
+  })
+  : null;
+if (archiveInspector) {
+  archiveInspector.init();
+}
+
+// Scan progress for GET /scans/:requestId/events
+// Note: events live in this worker's memory, so with PM2 cluster mode the
+// event stream has to reach the same worker as the scan (sticky sessions)
+const scanEvents = new ScanEventBus();
+
+// Minimum time between progress events for one scan
+const PROGRESS_EVENT_INTERVAL = 250;
 
 // Initialize at least one connection on startup
 const initClamScan = async () => {
   try {
-    await connectionPool._createConnection().then(conn => {
-      connectionPool.pool.push(conn);
-    });
+    await connectionPool.init();
   } catch (error) {
-    console.error('Failed to initialize ClamAV connection pool:', error);
-    console.warn('⚠️  ClamAV is not available. Server will start but scanning may not work until ClamAV is available.');
+    logger.error('ClamAV is not available - scanning may not work until it is', { stage: 'pool', error });
   }
 };
 
-// Fast scanning using scanStream (recommended for performance)
-// Accepts a buffer and creates a stream from it
-// Creates a fresh connection per request to avoid EPIPE errors with PM2 cluster mode
-const scanWithStream = async (fileBuffer, requestId = '') => {
+// Fast scanning using clamd's INSTREAM command
+// Pipes the incoming stream into clamd chunk by chunk, so memory use stays bounded
+// by the stream buffers and the upload is paused while clamd catches up
+// options.onScanStart is called once a pool connection has been acquired,
+// options.totalBytes (if known) is reported with the progress events,
+// options.cancelled (a promise) abandons the scan once it resolves,
+// options.traceSpan is the parent of the pool.acquire and clamd.scan spans,
+// options.queue ({ tenant, weight }, see queueOptionsFor) is who the scan waits in the pool queue for,
+// options.sizeHint is the file's size when totalBytes isn't known exactly - it picks the queue lane
+const scanWithStream = async (fileStream, requestId = '', options = {}) => {
   let conn = null;
+  const queueOptions = { ...options.queue, size: options.totalBytes || options.sizeHint || null };
+  const acquireSpan = tracer.startSpan('pool.acquire', {
+    parent: options.traceSpan,
+    attributes: { 'clamav.queue.length': connectionPool.queue.length, 'clamav.queue.tenant': queueOptions.tenant }
+  });
+  let scanSpan = null;
+  let lane = null;
   
   try {
     // Acquire connection from pool (or create new one)
-    conn = await connectionPool.acquire();
-    
-    return new Promise((resolve, reject) => {
-      // Time stream creation/processing
-      const streamStartTime = Date.now();
-      
-      // Create a readable stream from the buffer
-      const fileStream = Readable.from(fileBuffer);
-      
-      const streamProcessingTime = Date.now() - streamStartTime;
-      
-      // Time the actual scan
-      const scanStartTime = Date.now();
-      
-      // scanStream: Pass the file stream directly
-      conn.scanStream(fileStream, (err, object) => {
-        const scanDuration = Date.now() - scanStartTime;
-        const totalDuration = Date.now() - streamStartTime;
-        
-        // Always release connection back to pool
-        if (conn) {
-          connectionPool.release(conn);
-        }
-        
-        if (err) {
-          // If EPIPE or connection error, remove bad connection from pool
-          if (err.code === 'EPIPE' || err.code === 'ECONNRESET') {
-            console.error(`[${requestId}] scanStream EPIPE/ECONNRESET error - removing bad connection:`, err.message);
-            connectionPool.removeConnection(conn);
-          } else {
-            console.error(`[${requestId}] scanStream error:`, err.message, err.code);
-          }
-          reject(err);
-          return;
-        }
-      
-      // Check for "UNKNOWN COMMAND" error - this means stream scanning isn't working over TCP
-      if (object && object.resultString === 'UNKNOWN COMMAND') {
-        console.warn('⚠️  scanStream returned UNKNOWN COMMAND - stream scanning may not be supported over TCP');
-        // Return a result that will trigger fallback
-        resolve({
-          isInfected: false,
-          viruses: [],
-          method: 'clamdscan (stream - failed)',
-          streamProcessingTime: streamProcessingTime,
-          scanDuration: scanDuration,
-          totalDuration: totalDuration,
-          rawResult: object,
-          needsFallback: true
+    const acquireStart = Date.now();
+    conn = await connectionPool.acquire({
+      ...queueOptions,
+      onQueued: (position, queueLane) => {
+        lane = queueLane;
+        acquireSpan.setAttributes({ 'clamav.queue.position': position, 'clamav.queue.lane': lane });
+        scanEvents.publish(requestId, 'queued', {
+          position,
+          queueLength: connectionPool.queue.length,
+          lane
         });
-        return;
       }
-      
-      // Check for infection - the clamscan library may return different structures
-      // Check multiple possible properties
-      const hasViruses = (object.viruses && Array.isArray(object.viruses) && object.viruses.length > 0) ||
-                        (object.virus && object.virus.length > 0);
-      const isInfectedFlag = object.isInfected === true || 
-                            object.isInfected === 'true' ||
-                            object.isInfected === 1 ||
-                            object.infected === true;
-      
-      // Also check if the file name contains virus info (some formats return it this way)
-      const hasVirusInName = object.file && typeof object.file === 'string' && 
-                            (object.file.includes('FOUND') || object.file.includes('Infected'));
-      
-      const isInfected = isInfectedFlag || hasViruses || hasVirusInName;
-      
-      // Extract viruses from various possible locations
-      let viruses = [];
-      if (object.viruses && Array.isArray(object.viruses)) {
-        viruses = object.viruses;
-      } else if (object.virus) {
-        viruses = Array.isArray(object.virus) ? object.virus : [object.virus];
-      } else if (hasVirusInName && object.file) {
-        // Extract virus name from file string if present
-        const match = object.file.match(/FOUND:\s*(.+)/i);
-        if (match) viruses = [match[1].trim()];
-      }
-      
-      if (isInfected && viruses.length === 0) {
-        // If marked as infected but no viruses array, create one
-        viruses.push('Threat detected');
-      }
-      
-        console.log(`[${requestId}] Stream infection check - isInfected: ${isInfected}, viruses count: ${viruses.length}`);
-        
-        resolve({
-          isInfected,
-          viruses,
-          method: 'clamdscan (stream)', // Uses ClamAV daemon via TCP
-          streamProcessingTime: streamProcessingTime,
-          scanDuration: scanDuration,
-          totalDuration: totalDuration,
-          rawResult: object // Include raw result for debugging
-        });
-      });
     });
-  } catch (error) {
-    // Release connection if we got it but failed before scan
+    const acquireWait = Date.now() - acquireStart;
+    // Scans that got a connection straight away never had a lane
+    scanMetrics.acquireWait.observe({ lane: lane || 'none' }, acquireWait / 1000);
+    acquireSpan.setAttribute('clamav.endpoint', conn.address);
+    acquireSpan.end();
+    
+    if (options.onScanStart) {
+      options.onScanStart();
+    }
+    scanEvents.publish(requestId, 'streaming', { endpoint: conn.address });
+    scanSpan = tracer.startSpan('clamd.scan', {
+      parent: options.traceSpan,
+      kind: SPAN_KIND.CLIENT,
+      attributes: { 'clamav.endpoint': conn.address, 'clamav.total_bytes': options.totalBytes }
+    });
+    
+    let lastProgressEvent = 0;
+    let bytesReported = 0;
+    const reportProgress = (bytesSent) => {
+      lastProgressEvent = Date.now();
+      bytesReported = bytesSent;
+      scanEvents.publish(requestId, 'progress', { bytesSent, totalBytes: options.totalBytes || null });
+    };
+    
+    const result = await conn.scanStream(fileStream, {
+      onProgress: (bytesSent) => {
+        if (Date.now() - lastProgressEvent >= PROGRESS_EVENT_INTERVAL) {
+          reportProgress(bytesSent);
+        }
+      },
+      cancelled: options.cancelled
+    });
+    if (result.bytesScanned !== bytesReported) {
+      reportProgress(result.bytesScanned);
+    }
+    scanSpan.setAttributes({
+      'clamav.bytes_scanned': result.bytesScanned,
+      'clamav.infected': result.isInfected,
+      'clamav.viruses': result.viruses.length > 0 ? result.viruses : null,
+      // Time clamd needed after the last chunk - the rest of the span is streaming
+      'clamav.scan_duration_ms': result.scanDuration
+    });
+    
+    logger.debug('Stream infection check', {
+      requestId,
+      stage: 'clamd',
+      endpoint: conn.address,
+      infected: result.isInfected,
+      virusesFound: result.viruses.length,
+      acquireWaitMs: acquireWait,
+      streamDurationMs: result.streamDuration,
+      scanDurationMs: result.scanDuration
+    });
+    
+    return {
+      isInfected: result.isInfected,
+      viruses: result.viruses,
+      method: 'clamd (INSTREAM)', // Uses ClamAV daemon via TCP or Unix socket
+      bytesScanned: result.bytesScanned,
+      streamProcessingTime: result.streamDuration,
+      scanDuration: result.scanDuration, // Time clamd spent on the file after the last chunk was sent
+      totalDuration: result.streamDuration + result.scanDuration,
+      rawResult: result.resultString, // Include raw result for debugging
+      signatureVersion: connectionPool.signatureVersionOf(conn) // Signature database that produced the verdict
+    };
+  } catch (err) {
+    if (err.code === 'SCAN_CANCELLED') {
+      (scanSpan || acquireSpan).setAttribute('clamav.cancelled', true);
+    } else {
+      (scanSpan || acquireSpan).recordError(err);
+    }
+    // If EPIPE or connection error, remove bad connection from pool
+    // (this also counts against the endpoint's health)
+    if (conn && isEndpointFailure(err)) {
+      logger.error('Connection error while scanning - removing bad connection', { requestId, stage: 'clamd', endpoint: conn.address, error: err });
+      connectionPool.removeConnection(conn, err);
+      conn = null;
+    } else if (err.code !== 'SCAN_CANCELLED') {
+      logger.error('Stream scan error', { requestId, stage: 'clamd', error: err });
+    }
+    throw err;
+  } finally {
+    // Always release connection back to pool
     if (conn) {
       connectionPool.release(conn);
     }
-    throw error;
+    acquireSpan.end();
+    if (scanSpan) {
+      scanSpan.end();
+    }
   }
 };
 
-// Main scanning function - accepts file buffer
-// Uses stream scanning only (no fallback)
-// Retries on EPIPE errors with fresh connection
-const scanFile = async (fileBuffer, fileSize, requestId = '', retryCount = 0) => {
+// Main scanning function - accepts either a readable stream (e.g. an upload as it arrives)
+// or a function that opens a fresh stream (e.g. a spooled file)
+// Only the latter can be read again, so only those are retried on connection errors
+const scanFile = async (source, requestId = '', options = {}, retryCount = 0) => {
   const maxRetries = 2;
+  const replayable = typeof source === 'function';
+  const fileStream = replayable ? source() : source;
   
   try {
-    // Use stream scanning (via TCP)
-    console.log(`[${requestId}] Scanning file via stream... (${(fileSize / 1024).toFixed(2)} KB)${retryCount > 0 ? ` [Retry ${retryCount}/${maxRetries}]` : ''}`);
-    const result = await scanWithStream(fileBuffer, requestId);
+    logger.debug('Streaming file to ClamAV', { requestId, stage: 'scan', retry: retryCount > 0 ? retryCount : undefined });
+    const result = await scanWithStream(fileStream, requestId, options);
     
-    // Check if we got "UNKNOWN COMMAND" error
-    if (result.needsFallback || (result.rawResult && result.rawResult.resultString === 'UNKNOWN COMMAND')) {
-      throw new Error('Stream scanning returned UNKNOWN COMMAND - ClamAV stream scanning may not be supported');
-    }
+    logger.info('Stream scan finished', {
+      requestId,
+      stage: 'scan',
+      bytesScanned: result.bytesScanned,
+      infected: result.isInfected,
+      streamDurationMs: result.streamProcessingTime,
+      scanDurationMs: result.scanDuration
+    });
     
     return {
       ...result,
-      fileSize: fileSize
+      fileSize: result.bytesScanned
     };
   } catch (error) {
-    // Retry on EPIPE/ECONNRESET errors (connection issues)
-    if ((error.code === 'EPIPE' || error.code === 'ECONNRESET') && retryCount < maxRetries) {
-      console.warn(`[${requestId}] Connection error (${error.code}), retrying with fresh connection... (attempt ${retryCount + 1}/${maxRetries})`);
-      // Wait a bit before retrying
-      await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
-      return scanFile(fileBuffer, fileSize, requestId, retryCount + 1);
+    if (replayable) {
+      // The stream may still be opening its file - don't let a late open error crash the process
+      fileStream.on('error', () => {});
+      fileStream.destroy();
+      
+      // Retry on EPIPE/ECONNRESET errors (connection issues) - the pool picks a fresh connection
+      if (isEndpointFailure(error) && retryCount < maxRetries) {
+        logger.warn('Connection error, retrying with a fresh connection', {
+          requestId,
+          stage: 'scan',
+          attempt: retryCount + 1,
+          maxRetries,
+          error
+        });
+        // Wait a bit before retrying
+        await new Promise(resolve => setTimeout(resolve, 1000 * (retryCount + 1)));
+        return scanFile(source, requestId, options, retryCount + 1);
+      }
     }
     
-    console.error(`[${requestId}] Stream scan failed:`, error.message, error.code);
+    if (error.code !== 'SCAN_CANCELLED') {
+      logger.error('Stream scan failed', { requestId, stage: 'scan', error });
+    }
     throw error;
   }
 };
 
-// Initialize ClamScan on server start
-initClamScan().catch(err => {
-  console.error('Failed to initialize ClamAV:', err);
-  console.warn('');
-  console.warn('⚠️  ClamAV is not available. Please ensure:');
-  console.warn('   1. Docker Desktop is running');
-  console.warn('   2. ClamAV container is started: ./start-docker.sh or docker-compose up -d');
-  console.warn('   3. ClamAV is ready (wait 1-2 minutes on first run)');
-  console.warn('');
-  console.warn('Server will start but scanning may not work until ClamAV is available.');
-});
-
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ 
-    status: 'ok',
-    clamavReady: connectionPool.isReady(),
-    poolSize: connectionPool.pool.length,
-    connectionsInUse: connectionPool.inUse.size,
-    queueLength: connectionPool.queue.length
-  });
-});
+// What a file really is, from its content (see lib/file-type.js), for scan responses
+const describeFileType = (fileType) => (fileType ? { type: fileType.type, mime: fileType.mime } : null);
 
-// Upload and scan endpoint
-app.post('/upload', upload.single('document'), async (req, res) => {
-  // Generate request ID for tracking
-  const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-  const requestStartTime = Date.now();
-  
-  // Helper function for logging with request ID
-  const log = (level, message, data = {}) => {
-    const timestamp = new Date().toISOString();
-    const logData = { requestId, timestamp, ...data };
-    console[level](`[${requestId}] ${message}`, Object.keys(logData).length > 2 ? logData : '');
+// Builds the result payload /upload responds with for a scanned file
+// Scan jobs report the same payload once they finish
+const buildScanResponse = ({ requestId, fileName, fileSize, fileType, scanResult, uploadDuration, totalDuration }) => {
+  const responseData = {
+    success: !scanResult.isInfected,
+    requestId,
+    message: scanResult.isInfected ? 'File is infected' : 'File is clean and safe',
+    infected: scanResult.isInfected,
+    scanEnabled: true,
+    fileName,
+    scanMethod: scanResult.method,
+    fileSize: fileSize,
+    fileSizeFormatted: formatFileSize(fileSize),
+    detectedType: describeFileType(fileType),
+    sha256: scanResult.sha256 || null,
+    // Signature database version of the clamd that gave the verdict
+    signatureVersion: scanResult.signatureVersion || null,
+    // Active content found next to the virus scan (see lib/active-content.js)
+    warnings: scanResult.warnings || [],
+    // Performance metrics
+    // For streamed uploads the upload and the scan overlap: scanDuration is the time clamd needed after the last chunk
+    uploadDuration: uploadDuration,
+    uploadDurationFormatted: formatDuration(uploadDuration),
+    scanDuration: scanResult.scanDuration || 0,
+    scanDurationFormatted: formatDuration(scanResult.scanDuration || 0),
+    totalDuration: totalDuration,
+    totalDurationFormatted: formatDuration(totalDuration)
   };
 
-  log('log', '📥 Upload request received', {
-    ip: req.ip,
-    userAgent: req.get('user-agent'),
-    contentType: req.get('content-type')
+  if (scanResult.isInfected) {
+    responseData.viruses = scanResult.viruses;
+  }
+  if (scanResult.cachedVerdict) {
+    responseData.cachedVerdict = scanResult.cachedVerdict;
+  }
+  if (scanResult.archive) {
+    responseData.archive = scanResult.archive;
+  }
+
+  return responseData;
+};
+
+// Cached verdict for a file as a scan result, or null if it has to be scanned
+const lookupVerdict = (sha256, size, requestId) => {
+  const entry = verdictCache.get(sha256, size, connectionPool.signatureVersion());
+  if (!entry) return null;
+
+  logger.info('Verdict cache hit', {
+    requestId,
+    stage: 'cache',
+    sha256,
+    signatureVersion: entry.signatureVersion,
+    infected: entry.infected
   });
+  return {
+    isInfected: entry.infected,
+    viruses: entry.viruses,
+    method: 'cache',
+    bytesScanned: size,
+    fileSize: size,
+    scanDuration: 0,
+    sha256,
+    signatureVersion: entry.signatureVersion,
+    cachedVerdict: {
+      sha256,
+      signatureVersion: entry.signatureVersion,
+      scannedAt: entry.scannedAt
+    }
+  };
+};
 
-  // Set request and response timeout to 5 minutes for large file processing
-  // Must set both req and res timeouts, and do it early
-  if (req.socket) {
-    req.socket.setTimeout(300000); // 5 minutes
+// Keeps the verdict of a file clamd has just scanned
+const rememberVerdict = (sha256, scanResult) => {
+  verdictCache.set(sha256, {
+    size: scanResult.fileSize,
+    isInfected: scanResult.isInfected,
+    viruses: scanResult.viruses
+  }, scanResult.signatureVersion, connectionPool.signatureVersion());
+};
+
+// SHA-256 (hex) of a file on disk
+const hashFile = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', (chunk) => hash.update(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(hash.digest('hex')));
+});
+
+// Scans a file on disk, answering from the verdict cache when possible
+const scanFileOnDisk = async (filePath, requestId, options = {}) => {
+  const { size } = await fs.promises.stat(filePath);
+  // The whole file is on disk already, so a cached verdict doesn't have to wait for clamd at all
+  // (the audit trail wants the hash too)
+  const sha256 = verdictCache || auditLog ? await hashFile(filePath) : null;
+  if (sha256 && verdictCache) {
+    const cached = lookupVerdict(sha256, size, requestId);
+    if (cached) return cached;
   }
-  req.setTimeout(300000); // 5 minutes
-  
-  // Set headers to keep connection alive for long-running scans
-  res.setHeader('Connection', 'keep-alive');
-  
-  // Handle request timeout
-  req.on('timeout', () => {
-    log('error', '⏱️  Request timeout after 5 minutes');
-    if (!res.headersSent) {
-      res.status(408).json({
-        success: false,
-        requestId,
-        message: 'Request timeout. Large file uploads may take longer than 5 minutes.',
-        error: 'Request timeout',
-        stage: 'upload_timeout'
-      });
-    }
-  });
+  const scanResult = await scanFile(() => fs.createReadStream(filePath), requestId, { sizeHint: size, ...options });
+  if (sha256 && verdictCache) {
+    rememberVerdict(sha256, scanResult);
+  }
+  return { ...scanResult, sha256 };
+};
 
-  // Handle client disconnect
-  req.on('close', () => {
-    const duration = Date.now() - requestStartTime;
-    log('warn', '⚠️  Client disconnected before request completed', { duration: `${(duration / 1000).toFixed(2)}s` });
+// Expands an archive on disk and scans its entries (see lib/archive-inspector.js)
+// Resolves with the archive's scan result, infected if clamd flagged the whole file or any entry,
+// with the entries' verdicts as `archive`
+const inspectArchive = async (filePath, { fileType, fileName, traceSpan, queue }, scanResult, requestId) => {
+  const span = tracer.startSpan('archive.inspect', { parent: traceSpan, attributes: { 'archive.format': fileType.type } });
+  let archive;
+  let infectedEntries;
+  try {
+    archive = await archiveInspector.inspect(filePath, { fileType, fileName }, (entryPath) => scanFileOnDisk(entryPath, requestId, { traceSpan: span, queue }));
+    infectedEntries = archive.entries.filter(entry => entry.verdict === 'infected' && !entry.archive).length;
+    span.setAttributes({ 'archive.entries': archive.entryCount, 'archive.infected_entries': infectedEntries });
+  } catch (error) {
+    span.recordError(error);
+    throw error;
+  } finally {
+    span.end();
+  }
+  logger.info('Archive inspected', {
+    requestId,
+    stage: 'archive',
+    format: archive.format,
+    entries: archive.entryCount,
+    expandedSize: archive.expandedSize,
+    infectedEntries
   });
+  return {
+    ...scanResult,
+    isInfected: scanResult.isInfected || archive.infected,
+    viruses: [...new Set([...(scanResult.isInfected ? scanResult.viruses : []), ...archive.viruses])],
+    archive
+  };
+};
 
-  if (!req.file) {
-    log('warn', '❌ No file uploaded');
-    return res.status(400).json({ 
-      success: false,
+// Adds the active content found in a file to its scan result as `warnings`
+// Throws a PolicyError if the upload policy blocks any of it - unless the file is infected,
+// in which case it is quarantined like any other infected file
+const applyContentPolicy = (scanResult, fileType, findings, requestId) => {
+  const warnings = uploadPolicy.judgeContent(findings);
+  if (warnings.length > 0) {
+    logger.info('Active content found', {
       requestId,
-      message: 'No file uploaded',
-      error: 'No file provided'
+      stage: 'policy',
+      findings: warnings.map(warning => warning.code),
+      blocked: warnings.filter(warning => warning.blocked).map(warning => warning.code)
     });
   }
-
-  // Initialize ClamAV only if scanning is enabled
-  if (ENABLE_VIRUS_SCAN) {
-    if (!connectionPool.isReady()) {
-      log('log', '🔄 ClamAV not ready, initializing connection pool...');
-      try {
-        await initClamScan();
-        log('log', '✅ ClamAV connection pool initialized');
-      } catch (error) {
-        log('error', '❌ Failed to initialize ClamAV', { error: error.message });
-        return res.status(503).json({ 
-          success: false,
-          requestId,
-          message: 'Virus scanner is not available. ClamAV may still be starting up or virus definitions are downloading. Please wait a few minutes and try again.',
-          error: error.message,
-          hint: 'Check ClamAV logs: docker-compose logs clamav',
-          stage: 'clamav_init_failed'
-        });
-      }
-    }
+  if (!scanResult.isInfected) {
+    uploadPolicy.checkContent(fileType, warnings);
   }
+  return { ...scanResult, warnings };
+};
+
+// HTTP status for each UrlFetchError code (POST /scan-url)
+const FETCH_ERROR_STATUS = {
+  INVALID_URL: 400,
+  BLOCKED_ADDRESS: 403,
+  FILE_TOO_LARGE: 413,
+  FETCH_TIMEOUT: 504
+};
+
+// Response for a file that was received while virus scanning is disabled
+const buildUnscannedResponse = ({ requestId, fileName, fileSize, fileType, uploadDuration, totalDuration }) => ({
+  success: true,
+  requestId,
+  message: 'File processed successfully (virus scanning disabled)',
+  infected: false,
+  scanEnabled: false,
+  fileName,
+  scanMethod: 'none',
+  fileSize: fileSize,
+  fileSizeFormatted: formatFileSize(fileSize),
+  detectedType: describeFileType(fileType),
+  uploadDuration: uploadDuration,
+  uploadDurationFormatted: formatDuration(uploadDuration),
+  scanDuration: 0,
+  scanDurationFormatted: '0ms',
+  totalDuration: totalDuration,
+  totalDurationFormatted: formatDuration(totalDuration)
+});
 
-  // Format file size helper (needed in try and catch blocks)
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+// Determine error type and provide helpful message
+// Returns the HTTP status, message and stage reported to clients for a failed scan,
+// and the active content warnings of a file the upload policy blocked for them
+const describeScanError = (error) => {
+  if (error instanceof ArchiveError) {
+    return {
+      statusCode: 422,
+      message: `Archive could not be inspected: ${error.message}`,
+      stage: 'archive_rejected'
+    };
+  }
+  if (error instanceof PolicyError && error.code === 'ACTIVE_CONTENT_BLOCKED') {
+    return {
+      statusCode: 422,
+      message: `File rejected by upload policy: ${error.message}`,
+      stage: 'policy_rejected',
+      warnings: error.warnings
+    };
+  }
+  if (error instanceof PolicyError) {
+    return {
+      statusCode: error.code === 'FILE_TOO_LARGE' ? 413 : 415,
+      message: `File rejected by upload policy: ${error.message}`,
+      stage: 'policy_rejected'
+    };
+  }
+  if (error instanceof UrlFetchError) {
+    return {
+      statusCode: FETCH_ERROR_STATUS[error.code] || 502,
+      message: error.message,
+      stage: 'fetch_failed'
+    };
+  }
+  if (error.code === 'QUEUE_FULL' || error.code === 'QUEUE_TIMEOUT') {
+    return {
+      statusCode: 503,
+      message: error.message,
+      stage: error.code === 'QUEUE_FULL' ? 'queue_full' : 'queue_timeout'
+    };
+  }
+  if (error.code === 'CLAMAV_UNAVAILABLE') {
+    return {
+      statusCode: 503,
+      message: 'Virus scanner is not available. All ClamAV daemons are currently failing health checks. Please try again in a few minutes.',
+      stage: 'connection_error'
+    };
+  }
+  if (error.code === 'EPIPE' || error.code === 'ECONNRESET') {
+    return {
+      statusCode: 503,
+      message: 'Connection to virus scanner was lost. The file may be too large or the scanner may be overloaded. Please try again.',
+      stage: 'connection_error'
+    };
+  }
+  if (error.code === 'ETIMEDOUT' || error.message.includes('timeout')) {
+    return {
+      statusCode: 504,
+      message: 'Scan operation timed out. Large files may take longer than expected. Please try again or contact support.',
+      stage: 'timeout_error'
+    };
+  }
+  return {
+    statusCode: 500,
+    message: ENABLE_VIRUS_SCAN ? 'Error scanning file' : 'Error processing file',
+    stage: 'processing_error'
   };
-  
-  // Format duration helper (needed in try and catch blocks)
-  const formatDuration = (ms) => {
-    if (ms < 1000) return `${ms}ms`;
-    return `${(ms / 1000).toFixed(2)}s`;
+};
+
+// Drops the copy ClamAVStreamStorage kept of an upload that won't be stored after all
+const discardFileCopies = (file) => {
+  if (file.quarantineWriter) {
+    file.quarantineWriter.discard();
+  }
+  if (file.storageWriter) {
+    file.storageWriter.discard();
+  }
+};
+
+// Scans a stream while copies for the quarantine (encrypted) and for clean-file storage are
+// written alongside. Only the copy matching the verdict is kept: resolves with
+// { scanResult, quarantineWriter, storageWriter }, where the other writer is null.
+// With the verdict cache on, the stream is hashed as it goes by. Its hash is only known once the
+// last byte has arrived, so the file is still streamed to clamd - but a cached verdict answers
+// right then and the scan is cancelled before clamd gets to work on the file.
+// Archives (options.fileType, see archiveInspector) are also spooled to disk and expanded once
+// clamd is done with the whole file - their entries' verdicts decide which copy is kept.
+// Documents that may hold active content are analyzed as they go by (see applyContentPolicy).
+const scanStreamWithCopies = async (source, requestId, options = {}) => {
+  const { fileType, fileName, ...scanOptions } = options;
+  const { traceSpan, queue } = scanOptions;
+  // The scan only starts reading once it has a clamd connection, so with copies being kept
+  // (or the stream being hashed or spooled) the source is split into piped branches - the slowest one paces it
+  const quarantineWriter = quarantine ? quarantine.createWriter() : null;
+  const storageWriter = fileStore ? fileStore.createWriter() : null;
+  const copies = [quarantineWriter, storageWriter].filter(Boolean);
+  const spoolPath = archiveInspector && archiveInspector.canExpand(fileType)
+    ? path.join(archiveInspector.workDir, `${requestId}-${crypto.randomBytes(4).toString('hex')}.spool`)
+    : null;
+  const spool = spoolPath ? fs.createWriteStream(spoolPath, { mode: 0o600 }) : null;
+  const analyzer = createContentAnalyzer(fileType);
+  const split = copies.length > 0 || Boolean(verdictCache) || Boolean(spool) || Boolean(analyzer);
+  const scanInput = split ? new PassThrough() : source;
+  const discardCopy = (writer) => {
+    if (!writer) return;
+    source.unpipe(writer.stream);
+    writer.discard();
   };
+  if (split) {
+    source.pipe(scanInput);
+    copies.forEach(writer => source.pipe(writer.stream));
+    // pipe() doesn't pass errors on - the scan has to see them. It only listens once it has a
+    // connection; a scan that hadn't started yet fails with ERR_STREAM_DESTROYED instead
+    source.on('error', (error) => scanInput.destroy(error));
+    scanInput.on('error', () => {});
+  }
+  let spooled = null;
+  let spoolClosed = null;
+  if (spool) {
+    spooled = new Promise((resolve, reject) => {
+      spool.on('finish', resolve);
+      spool.on('error', reject);
+    });
+    // Only awaited once the scan succeeded - a failure before that is the scan's to report
+    spooled.catch(() => {});
+    spoolClosed = new Promise((resolve) => spool.on('close', resolve));
+    source.pipe(spool);
+  }
+  // A failing source also fails the scan reading it - the source's error is the useful one
+  let sourceError = null;
+  source.on('error', (error) => {
+    sourceError = error;
+  });
+
+  if (analyzer) {
+    source.on('data', (chunk) => analyzer.write(chunk));
+  }
+
+  // Resolves with { sha256, size } once the whole stream went by - for the verdict cache and the audit trail
+  const hashed = verdictCache || auditLog
+    ? new Promise((resolve) => {
+      const hash = crypto.createHash('sha256');
+      let size = 0;
+      source.on('data', (chunk) => {
+        size += chunk.length;
+        hash.update(chunk);
+      });
+      source.on('end', () => resolve({ sha256: hash.digest('hex'), size }));
+    })
+    : null;
 
   try {
-    // Get file size from buffer
-    const fileSize = req.file.size || req.file.buffer.length;
-    const uploadDuration = Date.now() - requestStartTime;
-    
-    log('log', '📦 File received', {
+    let scanResult = await new Promise((resolve, reject) => {
+      let cancelScan;
+      const cancelled = new Promise((cancel) => {
+        cancelScan = cancel;
+      });
+      scanFile(scanInput, requestId, { ...scanOptions, cancelled }).then(resolve, reject);
+      if (hashed && verdictCache) {
+        hashed.then(({ sha256, size }) => {
+          const cached = lookupVerdict(sha256, size, requestId);
+          if (cached) {
+            cancelScan();
+            resolve(cached);
+          }
+        });
+      }
+    });
+    if (hashed) {
+      scanResult = { ...scanResult, sha256: (await hashed).sha256 };
+    }
+    if (verdictCache && scanResult.method !== 'cache') {
+      rememberVerdict(scanResult.sha256, scanResult);
+    }
+    if (spool) {
+      await spooled;
+      scanResult = await inspectArchive(spoolPath, { fileType, fileName, traceSpan, queue }, scanResult, requestId);
+    }
+    if (analyzer) {
+      scanResult = applyContentPolicy(scanResult, fileType, analyzer.end(), requestId);
+    }
+    discardCopy(scanResult.isInfected ? storageWriter : quarantineWriter);
+    return {
+      scanResult,
+      quarantineWriter: scanResult.isInfected ? quarantineWriter : null,
+      storageWriter: scanResult.isInfected ? null : storageWriter
+    };
+  } catch (error) {
+    if (split) {
+      source.unpipe(scanInput);
+      copies.forEach(discardCopy);
+      if (spool) {
+        source.unpipe(spool);
+      }
+    }
+    throw sourceError || error;
+  } finally {
+    if (spool) {
+      spool.destroy();
+      await spoolClosed;
+      await fs.promises.rm(spoolPath, { force: true });
+    }
+  }
+};
+
+// Multer storage engine that scans each file while it is being uploaded
+// Nothing is kept in memory - the file stream goes straight to clamd and the verdict is
+// attached to req.file once the last chunk has been scanned. The copy kept for the verdict
+// (see scanStreamWithCopies) is passed on as req.file.quarantineWriter or req.file.storageWriter.
+class ClamAVStreamStorage {
+  _handleFile(req, file, cb) {
+    const requestId = req.requestId || '';
+    const streamStartTime = Date.now();
+    scanEvents.publish(requestId, 'received', { fileName: file.originalname }, getClientInfo(req).apiKeyId);
+    
+    // Scan and policy failures are reported by the route so they get the same error responses as before
+    const reportFailure = (scanError) => {
+      // Let the rest of the upload drain so the request can still complete
+      file.stream.resume();
+      cb(null, { size: 0, scanError });
+    };
+    
+    // The upload policy looks at the first bytes before anything else happens
+    uploadPolicy.inspect(file.stream, { fileName: file.originalname, contentType: file.mimetype })
+      .then(({ stream, fileType }) => {
+        if (!ENABLE_VIRUS_SCAN) {
+          // Scanning disabled - just consume the stream and measure time
+          let size = 0;
+          stream.on('data', (chunk) => {
+            size += chunk.length;
+          });
+          stream.on('error', (error) => (error instanceof PolicyError ? reportFailure(error) : cb(error)));
+          stream.on('end', () => {
+            cb(null, { size, fileType, streamProcessingTime: Date.now() - streamStartTime });
+          });
+          return null;
+        }
+        
+        return scanStreamWithCopies(stream, requestId, {
+          fileType,
+          fileName: file.originalname,
+          traceSpan: req.traceSpan,
+          queue: queueOptionsFor(getClientInfo(req)),
+          // The file arrives as it is scanned - the request's length is the closest thing to its size
+          sizeHint: parseInt(req.get('content-length'), 10) || null
+        })
+          .then(({ scanResult, quarantineWriter, storageWriter }) => {
+            cb(null, {
+              size: scanResult.fileSize,
+              fileType,
+              scanResult,
+              quarantineWriter,
+              storageWriter
+            });
+          });
+      })
+      .catch(reportFailure);
+  }
+
+  _removeFile(req, file, cb) {
+    discardFileCopies(file);
+    cb(null);
+  }
+}
+
+// Configure Multer for file uploads - files are streamed to ClamAV as they arrive
+// through ClamAVStreamStorage, so upload size is not bounded by available RAM
+const upload = multer({ 
+  storage: new ClamAVStreamStorage(),
+  limits: {
+    fileSize: Infinity
+  }
+});
+
+// Scan jobs accept the whole file first and scan it afterwards, so it is spooled to disk
+// (never RAM) under the request ID and removed once the job has run
+const spoolUpload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => cb(null, req.requestId)
+  }),
+  limits: {
+    fileSize: Infinity
+  }
+});
+
+// Batch uploads (POST /upload/batch) are spooled the same way, one file per `<requestId>-<n>`,
+// so all of them can be scanned at once through the pool
+const MAX_BATCH_FILES = parseInt(process.env.MAX_BATCH_FILES || '50', 10);
+const batchUpload = multer({
+  storage: multer.diskStorage({
+    destination: UPLOAD_DIR,
+    filename: (req, file, cb) => {
+      req.batchFileCount = (req.batchFileCount || 0) + 1;
+      cb(null, `${req.requestId}-${req.batchFileCount}`);
+    }
+  }),
+  limits: {
+    fileSize: Infinity,
+    files: MAX_BATCH_FILES
+  }
+});
+
+// Asynchronous scan jobs (POST /scans, GET /scans/:id)
+const scanJobs = new ScanJobStore({
+  ttl: parseInt(process.env.SCAN_JOB_TTL || '3600000', 10) // Keep finished jobs for 1 hour
+});
+
+// Signed callbacks for finished scans (see lib/webhooks.js)
+// Clients can only ask for callbacks when WEBHOOK_SECRET is set. Private and reserved addresses
+// are refused unless listed in WEBHOOK_ALLOWLIST
+const webhooks = new WebhookDispatcher({
+  secret: process.env.WEBHOOK_SECRET || null,
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5', 10),
+  initialDelay: parseInt(process.env.WEBHOOK_RETRY_DELAY || '1000', 10), // Doubles after every failed attempt
+  timeout: parseInt(process.env.WEBHOOK_TIMEOUT || '10000', 10),
+  allowlist: (process.env.WEBHOOK_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean),
+  logger: logger.child({ component: 'webhooks' })
+});
+
+// Remote files for POST /scan-url (see lib/url-fetcher.js)
+// Private and reserved addresses are refused unless listed in SCAN_URL_ALLOWLIST
+const urlFetcher = new UrlFetcher({
+  maxBytes: parseInt(process.env.SCAN_URL_MAX_BYTES || String(100 * 1024 * 1024), 10),
+  timeout: parseInt(process.env.SCAN_URL_TIMEOUT || '30000', 10),
+  maxRedirects: parseInt(process.env.SCAN_URL_MAX_REDIRECTS || '5', 10),
+  allowlist: (process.env.SCAN_URL_ALLOWLIST || '').split(',').map(entry => entry.trim()).filter(Boolean)
+});
+
+// Callback URL for a scan request, from the `callbackUrl` form field or the X-Callback-URL header
+// Resolves with null when no callback was asked for, rejects with a WebhookError if the URL
+// can't be used
+const getCallbackUrl = async (req) => {
+  const value = (req.body && req.body.callbackUrl) || req.get('x-callback-url');
+  return value ? webhooks.validateUrl(value) : null;
+};
+
+// Sends a scan outcome to the caller's callback URL, if it gave one
+// Returns the delivery ID (see GET /webhooks/deliveries/:id) - only `client`'s API key can see it
+const notifyCallback = (callbackUrl, event, payload, requestId, client) => {
+  if (!callbackUrl) return undefined;
+  return webhooks.deliver(callbackUrl, event, payload, requestId, client.apiKeyId).id;
+};
+
+// Final progress events - `result` / `error` are the payloads the scan responds with, `client` is
+// who sent the file (getClientInfo)
+const sendVerdictEvent = (requestId, result, client) => {
+  scanEvents.publish(requestId, 'verdict', {
+    status: result.infected ? 'infected' : 'clean',
+    infected: result.infected,
+    viruses: result.viruses || [],
+    result
+  }, client.apiKeyId);
+};
+
+const sendFailureEvent = (requestId, error, client) => {
+  scanEvents.publish(requestId, 'failed', {
+    status: 'error',
+    errorStage: error.stage,
+    message: error.message,
+    error
+  }, client.apiKeyId);
+};
+
+// Writes a scan outcome to the audit trail - a failed write is logged and counted, but doesn't fail the scan
+const recordAudit = (entry) => {
+  if (!auditLog) return;
+  try {
+    auditLog.record(entry);
+  } catch (error) {
+    scanMetrics.auditFailures.inc();
+    logger.error('Could not write the audit trail', { requestId: entry.requestId, stage: 'audit', error });
+  }
+};
+
+// A scan's outcome: the final progress event, the scan metrics and the audit trail
+// `client` is who sent the file (getClientInfo)
+const publishVerdict = (requestId, result, client) => {
+  const verdict = !result.scanEnabled ? 'unscanned' : result.infected ? 'infected' : 'clean';
+  scanMetrics.scans.inc({ verdict });
+  scanMetrics.fileSize.observe({}, result.fileSize);
+  scanMetrics.totalDuration.observe({}, result.totalDuration / 1000);
+  if (result.scanEnabled && result.scanMethod !== 'cache') {
+    scanMetrics.scanDuration.observe({}, result.scanDuration / 1000);
+  }
+  sendVerdictEvent(requestId, result, client);
+  recordAudit({
+    requestId,
+    verdict,
+    fileName: result.fileName,
+    fileSize: result.fileSize,
+    sha256: result.sha256,
+    detectedType: result.detectedType ? result.detectedType.type : null,
+    viruses: result.viruses,
+    scanMethod: result.scanMethod,
+    cached: Boolean(result.cachedVerdict),
+    signatureVersion: result.signatureVersion,
+    uploadDuration: result.uploadDuration,
+    scanDuration: result.scanDuration,
+    totalDuration: result.totalDuration,
+    client
+  });
+};
+
+// The third argument is who sent the file and what is known of it: { client, fileName, fileSize }
+const publishFailure = (requestId, error, { client, fileName = null, fileSize = null }) => {
+  scanMetrics.errors.inc({ stage: error.stage });
+  sendFailureEvent(requestId, error, client);
+  recordAudit({
+    requestId,
+    verdict: 'error',
+    fileName,
+    fileSize,
+    errorStage: error.stage,
+    errorCode: error.errorCode,
+    // The underlying error, not the explanation written for the client
+    errorMessage: error.error || error.message,
+    client
+  });
+};
+
+// Who uploaded a file, for the quarantine metadata and the audit trail
+const getClientInfo = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent') || null,
+  apiKeyId: req.apiKey ? req.apiKey.id : null
+});
+
+// Who a scan waits for in the pool queue: its API key, with the key's weight
+// Requests without a key (API keys off) all count as one tenant
+const queueOptionsFor = (client) => {
+  const key = apiKeys && client && client.apiKeyId ? apiKeys.get(client.apiKeyId) : null;
+  return key ? { tenant: key.id, weight: key.weight } : { tenant: 'anonymous', weight: 1 };
+};
+
+// Moves an infected file into quarantine and notes it in the scan response
+// `store` does the actual write (from the upload's writer or a spooled file) and gets
+// the metadata the security team needs
+const quarantineInfectedFile = async (responseData, client, store) => {
+  const metadata = {
+    requestId: responseData.requestId,
+    originalName: responseData.fileName,
+    viruses: responseData.viruses,
+    scanMethod: responseData.scanMethod,
+    clientIp: client.ip,
+    userAgent: client.userAgent,
+    apiKeyId: client.apiKeyId
+  };
+
+  try {
+    const item = await store(metadata);
+    logger.info('Infected file quarantined', { requestId: responseData.requestId, stage: 'quarantine', quarantineId: item.id });
+    responseData.message = 'File is infected and has been quarantined';
+    responseData.quarantineId = item.id;
+  } catch (error) {
+    logger.error('Failed to quarantine infected file', { requestId: responseData.requestId, stage: 'quarantine', error });
+  }
+};
+
+// Keeps a clean file in storage and adds its ID and download URL to the scan response
+// `store` does the actual write (from the upload's writer or a spooled file)
+const storeCleanFile = async (responseData, contentType, store) => {
+  try {
+    const item = await store({
+      fileName: responseData.fileName,
+      contentType,
+      requestId: responseData.requestId,
+      scanMethod: responseData.scanMethod
+    });
+    logger.info('Clean file stored', { requestId: responseData.requestId, stage: 'storage', fileId: item.id, backend: item.backend });
+    responseData.fileId = item.id;
+    responseData.fileUrl = `/files/${item.id}`;
+  } catch (error) {
+    logger.error('Failed to store clean file', { requestId: responseData.requestId, stage: 'storage', error });
+  }
+};
+
+// Keeps the copy scanStreamWithCopies held on to: quarantined if infected, stored if clean
+const keepScannedCopy = async (responseData, { quarantineWriter, storageWriter }, client, contentType) => {
+  if (quarantineWriter) {
+    await quarantineInfectedFile(responseData, client, quarantineWriter.commit);
+  }
+  if (storageWriter) {
+    await storeCleanFile(responseData, contentType, storageWriter.commit);
+  }
+};
+
+// Turns away a request with an unusable callback URL - recorded in the audit trail like any
+// other rejection. `file` is what is known of the upload: { fileName, fileSize }
+const rejectCallbackUrl = (req, res, error, { fileName = null, fileSize = null } = {}) => {
+  req.log.warn('Invalid callback URL', { stage: 'validation_failed', error });
+  const errorResponse = {
+    success: false,
+    requestId: req.requestId,
+    message: error.message,
+    error: error.code,
+    errorCode: error.code,
+    stage: 'validation_failed'
+  };
+  // `error` only carries the code, so the audit trail gets the message that says why
+  publishFailure(req.requestId, { ...errorResponse, error: error.message }, { client: getClientInfo(req), fileName, fileSize });
+  return res.status(400).json(errorResponse);
+};
+
+// Initialize ClamScan on server start
+initClamScan().catch(err => {
+  logger.error('Failed to initialize ClamAV - server will start but scanning may not work until ClamAV is available', {
+    stage: 'startup',
+    error: err,
+    hint: 'Make sure Docker is running, the ClamAV container is started (./start-docker.sh or docker-compose up -d) and ready (1-2 minutes on first run)'
+  });
+});
+
+// Prometheus metrics
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  // Open to anyone, so the queue shows how many tenants are waiting but not which API keys they are
+  const { tenants, ...queue } = connectionPool.queueStats();
+  res.json({ 
+    status: 'ok',
+    clamavReady: connectionPool.isReady(),
+    poolSize: connectionPool.pool.length,
+    connectionsInUse: connectionPool.inUse.size,
+    queueLength: connectionPool.queue.length,
+    queue: { ...queue, tenantsWaiting: Object.keys(tenants).length },
+    balancing: connectionPool.balancing,
+    endpoints: connectionPool.status(),
+    signatureVersion: connectionPool.signatureVersion(),
+    verdictCache: verdictCache ? verdictCache.stats() : null
+  });
+});
+
+// Readiness thresholds for GET /readyz
+// Signatures older than this many hours mean clamd isn't getting updates (0 turns the check off)
+const READINESS_MAX_SIGNATURE_AGE = parseInt(process.env.READINESS_MAX_SIGNATURE_AGE || '48', 10);
+// How full the pool's queue may get (percent of CLAMAV_MAX_QUEUE_SIZE) before traffic should go elsewhere
+const READINESS_MAX_QUEUE_PERCENT = parseInt(process.env.READINESS_MAX_QUEUE_PERCENT || '80', 10);
+
+const hoursSince = (date, now) => Math.round((now - date.getTime()) / 360000) / 10;
+
+// Whether this process should get traffic: clamd answers PING and VERSION right now, its
+// signatures are fresh and the pool's queue has room. Resolves with { ready, reasons, checks }
+const checkReadiness = async () => {
+  const reasons = [];
+  const checks = {};
+  if (!ENABLE_VIRUS_SCAN) {
+    return { ready: true, reasons, checks };
+  }
+
+  await connectionPool.checkHealth();
+  const now = Date.now();
+  const endpoints = connectionPool.endpoints.map(e => ({
+    address: e.address,
+    // The pool keeps an endpoint in rotation until it fails a few checks in a row -
+    // for readiness, only the check that just ran counts
+    reachable: e.healthy && e.failures === 0,
+    lastError: e.lastError,
+    engineVersion: e.engineVersion,
+    signatureVersion: e.signatureVersion,
+    signatureDate: e.signatureDate ? e.signatureDate.toISOString() : null,
+    signatureAgeHours: e.signatureDate ? hoursSince(e.signatureDate, now) : null
+  }));
+  const reachable = endpoints.filter(e => e.reachable);
+  checks.clamd = { ok: reachable.length > 0, endpoints };
+  if (reachable.length === 0) {
+    reasons.push('No clamd endpoint answers PING');
+  }
+
+  const ages = reachable.map(e => e.signatureAgeHours).filter(age => age !== null);
+  const newestAge = ages.length > 0 ? Math.min(...ages) : null;
+  checks.signatures = {
+    ok: READINESS_MAX_SIGNATURE_AGE <= 0 || (newestAge !== null && newestAge <= READINESS_MAX_SIGNATURE_AGE),
+    ageHours: newestAge,
+    maxAgeHours: READINESS_MAX_SIGNATURE_AGE > 0 ? READINESS_MAX_SIGNATURE_AGE : null
+  };
+  if (reachable.length > 0 && !checks.signatures.ok) {
+    reasons.push(newestAge === null
+      ? 'No clamd endpoint reported its signature database version'
+      : `Signature database is ${newestAge} hours old (limit ${READINESS_MAX_SIGNATURE_AGE})`);
+  }
+
+  const queueLimit = Math.max(1, Math.ceil(connectionPool.maxQueueSize * READINESS_MAX_QUEUE_PERCENT / 100));
+  checks.queue = {
+    ok: connectionPool.queue.length < queueLimit,
+    length: connectionPool.queue.length,
+    limit: queueLimit,
+    capacity: connectionPool.maxQueueSize
+  };
+  if (!checks.queue.ok) {
+    reasons.push(`Scan queue is saturated (${connectionPool.queue.length} of ${connectionPool.maxQueueSize} waiting)`);
+  }
+
+  return { ready: reasons.length === 0, reasons, checks };
+};
+
+// Last readiness result, so only changes are logged
+let lastReadiness = null;
+
+// Liveness probe: the process is up and its event loop responds - restarting won't fix clamd
+app.get('/livez', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()) });
+});
+
+// Readiness probe: 503 while this process can't scan, so load balancers route traffic away
+app.get('/readyz', async (req, res) => {
+  try {
+    const { ready, reasons, checks } = await checkReadiness();
+    if (ready !== lastReadiness) {
+      if (ready) {
+        logger.info('Ready to accept scans', { stage: 'readiness' });
+      } else {
+        logger.warn('Not ready', { stage: 'readiness', reasons });
+      }
+      lastReadiness = ready;
+    }
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', reasons, checks });
+  } catch (error) {
+    logger.error('Readiness check failed', { stage: 'readiness', error });
+    res.status(503).json({ status: 'not_ready', reasons: [error.message], checks: {} });
+  }
+});
+
+// API key check for a route: the key may come in `Authorization: Bearer <key>` or `X-API-Key`,
+// and for GET requests also in the `api_key` query parameter (EventSource and download links
+// can't send headers). Rejects with 401 for a missing or unknown key, 403 if the key lacks `scope`.
+// Does nothing while API keys are off (no API_KEYS_FILE).
+const requireApiKey = (scope) => (req, res, next) => {
+  if (!apiKeys) return next();
+
+  const bearer = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+  const presented = req.get('x-api-key')
+    || (bearer ? bearer[1].trim() : null)
+    || (req.method === 'GET' && typeof req.query.api_key === 'string' ? req.query.api_key : null);
+  const key = apiKeys.authenticate(presented);
+
+  if (!key) {
+    req.log.warn('Rejected request without a valid API key', {
+      stage: 'auth',
+      method: req.method,
+      path: req.path,
+      ip: req.ip,
+      keyPresented: Boolean(presented)
+    });
+    res.set('WWW-Authenticate', 'Bearer realm="document-scanner"');
+    return res.status(401).json({
+      success: false,
+      requestId: req.requestId,
+      message: presented ? 'Invalid API key' : 'An API key is required (Authorization: Bearer <key> or X-API-Key)',
+      error: 'Unauthorized',
+      stage: 'auth'
+    });
+  }
+  if (!apiKeys.hasScope(key, scope)) {
+    req.log.warn('API key lacks scope', { stage: 'auth', apiKeyId: key.id, scope, method: req.method, path: req.path });
+    return res.status(403).json({
+      success: false,
+      requestId: req.requestId,
+      message: `API key ${key.id} may not use this endpoint (needs the ${scope} scope)`,
+      error: 'Forbidden',
+      stage: 'auth'
+    });
+  }
+
+  req.apiKey = key;
+  req.log = req.log.child({ apiKeyId: key.id });
+  next();
+};
+
+// Scan jobs are only visible to the key that started them (or anyone, while API keys are off)
+const ownsJob = (req, job) => !req.apiKey || !job.client || job.client.apiKeyId === req.apiKey.id;
+
+// The same for webhook deliveries: only the key whose request asked for the callback sees them
+const ownsDelivery = (req, delivery) => !req.apiKey || delivery.apiKeyId === req.apiKey.id;
+
+// And for scan events, which include the scan result: only the key that sent the request reads them
+const ownsScanEvents = (req, requestId) => !req.apiKey || scanEvents.ownerOf(requestId) === req.apiKey.id;
+
+// Sets up an upload request before its body is read: the request's trace, logging and timeouts
+const startUpload = (req, res, next) => {
+  const { requestId } = req;
+  const requestStartTime = Date.now();
+  req.requestStartTime = requestStartTime;
+
+  // The request's trace - a child of the caller's if it sent a traceparent header
+  const traceSpan = tracer.startSpan(`${req.method} ${req.route.path}`, {
+    parent: parseTraceparent(req.get('traceparent')),
+    kind: SPAN_KIND.SERVER,
+    attributes: {
+      'http.method': req.method,
+      'http.route': req.route.path,
+      'http.user_agent': req.get('user-agent'),
+      'http.request_content_length': parseInt(req.get('content-length'), 10) || null,
+      'scan.request_id': requestId
+    }
+  });
+  req.traceSpan = traceSpan;
+  if (tracer.enabled) {
+    req.log = req.log.child({ traceId: traceSpan.traceId });
+  }
+  const { log } = req;
+  res.on('close', () => {
+    if (req.responseSpan) {
+      req.responseSpan.end();
+    }
+    traceSpan.setAttribute('http.status_code', res.statusCode);
+    if (!res.writableFinished) {
+      traceSpan.addEvent('client_disconnected');
+    } else if (res.statusCode >= 500) {
+      traceSpan.recordError(new Error(`HTTP ${res.statusCode}`));
+    }
+    traceSpan.end();
+  });
+
+  log.info('Upload request received', {
+    stage: 'request',
+    method: req.method,
+    path: req.path,
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    contentType: req.get('content-type')
+  });
+
+  // Set request and response timeout to 5 minutes for large file processing
+  // Must set both req and res timeouts, and do it early
+  if (req.socket) {
+    req.socket.setTimeout(300000); // 5 minutes
+  }
+  req.setTimeout(300000); // 5 minutes
+  
+  // Set headers to keep connection alive for long-running scans
+  res.setHeader('Connection', 'keep-alive');
+  
+  // Handle request timeout
+  req.on('timeout', () => {
+    log.error('Request timeout after 5 minutes', { stage: 'upload_timeout', durationMs: Date.now() - requestStartTime });
+    if (!res.headersSent) {
+      res.status(408).json({
+        success: false,
+        requestId,
+        message: 'Request timeout. Large file uploads may take longer than 5 minutes.',
+        error: 'Request timeout',
+        stage: 'upload_timeout'
+      });
+    }
+  });
+
+  // Handle client disconnect
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      log.warn('Client disconnected before request completed', { stage: 'request', durationMs: Date.now() - requestStartTime });
+    }
+  });
+
+  next();
+};
+
+// Turns a request over one of its key's quotas away with a 429
+// Scan requests are recorded in the audit trail; the chunks of a resumable upload aren't scans
+const rejectOverQuota = (req, res, error, { audit = true } = {}) => {
+  req.log.warn('Quota exceeded', {
+    stage: 'quota_exceeded',
+    error,
+    retryAfterSeconds: error.retryAfter,
+    usage: quotas.usageOf(req.apiKey)
+  });
+  scanMetrics.quotaRejections.inc({ quota: error.code });
+  const errorResponse = {
+    success: false,
+    requestId: req.requestId,
+    message: error.message,
+    error: 'Quota exceeded',
+    errorCode: error.code,
+    retryAfter: error.retryAfter,
+    stage: 'quota_exceeded'
+  };
+  if (audit) {
+    // Turned away before the body is read, so nothing is known of the file yet
+    publishFailure(req.requestId, errorResponse, { client: getClientInfo(req) });
+  }
+  res.set('Retry-After', String(error.retryAfter));
+  return res.status(429).json(errorResponse);
+};
+
+// Quotas are checked before the body is read, so a client over its quota never gets into the pool queue
+// The request counts as one of the key's scans until the response is done (or its scan job has run)
+const admitQuotas = (req, res, next) => {
+  if (!req.apiKey) return next();
+  // Finalizing a resumable upload brings no bytes of its own - its chunks were charged as they arrived
+  const bytes = req.uploadSession ? null : parseInt(req.get('content-length'), 10) || 0;
+  try {
+    req.quotaLease = quotas.admit(req.apiKey, { bytes });
+  } catch (error) {
+    if (!(error instanceof QuotaError)) return next(error);
+    return rejectOverQuota(req, res, error);
+  }
+  res.on('close', () => {
+    if (req.quotaLease) {
+      req.quotaLease.release();
+    }
+  });
+  next();
+};
+
+// A chunk of a resumable upload only counts towards the key's daily bytes - the request rate
+// and concurrent scans are checked when the session is created and when it is finalized
+const chargeChunk = (req, res, next) => {
+  if (!req.apiKey) return next();
+  try {
+    req.quotaLease = quotas.chargeBytes(req.apiKey, parseInt(req.get('content-length'), 10) || 0);
+  } catch (error) {
+    if (!(error instanceof QuotaError)) return next(error);
+    return rejectOverQuota(req, res, error, { audit: false });
+  }
+  next();
+};
+
+// Makes sure ClamAV is reachable, if scanning is enabled
+// This has to happen before the body is read: /upload scans the file while it uploads,
+// and there is no point accepting a scan job nobody can run
+const requireScanner = async (req, res, next) => {
+  const { requestId, log } = req;
+  if (ENABLE_VIRUS_SCAN) {
+    if (!connectionPool.isReady()) {
+      log.info('ClamAV not ready, initializing connection pool', { stage: 'pool' });
+      try {
+        await initClamScan();
+        log.info('ClamAV connection pool initialized', { stage: 'pool' });
+      } catch (error) {
+        log.error('Failed to initialize ClamAV', { stage: 'clamav_init_failed', error });
+        const errorResponse = {
+          success: false,
+          requestId,
+          message: 'Virus scanner is not available. ClamAV may still be starting up or virus definitions are downloading. Please wait a few minutes and try again.',
+          error: error.message,
+          hint: 'Check ClamAV logs: docker-compose logs clamav',
+          stage: 'clamav_init_failed'
+        };
+        publishFailure(requestId, errorResponse, { client: getClientInfo(req) });
+        return res.status(503).json(errorResponse);
+      }
+    }
+  }
+
+  next();
+};
+
+// Prepares a scan request before multer starts streaming the body to ClamAV: logging, timeouts,
+// the API key's quotas and making sure the scanner is reachable
+const beginUpload = [startUpload, admitQuotas, requireScanner];
+
+// Starts the `response` span: everything between having the file (and its verdict) and the response
+const startResponseSpan = (req) => {
+  if (!req.responseSpan) {
+    req.responseSpan = tracer.startSpan('response', { parent: req.traceSpan });
+  }
+};
+
+// Runs a multer middleware inside the `upload.receive` span - for /upload that includes the scan,
+// which runs while the file arrives
+const receiveFiles = (multerMiddleware) => (req, res, next) => {
+  const span = tracer.startSpan('upload.receive', { parent: req.traceSpan });
+  multerMiddleware(req, res, (error) => {
+    const files = req.files || (req.file ? [req.file] : []);
+    const bytes = files.reduce((total, file) => total + (file.size || 0), 0);
+    span.setAttributes({
+      'upload.files': files.length,
+      'upload.bytes': bytes
+    });
+    // The daily byte quota counts the files, not the request's Content-Length
+    if (req.quotaLease && !error) {
+      req.quotaLease.settle(bytes);
+    }
+    // Scan failures of /upload are reported on req.file rather than as an error
+    const scanError = error || files.map(file => file.scanError).find(Boolean);
+    if (scanError) {
+      span.recordError(scanError);
+    }
+    span.end();
+    startResponseSpan(req);
+    next(error);
+  });
+};
+
+// Upload and scan endpoint
+app.post('/upload', requireApiKey('scan'), beginUpload, receiveFiles(upload.single('document')), async (req, res) => {
+  const { requestId, requestStartTime, log } = req;
+
+  if (!req.file) {
+    log.warn('No file uploaded', { stage: 'validation_failed' });
+    const errorResponse = {
+      success: false,
+      requestId,
+      message: 'No file uploaded',
+      error: 'No file provided',
+      stage: 'validation_failed'
+    };
+    publishFailure(requestId, errorResponse, { client: getClientInfo(req) });
+    return res.status(400).json(errorResponse);
+  }
+
+  let callbackUrl = null;
+  try {
+    callbackUrl = await getCallbackUrl(req);
+  } catch (error) {
+    discardFileCopies(req.file);
+    return rejectCallbackUrl(req, res, error, { fileName: req.file.originalname, fileSize: req.file.size });
+  }
+
+  try {
+    // The file has already been streamed (and scanned, if enabled) by ClamAVStreamStorage
+    const { scanResult, scanError } = req.file;
+    const fileSize = req.file.size;
+    const uploadDuration = Date.now() - requestStartTime;
+    
+    log.info('File received', {
+      stage: 'upload',
       fileName: req.file.originalname,
-      fileSize: `${(fileSize / 1024 / 1024).toFixed(2)} MB`,
-      uploadDuration: `${(uploadDuration / 1000).toFixed(2)}s`
+      fileSize,
+      uploadDurationMs: uploadDuration
+    });
+    
+    if (scanError instanceof PolicyError) {
+      log.warn('File rejected by upload policy', {
+        stage: 'policy_rejected',
+        fileName: req.file.originalname,
+        detectedType: scanError.detectedType,
+        error: scanError
+      });
+      throw scanError;
+    }
+    if (scanError instanceof ArchiveError) {
+      log.warn('Archive rejected', {
+        stage: 'archive_rejected',
+        fileName: req.file.originalname,
+        error: scanError
+      });
+      throw scanError;
+    }
+    if (scanError) {
+      log.error('Virus scan failed', {
+        stage: 'scan_failed',
+        fileName: req.file.originalname,
+        error: scanError
+      });
+      throw scanError;
+    }
+    
+    // Warn if file is empty
+    if (fileSize === 0) {
+      log.warn('File is 0 bytes - upload may have failed', { stage: 'validation_failed', fileName: req.file.originalname });
+      discardFileCopies(req.file);
+      const errorResponse = {
+        success: false,
+        requestId,
+        message: 'File is empty (0 bytes). Please check your file upload.',
+        error: 'File size is 0 bytes',
+        stage: 'validation_failed'
+      };
+      publishFailure(requestId, errorResponse, { client: getClientInfo(req), fileName: req.file.originalname, fileSize: 0 });
+      return res.status(400).json(errorResponse);
+    }
+    
+    let responseData;
+    
+    if (ENABLE_VIRUS_SCAN) {
+      log.info('Virus scan completed', {
+        stage: 'scan',
+        fileName: req.file.originalname,
+        scanDurationMs: scanResult.scanDuration,
+        infected: scanResult.isInfected,
+        virusesFound: scanResult.viruses?.length || 0
+      });
+      
+      // Prepare response with all performance metrics
+      const totalRequestDuration = Date.now() - requestStartTime;
+      responseData = buildScanResponse({
+        requestId,
+        fileName: req.file.originalname,
+        fileSize,
+        fileType: req.file.fileType,
+        scanResult,
+        uploadDuration,
+        totalDuration: totalRequestDuration
+      });
+      await keepScannedCopy(responseData, req.file, getClientInfo(req), req.file.mimetype);
+      responseData.callbackDeliveryId = notifyCallback(callbackUrl, 'scan.completed', responseData, requestId, getClientInfo(req));
+      publishVerdict(requestId, responseData, getClientInfo(req));
+
+      if (scanResult.isInfected) {
+        log.warn('File is infected', {
+          stage: 'response',
+          fileName: req.file.originalname,
+          viruses: scanResult.viruses,
+          totalDurationMs: totalRequestDuration
+        });
+        return res.status(400).json(responseData);
+      } else {
+        log.info('File is clean - sending success response', {
+          stage: 'response',
+          fileName: req.file.originalname,
+          totalDurationMs: totalRequestDuration
+        });
+        return res.status(200).json(responseData);
+      }
+    } else {
+      // Scanning disabled - the stream was consumed and timed by ClamAVStreamStorage
+      const streamProcessingTime = req.file.streamProcessingTime;
+      
+      // Prepare response with stream processing metrics only
+      responseData = {
+        success: true,
+        requestId,
+        message: 'File processed successfully (virus scanning disabled)',
+        infected: false,
+        scanEnabled: false,
+        fileName: req.file.originalname,
+        scanMethod: 'none',
+        fileSize: fileSize,
+        fileSizeFormatted: formatFileSize(fileSize),
+        detectedType: describeFileType(req.file.fileType),
+        // Performance metrics (only stream processing)
+        streamProcessingTime: streamProcessingTime,
+        streamProcessingTimeFormatted: formatDuration(streamProcessingTime),
+        scanDuration: 0,
+        scanDurationFormatted: '0ms',
+        totalDuration: streamProcessingTime,
+        totalDurationFormatted: formatDuration(streamProcessingTime)
+      };
+      responseData.callbackDeliveryId = notifyCallback(callbackUrl, 'scan.completed', responseData, requestId, getClientInfo(req));
+      publishVerdict(requestId, responseData, getClientInfo(req));
+      
+      log.info('File processed (virus scanning disabled)', {
+        stage: 'response',
+        fileName: req.file.originalname,
+        fileSize,
+        streamDurationMs: streamProcessingTime
+      });
+      return res.status(200).json(responseData);
+    }
+  } catch (error) {
+    const totalDuration = Date.now() - requestStartTime;
+    const errorDetails = {
+      error: error.message,
+      errorCode: error.code,
+      errorStack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
+      totalDuration: formatDuration(totalDuration),
+      stage: 'processing_error'
+    };
+    
+    const { statusCode, message: errorMessage, stage, warnings } = describeScanError(error);
+    errorDetails.stage = stage;
+    
+    log.error('Processing error occurred', { stage, error, totalDurationMs: totalDuration });
+    
+    const errorResponse = {
+      success: false,
+      requestId,
+      message: errorMessage,
+      ...errorDetails
+    };
+    if (warnings) {
+      errorResponse.warnings = warnings;
+    }
+    errorResponse.callbackDeliveryId = notifyCallback(callbackUrl, 'scan.failed', errorResponse, requestId, getClientInfo(req));
+    publishFailure(requestId, errorResponse, {
+      client: getClientInfo(req),
+      fileName: req.file ? req.file.originalname : null,
+      fileSize: req.file ? req.file.size || null : null
     });
     
-    // Warn if file is empty
-    if (fileSize === 0) {
-      log('warn', '⚠️  File is 0 bytes - upload may have failed', { fileName: req.file.originalname });
-      return res.status(400).json({
+    if (!res.headersSent) {
+      return res.status(statusCode).json(errorResponse);
+    } else {
+      log.error('Response already sent, cannot send error response', { stage: 'response' });
+    }
+  }
+});
+
+// Scans an upload that was spooled to disk and quarantines or stores it according to the verdict
+// `upload` has the same fields as a scan job (id, fileName, fileSize, contentType, fileType,
+// uploadDuration, client). Resolves with the payload /upload responds with.
+// options.onScanStart is passed on to scanFile, options.traceSpan is the parent of the scan's spans
+const scanSpooledFile = async (upload, filePath, requestStartTime, options = {}) => {
+  if (!ENABLE_VIRUS_SCAN) {
+    return buildUnscannedResponse({
+      requestId: upload.id,
+      fileName: upload.fileName,
+      fileSize: upload.fileSize,
+      fileType: upload.fileType,
+      uploadDuration: upload.uploadDuration,
+      totalDuration: Date.now() - requestStartTime
+    });
+  }
+
+  const queue = queueOptionsFor(upload.client);
+  let scanResult = await scanFileOnDisk(filePath, upload.id, {
+    onScanStart: options.onScanStart,
+    totalBytes: upload.fileSize,
+    traceSpan: options.traceSpan,
+    queue
+  });
+  if (archiveInspector && archiveInspector.canExpand(upload.fileType)) {
+    scanResult = await inspectArchive(filePath, {
+      fileType: upload.fileType,
+      fileName: upload.fileName,
+      traceSpan: options.traceSpan,
+      queue
+    }, scanResult, upload.id);
+  }
+  scanResult = applyContentPolicy(scanResult, upload.fileType, await analyzeFile(filePath, upload.fileType), upload.id);
+  const result = buildScanResponse({
+    requestId: upload.id,
+    fileName: upload.fileName,
+    fileSize: upload.fileSize,
+    fileType: upload.fileType,
+    scanResult,
+    uploadDuration: upload.uploadDuration,
+    totalDuration: Date.now() - requestStartTime
+  });
+  if (scanResult.isInfected && quarantine) {
+    await quarantineInfectedFile(result, upload.client, (metadata) => quarantine.storeFile(filePath, metadata));
+  }
+  if (!scanResult.isInfected && fileStore) {
+    await storeCleanFile(result, upload.contentType, (metadata) => fileStore.storeFile(filePath, metadata));
+  }
+  return result;
+};
+
+// Runs a scan job in the background through the same path as /upload (pool + scanFile)
+// The spooled file is removed once the job has finished, whatever the outcome
+// Its spans go under a `scan.job` span in the trace of the request that queued it
+const runScanJob = async (job, filePath, requestStartTime, traceSpan) => {
+  const span = tracer.startSpan('scan.job', { parent: traceSpan, attributes: { 'scan.request_id': job.id } });
+  try {
+    const result = await scanSpooledFile(job, filePath, requestStartTime, {
+      onScanStart: () => scanJobs.update(job.id, { status: 'scanning', startedAt: Date.now() }),
+      traceSpan: span
+    });
+    span.setAttribute('scan.infected', result.infected);
+    
+    result.callbackDeliveryId = notifyCallback(job.callbackUrl, 'scan.completed', result, job.id, job.client);
+    scanJobs.update(job.id, { status: result.infected ? 'infected' : 'clean', result });
+    publishVerdict(job.id, result, job.client);
+    logger[result.infected ? 'warn' : 'info'](result.infected ? 'Scan job finished - file is infected' : 'Scan job finished - file is clean', {
+      requestId: job.id,
+      stage: 'verdict',
+      viruses: result.viruses,
+      totalDurationMs: result.totalDuration
+    });
+  } catch (error) {
+    const { message, stage, warnings } = describeScanError(error);
+    const errorDetails = {
+      message,
+      error: error.message,
+      errorCode: error.code,
+      stage
+    };
+    if (warnings) {
+      errorDetails.warnings = warnings;
+    }
+    errorDetails.callbackDeliveryId = notifyCallback(job.callbackUrl, 'scan.failed', {
+      success: false,
+      requestId: job.id,
+      ...errorDetails
+    }, job.id, job.client);
+    scanJobs.update(job.id, { status: 'error', error: errorDetails });
+    publishFailure(job.id, { success: false, requestId: job.id, ...errorDetails }, {
+      client: job.client,
+      fileName: job.fileName,
+      fileSize: job.fileSize
+    });
+    logger.error('Scan job failed', { requestId: job.id, stage, error });
+    span.recordError(error);
+  } finally {
+    span.end();
+    fs.unlink(filePath, (err) => {
+      if (err && err.code !== 'ENOENT') {
+        logger.error('Failed to remove spooled upload', { requestId: job.id, stage: 'cleanup', filePath, error: err });
+      }
+    });
+  }
+};
+
+// Shape of a scan job in API responses
+const serializeScanJob = (job) => {
+  const queueDuration = job.startedAt ? job.startedAt - job.createdAt : null;
+  return {
+    success: job.status !== 'error',
+    jobId: job.id,
+    requestId: job.id,
+    status: job.status,
+    fileName: job.fileName,
+    fileSize: job.fileSize,
+    fileSizeFormatted: formatFileSize(job.fileSize),
+    createdAt: new Date(job.createdAt).toISOString(),
+    startedAt: job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    completedAt: job.completedAt ? new Date(job.completedAt).toISOString() : null,
+    // Time spent waiting for a pool connection
+    queueDuration: queueDuration,
+    queueDurationFormatted: queueDuration !== null ? formatDuration(queueDuration) : null,
+    // Same payload /upload responds with, once the job has finished
+    result: job.result,
+    error: job.error,
+    // Set when the job finished and a callback was asked for
+    callbackDeliveryId: (job.result || job.error || {}).callbackDeliveryId
+  };
+};
+
+// Checks a file that has been received in full and queues its scan job: responds 202 right away
+// and scans in the background. `file` is { path, originalname, size, mimetype } like multer's;
+// the file is removed once the job has run (or right away if it is rejected)
+// Used by POST /scans and by POST /uploads/:id/finalize for resumable uploads
+const queueScanJob = async (req, res, file, { callbackUrl, uploadDuration }) => {
+  const { requestId, requestStartTime, log } = req;
+
+  if (file.size === 0) {
+    log.warn('File is 0 bytes - upload may have failed', { stage: 'validation_failed', fileName: file.originalname });
+    fs.unlink(file.path, () => {});
+    const errorResponse = {
+      success: false,
+      requestId,
+      message: 'File is empty (0 bytes). Please check your file upload.',
+      error: 'File size is 0 bytes',
+      stage: 'validation_failed'
+    };
+    publishFailure(requestId, errorResponse, { client: getClientInfo(req), fileName: file.originalname, fileSize: 0 });
+    return res.status(400).json(errorResponse);
+  }
+
+  // Checked before the job is queued, so a rejected file is reported right away
+  let fileType;
+  try {
+    fileType = await uploadPolicy.inspectFile(file.path, {
+      fileName: file.originalname,
+      contentType: file.mimetype,
+      size: file.size
+    });
+  } catch (error) {
+    fs.unlink(file.path, () => {});
+    const { statusCode, message, stage } = describeScanError(error);
+    if (error instanceof PolicyError) {
+      log.warn('File rejected by upload policy', { stage, fileName: file.originalname, detectedType: error.detectedType, error });
+    } else {
+      log.error('Could not check upload policy', { stage, fileName: file.originalname, error });
+    }
+    const errorResponse = {
+      success: false,
+      requestId,
+      message,
+      error: error.message,
+      errorCode: error.code,
+      stage
+    };
+    // Rejected before it became a job - recorded like an /upload rejection
+    publishFailure(requestId, errorResponse, { client: getClientInfo(req), fileName: file.originalname, fileSize: file.size });
+    return res.status(statusCode).json(errorResponse);
+  }
+
+  const job = scanJobs.create({
+    id: requestId,
+    fileName: file.originalname,
+    fileSize: file.size,
+    contentType: file.mimetype,
+    fileType,
+    uploadDuration,
+    callbackUrl,
+    client: getClientInfo(req)
+  });
+
+  scanEvents.publish(job.id, 'received', { fileName: job.fileName, fileSize: job.fileSize }, job.client.apiKeyId);
+
+  log.info('Scan job queued', {
+    stage: 'queued',
+    fileName: job.fileName,
+    fileSize: job.fileSize,
+    uploadDurationMs: job.uploadDuration
+  });
+
+  res.status(202).json({
+    success: true,
+    requestId,
+    jobId: job.id,
+    status: job.status,
+    statusUrl: `/scans/${job.id}`,
+    message: 'File received - scan queued'
+  });
+
+  // The job keeps counting against the key's concurrent scans until it has run
+  const { quotaLease } = req;
+  req.quotaLease = null;
+  runScanJob(job, file.path, requestStartTime, req.traceSpan).then(() => {
+    if (quotaLease) {
+      quotaLease.release();
+    }
+  });
+};
+
+// Asynchronous scan endpoint
+// Responds 202 with a job ID as soon as the file has been received, then scans in the
+// background - poll GET /scans/:id for the status and result instead of holding the connection open
+app.post('/scans', requireApiKey('scan'), beginUpload, receiveFiles(spoolUpload.single('document')), async (req, res) => {
+  const { requestId, requestStartTime, log } = req;
+
+  if (!req.file) {
+    log.warn('No file uploaded', { stage: 'validation_failed' });
+    const errorResponse = {
+      success: false,
+      requestId,
+      message: 'No file uploaded',
+      error: 'No file provided',
+      stage: 'validation_failed'
+    };
+    publishFailure(requestId, errorResponse, { client: getClientInfo(req) });
+    return res.status(400).json(errorResponse);
+  }
+
+  let callbackUrl = null;
+  try {
+    callbackUrl = await getCallbackUrl(req);
+  } catch (error) {
+    fs.unlink(req.file.path, () => {});
+    return rejectCallbackUrl(req, res, error, { fileName: req.file.originalname, fileSize: req.file.size });
+  }
+
+  await queueScanJob(req, res, req.file, { callbackUrl, uploadDuration: Date.now() - requestStartTime });
+});
+
+// Resumable uploads for large files, following the tus protocol (https://tus.io/protocols/resumable-upload):
+//   POST   /uploads              starts a session - Upload-Length, and Upload-Metadata with the file's
+//                                filename and filetype; 201 with the session's URL in Location
+//   HEAD   /uploads/:id          Upload-Offset: how many bytes have arrived
+//   PATCH  /uploads/:id          the next chunk, as application/offset+octet-stream, starting at
+//                                Upload-Offset; 204 with the new Upload-Offset
+//   POST   /uploads/:id/finalize once all bytes are there - queues a scan job, like POST /scans
+//   DELETE /uploads/:id          gives up on the upload
+// A dropped connection costs at most the chunk that was in flight: the client asks HEAD for the
+// offset and carries on from there.
+const TUS_VERSION = '1.0.0';
+
+const UPLOAD_SESSION_ERROR_STATUS = {
+  SESSION_NOT_FOUND: 404,
+  OFFSET_MISMATCH: 409,
+  INCOMPLETE: 409,
+  SUPERSEDED: 409,
+  LENGTH_EXCEEDED: 413
+};
+
+// Upload-Metadata is a comma-separated list of `key base64(value)` pairs
+const parseUploadMetadata = (header) => {
+  const metadata = {};
+  (header || '').split(',').forEach((pair) => {
+    const [key, value] = pair.trim().split(/\s+/);
+    if (key) {
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+  });
+  return metadata;
+};
+
+// Upload-Offset and Upload-Length are non-negative integers; null when missing or malformed
+const parseUploadNumber = (value) => (/^\d+$/.test(value || '') ? Number(value) : null);
+
+const uploadSessionHeaders = (res, session) => {
+  res.set({
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.length),
+    'Upload-Expires': new Date(session.expiresAt).toUTCString(),
+    'Cache-Control': 'no-store'
+  });
+};
+
+const sendUploadSessionError = (req, res, error) => {
+  if (!(error instanceof UploadSessionError)) {
+    req.log.error('Upload session operation failed', { stage: 'upload_session', uploadId: req.params.id, error });
+    return res.status(500).json({
+      success: false,
+      requestId: req.requestId,
+      message: 'Upload session operation failed',
+      error: error.message,
+      stage: 'upload_session'
+    });
+  }
+  if (error.offset !== null) {
+    res.set('Upload-Offset', String(error.offset));
+  }
+  res.status(UPLOAD_SESSION_ERROR_STATUS[error.code]).json({
+    success: false,
+    requestId: req.requestId,
+    message: error.message,
+    error: 'Upload session error',
+    errorCode: error.code,
+    offset: error.offset,
+    stage: 'upload_session'
+  });
+};
+
+// Every /uploads response names the protocol version; clients that send Tus-Resumable must ask for that one
+const tusResumable = (req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  const requested = req.get('tus-resumable');
+  if (requested && requested !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({
+      success: false,
+      requestId: req.requestId,
+      message: `Tus-Resumable ${requested} is not supported (this server speaks ${TUS_VERSION})`,
+      error: 'Unsupported protocol version',
+      stage: 'upload_session'
+    });
+  }
+  next();
+};
+
+// Loads the session of /uploads/:id into req.uploadSession - other keys' sessions don't exist for a key
+const loadUploadSession = async (req, res, next) => {
+  try {
+    const session = await uploadSessions.get(req.params.id);
+    if (req.apiKey && session.owner !== req.apiKey.id) {
+      throw new UploadSessionError(`Upload session ${req.params.id} not found`, 'SESSION_NOT_FOUND');
+    }
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    sendUploadSessionError(req, res, error);
+  }
+};
+
+app.post('/uploads', requireApiKey('scan'), tusResumable, beginUpload, async (req, res) => {
+  const { requestId, log } = req;
+  const length = parseUploadNumber(req.get('upload-length'));
+  const metadata = parseUploadMetadata(req.get('upload-metadata'));
+
+  if (length === null || length === 0) {
+    log.warn('Upload session without a length', { stage: 'validation_failed', uploadLength: req.get('upload-length') || null });
+    return res.status(400).json({
+      success: false,
+      requestId,
+      message: length === 0 ? 'File is empty (0 bytes). Please check your file upload.' : 'Upload-Length must be the size of the file in bytes',
+      error: 'Invalid Upload-Length',
+      stage: 'validation_failed'
+    });
+  }
+  // The type isn't known until the first bytes arrive, but the overall limit can be checked now
+  if (length > uploadPolicy.maxFileSize) {
+    log.warn('Upload session rejected by upload policy', { stage: 'policy_rejected', fileSize: length });
+    return res.status(413).json({
+      success: false,
+      requestId,
+      message: `File rejected by upload policy: files may be at most ${formatFileSize(uploadPolicy.maxFileSize)}`,
+      error: 'File too large',
+      errorCode: 'FILE_TOO_LARGE',
+      stage: 'policy_rejected'
+    });
+  }
+
+  try {
+    const session = await uploadSessions.create({
+      length,
+      fileName: metadata.filename || metadata.name || 'upload',
+      contentType: metadata.filetype || metadata.type || null,
+      owner: req.apiKey ? req.apiKey.id : null
+    });
+    log.info('Upload session created', {
+      stage: 'upload_session',
+      uploadId: session.id,
+      fileName: session.fileName,
+      fileSize: length
+    });
+    uploadSessionHeaders(res, session);
+    res.location(`/uploads/${session.id}`);
+    res.status(201).json({
+      success: true,
+      requestId,
+      uploadId: session.id,
+      uploadUrl: `/uploads/${session.id}`,
+      offset: session.offset,
+      length: session.length,
+      expiresAt: new Date(session.expiresAt).toISOString()
+    });
+  } catch (error) {
+    sendUploadSessionError(req, res, error);
+  }
+});
+
+app.head('/uploads/:id', requireApiKey('scan'), tusResumable, loadUploadSession, (req, res) => {
+  uploadSessionHeaders(res, req.uploadSession);
+  res.status(200).end();
+});
+
+// The same as HEAD, for clients that would rather read JSON
+app.get('/uploads/:id', requireApiKey('scan'), tusResumable, loadUploadSession, (req, res) => {
+  const session = req.uploadSession;
+  uploadSessionHeaders(res, session);
+  res.json({
+    success: true,
+    uploadId: session.id,
+    fileName: session.fileName,
+    offset: session.offset,
+    length: session.length,
+    complete: session.offset === session.length,
+    createdAt: new Date(session.createdAt).toISOString(),
+    expiresAt: new Date(session.expiresAt).toISOString()
+  });
+});
+
+app.patch('/uploads/:id', requireApiKey('scan'), tusResumable, loadUploadSession, startUpload, chargeChunk, async (req, res) => {
+  const { log } = req;
+  const offset = parseUploadNumber(req.get('upload-offset'));
+
+  if (!req.is('application/offset+octet-stream')) {
+    return res.status(415).json({
+      success: false,
+      requestId: req.requestId,
+      message: 'Chunks must be sent as Content-Type: application/offset+octet-stream',
+      error: 'Unsupported Media Type',
+      stage: 'validation_failed'
+    });
+  }
+  if (offset === null) {
+    return res.status(400).json({
+      success: false,
+      requestId: req.requestId,
+      message: 'Upload-Offset must say where in the file the chunk starts',
+      error: 'Invalid Upload-Offset',
+      stage: 'validation_failed'
+    });
+  }
+
+  const span = tracer.startSpan('upload.receive', {
+    parent: req.traceSpan,
+    attributes: { 'upload.id': req.params.id, 'upload.offset': offset }
+  });
+  try {
+    const session = await uploadSessions.append(req.params.id, offset, req);
+    span.setAttribute('upload.bytes', session.offset - offset);
+    // The daily byte quota counts what was written, not the request's Content-Length
+    if (req.quotaLease) {
+      req.quotaLease.settle(session.offset - offset);
+    }
+    log.debug('Chunk received', { stage: 'upload_session', uploadId: session.id, offset: session.offset, length: session.length });
+    uploadSessionHeaders(res, session);
+    res.status(204).end();
+  } catch (error) {
+    span.recordError(error);
+    // Only session errors carry the offset the chunk got to - anything else leaves the lease as it is
+    if (Number.isFinite(error.offset) && req.quotaLease) {
+      req.quotaLease.settle(error.offset - offset);
+    }
+    if (res.writableEnded || req.aborted) {
+      log.warn('Chunk interrupted', { stage: 'upload_session', uploadId: req.params.id, offset: error.offset, error });
+      return;
+    }
+    sendUploadSessionError(req, res, error);
+  } finally {
+    span.end();
+  }
+});
+
+app.post('/uploads/:id/finalize', requireApiKey('scan'), tusResumable, loadUploadSession, beginUpload, async (req, res) => {
+  const { requestId, log } = req;
+
+  let callbackUrl = null;
+  try {
+    callbackUrl = await getCallbackUrl(req);
+  } catch (error) {
+    return rejectCallbackUrl(req, res, error, { fileName: req.uploadSession.fileName, fileSize: req.uploadSession.length });
+  }
+
+  // The assembled file joins the other spooled uploads under the request ID
+  let file;
+  try {
+    const { session, filePath } = await uploadSessions.take(req.params.id);
+    file = {
+      path: path.join(UPLOAD_DIR, requestId),
+      originalname: session.fileName,
+      size: session.length,
+      mimetype: session.contentType || 'application/octet-stream'
+    };
+    await fs.promises.rename(filePath, file.path);
+    log.info('Upload session finalized', {
+      stage: 'upload_session',
+      uploadId: session.id,
+      fileName: session.fileName,
+      fileSize: session.length
+    });
+    req.uploadSession = session;
+  } catch (error) {
+    return sendUploadSessionError(req, res, error);
+  }
+  startResponseSpan(req);
+
+  await queueScanJob(req, res, file, { callbackUrl, uploadDuration: Date.now() - req.uploadSession.createdAt });
+});
+
+app.delete('/uploads/:id', requireApiKey('scan'), tusResumable, loadUploadSession, async (req, res) => {
+  try {
+    await uploadSessions.remove(req.params.id);
+    req.log.info('Upload session removed', { stage: 'upload_session', uploadId: req.params.id });
+    res.status(204).end();
+  } catch (error) {
+    sendUploadSessionError(req, res, error);
+  }
+});
+
+// Scans one file of a batch upload; failures become a result entry instead of failing the batch
+// Resolves with { result, statusCode } - the status the file would have got from /upload
+// Its spans go under a `batch.file` span, a child of `traceSpan`
+const scanBatchFile = async (upload, filePath, requestStartTime, traceSpan) => {
+  scanEvents.publish(upload.id, 'received', { fileName: upload.fileName, fileSize: upload.fileSize }, upload.client.apiKeyId);
+  const span = tracer.startSpan('batch.file', {
+    parent: traceSpan,
+    attributes: { 'scan.request_id': upload.id, 'upload.bytes': upload.fileSize }
+  });
+
+  try {
+    if (upload.fileSize === 0) {
+      const result = {
         success: false,
-        requestId,
+        requestId: upload.id,
+        fileName: upload.fileName,
         message: 'File is empty (0 bytes). Please check your file upload.',
         error: 'File size is 0 bytes',
         stage: 'validation_failed'
-      });
+      };
+      publishFailure(upload.id, result, { client: upload.client, fileName: upload.fileName, fileSize: 0 });
+      return { result, statusCode: 400 };
     }
-    
-    // Check for file size limitation (clamscan library uses 32-bit integer, max ~2GB)
-    const MAX_FILE_SIZE_FOR_SCAN = 2147483647; // Maximum 32-bit signed integer (2GB - 1 byte)
-    if (ENABLE_VIRUS_SCAN && fileSize > MAX_FILE_SIZE_FOR_SCAN) {
-      const maxSizeFormatted = formatFileSize(MAX_FILE_SIZE_FOR_SCAN);
-      log('warn', '⚠️  File exceeds maximum scannable size', {
-        fileName: req.file.originalname,
-        fileSize: formatFileSize(fileSize),
-        maxSize: maxSizeFormatted
-      });
-      return res.status(400).json({
-        success: false,
-        requestId,
-        message: `File size (${formatFileSize(fileSize)}) exceeds maximum scannable size of ${maxSizeFormatted}`,
-        error: 'File too large for virus scanning',
-        fileSize: fileSize,
-        fileSizeFormatted: formatFileSize(fileSize),
-        maxScannableSize: MAX_FILE_SIZE_FOR_SCAN,
-        maxScannableSizeFormatted: maxSizeFormatted,
-        hint: 'The clamscan library has a 2GB limit due to 32-bit integer constraints. Files larger than 2GB cannot be scanned via stream. Set ENABLE_VIRUS_SCAN=false to upload without scanning.',
-        stage: 'validation_failed'
-      });
+
+    upload.fileType = await uploadPolicy.inspectFile(filePath, {
+      fileName: upload.fileName,
+      contentType: upload.contentType,
+      size: upload.fileSize
+    });
+    const result = await scanSpooledFile(upload, filePath, requestStartTime, { traceSpan: span });
+    span.setAttribute('scan.infected', result.infected);
+    publishVerdict(upload.id, result, upload.client);
+    return { result, statusCode: result.infected ? 400 : 200 };
+  } catch (error) {
+    const { statusCode, message, stage, warnings } = describeScanError(error);
+    const errorResult = {
+      success: false,
+      requestId: upload.id,
+      fileName: upload.fileName,
+      message,
+      error: error.message,
+      errorCode: error.code,
+      stage
+    };
+    if (warnings) {
+      errorResult.warnings = warnings;
     }
-    
+    publishFailure(upload.id, errorResult, { client: upload.client, fileName: upload.fileName, fileSize: upload.fileSize });
+    logger.error('Batch file scan failed', { requestId: upload.id, stage, fileName: upload.fileName, error });
+    span.recordError(error);
+    return { result: errorResult, statusCode };
+  } finally {
+    span.end();
+    fs.unlink(filePath, () => {});
+  }
+};
+
+// Batch upload endpoint
+// Accepts up to MAX_BATCH_FILES files in the `documents` field and scans them concurrently
+// (the pool decides how many run at once). Responds once every file has a verdict, with one
+// result per file in upload order and an aggregate status:
+//   clean    - every file is clean (200)
+//   infected - at least one file is infected (400, like /upload)
+//   error    - no file is infected but some could not be scanned (207, or the scan error's
+//              status when none could)
+app.post('/upload/batch', requireApiKey('scan'), beginUpload, receiveFiles(batchUpload.array('documents')), async (req, res) => {
+  const { requestId, requestStartTime, log } = req;
+  const files = req.files || [];
+
+  if (files.length === 0) {
+    log.warn('No files uploaded', { stage: 'validation_failed' });
+    const errorResponse = {
+      success: false,
+      requestId,
+      message: 'No files uploaded',
+      error: 'No files provided',
+      stage: 'validation_failed'
+    };
+    publishFailure(requestId, errorResponse, { client: getClientInfo(req) });
+    return res.status(400).json(errorResponse);
+  }
+
+  let callbackUrl = null;
+  try {
+    callbackUrl = await getCallbackUrl(req);
+  } catch (error) {
+    files.forEach(file => fs.unlink(file.path, () => {}));
+    return rejectCallbackUrl(req, res, error);
+  }
+
+  const uploadDuration = Date.now() - requestStartTime;
+  log.info('Batch received', {
+    stage: 'upload',
+    files: files.length,
+    totalSize: files.reduce((total, file) => total + file.size, 0),
+    uploadDurationMs: uploadDuration
+  });
+
+  const client = getClientInfo(req);
+  const outcomes = await Promise.all(files.map(file => scanBatchFile({
+    id: file.filename,
+    fileName: file.originalname,
+    fileSize: file.size,
+    contentType: file.mimetype,
+    uploadDuration,
+    client
+  }, file.path, requestStartTime, req.traceSpan)));
+  const results = outcomes.map(outcome => outcome.result);
+
+  const summary = {
+    total: results.length,
+    clean: results.filter(result => result.success && !result.infected).length,
+    infected: results.filter(result => result.infected).length,
+    failed: results.filter(result => !result.success && !result.infected).length
+  };
+
+  let status = 'clean';
+  let statusCode = 200;
+  let message = `All ${summary.total} files are clean`;
+  if (summary.infected > 0) {
+    status = 'infected';
+    statusCode = 400;
+    message = `${summary.infected} of ${summary.total} files are infected`;
+  } else if (summary.failed > 0) {
+    status = 'error';
+    statusCode = summary.failed === summary.total ? outcomes[0].statusCode : 207;
+    message = `${summary.failed} of ${summary.total} files could not be scanned`;
+  }
+
+  const totalDuration = Date.now() - requestStartTime;
+  const responseData = {
+    success: status === 'clean',
+    requestId,
+    status,
+    message,
+    summary,
+    results,
+    uploadDuration,
+    uploadDurationFormatted: formatDuration(uploadDuration),
+    totalDuration,
+    totalDurationFormatted: formatDuration(totalDuration)
+  };
+  responseData.callbackDeliveryId = notifyCallback(callbackUrl, 'batch.completed', responseData, requestId, client);
+
+  log[status === 'clean' ? 'info' : 'warn']('Batch scanned', {
+    stage: 'response',
+    status,
+    ...summary,
+    totalDurationMs: totalDuration
+  });
+  return res.status(statusCode).json(responseData);
+});
+
+// Scan-by-URL endpoint
+// Downloads the file at `url` (JSON body) and scans it while it downloads, through the same
+// path as /upload. Responds like /upload, plus the URL the file was finally fetched from.
+app.post('/scan-url', requireApiKey('scan-url'), beginUpload, async (req, res) => {
+  const { requestId, requestStartTime, log } = req;
+  const sourceUrl = req.body && req.body.url;
+
+  if (!sourceUrl || typeof sourceUrl !== 'string') {
+    log.warn('No URL given', { stage: 'validation_failed' });
+    const errorResponse = {
+      success: false,
+      requestId,
+      message: 'No URL given',
+      error: 'Request body must be JSON with a "url" field',
+      stage: 'validation_failed'
+    };
+    publishFailure(requestId, errorResponse, { client: getClientInfo(req) });
+    return res.status(400).json(errorResponse);
+  }
+
+  let callbackUrl = null;
+  try {
+    callbackUrl = await getCallbackUrl(req);
+  } catch (error) {
+    return rejectCallbackUrl(req, res, error);
+  }
+
+  let download = null;
+  // A failing download also fails the scan reading it - the download error is the useful one
+  let downloadError = null;
+  // Like upload.receive for /upload: the download, with the scan running while it arrives
+  const downloadSpan = tracer.startSpan('url.download', { parent: req.traceSpan });
+
+  try {
+    download = await urlFetcher.fetch(sourceUrl);
+    downloadSpan.setAttributes({ 'url.full': download.url, 'url.redirects': download.redirects });
+    download.stream.on('error', (error) => {
+      downloadError = error;
+    });
+    log.info('Downloading', {
+      stage: 'download',
+      url: download.url,
+      fileName: download.fileName,
+      redirects: download.redirects,
+      contentLength: download.contentLength
+    });
+    scanEvents.publish(requestId, 'received', { fileName: download.fileName, url: download.url }, getClientInfo(req).apiKeyId);
+
+    const { stream, fileType } = await uploadPolicy.inspect(download.stream, {
+      fileName: download.fileName,
+      contentType: download.contentType,
+      size: download.contentLength
+    });
+
     let responseData;
-    
-    if (ENABLE_VIRUS_SCAN) {
-      // Scanning enabled - scan the file buffer
-      const scanStartTime = Date.now();
-      log('log', '🔍 Starting virus scan', {
-        fileName: req.file.originalname,
-        fileSize: `${(fileSize / 1024 / 1024).toFixed(2)} MB`
-      });
-      
-      let scanResult;
-      try {
-        scanResult = await scanFile(req.file.buffer, fileSize, requestId);
-        const scanDuration = Date.now() - scanStartTime;
-        log('log', '✅ Virus scan completed', {
-          fileName: req.file.originalname,
-          scanDuration: `${(scanDuration / 1000).toFixed(2)}s`,
-          infected: scanResult.isInfected,
-          virusesFound: scanResult.viruses?.length || 0
-        });
-      } catch (scanError) {
-        const scanDuration = Date.now() - scanStartTime;
-        log('error', '❌ Virus scan failed', {
-          fileName: req.file.originalname,
-          scanDuration: `${(scanDuration / 1000).toFixed(2)}s`,
-          error: scanError.message,
-          errorCode: scanError.code,
-          stage: 'scan_failed'
-        });
-        throw scanError;
+
+    if (ENABLE_VIRUS_SCAN) {
+      const copies = await scanStreamWithCopies(stream, requestId, {
+        totalBytes: download.contentLength,
+        fileType,
+        fileName: download.fileName,
+        traceSpan: req.traceSpan,
+        queue: queueOptionsFor(getClientInfo(req))
+      });
+      const { scanResult } = copies;
+      downloadSpan.setAttribute('upload.bytes', scanResult.fileSize);
+      downloadSpan.end();
+      if (req.quotaLease) {
+        req.quotaLease.settle(scanResult.fileSize);
       }
-      
-      // Prepare response with all performance metrics
-      const totalRequestDuration = Date.now() - requestStartTime;
-      responseData = {
-        success: !scanResult.isInfected,
-        requestId,
-        message: scanResult.isInfected ? 'File is infected' : 'File is clean and safe',
-        infected: scanResult.isInfected,
-        scanEnabled: true,
-        fileName: req.file.originalname,
-        scanMethod: scanResult.method,
-        fileSize: fileSize,
-        fileSizeFormatted: formatFileSize(fileSize),
-        // Performance metrics
-        uploadDuration: uploadDuration,
-        uploadDurationFormatted: formatDuration(uploadDuration),
-        scanDuration: scanResult.scanDuration || 0,
-        scanDurationFormatted: formatDuration(scanResult.scanDuration || 0),
-        totalDuration: totalRequestDuration,
-        totalDurationFormatted: formatDuration(totalRequestDuration)
-      };
+      startResponseSpan(req);
 
-      if (scanResult.isInfected) {
-        responseData.viruses = scanResult.viruses;
-        log('warn', '⚠️  File is infected', {
-          fileName: req.file.originalname,
-          viruses: scanResult.viruses,
-          totalDuration: formatDuration(totalRequestDuration)
-        });
-        return res.status(400).json(responseData);
-      } else {
-        log('log', '✅ File is clean - sending success response', {
-          fileName: req.file.originalname,
-          totalDuration: formatDuration(totalRequestDuration)
-        });
-        return res.status(200).json(responseData);
+      if (scanResult.fileSize === 0) {
+        log.warn('Downloaded file is 0 bytes', { stage: 'validation_failed', url: download.url });
+        discardFileCopies(copies);
+        const errorResponse = {
+          success: false,
+          requestId,
+          message: 'The downloaded file is empty (0 bytes).',
+          error: 'File size is 0 bytes',
+          stage: 'validation_failed',
+          sourceUrl: download.url
+        };
+        publishFailure(requestId, errorResponse, { client: getClientInfo(req), fileName: download.fileName, fileSize: 0 });
+        return res.status(400).json(errorResponse);
       }
+
+      const totalDuration = Date.now() - requestStartTime;
+      responseData = buildScanResponse({
+        requestId,
+        fileName: download.fileName,
+        fileSize: scanResult.fileSize,
+        fileType,
+        scanResult,
+        uploadDuration: totalDuration,
+        totalDuration
+      });
+      await keepScannedCopy(responseData, copies, getClientInfo(req), download.contentType);
     } else {
-      // Scanning disabled - just process stream and measure time
-      console.log(`Processing file (scan disabled): ${req.file.originalname} (${(fileSize / 1024).toFixed(2)} KB)`);
-      
-      const streamStartTime = Date.now();
-      // Create and process stream from buffer
-      const fileStream = Readable.from(req.file.buffer);
-      
-      // Consume the stream to measure processing time
+      // Scanning disabled - just download the file and measure it
+      let size = 0;
       await new Promise((resolve, reject) => {
-        fileStream.on('data', () => {}); // Consume data
-        fileStream.on('end', resolve);
-        fileStream.on('error', reject);
+        stream.on('data', (chunk) => {
+          size += chunk.length;
+        });
+        stream.on('end', resolve);
+        stream.on('error', reject);
+      });
+      downloadSpan.setAttribute('upload.bytes', size);
+      downloadSpan.end();
+      if (req.quotaLease) {
+        req.quotaLease.settle(size);
+      }
+      startResponseSpan(req);
+      const totalDuration = Date.now() - requestStartTime;
+      responseData = buildUnscannedResponse({
+        requestId,
+        fileName: download.fileName,
+        fileSize: size,
+        fileType,
+        uploadDuration: totalDuration,
+        totalDuration
       });
-      
-      const streamProcessingTime = Date.now() - streamStartTime;
-      
-      // Prepare response with stream processing metrics only
-      responseData = {
-        success: true,
-        message: 'File processed successfully (virus scanning disabled)',
-        infected: false,
-        scanEnabled: false,
-        fileName: req.file.originalname,
-        scanMethod: 'none',
-        fileSize: fileSize,
-        fileSizeFormatted: formatFileSize(fileSize),
-        // Performance metrics (only stream processing)
-        streamProcessingTime: streamProcessingTime,
-        streamProcessingTimeFormatted: formatDuration(streamProcessingTime),
-        scanDuration: 0,
-        scanDurationFormatted: '0ms',
-        totalDuration: streamProcessingTime,
-        totalDurationFormatted: formatDuration(streamProcessingTime)
-      };
-      
-      console.log(`File processed: ${req.file.originalname} (${formatFileSize(fileSize)}) - Stream: ${formatDuration(streamProcessingTime)}, Scan: disabled`);
-      return res.status(200).json(responseData);
     }
-  } catch (error) {
-    const totalDuration = Date.now() - requestStartTime;
-    const errorDetails = {
+
+    responseData.sourceUrl = download.url;
+    responseData.callbackDeliveryId = notifyCallback(callbackUrl, 'scan.completed', responseData, requestId, getClientInfo(req));
+    publishVerdict(requestId, responseData, getClientInfo(req));
+
+    log[responseData.infected ? 'warn' : 'info'](responseData.infected ? 'Downloaded file is infected' : 'Downloaded file is clean', {
+      stage: 'response',
+      url: download.url,
+      fileSize: responseData.fileSize,
+      viruses: responseData.viruses,
+      totalDurationMs: responseData.totalDuration
+    });
+    return res.status(responseData.infected ? 400 : 200).json(responseData);
+  } catch (scanError) {
+    const error = downloadError || scanError;
+    if (download) {
+      download.stream.destroy();
+    }
+    if (!downloadSpan.ended) {
+      downloadSpan.recordError(error);
+      downloadSpan.end();
+    }
+    startResponseSpan(req);
+
+    const { statusCode, message, stage, warnings } = describeScanError(error);
+    log.error('Scan by URL failed', { stage, url: sourceUrl, error, totalDurationMs: Date.now() - requestStartTime });
+
+    const errorResponse = {
+      success: false,
+      requestId,
+      message,
       error: error.message,
       errorCode: error.code,
-      errorStack: process.env.NODE_ENV === 'development' ? error.stack : undefined,
-      totalDuration: formatDuration(totalDuration),
-      stage: 'processing_error'
+      stage,
+      sourceUrl
     };
-    
-    log('error', '❌ Processing error occurred', errorDetails);
-    
-    // Determine error type and provide helpful message
-    let errorMessage = ENABLE_VIRUS_SCAN ? 'Error scanning file' : 'Error processing file';
-    let statusCode = 500;
-    
-    if (error.code === 'EPIPE' || error.code === 'ECONNRESET') {
-      errorMessage = 'Connection to virus scanner was lost. The file may be too large or the scanner may be overloaded. Please try again.';
-      statusCode = 503;
-      errorDetails.stage = 'connection_error';
-    } else if (error.code === 'ETIMEDOUT' || error.message.includes('timeout')) {
-      errorMessage = 'Scan operation timed out. Large files may take longer than expected. Please try again or contact support.';
-      statusCode = 504;
-      errorDetails.stage = 'timeout_error';
+    if (warnings) {
+      errorResponse.warnings = warnings;
     }
-    
+    errorResponse.callbackDeliveryId = notifyCallback(callbackUrl, 'scan.failed', errorResponse, requestId, getClientInfo(req));
+    publishFailure(requestId, errorResponse, {
+      client: getClientInfo(req),
+      fileName: download ? download.fileName : null,
+      fileSize: null
+    });
+
     if (!res.headersSent) {
-      return res.status(statusCode).json({ 
+      return res.status(statusCode).json(errorResponse);
+    }
+  }
+});
+
+// Scan job status and result
+app.get('/scans/:id', requireApiKey('scan'), (req, res) => {
+  const job = scanJobs.get(req.params.id);
+
+  if (!job || !ownsJob(req, job)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Scan job not found. Finished jobs are only kept for a limited time.',
+      error: 'Unknown job ID'
+    });
+  }
+
+  res.json(serializeScanJob(job));
+});
+
+// Scan progress as Server-Sent Events
+// Each event's `event:` field is its stage (received, queued, streaming, progress, verdict, failed)
+// and `data:` is the event as JSON. The stream ends after the verdict or failure; events that
+// were published before the client connected are replayed first (honouring Last-Event-ID).
+app.get('/scans/:requestId/events', requireApiKey('scan'), (req, res) => {
+  const { requestId } = req.params;
+  const job = scanJobs.get(requestId);
+
+  const visible = job ? ownsJob(req, job) : scanEvents.has(requestId) && ownsScanEvents(req, requestId);
+  if (!visible) {
+    return res.status(404).json({
+      success: false,
+      message: 'No scan found for this request ID',
+      error: 'Unknown request ID'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // Stop reverse proxies (nginx) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 2000\n\n');
+
+  let heartbeat = null;
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  };
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.stage}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (isFinalStage(event.stage)) {
+      close();
+    }
+  };
+
+  // The job finished so long ago that its events have been dropped - report the outcome from the job
+  if (!scanEvents.has(requestId) && scanJobs.isFinished(job)) {
+    if (job.status === 'error') {
+      sendFailureEvent(requestId, { success: false, requestId, ...job.error }, job.client);
+    } else {
+      sendVerdictEvent(requestId, job.result, job.client);
+    }
+  }
+
+  const lastEventId = parseInt(req.get('last-event-id') || '0', 10) || 0;
+  unsubscribe = scanEvents.subscribe(requestId, send, lastEventId);
+
+  if (!res.writableEnded) {
+    // Comment lines keep idle proxies and the server timeout from closing the stream during long scans
+    heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    req.on('close', close);
+  }
+});
+
+// Webhook delivery log - newest first, filter with ?requestId= and ?status=pending|delivered|failed
+// With API keys on, each key only sees the deliveries of its own requests
+app.get('/webhooks/deliveries', requireApiKey('webhooks'), (req, res) => {
+  res.json({
+    success: true,
+    enabled: webhooks.enabled,
+    deliveries: webhooks.list({
+      requestId: req.query.requestId,
+      status: req.query.status,
+      apiKeyId: req.apiKey ? req.apiKey.id : undefined
+    })
+  });
+});
+
+app.get('/webhooks/deliveries/:id', requireApiKey('webhooks'), (req, res) => {
+  const delivery = webhooks.get(req.params.id);
+
+  if (!delivery || !ownsDelivery(req, delivery)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Webhook delivery not found',
+      error: 'Unknown delivery ID'
+    });
+  }
+
+  res.json({ success: true, ...delivery });
+});
+
+// Downloads a stored upload - only files that were scanned clean are ever stored or served
+app.get('/files/:id', requireApiKey('files'), async (req, res) => {
+  if (!fileStore) {
+    return res.status(503).json({
+      success: false,
+      message: 'File storage is disabled (STORAGE_BACKEND=none)',
+      error: 'File storage disabled'
+    });
+  }
+
+  let item;
+  try {
+    item = await fileStore.createReadStream(req.params.id);
+  } catch (error) {
+    if (error.code === 'FILE_NOT_FOUND') {
+      return res.status(404).json({
         success: false,
-        requestId,
-        message: errorMessage,
-        ...errorDetails
+        message: 'File not found',
+        error: error.message
       });
-    } else {
-      log('error', '⚠️  Response already sent, cannot send error response');
     }
+    req.log.error('Reading stored file failed', { stage: 'storage', fileId: req.params.id, error });
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to read stored file',
+      error: error.message
+    });
+  }
+
+  const { metadata, stream } = item;
+  const fileName = path.basename(metadata.fileName || metadata.id);
+  const asciiName = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+
+  // Always a download, never rendered in the browser
+  res.setHeader('Content-Type', metadata.contentType);
+  res.setHeader('Content-Length', metadata.size);
+  res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`);
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Content-SHA256', metadata.sha256);
+
+  stream.on('error', (error) => {
+    // Headers are gone - all we can do is cut the download short
+    req.log.error('Download of stored file failed', { stage: 'storage', fileId: metadata.id, error });
+    res.destroy(error);
+  });
+  stream.pipe(res);
+});
+
+// Admin endpoints need `Authorization: Bearer <ADMIN_TOKEN>`
+const requireAdmin = (req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin API is disabled. Set ADMIN_TOKEN to enable it.',
+      error: 'Admin API disabled'
+    });
+  }
+
+  // Compare digests so the check takes the same time whatever the token's length
+  const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  if (!crypto.timingSafeEqual(digest(token), digest(ADMIN_TOKEN))) {
+    req.log.warn('Rejected admin request', { stage: 'admin', method: req.method, path: req.path, ip: req.ip });
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid or missing admin token',
+      error: 'Unauthorized'
+    });
+  }
+
+  next();
+};
+
+const requireQuarantine = (req, res, next) => {
+  if (!quarantine) {
+    return res.status(503).json({
+      success: false,
+      message: 'Quarantine is disabled (QUARANTINE_ENABLED=false)',
+      error: 'Quarantine disabled'
+    });
+  }
+  next();
+};
+
+const sendQuarantineError = (res, error) => {
+  if (error.code === 'QUARANTINE_NOT_FOUND') {
+    return res.status(404).json({
+      success: false,
+      message: 'Quarantined file not found',
+      error: error.message
+    });
+  }
+  res.req.log.error('Quarantine operation failed', { stage: 'admin', error });
+  res.status(500).json({
+    success: false,
+    message: 'Quarantine operation failed',
+    error: error.message
+  });
+};
+
+// Quarantined files, newest first
+app.get('/admin/quarantine', requireAdmin, requireQuarantine, async (req, res) => {
+  try {
+    const items = await quarantine.list();
+    res.json({
+      success: true,
+      count: items.length,
+      retentionDays: quarantine.retentionDays,
+      items
+    });
+  } catch (error) {
+    sendQuarantineError(res, error);
+  }
+});
+
+app.get('/admin/quarantine/:id', requireAdmin, requireQuarantine, async (req, res) => {
+  try {
+    res.json({ success: true, ...(await quarantine.get(req.params.id)) });
+  } catch (error) {
+    sendQuarantineError(res, error);
+  }
+});
+
+// Password-protected ZIP with the original file and its metadata
+// The password comes from the X-Archive-Password header (or ?password=) and defaults to "infected"
+app.get('/admin/quarantine/:id/download', requireAdmin, requireQuarantine, async (req, res) => {
+  let item;
+  try {
+    item = await quarantine.createReadStream(req.params.id);
+  } catch (error) {
+    return sendQuarantineError(res, error);
+  }
+
+  const { metadata, stream } = item;
+  const password = req.get('x-archive-password') || req.query.password || 'infected';
+  const entryName = path.basename(metadata.originalName || 'file');
+  req.log.info('Quarantined file downloaded', {
+    stage: 'admin',
+    quarantineId: metadata.id,
+    originalName: metadata.originalName,
+    ip: req.ip
+  });
+
+  res.setHeader('Content-Type', 'application/zip');
+  res.setHeader('Content-Disposition', `attachment; filename="${metadata.id}.zip"`);
+
+  try {
+    const zip = new PasswordZipWriter(res, password);
+    await zip.addEntry(`${metadata.id}/${entryName}`, stream, new Date(metadata.quarantinedAt));
+    await zip.addEntry(`${metadata.id}/metadata.json`, Buffer.from(JSON.stringify(metadata, null, 2)));
+    await zip.finish();
+  } catch (error) {
+    // Headers are gone - all we can do is cut the download short
+    req.log.error('Quarantine download failed', { stage: 'admin', quarantineId: metadata.id, error });
+    stream.destroy();
+    res.destroy(error);
+  }
+});
+
+// Restores a false positive to the release directory and removes it from quarantine
+app.post('/admin/quarantine/:id/release', requireAdmin, requireQuarantine, async (req, res) => {
+  try {
+    const released = await quarantine.release(req.params.id, {
+      reason: (req.body && req.body.reason) || null,
+      releasedBy: req.ip
+    });
+    req.log.info('Quarantined file released', {
+      stage: 'admin',
+      quarantineId: released.id,
+      originalName: released.originalName,
+      ip: req.ip,
+      reason: released.releaseReason
+    });
+    res.json({ success: true, message: 'File released from quarantine', ...released });
+  } catch (error) {
+    sendQuarantineError(res, error);
+  }
+});
+
+// Deletes a quarantined file for good
+app.delete('/admin/quarantine/:id', requireAdmin, requireQuarantine, async (req, res) => {
+  try {
+    await quarantine.purge(req.params.id);
+    req.log.info('Quarantined file purged', { stage: 'admin', quarantineId: req.params.id, ip: req.ip });
+    res.json({ success: true, message: 'Quarantined file purged', id: req.params.id });
+  } catch (error) {
+    sendQuarantineError(res, error);
+  }
+});
+
+// Scan history from the audit trail (see lib/audit-log.js)
+// It lists every client's scans, so like the quarantine it needs the admin token
+const AUDIT_MAX_PAGE = 500;
+const AUDIT_EXPORT_BATCH = 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+const requireAuditLog = (req, res, next) => {
+  if (!auditLog) {
+    return res.status(503).json({
+      success: false,
+      message: 'The audit trail is disabled (AUDIT_LOG_ENABLED=false)',
+      error: 'Audit trail disabled'
+    });
+  }
+  next();
+};
+
+// Filters for GET /scans from its query string; throws with a message for the client on bad values
+//   from, to   - ISO dates or times; `to` is exclusive, except that a date alone includes that whole day
+//   verdict    - clean, infected, error or unscanned (comma-separated for several)
+//   apiKey, ip - who sent the file
+//   sha256, fileName (part of the name), requestId
+const parseAuditFilter = (query) => {
+  const value = (name) => {
+    if (query[name] === undefined || query[name] === '') return null;
+    if (typeof query[name] !== 'string') {
+      throw new Error(`${name} may only be given once`);
+    }
+    return query[name];
+  };
+  const time = (name, endOfDay) => {
+    const text = value(name);
+    if (text === null) return null;
+    const parsed = Date.parse(text);
+    if (Number.isNaN(parsed)) {
+      throw new Error(`${name} must be an ISO date or time, e.g. 2024-01-31 or 2024-01-31T12:00:00Z`);
+    }
+    return endOfDay && DATE_ONLY.test(text) ? parsed + 24 * 60 * 60 * 1000 : parsed;
+  };
+
+  const verdicts = value('verdict') ? value('verdict').split(',').map(verdict => verdict.trim().toLowerCase()) : null;
+  const unknownVerdicts = (verdicts || []).filter(verdict => !VERDICTS.includes(verdict));
+  if (unknownVerdicts.length > 0) {
+    throw new Error(`Unknown verdict(s): ${unknownVerdicts.join(', ')} (known verdicts: ${VERDICTS.join(', ')})`);
+  }
+  const sha256 = value('sha256');
+  if (sha256 !== null && !/^[0-9a-f]{64}$/i.test(sha256)) {
+    throw new Error('sha256 must be 64 hex digits');
+  }
+
+  return {
+    from: time('from', false),
+    to: time('to', true),
+    verdicts,
+    apiKeyId: value('apiKey'),
+    clientIp: value('ip'),
+    sha256,
+    fileName: value('fileName'),
+    requestId: value('requestId')
+  };
+};
+
+// Streams every entry matching `filter` as CSV or a JSON array, newest first
+const exportAudit = async (req, res, filter, format) => {
+  const stamp = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="scan-audit-${stamp}.${format}"`,
+    'Cache-Control': 'no-store'
+  });
+  const write = (text) => (res.write(text) ? null : new Promise(resolve => res.once('drain', resolve)));
+
+  res.write(format === 'csv' ? `${AUDIT_FIELDS.join(',')}\r\n` : '[');
+  let exported = 0;
+  let beforeId = null;
+  // Pages by ID rather than offset, so entries written in the meantime don't shift the pages
+  while (!res.destroyed) {
+    const items = auditLog.list({ ...filter, beforeId }, { limit: AUDIT_EXPORT_BATCH });
+    if (items.length === 0) break;
+    const text = items.map((item, i) => (format === 'csv'
+      ? `${AUDIT_FIELDS.map(field => csvField(item[field])).join(',')}\r\n`
+      : `${exported + i > 0 ? ',' : ''}\n${JSON.stringify(item)}`)).join('');
+    exported += items.length;
+    beforeId = items[items.length - 1].id;
+    await write(text);
+  }
+  res.end(format === 'csv' ? '' : '\n]\n');
+  req.log.info('Audit trail exported', { stage: 'admin', format, entries: exported, ip: req.ip });
+};
+
+// GET /scans?verdict=infected&from=2024-01-01&limit=50&offset=0 - a page of entries, newest first
+// With format=csv or format=json it downloads every matching entry instead
+app.get('/scans', requireAdmin, requireAuditLog, async (req, res) => {
+  let filter;
+  const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : 50;
+  const offset = req.query.offset !== undefined ? parseInt(req.query.offset, 10) : 0;
+  const format = req.query.format ? String(req.query.format).toLowerCase() : null;
+  try {
+    filter = parseAuditFilter(req.query);
+    if (!(limit >= 1 && limit <= AUDIT_MAX_PAGE)) {
+      throw new Error(`limit must be between 1 and ${AUDIT_MAX_PAGE}`);
+    }
+    if (!(offset >= 0)) {
+      throw new Error('offset must be 0 or more');
+    }
+    if (format !== null && format !== 'csv' && format !== 'json') {
+      throw new Error('format must be csv or json');
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'Invalid filter'
+    });
+  }
+
+  try {
+    if (format) {
+      await exportAudit(req, res, filter, format);
+      return;
+    }
+    const total = auditLog.count(filter);
+    const items = auditLog.list(filter, { limit, offset });
+    res.json({
+      success: true,
+      total,
+      offset,
+      limit,
+      count: items.length,
+      // The offset of the next page, null on the last one
+      nextOffset: offset + items.length < total ? offset + items.length : null,
+      retentionDays: auditLog.retentionDays,
+      items
+    });
+  } catch (error) {
+    req.log.error('Audit trail query failed', { stage: 'admin', error });
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Audit trail query failed',
+      error: error.message
+    });
+  }
+});
+
+// GET /admin/scan-stats?from=...&to=...&bucket=900 - scans per time bucket, for charts of
+// throughput and durations. Takes the filters of GET /scans; covers the last 24 hours by default.
+// `bucket` is the bucket length in seconds; only buckets with scans in them are returned.
+const STATS_DEFAULT_SPAN = 24 * 60 * 60 * 1000;
+const STATS_MAX_BUCKETS = 2000;
+
+app.get('/admin/scan-stats', requireAdmin, requireAuditLog, (req, res) => {
+  let filter;
+  const bucket = req.query.bucket !== undefined ? parseInt(req.query.bucket, 10) : 900;
+  try {
+    filter = parseAuditFilter(req.query);
+    filter.to = filter.to !== null ? filter.to : Date.now();
+    filter.from = filter.from !== null ? filter.from : filter.to - STATS_DEFAULT_SPAN;
+    if (!(bucket >= 60)) {
+      throw new Error('bucket must be at least 60 seconds');
+    }
+    if (filter.to <= filter.from) {
+      throw new Error('to must be after from');
+    }
+    if ((filter.to - filter.from) / (bucket * 1000) > STATS_MAX_BUCKETS) {
+      throw new Error(`That is more than ${STATS_MAX_BUCKETS} buckets - use a longer bucket or a shorter time range`);
+    }
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      error: 'Invalid filter'
+    });
+  }
+
+  try {
+    res.json({
+      success: true,
+      from: new Date(filter.from).toISOString(),
+      to: new Date(filter.to).toISOString(),
+      bucket,
+      buckets: auditLog.stats(filter, { bucketMs: bucket * 1000 })
+    });
+  } catch (error) {
+    req.log.error('Audit trail query failed', { stage: 'admin', error });
+    res.status(500).json({
+      success: false,
+      message: 'Audit trail query failed',
+      error: error.message
+    });
   }
 });
 
@@ -641,7 +3162,17 @@ app.use((err, req, res, next) => {
         message: 'File too large. Maximum size is 100MB.' 
       });
     }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        success: false,
+        requestId: req.requestId,
+        message: `Too many files. A batch can have at most ${MAX_BATCH_FILES} files.`,
+        error: err.message,
+        stage: 'validation_failed'
+      });
+    }
   }
+  req.log.error('Unhandled error', { stage: 'request', error: err });
   res.status(500).json({ 
     success: false,
     message: 'Internal server error',
@@ -651,9 +3182,36 @@ app.use((err, req, res, next) => {
 
 // Set server timeout to 5 minutes (300000ms) for large file uploads/scans
 const server = app.listen(port, () => {
-  console.log(`Server running on http://localhost:${port}`);
-  console.log(`Upload endpoint: http://localhost:${port}/upload`);
-  console.log(`Health check: http://localhost:${port}/health`);
+  logger.info('Server running', {
+    stage: 'startup',
+    url: `http://localhost:${port}`,
+    endpoints: {
+      upload: '/upload',
+      batch: `/upload/batch (up to ${MAX_BATCH_FILES} files)`,
+      scanJobs: '/scans',
+      resumableUploads: '/uploads',
+      scanByUrl: '/scan-url',
+      health: '/health (probes: /livez, /readyz)',
+      metrics: '/metrics'
+    },
+    scanCallbacks: webhooks.enabled ? 'enabled' : 'disabled (set WEBHOOK_SECRET to enable)',
+    quarantine: quarantine ? `${quarantine.dir} (${quarantine.retentionDays} day retention)` : 'disabled',
+    auditLog: auditLog
+      ? `${auditLog.file} (${auditLog.retentionDays ? `${auditLog.retentionDays} day retention` : 'kept forever'})`
+      : 'disabled',
+    cleanFileStorage: storageBackend ? (storageBackend.dir || `s3 bucket ${process.env.S3_BUCKET}`) : 'disabled',
+    uploadPolicy: process.env.UPLOAD_POLICY_FILE || 'none (all file types accepted)',
+    apiKeys: apiKeys
+      ? `${apiKeys.keys.length} key(s) from ${process.env.API_KEYS_FILE}`
+      : 'disabled - scan endpoints are open (set API_KEYS_FILE to require keys)',
+    corsOrigins: CORS_ORIGINS.join(', '),
+    archiveInspection: archiveInspector
+      ? `enabled (up to ${archiveInspector.maxEntries} entries, ${archiveInspector.maxDepth} levels deep)`
+      : 'disabled (set ARCHIVE_INSPECTION_ENABLED=true to scan zip/tar/gzip entries one by one)',
+    tracing: tracer.enabled ? `OTLP to ${OTLP_TRACES_URL}` : 'disabled (set OTEL_EXPORTER_OTLP_ENDPOINT to enable)',
+    logLevel: logger.level,
+    redactFileNames: logger.redactFileNames
+  });
 });
 
 // Set server timeout to 5 minutes
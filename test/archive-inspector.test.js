@@ -0,0 +1,236 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { ArchiveInspector, ArchiveError } = require('../lib/archive-inspector');
+const { detectFileType } = require('../lib/file-type');
+
+// Zip with stored or deflated entries - CRCs are left at 0, the inspector doesn't check them
+const buildZip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const { name, data, deflate = false, encrypted = false } of entries) {
+    const nameBytes = Buffer.from(name);
+    const compressed = deflate ? zlib.deflateRawSync(data) : data;
+    const flags = encrypted ? 0x1 : 0;
+    const method = deflate ? 8 : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, compressed);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + compressed.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(directory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, eocd]);
+};
+
+// ustar archive of regular files
+const buildTar = (entries) => {
+  const blocks = [];
+  for (const { name, data } of entries) {
+    const header = Buffer.alloc(512);
+    header.write(name, 0);
+    header.write('0000644\0', 100);
+    header.write('0000000\0', 108);
+    header.write('0000000\0', 116);
+    header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+    header.write('00000000000\0', 136);
+    header.write('0', 156);
+    header.write('ustar\0', 257);
+    header.write('00', 263);
+    header.fill(0x20, 148, 156);
+    const sum = header.reduce((total, byte) => total + byte, 0);
+    header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+    blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+  }
+  return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+};
+
+const EICAR = Buffer.from('X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*');
+
+// scanEntry stand-in: files containing the EICAR string are infected
+const fakeScan = async (filePath) => {
+  const data = await fs.promises.readFile(filePath);
+  return data.includes('EICAR-STANDARD') ? { isInfected: true, viruses: ['Eicar-Signature'] } : { isInfected: false, viruses: [] };
+};
+
+// Inspector with its work directory and fixtures under a temporary directory, removed afterwards
+const setup = (t, options = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-inspector-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const inspector = new ArchiveInspector({ workDir: path.join(dir, 'work'), ...options });
+  inspector.init();
+  let next = 0;
+  const inspect = (buffer, fileName, scanEntry = fakeScan) => {
+    const filePath = path.join(dir, `fixture-${next++}`);
+    fs.writeFileSync(filePath, buffer);
+    return inspector.inspect(filePath, { fileType: detectFileType(buffer), fileName }, scanEntry);
+  };
+  return { inspector, inspect };
+};
+
+const isArchiveError = (code) => (error) => error instanceof ArchiveError && error.code === code;
+
+test('every entry gets its own verdict', async (t) => {
+  const { inspector, inspect } = setup(t);
+  const zip = buildZip([
+    { name: 'docs/', data: Buffer.alloc(0) },
+    { name: 'docs/readme.txt', data: Buffer.from('hello'), deflate: true },
+    { name: 'eicar.com', data: EICAR },
+    { name: 'secret.docx', data: Buffer.from('locked'), encrypted: true }
+  ]);
+
+  const result = await inspect(zip, 'bundle.zip');
+  assert.equal(result.format, 'zip');
+  assert.equal(result.infected, true);
+  assert.deepEqual(result.viruses, ['Eicar-Signature']);
+  assert.deepEqual(result.entries, [
+    { path: 'docs/readme.txt', size: 5, verdict: 'clean' },
+    { path: 'eicar.com', size: EICAR.length, verdict: 'infected', viruses: ['Eicar-Signature'] },
+    { path: 'secret.docx', size: 6, verdict: 'skipped', reason: 'encrypted' }
+  ]);
+  assert.equal(result.expandedSize, 5 + EICAR.length);
+  assert.deepEqual(fs.readdirSync(inspector.workDir), [], 'extracted entries are removed');
+});
+
+test('nested archives are expanded and take the worst verdict of their entries', async (t) => {
+  const { inspect } = setup(t);
+  const inner = buildZip([{ name: 'payload.exe', data: EICAR, deflate: true }]);
+  const tgz = zlib.gzipSync(buildTar([
+    { name: './notes.txt', data: Buffer.from('nothing to see') },
+    { name: './inner.zip', data: inner }
+  ]));
+
+  const result = await inspect(tgz, 'release.tgz');
+  assert.equal(result.format, 'gzip');
+  assert.equal(result.infected, true);
+  assert.deepEqual(result.entries.map(({ path: entryPath, verdict, archive }) => ({ path: entryPath, verdict, archive })), [
+    { path: 'release.tar', verdict: 'infected', archive: 'tar' },
+    { path: 'release.tar/notes.txt', verdict: 'clean', archive: undefined },
+    { path: 'release.tar/inner.zip', verdict: 'infected', archive: 'zip' },
+    { path: 'release.tar/inner.zip/payload.exe', verdict: 'infected', archive: undefined }
+  ]);
+
+  const clean = await inspect(zlib.gzipSync(buildTar([{ name: 'a.txt', data: Buffer.from('a') }])), 'clean.tar.gz');
+  assert.equal(clean.infected, false);
+  assert.ok(clean.entries.every(entry => entry.verdict === 'clean'));
+});
+
+test('an entry that could not be scanned fails the inspection instead of passing as clean', async (t) => {
+  const { inspector, inspect } = setup(t);
+  const timeout = Object.assign(new Error('Scan timed out'), { code: 'ETIMEDOUT' });
+  const failOn = (name) => async (filePath) => {
+    const data = await fs.promises.readFile(filePath);
+    if (data.toString() === name) throw timeout;
+    return fakeScan(filePath);
+  };
+
+  const zip = buildZip([
+    { name: 'a.txt', data: Buffer.from('a') },
+    { name: 'b.txt', data: Buffer.from('b') },
+    { name: 'c.txt', data: Buffer.from('c') }
+  ]);
+  await assert.rejects(inspect(zip, 'files.zip', failOn('b')), (error) => {
+    assert.equal(error, timeout);
+    assert.equal(error.entryPath, 'b.txt');
+    return true;
+  });
+  assert.deepEqual(fs.readdirSync(inspector.workDir), []);
+
+  // An infected entry is a verdict of its own - the entry that failed is listed with its error
+  const withVirus = buildZip([{ name: 'eicar.com', data: EICAR }, { name: 'b.txt', data: Buffer.from('b') }]);
+  const result = await inspect(withVirus, 'mixed.zip', failOn('b'));
+  assert.equal(result.infected, true);
+  assert.deepEqual(result.entries[1], { path: 'b.txt', size: 1, verdict: 'error', error: 'Scan timed out' });
+});
+
+test('a failed entry inside a nested archive fails the whole inspection', async (t) => {
+  const { inspect } = setup(t);
+  const inner = buildZip([{ name: 'deep.txt', data: Buffer.from('deep') }]);
+  const outer = buildZip([{ name: 'top.txt', data: Buffer.from('top') }, { name: 'inner.zip', data: inner }]);
+  const rejected = Object.assign(new Error('Queue is full'), { code: 'QUEUE_FULL' });
+
+  await assert.rejects(inspect(outer, 'outer.zip', async (filePath) => {
+    if ((await fs.promises.readFile(filePath)).toString() === 'deep') throw rejected;
+    return { isInfected: false, viruses: [] };
+  }), { code: 'QUEUE_FULL', entryPath: 'inner.zip/deep.txt' });
+});
+
+test('entries that expand too far for their compressed size are refused', async (t) => {
+  const { inspect } = setup(t, { maxRatio: 100 });
+  // 2MB of zeros deflate to a few KB
+  const bomb = buildZip([{ name: 'zeros.bin', data: Buffer.alloc(2 * 1024 * 1024), deflate: true }]);
+  await assert.rejects(inspect(bomb, 'bomb.zip'), isArchiveError('ARCHIVE_RATIO_EXCEEDED'));
+
+  // Small entries don't count, however well they compress
+  const small = buildZip([{ name: 'zeros.bin', data: Buffer.alloc(512 * 1024), deflate: true }]);
+  assert.equal((await inspect(small, 'small.zip')).entries[0].verdict, 'clean');
+});
+
+test('archives nested deeper than maxDepth are refused', async (t) => {
+  const { inspect } = setup(t, { maxDepth: 2 });
+  const level3 = buildZip([{ name: 'file.txt', data: Buffer.from('x') }]);
+  const level2 = buildZip([{ name: 'level3.zip', data: level3 }]);
+  const level1 = buildZip([{ name: 'level2.zip', data: level2 }]);
+
+  assert.equal((await inspect(level2, 'level2.zip')).entries.length, 2);
+  await assert.rejects(inspect(level1, 'level1.zip'), isArchiveError('ARCHIVE_TOO_DEEP'));
+});
+
+test('archives with more than maxEntries entries are refused, counting nested ones', async (t) => {
+  const { inspect } = setup(t, { maxEntries: 3 });
+  const files = (count) => Array.from({ length: count }, (_, index) => ({ name: `${index}.txt`, data: Buffer.from(String(index)) }));
+
+  await assert.rejects(inspect(buildZip(files(4)), 'many.zip'), isArchiveError('ARCHIVE_TOO_MANY_ENTRIES'));
+  await assert.rejects(inspect(buildTar(files(4)), 'many.tar'), isArchiveError('ARCHIVE_TOO_MANY_ENTRIES'));
+  // Two entries here plus two in the nested zip
+  const nested = buildZip([...files(1), { name: 'inner.zip', data: buildZip(files(2)) }]);
+  await assert.rejects(inspect(nested, 'nested.zip'), isArchiveError('ARCHIVE_TOO_MANY_ENTRIES'));
+  assert.equal((await inspect(buildZip(files(3)), 'three.zip')).entryCount, 3);
+});
+
+test('archives that expand past maxExpandedSize are refused', async (t) => {
+  const { inspector, inspect } = setup(t, { maxExpandedSize: 1000 });
+  const tar = buildTar([{ name: 'a.bin', data: Buffer.alloc(600) }, { name: 'b.bin', data: Buffer.alloc(600) }]);
+
+  await assert.rejects(inspect(tar, 'big.tar'), isArchiveError('ARCHIVE_TOO_LARGE'));
+  assert.deepEqual(fs.readdirSync(inspector.workDir), [], 'a refused archive leaves nothing behind');
+});
+
+test('damaged archives are reported as ARCHIVE_INVALID', async (t) => {
+  const { inspect } = setup(t);
+  const zip = buildZip([{ name: 'a.txt', data: Buffer.from('a') }]);
+  await assert.rejects(inspect(zip.slice(0, zip.length - 22), 'truncated.zip'), isArchiveError('ARCHIVE_INVALID'));
+
+  const tar = buildTar([{ name: 'a.txt', data: Buffer.from('a') }]);
+  tar[0] ^= 0xff;
+  await assert.rejects(inspect(tar, 'tampered.tar'), isArchiveError('ARCHIVE_INVALID'));
+});
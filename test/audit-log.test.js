@@ -0,0 +1,165 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AuditLog, AUDIT_FIELDS, csvField } = require('../lib/audit-log');
+const { Logger } = require('../lib/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+// An audit log in a fresh temporary directory, on a clock the test moves by hand
+const setup = (t, options = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-test-'));
+  const clock = { now: Date.UTC(2024, 9, 14, 12) };
+  t.mock.method(Date, 'now', () => clock.now);
+  const stream = { write: () => {} };
+  const auditLog = new AuditLog({ file: path.join(dir, 'audit.db'), logger: new Logger({ stdout: stream, stderr: stream }), ...options });
+  auditLog.init();
+  t.after(() => {
+    auditLog.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { auditLog, clock };
+};
+
+const ids = items => items.map(item => item.id);
+
+test('record stores a scan outcome that list returns in the export shape', (t) => {
+  const { auditLog } = setup(t);
+  const id = auditLog.record({
+    requestId: 'req-1',
+    verdict: 'infected',
+    fileName: 'invoice.zip',
+    fileSize: 1234,
+    sha256: 'ab'.repeat(32),
+    viruses: ['Eicar-Signature'],
+    scanMethod: 'stream',
+    cached: true,
+    errorCode: 413,
+    client: { ip: '10.0.0.1', userAgent: 'curl/8.0', apiKeyId: 'alpha' }
+  });
+
+  const [item] = auditLog.list();
+  assert.equal(item.id, id);
+  assert.deepEqual(Object.keys(item), AUDIT_FIELDS);
+  assert.equal(item.scannedAt, '2024-10-14T12:00:00.000Z');
+  assert.deepEqual(item.viruses, ['Eicar-Signature']);
+  assert.equal(item.cached, true);
+  assert.equal(item.errorCode, '413');
+  assert.deepEqual([item.apiKeyId, item.clientIp, item.userAgent], ['alpha', '10.0.0.1', 'curl/8.0']);
+  assert.equal(item.detectedType, null);
+
+  assert.throws(() => auditLog.record({ requestId: 'req-2', verdict: 'maybe' }), /Invalid audit verdict: maybe/);
+  assert.equal(auditLog.count(), 1);
+});
+
+test('filters narrow list and count alike', (t) => {
+  const { auditLog, clock } = setup(t);
+  const sha256 = 'cd'.repeat(32);
+  auditLog.record({ requestId: 'r1', verdict: 'clean', fileName: 'report_2024.pdf', client: { apiKeyId: 'alpha', ip: '10.0.0.1' } });
+  clock.now += HOUR;
+  auditLog.record({ requestId: 'r2', verdict: 'infected', fileName: 'REPORT-2024.exe', sha256, client: { apiKeyId: 'beta', ip: '10.0.0.2' } });
+  clock.now += HOUR;
+  auditLog.record({ requestId: 'r3', verdict: 'error', fileName: '100%.txt', client: { apiKeyId: 'alpha', ip: '10.0.0.2' } });
+
+  const matches = (filter) => {
+    const items = auditLog.list(filter);
+    assert.equal(auditLog.count(filter), items.length);
+    return items.map(item => item.requestId);
+  };
+  assert.deepEqual(matches({}), ['r3', 'r2', 'r1']);
+  assert.deepEqual(matches({ verdicts: ['clean', 'error'] }), ['r3', 'r1']);
+  assert.deepEqual(matches({ apiKeyId: 'alpha', clientIp: '10.0.0.2' }), ['r3']);
+  assert.deepEqual(matches({ sha256: sha256.toUpperCase() }), ['r2']);
+  assert.deepEqual(matches({ requestId: 'r1' }), ['r1']);
+
+  // Part of the name, ignoring case; % and _ only match themselves
+  assert.deepEqual(matches({ fileName: 'report' }), ['r2', 'r1']);
+  assert.deepEqual(matches({ fileName: 't_2' }), ['r1']);
+  assert.deepEqual(matches({ fileName: '%' }), ['r3']);
+
+  // `from` is inclusive, `to` exclusive
+  const start = Date.UTC(2024, 9, 14, 12);
+  assert.deepEqual(matches({ from: start + HOUR }), ['r3', 'r2']);
+  assert.deepEqual(matches({ to: start + HOUR }), ['r1']);
+  assert.deepEqual(matches({ from: start + HOUR, to: start + 2 * HOUR }), ['r2']);
+});
+
+test('pages come newest first, by offset or by ID', (t) => {
+  const { auditLog } = setup(t);
+  for (let i = 1; i <= 5; i++) auditLog.record({ requestId: `r${i}`, verdict: 'clean' });
+
+  assert.deepEqual(ids(auditLog.list({}, { limit: 2 })), [5, 4]);
+  assert.deepEqual(ids(auditLog.list({}, { limit: 2, offset: 2 })), [3, 2]);
+  assert.deepEqual(ids(auditLog.list({}, { limit: 2, offset: 4 })), [1]);
+
+  // Rows added in the meantime don't shift pages walked by beforeId
+  auditLog.record({ requestId: 'r6', verdict: 'clean' });
+  assert.deepEqual(ids(auditLog.list({ beforeId: 4 }, { limit: 2 })), [3, 2]);
+  assert.deepEqual(ids(auditLog.list({ beforeId: 2 }, { limit: 2 })), [1]);
+  assert.equal(auditLog.count({ beforeId: 4 }), 3);
+});
+
+test('stats groups scans into buckets and leaves cached verdicts out of the durations', (t) => {
+  const { auditLog, clock } = setup(t);
+  auditLog.record({ requestId: 'r1', verdict: 'clean', fileSize: 100, scanDuration: 10, totalDuration: 20 });
+  auditLog.record({ requestId: 'r2', verdict: 'infected', fileSize: 50, scanDuration: 0, totalDuration: 1, cached: true });
+  clock.now += 2 * HOUR;
+  auditLog.record({ requestId: 'r3', verdict: 'error', scanDuration: 30, totalDuration: 35 });
+
+  const buckets = auditLog.stats({}, { bucketMs: HOUR });
+  assert.equal(buckets.length, 2);
+  assert.deepEqual(buckets[0], {
+    start: '2024-10-14T12:00:00.000Z',
+    total: 2,
+    clean: 1,
+    infected: 1,
+    error: 0,
+    unscanned: 0,
+    cached: 1,
+    bytes: 150,
+    avgScanDuration: 10,
+    maxScanDuration: 10,
+    avgTotalDuration: 20,
+    maxTotalDuration: 20
+  });
+  assert.equal(buckets[1].start, '2024-10-14T14:00:00.000Z');
+  assert.equal(buckets[1].bytes, 0);
+});
+
+test('the retention sweep removes rows older than retentionDays', (t) => {
+  const { auditLog, clock } = setup(t, { retentionDays: 1 });
+  auditLog.record({ requestId: 'old', verdict: 'clean' });
+  clock.now += 12 * HOUR;
+  auditLog.record({ requestId: 'new', verdict: 'clean' });
+
+  clock.now += 13 * HOUR;
+  assert.equal(auditLog.sweep(), 1);
+  assert.deepEqual(auditLog.list().map(item => item.requestId), ['new']);
+
+  auditLog.retentionDays = 0;
+  clock.now += 30 * 24 * HOUR;
+  assert.equal(auditLog.sweep(), 0, '0 keeps everything');
+});
+
+test('csvField quotes when needed and defuses spreadsheet formulas', () => {
+  assert.equal(csvField(null), '');
+  assert.equal(csvField(undefined), '');
+  assert.equal(csvField(42), '42');
+  assert.equal(csvField(-1), '-1', 'numbers are not text a spreadsheet would run');
+  assert.equal(csvField(false), 'false');
+  assert.equal(csvField('plain.txt'), 'plain.txt');
+  assert.equal(csvField(['Eicar-Signature', 'Win.Test']), 'Eicar-Signature;Win.Test');
+
+  assert.equal(csvField('a,b.txt'), '"a,b.txt"');
+  assert.equal(csvField('say "hi".txt'), '"say ""hi"".txt"');
+  assert.equal(csvField('line\nbreak'), '"line\nbreak"');
+
+  assert.equal(csvField('=HYPERLINK("http://x")'), '"\'=HYPERLINK(""http://x"")"');
+  assert.equal(csvField('+1'), '\'+1');
+  assert.equal(csvField('-2'), '\'-2');
+  assert.equal(csvField('@SUM(A1)'), '\'@SUM(A1)');
+  assert.equal(csvField('\tcmd'), '\'\tcmd');
+  assert.equal(csvField('\rcmd'), '"\'\rcmd"');
+});
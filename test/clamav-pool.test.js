@@ -0,0 +1,186 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { ClamAVConnectionPool, isEndpointFailure } = require('../lib/clamav-pool');
+const { Logger } = require('../lib/logger');
+
+// clamd stub on 127.0.0.1 that answers PING and VERSION. Pass `port` to bring a closed stub
+// back on the same address.
+const startClamd = async ({ port = 0, signatureVersion = 27100 } = {}) => {
+  const stub = { signatureVersion, commands: [] };
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    socket.on('data', (data) => {
+      const command = data.toString().replace(/^z|\0$/g, '');
+      stub.commands.push(command);
+      if (command === 'PING') socket.end('PONG\0');
+      if (command === 'VERSION') socket.end(`ClamAV 1.2.0/${stub.signatureVersion}/Mon Oct 14 08:21:09 2024\0`);
+    });
+  });
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  stub.port = server.address().port;
+  stub.close = () => new Promise((resolve) => {
+    sockets.forEach(socket => socket.destroy());
+    server.close(resolve);
+  });
+  return stub;
+};
+
+// A port nothing listens on
+const closedPort = async () => {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+};
+
+const silentLogger = () => {
+  const stream = { write: () => {} };
+  return new Logger({ stdout: stream, stderr: stream });
+};
+
+const createPool = (ports, options = {}) => new ClamAVConnectionPool({
+  endpoints: ports.map(port => ({ host: '127.0.0.1', port })),
+  healthCheckInterval: 0,
+  logger: silentLogger(),
+  ...options
+});
+
+test('scans are spread over the endpoints in turn', async (t) => {
+  const [a, b] = await Promise.all([startClamd(), startClamd()]);
+  t.after(() => Promise.all([a.close(), b.close()]));
+  const pool = createPool([a.port, b.port]);
+
+  await pool.init();
+  assert.equal(pool.isReady(), true);
+  const conns = await Promise.all([pool.acquire(), pool.acquire(), pool.acquire(), pool.acquire()]);
+  assert.deepEqual(conns.map(conn => conn.port), [a.port, b.port, a.port, b.port]);
+  assert.deepEqual(pool.status().map(e => e.inUse), [2, 2]);
+
+  conns.forEach(conn => pool.release(conn));
+  assert.deepEqual(pool.status().map(e => e.inUse), [0, 0]);
+  // Idle connections are reused rather than opened again
+  const again = await pool.acquire();
+  assert.ok(conns.includes(again));
+});
+
+test('least-busy balancing picks the endpoint with the fewest scans', async (t) => {
+  const [a, b] = await Promise.all([startClamd(), startClamd()]);
+  t.after(() => Promise.all([a.close(), b.close()]));
+  const pool = createPool([a.port, b.port], { balancing: 'least-busy' });
+
+  const first = await pool.acquire();
+  const second = await pool.acquire();
+  const third = await pool.acquire();
+  pool.release(first);
+  pool.release(third);
+  // `second`'s endpoint is still busy
+  const next = await pool.acquire();
+  assert.notEqual(next.port, second.port);
+});
+
+test('an unreachable endpoint fails over to the next and is taken out of rotation', async (t) => {
+  const up = await startClamd();
+  t.after(up.close);
+  const down = await closedPort();
+  const pool = createPool([down, up.port], { unhealthyThreshold: 2 });
+
+  const first = await pool.acquire();
+  assert.equal(first.port, up.port);
+  let [deadEndpoint] = pool.status();
+  assert.equal(deadEndpoint.failures, 1);
+  assert.equal(deadEndpoint.healthy, true, 'one failure is not enough');
+  assert.match(deadEndpoint.lastError, /ECONNREFUSED/);
+
+  // Round-robin comes back to the dead endpoint, fails again and gives up on it
+  pool.release(first);
+  const second = await pool.acquire();
+  assert.equal(second.port, up.port);
+  [deadEndpoint] = pool.status();
+  assert.equal(deadEndpoint.healthy, false);
+  assert.equal(deadEndpoint.inUse, 0);
+});
+
+test('health checks take endpoints out and put them back, noticing signature updates', async (t) => {
+  const a = await startClamd();
+  let b = await startClamd({ signatureVersion: 27100 });
+  t.after(() => Promise.all([a.close(), b.close()]));
+  const pool = createPool([a.port, b.port], { unhealthyThreshold: 1 });
+
+  await pool.checkHealth();
+  assert.deepEqual(pool.status().map(e => [e.healthy, e.signatureVersion]), [[true, 27100], [true, 27100]]);
+  assert.ok(pool.status().every(e => e.lastCheck));
+
+  await b.close();
+  await pool.checkHealth();
+  assert.deepEqual(pool.status().map(e => e.healthy), [true, false]);
+  const conns = await Promise.all([pool.acquire(), pool.acquire()]);
+  assert.ok(conns.every(conn => conn.port === a.port), 'the unhealthy endpoint gets no scans');
+
+  b = await startClamd({ port: b.port, signatureVersion: 27101 });
+  await pool.checkHealth();
+  const [, back] = pool.status();
+  assert.equal(back.healthy, true);
+  assert.equal(back.failures, 0);
+  assert.equal(back.signatureVersion, 27101);
+  assert.equal(pool.signatureVersion(), 27101);
+});
+
+test('concurrent health checks share one round of PINGs', async (t) => {
+  const a = await startClamd();
+  t.after(a.close);
+  const pool = createPool([a.port]);
+
+  await Promise.all([pool.checkHealth(), pool.checkHealth(), pool.checkHealth()]);
+  assert.deepEqual(a.commands, ['PING', 'VERSION']);
+});
+
+test('scans are rejected with CLAMAV_UNAVAILABLE once no endpoint is healthy', async () => {
+  const a = await startClamd();
+  const pool = createPool([a.port], { unhealthyThreshold: 1, maxConnections: 1 });
+  const conn = await pool.acquire();
+  const queued = pool.acquire();
+
+  await a.close();
+  // The connection broke mid-scan: the endpoint is out, and the queued scan has nowhere to go
+  pool.removeConnection(conn, Object.assign(new Error('write EPIPE'), { code: 'EPIPE' }));
+  await assert.rejects(queued, { code: 'CLAMAV_UNAVAILABLE' });
+  await assert.rejects(pool.acquire(), { code: 'CLAMAV_UNAVAILABLE' });
+
+  const [endpoint] = pool.status();
+  assert.equal(endpoint.evictions, 1);
+  assert.equal(endpoint.lastError, 'write EPIPE');
+  assert.deepEqual(pool.queueStats().rejections, { queueFull: 0, pushedOut: 0, timedOut: 0, unavailable: 2 });
+});
+
+test('scans wait for a free connection and time out or are refused when the queue is full', async (t) => {
+  const a = await startClamd();
+  t.after(a.close);
+  const pool = createPool([a.port], { maxConnections: 1, maxQueueSize: 1 });
+
+  const busy = await pool.acquire();
+  const positions = [];
+  const waiting = pool.acquire({ onQueued: position => positions.push(position) });
+  assert.deepEqual(positions, [1]);
+  await assert.rejects(pool.acquire({ tenant: 'default' }), { code: 'QUEUE_FULL' });
+
+  pool.release(busy);
+  const served = await waiting;
+  assert.equal(served, busy, 'the freed connection goes to the waiting scan');
+  assert.equal(pool.queueStats().served.normal, 1);
+
+  await assert.rejects(pool.acquire({ queueTimeout: 20 }), { code: 'QUEUE_TIMEOUT' });
+  assert.equal(pool.queueStats().length, 0);
+  assert.equal(pool.queueStats().rejections.timedOut, 1);
+});
+
+test('isEndpointFailure tells connection problems from file problems', () => {
+  assert.equal(isEndpointFailure({ code: 'ECONNREFUSED' }), true);
+  assert.equal(isEndpointFailure({ code: 'EPIPE' }), true);
+  assert.equal(isEndpointFailure({ code: 'CLAMD_SIZE_LIMIT' }), false);
+  assert.equal(isEndpointFailure(null), false);
+});
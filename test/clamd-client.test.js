@@ -0,0 +1,149 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { Readable } = require('stream');
+const { ClamdClient, ClamdError, parseScanReply, parseVersionReply, parseStatsReply } = require('../lib/clamd-client');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// clamd stub on 127.0.0.1: answers PING and VERSION, and reads INSTREAM frames the way clamd
+// does. `streamMaxLength` rejects streams like clamd's StreamMaxLength; `silent` never replies.
+const startClamd = async ({ streamMaxLength = Infinity, silent = false } = {}) => {
+  const sessions = [];
+  const server = net.createServer((socket) => {
+    const session = { command: null, chunks: [], data: Buffer.alloc(0) };
+    sessions.push(session);
+    let buffer = Buffer.alloc(0);
+    socket.on('error', () => {});
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+      if (session.command === null) {
+        const end = buffer.indexOf(0);
+        if (end < 0) return;
+        session.command = buffer.slice(1, end).toString();
+        buffer = buffer.slice(end + 1);
+        if (silent) return;
+        if (session.command === 'PING') return socket.end('PONG\0');
+        if (session.command === 'VERSION') return socket.end('ClamAV 1.2.0/27100/Mon Oct 14 08:21:09 2024\0');
+      }
+      while (session.command === 'INSTREAM' && buffer.length >= 4 && !silent) {
+        const length = buffer.readUInt32BE(0);
+        if (length === 0) {
+          session.chunks.push(0);
+          socket.end(session.data.includes(EICAR) ? 'stream: Eicar-Signature FOUND\0' : 'stream: OK\0');
+          return;
+        }
+        if (buffer.length < 4 + length) return;
+        session.chunks.push(length);
+        session.data = Buffer.concat([session.data, buffer.slice(4, 4 + length)]);
+        buffer = buffer.slice(4 + length);
+        if (session.data.length > streamMaxLength) {
+          socket.end('INSTREAM size limit exceeded. ERROR\0');
+          return;
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { port: server.address().port, sessions, close: () => server.close() };
+};
+
+test('parseScanReply turns clamd replies into verdicts or ClamdErrors', () => {
+  assert.deepEqual(parseScanReply('stream: OK\0'), { isInfected: false, viruses: [], resultString: 'stream: OK' });
+  assert.deepEqual(parseScanReply('stream: Win.Test.EICAR_HDB-1 FOUND\0'), {
+    isInfected: true,
+    viruses: ['Win.Test.EICAR_HDB-1'],
+    resultString: 'stream: Win.Test.EICAR_HDB-1 FOUND'
+  });
+
+  const rejects = (reply, code) => assert.throws(() => parseScanReply(reply), (error) => {
+    assert.ok(error instanceof ClamdError);
+    assert.equal(error.code, code);
+    assert.equal(error.reply, reply.replace(/\0$/, ''));
+    return true;
+  }, reply);
+  rejects('INSTREAM size limit exceeded. ERROR\0', 'CLAMD_SIZE_LIMIT');
+  rejects('Can\'t allocate memory ERROR\0', 'CLAMD_ERROR');
+  rejects('COMMAND READ TIMED OUT\0', 'ETIMEDOUT');
+  rejects('UNKNOWN COMMAND\0', 'CLAMD_UNEXPECTED_REPLY');
+  rejects('', 'CLAMD_UNEXPECTED_REPLY');
+});
+
+test('VERSION and STATS replies are parsed', () => {
+  const version = parseVersionReply('ClamAV 1.2.0/27100/Mon Oct 14 08:21:09 2024\0');
+  assert.equal(version.engine, '1.2.0');
+  assert.equal(version.signatureVersion, 27100);
+  assert.ok(version.signatureDate instanceof Date);
+  assert.deepEqual(parseVersionReply('ClamAV 1.2.0'), { raw: 'ClamAV 1.2.0', engine: '1.2.0', signatureVersion: null, signatureDate: null });
+
+  const stats = parseStatsReply('POOLS: 1\n\nSTATE: VALID PRIMARY\nTHREADS: live 2  idle 1 max 10 idle-timeout 30\nQUEUE: 3 items\n\tSTATS 0.000035\n\nEND\0');
+  assert.equal(stats.pools, 1);
+  assert.equal(stats.state, 'VALID PRIMARY');
+  assert.deepEqual(stats.threads, { live: 2, idle: 1, max: 10 });
+  assert.equal(stats.queueLength, 3);
+});
+
+test('scanStream sends the data as INSTREAM chunks ending in a zero-length chunk', async (t) => {
+  const clamd = await startClamd();
+  t.after(clamd.close);
+  const client = new ClamdClient({ port: clamd.port });
+
+  const progress = [];
+  const result = await client.scanStream(Readable.from([Buffer.from('hello '), Buffer.from('world')]), {
+    onProgress: bytes => progress.push(bytes)
+  });
+  assert.equal(result.isInfected, false);
+  assert.equal(result.bytesScanned, 11);
+  assert.ok(result.scanDuration >= 0 && result.streamDuration >= 0);
+  assert.deepEqual([...new Set(progress)], [6, 11], 'progress counts data bytes, not the framing');
+  assert.equal(clamd.sessions[0].command, 'INSTREAM');
+  assert.deepEqual(clamd.sessions[0].chunks, [6, 5, 0]);
+  assert.equal(clamd.sessions[0].data.toString(), 'hello world');
+
+  const infected = await client.scanStream(Readable.from([Buffer.from(EICAR)]));
+  assert.deepEqual(infected.viruses, ['Eicar-Signature']);
+  assert.equal(infected.isInfected, true);
+});
+
+test('a stream over clamd\'s size limit rejects with CLAMD_SIZE_LIMIT, not the broken pipe', async (t) => {
+  const clamd = await startClamd({ streamMaxLength: 64 * 1024 });
+  t.after(clamd.close);
+  const client = new ClamdClient({ port: clamd.port });
+
+  const chunks = Array.from({ length: 64 }, () => Buffer.alloc(16 * 1024, 'a'));
+  await assert.rejects(client.scanStream(Readable.from(chunks)), { name: 'ClamdError', code: 'CLAMD_SIZE_LIMIT' });
+});
+
+test('PING and VERSION use the null-terminated command form', async (t) => {
+  const clamd = await startClamd();
+  t.after(clamd.close);
+  const client = new ClamdClient({ port: clamd.port });
+
+  assert.equal(await client.ping(), true);
+  assert.equal((await client.version()).signatureVersion, 27100);
+  assert.deepEqual(clamd.sessions.map(session => session.command), ['PING', 'VERSION']);
+  assert.equal(client.address, `127.0.0.1:${clamd.port}`);
+});
+
+test('a clamd that stops answering times out', async (t) => {
+  const clamd = await startClamd({ silent: true });
+  t.after(clamd.close);
+  const client = new ClamdClient({ port: clamd.port, timeout: 50 });
+
+  await assert.rejects(client.ping(), { code: 'ETIMEDOUT' });
+  await assert.rejects(client.scanStream(Readable.from([Buffer.from('data')])), { code: 'ETIMEDOUT' });
+});
+
+test('an unreachable clamd and a closed source stream reject', async () => {
+  const unused = net.createServer();
+  await new Promise(resolve => unused.listen(0, '127.0.0.1', resolve));
+  const { port } = unused.address();
+  await new Promise(resolve => unused.close(resolve));
+
+  const client = new ClamdClient({ port });
+  await assert.rejects(client.ping(), { code: 'ECONNREFUSED' });
+
+  const stream = Readable.from([]);
+  stream.destroy();
+  await assert.rejects(client.scanStream(stream), { code: 'ERR_STREAM_DESTROYED' });
+});
@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { FairQueue } = require('../lib/fair-queue');
+
+// Shifts everything that is left
+const drain = (queue) => {
+  const items = [];
+  while (queue.length > 0) items.push(queue.shift());
+  return items;
+};
+
+test('the small lane goes first, at most priorityBurst in a row while normal entries wait', () => {
+  const queue = new FairQueue({ priorityBurst: 2 });
+  ['n1', 'n2'].forEach(item => queue.push(item, { tenant: 'a' }));
+  ['s1', 's2', 's3', 's4', 's5'].forEach(item => queue.push(item, { tenant: 'a', lane: 'small' }));
+
+  const expected = ['s1', 's2', 'n1', 's3', 's4', 'n2', 's5'];
+  assert.deepEqual(queue.ordered().map(entry => entry.item), expected);
+  assert.deepEqual(drain(queue), expected);
+  assert.equal(queue.shift(), undefined);
+});
+
+test('the burst limit only applies while normal entries are waiting', () => {
+  const queue = new FairQueue({ priorityBurst: 1 });
+  ['s1', 's2', 's3'].forEach(item => queue.push(item, { tenant: 'a', lane: 'small' }));
+  assert.equal(queue.shift(), 's1');
+  assert.equal(queue.shift(), 's2');
+
+  queue.push('n1', { tenant: 'a' });
+  queue.push('s4', { tenant: 'a', lane: 'small' });
+  assert.deepEqual(drain(queue), ['s3', 'n1', 's4']);
+});
+
+test('busy tenants are served in proportion to their weight', () => {
+  const queue = new FairQueue();
+  for (let i = 0; i < 6; i++) queue.push(`a${i}`, { tenant: 'a', weight: 2 });
+  for (let i = 0; i < 6; i++) queue.push(`b${i}`, { tenant: 'b' });
+
+  const firstNine = drain(queue).slice(0, 9);
+  assert.equal(firstNine.filter(item => item.startsWith('a')).length, 6);
+  assert.equal(firstNine.filter(item => item.startsWith('b')).length, 3);
+  assert.deepEqual(firstNine.slice(0, 3), ['a0', 'b0', 'a1'], 'a tenant that queued later is not stuck behind the whole backlog');
+});
+
+test('cost makes a large scan count for more than a small one', () => {
+  const queue = new FairQueue();
+  queue.push('big1', { tenant: 'a', cost: 4 });
+  queue.push('big2', { tenant: 'a', cost: 4 });
+  ['b1', 'b2', 'b3', 'b4', 'b5'].forEach(item => queue.push(item, { tenant: 'b' }));
+
+  assert.deepEqual(drain(queue), ['big1', 'b1', 'b2', 'b3', 'b4', 'big2', 'b5']);
+});
+
+test('a tenant that has been idle starts at the clock and can\'t bank credit', () => {
+  const queue = new FairQueue();
+  ['a1', 'a2', 'a3', 'a4'].forEach(item => queue.push(item, { tenant: 'a' }));
+  assert.equal(queue.shift(), 'a1');
+  assert.equal(queue.shift(), 'a2');
+  assert.equal(queue.shift(), 'a3');
+
+  ['b1', 'b2', 'b3'].forEach(item => queue.push(item, { tenant: 'b' }));
+  // Starting from zero, b would have gone ahead of a4 three times
+  assert.deepEqual(drain(queue), ['b1', 'a4', 'b2', 'b3']);
+});
+
+test('remove takes out a waiting entry once', () => {
+  const queue = new FairQueue();
+  const first = queue.push('a1', { tenant: 'a' });
+  queue.push('a2', { tenant: 'a' });
+  queue.push('s1', { tenant: 'b', lane: 'small' });
+  assert.deepEqual(queue.counts(), { tenants: { a: 2, b: 1 }, lanes: { small: 1, normal: 2 } });
+
+  assert.equal(queue.remove(first), true);
+  assert.equal(queue.remove(first), false);
+  assert.equal(queue.length, 2);
+  assert.deepEqual(queue.counts(), { tenants: { a: 1, b: 1 }, lanes: { small: 1, normal: 1 } });
+  assert.deepEqual(drain(queue), ['s1', 'a2']);
+  assert.deepEqual(queue.counts(), { tenants: {}, lanes: { small: 0, normal: 0 } });
+});
+
+test('pushOutCandidate picks the newest entry of a clearly heavier tenant', () => {
+  const queue = new FairQueue();
+  queue.push('a1', { tenant: 'a' });
+  assert.equal(queue.pushOutCandidate('b'), null, 'one against none would only swap who is heaviest');
+
+  const newest = queue.push('a2', { tenant: 'a', lane: 'small' });
+  assert.equal(queue.pushOutCandidate('b'), newest, 'newest across both lanes');
+
+  queue.push('b1', { tenant: 'b' });
+  assert.equal(queue.pushOutCandidate('b'), null);
+  assert.equal(queue.pushOutCandidate('c'), newest);
+  assert.equal(queue.pushOutCandidate('a'), null, 'the heaviest tenant never pushes out others');
+
+  const third = queue.push('a3', { tenant: 'a' });
+  assert.equal(queue.pushOutCandidate('b'), third);
+  assert.equal(queue.remove(third), true);
+  assert.equal(queue.pushOutCandidate('b'), null);
+});
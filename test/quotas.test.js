@@ -0,0 +1,114 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { QuotaTracker, QuotaError } = require('../lib/quotas');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+// A tracker on a clock the test moves by hand, starting at noon UTC
+const setup = () => {
+  const clock = { now: Date.UTC(2024, 9, 14, 12) };
+  const tracker = new QuotaTracker({ now: () => clock.now });
+  return { clock, tracker };
+};
+
+// An API key as lib/api-keys.js parses it: missing quotas are unlimited
+const keyWith = quotas => ({
+  id: 'alpha',
+  quotas: { requestsPerMinute: Infinity, bytesPerDay: Infinity, concurrentScans: Infinity, ...quotas }
+});
+
+const rejectsWith = (fn, code, retryAfter) => assert.throws(fn, (error) => {
+  assert.ok(error instanceof QuotaError);
+  assert.equal(error.code, code);
+  if (retryAfter !== undefined) assert.equal(error.retryAfter, retryAfter);
+  return true;
+});
+
+test('requestsPerMinute is a token bucket refilled evenly over the minute', () => {
+  const { clock, tracker } = setup();
+  const key = keyWith({ requestsPerMinute: 3 });
+
+  for (let i = 0; i < 3; i++) tracker.admit(key).release();
+  rejectsWith(() => tracker.admit(key), 'REQUEST_RATE_EXCEEDED', 20);
+
+  clock.now += 20 * 1000;
+  tracker.admit(key).release();
+  clock.now += 10 * 1000;
+  rejectsWith(() => tracker.admit(key), 'REQUEST_RATE_EXCEEDED', 10);
+
+  // An idle key can't save up more than one minute's burst
+  clock.now += 10 * MINUTE;
+  assert.equal(tracker.usageOf(key).requestsPerMinute.remaining, 3);
+});
+
+test('bytesPerDay counts the bytes of the UTC day and starts over at midnight', () => {
+  const { clock, tracker } = setup();
+  const key = keyWith({ bytesPerDay: 100 });
+
+  tracker.admit(key, { bytes: 60 }).release();
+  rejectsWith(() => tracker.admit(key, { bytes: 50 }), 'DAILY_BYTES_EXCEEDED', 12 * 60 * 60);
+  assert.equal(tracker.usageOf(key).bytesPerDay.used, 60, 'a rejected request is not charged');
+
+  // Unknown size: admitted while there is something left, then settled with the real size
+  const lease = tracker.admit(key);
+  lease.settle(40);
+  assert.equal(tracker.usageOf(key).bytesPerDay.used, 100);
+  lease.settle(30);
+  assert.equal(tracker.usageOf(key).bytesPerDay.used, 90, 'settling again replaces the earlier charge');
+  lease.settle(40);
+  lease.release();
+  rejectsWith(() => tracker.admit(key), 'DAILY_BYTES_EXCEEDED');
+  // Finalizing a resumable upload brings no bytes of its own
+  tracker.admit(key, { bytes: null }).release();
+
+  clock.now += 12 * 60 * MINUTE;
+  assert.equal(tracker.usageOf(key).bytesPerDay.used, 0);
+  tracker.admit(key, { bytes: 100 }).release();
+});
+
+test('a lease settled after midnight leaves the new day alone', () => {
+  const { clock, tracker } = setup();
+  const key = keyWith({ bytesPerDay: 100 });
+
+  const lease = tracker.admit(key, { bytes: 10 });
+  clock.now += DAY;
+  tracker.admit(key, { bytes: 5 }).release();
+  lease.settle(80);
+  lease.release();
+  assert.equal(tracker.usageOf(key).bytesPerDay.used, 5);
+});
+
+test('concurrentScans counts leases until they are released, once each', () => {
+  const { tracker } = setup();
+  const key = keyWith({ concurrentScans: 1, requestsPerMinute: 2 });
+
+  const lease = tracker.admit(key);
+  rejectsWith(() => tracker.admit(key), 'CONCURRENT_SCANS_EXCEEDED', 1);
+  assert.equal(tracker.usageOf(key).requestsPerMinute.remaining, 1, 'a rejected request uses no token');
+
+  lease.release();
+  lease.release();
+  assert.equal(tracker.usageOf(key).concurrentScans.active, 0);
+  tracker.admit(key);
+  rejectsWith(() => tracker.admit(key), 'CONCURRENT_SCANS_EXCEEDED');
+});
+
+test('chargeBytes counts towards bytesPerDay only', () => {
+  const { tracker } = setup();
+  const key = keyWith({ bytesPerDay: 100, requestsPerMinute: 1, concurrentScans: 1 });
+
+  const chunk = tracker.chargeBytes(key, 70);
+  tracker.chargeBytes(key, 20).release();
+  assert.deepEqual(tracker.usageOf(key), {
+    requestsPerMinute: { limit: 1, remaining: 1 },
+    bytesPerDay: { limit: 100, used: 90 },
+    concurrentScans: { limit: 1, active: 0 }
+  });
+
+  rejectsWith(() => tracker.chargeBytes(key, 20), 'DAILY_BYTES_EXCEEDED');
+  // A chunk that broke off early is settled with what arrived
+  chunk.settle(50);
+  tracker.chargeBytes(key, 30);
+  assert.equal(tracker.usageOf(key).bytesPerDay.used, 100);
+});
@@ -0,0 +1,195 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  Tracer,
+  OtlpHttpExporter,
+  InMemoryExporter,
+  SPAN_KIND,
+  SPAN_STATUS,
+  parseTraceparent,
+  parseHeaderList,
+  toOtlpSpan
+} = require('../lib/tracing');
+const { Logger } = require('../lib/logger');
+
+const createTracer = (options = {}) => {
+  const exporter = new InMemoryExporter();
+  return { tracer: new Tracer({ exporter, ...options }), exporter };
+};
+
+test('finished spans are exported with their parent, attributes and timing', () => {
+  const { tracer, exporter } = createTracer();
+
+  const request = tracer.startSpan('POST /upload', { kind: SPAN_KIND.SERVER, attributes: { 'http.method': 'POST', 'http.route': undefined } });
+  const acquire = tracer.startSpan('pool.acquire', { parent: request });
+  acquire.setAttribute('clamd.endpoint', '127.0.0.1:3310').end();
+  const scan = tracer.startSpan('clamd.scan', { parent: request, kind: SPAN_KIND.CLIENT });
+  scan.setAttributes({ 'scan.bytes': 1024, 'scan.infected': false });
+  assert.equal(exporter.spans.length, 1, 'spans are exported when they end, not when they start');
+  scan.end();
+  request.end();
+
+  assert.deepEqual(exporter.spans.map(span => span.name), ['pool.acquire', 'clamd.scan', 'POST /upload']);
+  const [exportedAcquire, exportedScan, exportedRequest] = exporter.spans;
+  assert.equal(exportedRequest.parentSpanId, null);
+  assert.equal(exportedRequest.kind, SPAN_KIND.SERVER);
+  assert.deepEqual(exportedRequest.attributes, { 'http.method': 'POST' });
+  for (const child of [exportedAcquire, exportedScan]) {
+    assert.equal(child.traceId, request.traceId);
+    assert.equal(child.parentSpanId, request.spanId);
+    assert.ok(child.endTime >= child.startTime);
+  }
+  assert.deepEqual(exportedScan.attributes, { 'scan.bytes': 1024, 'scan.infected': false });
+  assert.match(request.traceId, /^[0-9a-f]{32}$/);
+  assert.match(request.spanId, /^[0-9a-f]{16}$/);
+});
+
+test('a span ended twice is exported once', () => {
+  const { tracer, exporter } = createTracer();
+  const span = tracer.startSpan('response');
+  span.end();
+  const { endTime } = span;
+  span.end();
+  assert.equal(exporter.spans.length, 1);
+  assert.equal(span.endTime, endTime);
+});
+
+test('recordError marks the span as failed with an exception event', () => {
+  const { tracer, exporter } = createTracer();
+  const error = Object.assign(new Error('connect ECONNREFUSED 127.0.0.1:3310'), { code: 'ECONNREFUSED' });
+  tracer.startSpan('clamd.scan').recordError(error).end();
+
+  const [span] = exporter.spans;
+  assert.deepEqual(span.status, { code: SPAN_STATUS.ERROR, message: error.message });
+  assert.equal(span.events[0].name, 'exception');
+  assert.deepEqual(span.events[0].attributes, { 'exception.type': 'ECONNREFUSED', 'exception.message': error.message });
+});
+
+test('spans continue the trace of an incoming traceparent header', () => {
+  const { tracer, exporter } = createTracer({ sampleRatio: 0 });
+  const parent = parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01');
+  assert.deepEqual(parent, { traceId: '4bf92f3577b34da6a3ce929d0e0e4736', spanId: '00f067aa0ba902b7', sampled: true });
+
+  const span = tracer.startSpan('POST /scans', { parent });
+  span.end();
+  assert.equal(exporter.spans.length, 1, 'the caller sampled the trace, so our span is exported too');
+  assert.equal(span.traceId, parent.traceId);
+  assert.equal(span.parentSpanId, parent.spanId);
+  assert.equal(span.traceparent(), `00-${parent.traceId}-${span.spanId}-01`);
+});
+
+test('unsampled traces are timed but not exported', () => {
+  const { tracer, exporter } = createTracer();
+  const parent = parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-00');
+  const span = tracer.startSpan('POST /upload', { parent });
+  tracer.startSpan('clamd.scan', { parent: span }).end();
+  span.end();
+  assert.ok(span.ended);
+  assert.deepEqual(exporter.spans, []);
+
+  const { tracer: neverSampled, exporter: unused } = createTracer({ sampleRatio: 0 });
+  neverSampled.startSpan('POST /upload').end();
+  assert.deepEqual(unused.spans, []);
+});
+
+test('malformed traceparent headers start a new trace', () => {
+  const invalid = [
+    undefined,
+    '',
+    'garbage',
+    '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7', // No flags
+    'ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01', // Invalid version
+    '00-00000000000000000000000000000000-00f067aa0ba902b7-01', // Invalid trace ID
+    '00-4bf92f3577b34da6a3ce929d0e0e4736-0000000000000000-01', // Invalid span ID
+    '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01-extra' // Version 00 ends after the flags
+  ];
+  invalid.forEach(header => assert.equal(parseTraceparent(header), null, String(header)));
+  // Later versions may add fields
+  assert.ok(parseTraceparent('01-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01-extra'));
+});
+
+test('spans are encoded as OTLP/JSON', () => {
+  const { tracer } = createTracer();
+  const parent = tracer.startSpan('POST /upload', { kind: SPAN_KIND.SERVER });
+  const span = tracer.startSpan('clamd.scan', { parent, kind: SPAN_KIND.CLIENT, attributes: { 'scan.bytes': 10, 'scan.ratio': 0.5, 'scan.infected': true, 'scan.viruses': ['Eicar-Signature'] } });
+  span.end();
+
+  const otlp = toOtlpSpan(span);
+  assert.equal(otlp.parentSpanId, parent.spanId);
+  assert.equal(otlp.kind, SPAN_KIND.CLIENT);
+  assert.match(otlp.startTimeUnixNano, /^\d{19}$/);
+  assert.ok(BigInt(otlp.endTimeUnixNano) >= BigInt(otlp.startTimeUnixNano));
+  assert.deepEqual(otlp.attributes, [
+    { key: 'scan.bytes', value: { intValue: 10 } },
+    { key: 'scan.ratio', value: { doubleValue: 0.5 } },
+    { key: 'scan.infected', value: { boolValue: true } },
+    { key: 'scan.viruses', value: { arrayValue: { values: [{ stringValue: 'Eicar-Signature' }] } } }
+  ]);
+  assert.equal('parentSpanId' in toOtlpSpan(parent), false);
+});
+
+test('the OTLP exporter sends batches of spans to the collector', async (t) => {
+  const batches = [];
+  const collector = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      batches.push({ url: req.url, headers: req.headers, payload: JSON.parse(Buffer.concat(chunks).toString()) });
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => collector.listen(0, '127.0.0.1', resolve));
+  t.after(() => collector.close());
+
+  const exporter = new OtlpHttpExporter({
+    url: `http://127.0.0.1:${collector.address().port}/v1/traces`,
+    headers: parseHeaderList('authorization=Bearer%20abc,x-tenant=scanner'),
+    serviceName: 'scanner-test',
+    maxBatchSize: 2,
+    flushInterval: 60000
+  });
+  const tracer = new Tracer({ exporter });
+  ['a', 'b', 'c'].forEach(name => tracer.startSpan(name).end());
+  await exporter.flush();
+
+  assert.equal(batches.length, 2);
+  assert.equal(batches[0].url, '/v1/traces');
+  assert.equal(batches[0].headers.authorization, 'Bearer abc');
+  assert.equal(batches[0].headers['x-tenant'], 'scanner');
+  const [resourceSpans] = batches[0].payload.resourceSpans;
+  assert.deepEqual(resourceSpans.resource.attributes, [{ key: 'service.name', value: { stringValue: 'scanner-test' } }]);
+  const names = batches.map(batch => batch.payload.resourceSpans[0].scopeSpans[0].spans.map(span => span.name));
+  assert.deepEqual(names, [['a', 'b'], ['c']]);
+  assert.equal(exporter.exported, 3);
+});
+
+test('spans are dropped, not retried, while the collector fails', async (t) => {
+  const collector = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      res.statusCode = 503;
+      res.end();
+    });
+  });
+  await new Promise(resolve => collector.listen(0, '127.0.0.1', resolve));
+  t.after(() => collector.close());
+
+  const logs = [];
+  const stream = { write: (line) => logs.push(JSON.parse(line)) };
+  const exporter = new OtlpHttpExporter({
+    url: `http://127.0.0.1:${collector.address().port}/v1/traces`,
+    maxQueueSize: 2,
+    flushInterval: 60000,
+    logger: new Logger({ stdout: stream, stderr: stream })
+  });
+  const tracer = new Tracer({ exporter });
+  ['a', 'b', 'c'].forEach(name => tracer.startSpan(name).end());
+  await exporter.flush();
+
+  assert.equal(exporter.dropped, 1);
+  assert.equal(exporter.failed, 2);
+  assert.equal(exporter.exported, 0);
+  assert.equal(exporter.queue.length, 0);
+  assert.ok(logs.some(entry => entry.msg === 'Failed to export spans' && entry.spans === 2));
+});
@@ -0,0 +1,120 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough, Readable } = require('stream');
+const { UploadSessionStore, UploadSessionError } = require('../lib/upload-sessions');
+const { Logger } = require('../lib/logger');
+
+// A store in a fresh temporary directory, removed after the test
+const setup = (t, options = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-sessions-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const stream = { write: () => {} };
+  const store = new UploadSessionStore({ dir, logger: new Logger({ stdout: stream, stderr: stream }), ...options });
+  store.init();
+  return store;
+};
+
+const chunk = text => Readable.from([Buffer.from(text)]);
+
+const rejectsWith = (promise, code, offset) => assert.rejects(promise, (error) => {
+  assert.ok(error instanceof UploadSessionError);
+  assert.equal(error.code, code);
+  if (offset !== undefined) assert.equal(error.offset, offset);
+  return true;
+});
+
+test('appends move the offset along until the session can be taken', async (t) => {
+  const store = setup(t);
+  const created = await store.create({ length: 11, fileName: 'hello.txt', contentType: 'text/plain', owner: 'alpha' });
+  assert.match(created.id, /^u-[a-f0-9]{32}$/);
+  assert.equal(created.offset, 0);
+  assert.equal(created.expiresAt, created.updatedAt + store.ttl);
+
+  assert.equal((await store.append(created.id, 0, chunk('hello '))).offset, 6);
+  await rejectsWith(store.take(created.id), 'INCOMPLETE', 6);
+  const done = await store.append(created.id, 6, chunk('world'));
+  assert.equal(done.offset, 11);
+  assert.equal((await store.get(created.id)).offset, 11);
+
+  const { session, filePath } = await store.take(created.id);
+  assert.equal(session.fileName, 'hello.txt');
+  assert.equal(session.owner, 'alpha');
+  assert.equal(fs.readFileSync(filePath, 'utf8'), 'hello world');
+  await rejectsWith(store.take(created.id), 'SESSION_NOT_FOUND');
+});
+
+test('an append at the wrong offset is refused and tells the client the right one', async (t) => {
+  const store = setup(t);
+  const { id } = await store.create({ length: 10, fileName: 'a.bin' });
+  await store.append(id, 0, chunk('abcd'));
+
+  await rejectsWith(store.append(id, 0, chunk('abcd')), 'OFFSET_MISMATCH', 4);
+  await rejectsWith(store.append(id, 8, chunk('ij')), 'OFFSET_MISMATCH', 4);
+  assert.equal((await store.get(id)).offset, 4);
+});
+
+test('bytes past the announced length are cut off and the append fails', async (t) => {
+  const store = setup(t);
+  const { id } = await store.create({ length: 5, fileName: 'a.bin' });
+
+  await rejectsWith(store.append(id, 0, Readable.from([Buffer.from('abc'), Buffer.from('defg')])), 'LENGTH_EXCEEDED', 5);
+  const { filePath } = await store.take(id);
+  assert.equal(fs.readFileSync(filePath, 'utf8'), 'abcde');
+});
+
+test('a chunk that breaks off keeps what arrived', async (t) => {
+  const store = setup(t);
+  const { id } = await store.create({ length: 10, fileName: 'a.bin' });
+
+  const stream = new PassThrough();
+  const appending = store.append(id, 0, stream);
+  stream.write('abc');
+  setTimeout(() => stream.destroy(new Error('socket hang up')), 20);
+  await assert.rejects(appending, { message: 'socket hang up', offset: 3 });
+
+  assert.equal((await store.append(id, 3, chunk('defghij'))).offset, 10);
+});
+
+test('a newer append for the same session supersedes one still running', async (t) => {
+  const store = setup(t);
+  const { id } = await store.create({ length: 6, fileName: 'a.bin' });
+
+  const stalled = new PassThrough();
+  const first = store.append(id, 0, stalled);
+  stalled.write('abc');
+  // Wait for the bytes to reach the file
+  while (fs.statSync(path.join(store.dir, `${id}.part`)).size < 3) {
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+
+  const second = store.append(id, 3, chunk('def'));
+  await rejectsWith(first, 'SUPERSEDED', 3);
+  assert.equal((await second).offset, 6);
+});
+
+test('unknown, malformed and expired session IDs are not found', async (t) => {
+  const store = setup(t, { ttl: 20 });
+  await rejectsWith(store.get(`u-${'0'.repeat(32)}`), 'SESSION_NOT_FOUND');
+  await rejectsWith(store.get('../../etc/passwd'), 'SESSION_NOT_FOUND');
+
+  const { id } = await store.create({ length: 1, fileName: 'a.bin' });
+  await new Promise(resolve => setTimeout(resolve, 40));
+  await rejectsWith(store.get(id), 'SESSION_NOT_FOUND');
+  await rejectsWith(store.append(id, 0, chunk('a')), 'SESSION_NOT_FOUND');
+
+  assert.equal(await store.sweep(), 1);
+  assert.deepEqual(fs.readdirSync(store.dir), []);
+});
+
+test('remove deletes the session and its bytes', async (t) => {
+  const store = setup(t);
+  const { id } = await store.create({ length: 4, fileName: 'a.bin' });
+  await store.append(id, 0, chunk('ab'));
+
+  await store.remove(id);
+  assert.deepEqual(fs.readdirSync(store.dir), []);
+  await rejectsWith(store.remove(id), 'SESSION_NOT_FOUND');
+});
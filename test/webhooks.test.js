@@ -0,0 +1,143 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { WebhookDispatcher, WebhookError, signPayload } = require('../lib/webhooks');
+const { Logger } = require('../lib/logger');
+
+// Receiver stub on 127.0.0.1 - `statuses` are answered in turn, the last one from then on
+const startReceiver = async (statuses) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body, at: Date.now() });
+      res.statusCode = statuses[Math.min(requests.length, statuses.length) - 1];
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { url: `http://127.0.0.1:${server.address().port}/hook`, requests, close: () => server.close() };
+};
+
+// Dispatcher that may deliver to the stub, with short retry delays and its log entries in `logs`
+const createDispatcher = (options = {}) => {
+  const logs = [];
+  const stream = { write: (line) => logs.push(JSON.parse(line)) };
+  const logger = new Logger({ stdout: stream, stderr: stream });
+  const dispatcher = new WebhookDispatcher({
+    secret: 'test-secret',
+    initialDelay: 20,
+    allowlist: ['127.0.0.1'],
+    logger,
+    ...options
+  });
+  return { dispatcher, logs };
+};
+
+const waitUntilDone = async (delivery) => {
+  for (let i = 0; i < 200 && delivery.status === 'pending'; i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+test('signPayload is the hex HMAC-SHA256 of "<timestamp>.<body>"', () => {
+  const expected = crypto.createHmac('sha256', 'test-secret').update('1700000000.{"a":1}').digest('hex');
+  assert.equal(signPayload('test-secret', 1700000000, '{"a":1}'), `sha256=${expected}`);
+});
+
+test('deliveries are signed so the receiver can verify them', async (t) => {
+  const receiver = await startReceiver([200]);
+  t.after(receiver.close);
+  const { dispatcher, logs } = createDispatcher();
+
+  const delivery = dispatcher.deliver(receiver.url, 'scan.completed', { requestId: 'req-1', infected: false }, 'req-1', 'alpha');
+  await waitUntilDone(delivery);
+
+  assert.equal(delivery.status, 'delivered');
+  assert.equal(delivery.apiKeyId, 'alpha');
+  const [{ headers, body }] = receiver.requests;
+  assert.deepEqual(JSON.parse(body), { requestId: 'req-1', infected: false });
+  assert.equal(headers['x-scan-event'], 'scan.completed');
+  assert.equal(headers['x-scan-delivery'], delivery.id);
+  assert.equal(headers['x-scan-signature'], signPayload('test-secret', headers['x-scan-timestamp'], body));
+
+  const delivered = logs.find(entry => entry.msg === 'Webhook delivered');
+  assert.equal(typeof delivered.durationMs, 'number');
+  assert.equal(delivered.durationMs, delivery.attempts[0].duration);
+});
+
+test('failed attempts are retried with exponential backoff', async (t) => {
+  const receiver = await startReceiver([503, 500, 429, 200]);
+  t.after(receiver.close);
+  const { dispatcher } = createDispatcher();
+
+  const delivery = dispatcher.deliver(receiver.url, 'scan.completed', { ok: true }, 'req-2');
+  await waitUntilDone(delivery);
+
+  assert.equal(delivery.status, 'delivered');
+  assert.deepEqual(delivery.attempts.map(attempt => attempt.statusCode), [503, 500, 429, 200]);
+  assert.equal(new Set(receiver.requests.map(request => request.headers['x-scan-delivery'])).size, 1);
+  // 20ms, 40ms, 80ms between the attempts
+  const gaps = receiver.requests.slice(1).map((request, index) => request.at - receiver.requests[index].at);
+  [20, 40, 80].forEach((delay, index) => assert.ok(gaps[index] >= delay, `gap ${index + 1} was ${gaps[index]}ms`));
+});
+
+test('a delivery fails once its attempts are used up', async (t) => {
+  const receiver = await startReceiver([500]);
+  t.after(receiver.close);
+  const { dispatcher, logs } = createDispatcher({ maxAttempts: 3 });
+
+  const delivery = dispatcher.deliver(receiver.url, 'scan.failed', {}, 'req-3');
+  await waitUntilDone(delivery);
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 3);
+  assert.equal(delivery.nextAttemptAt, null);
+  assert.ok(logs.some(entry => entry.msg === 'Webhook delivery failed' && entry.attempts === 3));
+});
+
+test('other 4xx responses are not retried', async (t) => {
+  const receiver = await startReceiver([410]);
+  t.after(receiver.close);
+  const { dispatcher } = createDispatcher();
+
+  const delivery = dispatcher.deliver(receiver.url, 'scan.completed', {}, 'req-4');
+  await waitUntilDone(delivery);
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(receiver.requests.length, 1);
+  assert.equal(delivery.attempts[0].error, 'HTTP 410');
+});
+
+test('callback URLs on private, loopback and link-local addresses are refused', async () => {
+  const { dispatcher } = createDispatcher({ allowlist: [] });
+
+  for (const url of ['http://127.0.0.1:8080/', 'http://localhost/', 'http://169.254.169.254/latest/meta-data/', 'http://10.1.2.3/', 'http://[::1]/', 'http://[::ffff:192.168.0.1]/']) {
+    await assert.rejects(dispatcher.validateUrl(url), { name: 'WebhookError', code: 'BLOCKED_CALLBACK_URL' }, url);
+  }
+  await assert.rejects(dispatcher.validateUrl('ftp://example.com/'), { code: 'INVALID_CALLBACK_URL' });
+  assert.equal(await createDispatcher().dispatcher.validateUrl('http://127.0.0.1:8080/hook'), 'http://127.0.0.1:8080/hook');
+});
+
+test('callbacks are refused while no secret is configured', async () => {
+  const { dispatcher } = createDispatcher({ secret: null });
+  await assert.rejects(dispatcher.validateUrl('https://example.com/'), (error) => error instanceof WebhookError && error.code === 'WEBHOOKS_DISABLED');
+});
+
+test('every attempt checks the address again and a blocked one is not retried', async (t) => {
+  const receiver = await startReceiver([200]);
+  t.after(receiver.close);
+  const { dispatcher } = createDispatcher({ allowlist: [] });
+
+  const delivery = dispatcher.deliver(receiver.url.replace('127.0.0.1', 'localhost'), 'scan.completed', {}, 'req-5');
+  await waitUntilDone(delivery);
+
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts.length, 1);
+  assert.match(delivery.attempts[0].error, /private or reserved address/);
+  assert.equal(receiver.requests.length, 0);
+});